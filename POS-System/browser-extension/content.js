@@ -350,9 +350,9 @@
                 const price = this.learnState.price ? sample.querySelector(this.learnState.price)?.textContent?.trim() : '—';
                 const image = this.learnState.image ? sample.querySelector(this.learnState.image)?.src : null;
 
-                preview.innerHTML = `
+                preview.innerHTML = POSHtml.html`
                     <h4>Preview (${containers.length} products found)</h4>
-                    ${image ? `<img src="${image}" style="max-width:50px;max-height:50px;">` : ''}
+                    ${POSHtml.imageUrl(image) ? POSHtml.html`<img src="${POSHtml.imageUrl(image)}" style="max-width:50px;max-height:50px;">` : ''}
                     <p><strong>Name:</strong> ${name}</p>
                     <p><strong>Price:</strong> ${price}</p>
                 `;
@@ -56,9 +56,11 @@ document.addEventListener('DOMContentLoaded', async () => {
             return;
         }
 
-        list.innerHTML = products.slice(0, 20).map(p => `
+        // Names and images come from the scanned page, so they go through POSHtml (pos-html.js)
+        const { html } = POSHtml;
+        list.innerHTML = html`${products.slice(0, 20).map(p => html`
             <div class="product-item">
-                ${p.image ? `<img class="product-img" src="${p.image}" onerror="this.style.display='none'">` : '<div class="product-img"></div>'}
+                ${POSHtml.imageUrl(p.image) ? html`<img class="product-img" src="${POSHtml.imageUrl(p.image)}" onerror="this.style.display='none'">` : html`<div class="product-img"></div>`}
                 <div class="product-info">
                     <div class="product-name" title="${p.name}">${p.name}</div>
                     <div class="product-price">${p.price > 0 ? '$' + p.price.toFixed(2) : 'No price'}</div>
@@ -67,7 +69,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                     ${Math.round(p.confidence * 100)}%
                 </span>
             </div>
-        `).join('');
+        `)}`;
 
         if (products.length > 20) {
             list.innerHTML += `<div class="product-item" style="justify-content:center;color:#666;">
@@ -2,8 +2,152 @@
  * Universal POS AI Agent System
  * Intelligent assistant for POS setup, optimization, and management
  * Version: 1.0.0
+ *
+ * Requires pos-i18n.js and pos-html.js; replies follow the POS locale. Intent keywords are messages too
+ * (comma-separated), so a locale pack can teach the assistant its language.
  */
 
+// English messages; locale packs register translations under the same keys
+POSI18n.registerLocale('en', {
+    'agent.toggle': 'AI Assistant',
+    'agent.title': 'POS AI Assistant',
+    'agent.runAnalysis': 'Run Analysis',
+    'agent.setupWizard': 'Setup Wizard',
+    'agent.close': 'Close',
+    'agent.tab.chat': 'Chat',
+    'agent.tab.analysis': 'Analysis',
+    'agent.tab.setup': 'Setup',
+    'agent.tab.recommendations': 'Tips',
+    'agent.inputPlaceholder': 'Ask me anything about your POS system...',
+    'agent.send': 'Send',
+    'agent.productAnalysis': 'Product Analysis',
+    'agent.productAnalysisEmpty': 'Click "Run Analysis" to scan your products',
+    'agent.inventoryStatus': 'Inventory Status',
+    'agent.inventoryEmpty': 'No inventory data available',
+    'agent.pricingAnalysis': 'Pricing Analysis',
+    'agent.pricingEmpty': 'No pricing data available',
+    'agent.setupTitle': 'POS Setup Wizard',
+    'agent.recommendationsTitle': 'Smart Recommendations',
+    'agent.loadingRecommendations': 'Loading recommendations...',
+    'agent.recommendationsError': 'Error loading recommendations',
+
+    'agent.intent.analyze': 'analyze, analysis, check, scan, review',
+    'agent.intent.setup': 'setup, configure, install, initialize',
+    'agent.intent.products': 'products, inventory, stock, items',
+    'agent.intent.pricing': 'price, pricing, cost, expensive, cheap',
+    'agent.intent.help': 'help, how, what, explain',
+    'agent.intent.recommend': 'recommend, suggest, improve, optimize',
+    'agent.intent.helpSetup': 'setup, configure',
+    'agent.intent.helpProducts': 'product, item',
+    'agent.intent.helpPricing': 'price, cost',
+
+    'agent.greeting': 'Hello! I\'m your POS AI Assistant. I can help you optimize your store, analyze products, and configure settings. How can I help you today?',
+    'agent.thinking': 'Analyzing your request...',
+    'agent.error': 'I apologize, but I encountered an error processing your request. Please try rephrasing your question.',
+    'agent.setupStarted': 'I\'ve started the setup wizard for you. You can find it in the Setup tab. Let me walk you through configuring your POS system optimally.',
+    'agent.defaultReply': 'Based on your current setup: {status}. Is there something specific you\'d like me to help you with? I can analyze products, help with setup, provide recommendations, or answer questions about your POS system.',
+    'agent.status': 'You have {products} and {cartItems} in cart.',
+    'agent.status.products': { one: '{count} product configured', other: '{count} products configured' },
+    'agent.status.cartItems': { one: '{count} item', other: '{count} items' },
+    'agent.cleared': 'Conversation cleared. How can I help you?',
+    'agent.alert': 'AI Assistant: {message}',
+
+    'agent.rec.missingProducts': { one: 'Found {count} potential product that isn\'t integrated with the POS system', other: 'Found {count} potential products that aren\'t integrated with the POS system' },
+    'agent.rec.missingProductsAction': 'Run product scan to integrate missing products',
+    'agent.rec.quality': { one: '{count} product has quality issues', other: '{count} products have quality issues' },
+    'agent.rec.qualityAction': 'Review and fix product attribute problems',
+    'agent.rec.outOfStock': { one: '{count} product is out of stock', other: '{count} products are out of stock' },
+    'agent.rec.outOfStockAction': 'Restock these items immediately to avoid lost sales',
+    'agent.rec.lowStock': { one: '{count} product is running low', other: '{count} products are running low' },
+    'agent.rec.lowStockAction': 'Consider restocking these items soon',
+    'agent.rec.noProducts': 'No products found with pricing data',
+    'agent.rec.noProductsAction': 'Add products with valid pricing information',
+    'agent.rec.priceVariance': 'Large price variance detected across products',
+    'agent.rec.priceVarianceAction': 'Review pricing strategy for consistency',
+    'agent.rec.priceOutliers': { one: '{count} product has unusual pricing', other: '{count} products have unusual pricing' },
+    'agent.rec.priceOutliersAction': 'Review outlier prices for accuracy',
+    'agent.rec.memory': 'High memory usage detected',
+    'agent.rec.memoryAction': 'Consider optimizing product data or clearing cache',
+    'agent.rec.apiEndpoint': 'No API endpoint configured for order processing',
+    'agent.rec.apiEndpointAction': 'Configure an API endpoint to handle orders',
+    'agent.rec.taxRate': 'No tax rate configured',
+    'agent.rec.taxRateAction': 'Set up appropriate tax rates for your location',
+    'agent.rec.notifications': 'Enable notifications for better user feedback',
+    'agent.rec.notificationsAction': 'Configure notification settings in your POS options',
+    'agent.rec.audits': 'Regular inventory audits help maintain accuracy',
+    'agent.rec.auditsAction': 'Schedule weekly inventory reviews',
+    'agent.rec.abandonment': 'Monitor cart abandonment rates',
+    'agent.rec.abandonmentAction': 'Track when customers add items but don\'t complete purchases',
+
+    'agent.issue.name': 'Product name is too short or missing',
+    'agent.issue.price': 'Invalid or missing price',
+    'agent.issue.image': 'Product image is missing',
+    'agent.issue.description': 'Product description is missing or too short',
+    'agent.issue.invalidPrice': 'Invalid price (zero or negative)',
+
+    'agent.metric.productsFound': 'Products Found',
+    'agent.metric.integrationRate': 'Integration Rate',
+    'agent.metric.qualityScore': 'Quality Score',
+    'agent.metric.issuesFound': 'Issues Found',
+    'agent.metric.totalItems': 'Total Items',
+    'agent.metric.outOfStock': 'Out of Stock',
+    'agent.metric.lowStock': 'Low Stock',
+    'agent.metric.inventoryValue': 'Inventory Value',
+    'agent.metric.priceRange': 'Price Range',
+    'agent.metric.averagePrice': 'Average Price',
+    'agent.metric.pricingIssues': 'Pricing Issues',
+
+    'agent.step.basicConfig': 'Basic Configuration',
+    'agent.step.basicConfigDescription': 'Set up currency, tax rate, and shipping',
+    'agent.step.productScan': 'Product Detection',
+    'agent.step.productScanDescription': 'Scan and integrate products',
+    'agent.step.apiSetup': 'API Configuration',
+    'agent.step.apiSetupDescription': 'Configure order processing endpoint',
+    'agent.step.optimization': 'Optimization',
+    'agent.step.optimizationDescription': 'Apply recommended optimizations',
+    'agent.step.completed': 'Completed',
+    'agent.step.inProgress': 'In Progress',
+    'agent.step.pending': 'Pending',
+    'agent.setupProgress': 'Setup Progress: {completed}/{total} steps completed',
+
+    'agent.prompt.currency': 'Enter currency symbol (e.g., $, €, £):',
+    'agent.prompt.taxRate': 'Enter tax rate (as decimal, e.g., 0.08 for 8%):',
+    'agent.prompt.shipping': 'Enter default shipping cost:',
+    'agent.prompt.apiEndpoint': 'Enter API endpoint URL for order processing:',
+    'agent.basicConfigured': 'Basic configuration updated: Currency: {currency}, Tax Rate: {taxRate}, Shipping: {shipping}',
+    'agent.scanning': 'Scanning for products...',
+    'agent.scanCompleted': { one: 'Product scan completed! Found and integrated {count} product.', other: 'Product scan completed! Found and integrated {count} products.' },
+    'agent.apiConfigured': 'API endpoint configured: {endpoint}',
+    'agent.apiSkipped': 'API configuration skipped. Orders will be handled locally.',
+    'agent.optimizing': 'Applying optimizations...',
+    'agent.optimized': { one: 'Optimization completed! Applied {count} automatic improvement.', other: 'Optimization completed! Applied {count} automatic improvements.' },
+    'agent.setupCompleted': '🎉 Setup wizard completed! Your POS system is now optimally configured.',
+
+    'agent.analysis.intro': 'Here\'s what I found in my analysis:',
+    'agent.analysis.products': '**Products**: Found {products} with {issues}.',
+    'agent.analysis.inventory': '**Inventory**: {outOfStock} out of stock, {lowStock} low stock items.',
+    'agent.analysis.pricing': '**Pricing**: Average price {average}, {issues}.',
+    'agent.analysis.outro': 'Check the Analysis tab for detailed information and recommendations.',
+    'agent.count.products': { one: '{count} product', other: '{count} products' },
+    'agent.count.qualityIssues': { one: '{count} quality issue', other: '{count} quality issues' },
+    'agent.count.pricingIssues': { one: '{count} pricing issue found', other: '{count} pricing issues found' },
+
+    'agent.reply.products': 'I found {products} in your system.',
+    'agent.reply.productIssues': { one: 'There is {count} product with quality issues that needs attention.', other: 'There are {count} products with quality issues that need attention.' },
+    'agent.reply.productsGood': 'All products look good!',
+    'agent.reply.missingProducts': { one: 'I also detected {count} potential product that isn\'t integrated yet.', other: 'I also detected {count} potential products that aren\'t integrated yet.' },
+    'agent.reply.pricing': 'Your products are priced between {min} and {max}, with an average of {average}.',
+    'agent.reply.pricingIssues': { one: 'I found {count} pricing issue that needs to be fixed.', other: 'I found {count} pricing issues that need to be fixed.' },
+    'agent.reply.pricingGood': 'Your pricing looks consistent!',
+    'agent.reply.recommendations': 'I have {total} for you: {high} high priority, {medium} medium priority. Check the Tips tab to see all recommendations with detailed actions you can take.',
+    'agent.count.recommendations': { one: '{count} recommendation', other: '{count} recommendations' },
+
+    'agent.help.setup': 'I can help you set up your POS system! Use the Setup tab or click the gear icon to start the setup wizard. I\'ll guide you through configuring currency, tax rates, product detection, and API settings.',
+    'agent.help.products': 'I can analyze your products, detect quality issues, and help integrate new products. Try asking "analyze my products" or use the Analysis tab to see detailed product information.',
+    'agent.help.pricing': 'I can help with pricing analysis, detect pricing issues, and suggest optimizations. Ask me about "pricing analysis" or check the Analysis tab for detailed pricing insights.',
+    'agent.help.general': 'I\'m your POS AI assistant! I can help with:\n• Product analysis and optimization\n• Inventory management\n• Pricing strategy\n• System setup and configuration\n• Troubleshooting issues\n• Performance recommendations\n\nJust ask me what you need help with!'
+});
+
 class POSAgent {
     constructor(posSystem = null) {
         this.posSystem = posSystem || window.universalPOS;
@@ -56,7 +200,7 @@ class POSAgent {
             this.isActive = true;
             
             this.log('POS Agent initialized successfully', 'info');
-            this.addMessage('assistant', 'Hello! I\'m your POS AI Assistant. I can help you optimize your store, analyze products, and configure settings. How can I help you today?');
+            this.addMessage('assistant', this.t('agent.greeting'));
             
         } catch (error) {
             this.log('Failed to initialize POS Agent', 'error', error);
@@ -81,6 +225,32 @@ class POSAgent {
         throw new Error('POS System not available');
     }
 
+    /**
+     * Localization of the POS the agent assists; a standalone catalog until the POS is there
+     */
+    getI18n() {
+        if (this.posSystem && this.posSystem.i18n) {
+            return this.posSystem.i18n;
+        }
+        if (!this.fallbackI18n) {
+            this.fallbackI18n = new POSI18n();
+        }
+        return this.fallbackI18n;
+    }
+
+    t(key, params = {}) {
+        return this.getI18n().t(key, params);
+    }
+
+    /**
+     * Store-currency amount for analysis output
+     */
+    formatAmount(amount) {
+        return this.posSystem && this.posSystem.formatStorePrice
+            ? this.posSystem.formatStorePrice(amount)
+            : `$${amount.toFixed(2)}`;
+    }
+
     /**
      * Create the agent UI interface
      */
@@ -89,60 +259,62 @@ class POSAgent {
         const existing = document.getElementById('pos-agent-container');
         if (existing) existing.remove();
 
+        const t = key => this.t(key);
         const agentContainer = document.createElement('div');
         agentContainer.id = 'pos-agent-container';
-        agentContainer.innerHTML = `
+        this.getI18n().applyDirection(agentContainer);
+        agentContainer.innerHTML = POSHtml.html`
             <div class="pos-agent-toggle" id="pos-agent-toggle">
                 <div class="agent-icon">🤖</div>
-                <div class="agent-status">AI Assistant</div>
+                <div class="agent-status">${t('agent.toggle')}</div>
             </div>
             
             <div class="pos-agent-panel" id="pos-agent-panel">
                 <div class="agent-header">
-                    <h3>POS AI Assistant</h3>
+                    <h3>${t('agent.title')}</h3>
                     <div class="agent-controls">
-                        <button class="agent-btn" id="analysis-btn" title="Run Analysis">📊</button>
-                        <button class="agent-btn" id="setup-btn" title="Setup Wizard">⚙️</button>
-                        <button class="agent-btn" id="close-agent">✕</button>
+                        <button class="agent-btn" id="analysis-btn" title="${t('agent.runAnalysis')}">📊</button>
+                        <button class="agent-btn" id="setup-btn" title="${t('agent.setupWizard')}">⚙️</button>
+                        <button class="agent-btn" id="close-agent" aria-label="${t('agent.close')}">✕</button>
                     </div>
                 </div>
                 
                 <div class="agent-content">
                     <div class="agent-tabs">
-                        <button class="tab-btn active" data-tab="chat">Chat</button>
-                        <button class="tab-btn" data-tab="analysis">Analysis</button>
-                        <button class="tab-btn" data-tab="setup">Setup</button>
-                        <button class="tab-btn" data-tab="recommendations">Tips</button>
+                        <button class="tab-btn active" data-tab="chat">${t('agent.tab.chat')}</button>
+                        <button class="tab-btn" data-tab="analysis">${t('agent.tab.analysis')}</button>
+                        <button class="tab-btn" data-tab="setup">${t('agent.tab.setup')}</button>
+                        <button class="tab-btn" data-tab="recommendations">${t('agent.tab.recommendations')}</button>
                     </div>
                     
                     <div class="tab-content" id="chat-tab">
                         <div class="chat-messages" id="chat-messages"></div>
                         <div class="chat-input-container">
-                            <input type="text" id="chat-input" placeholder="Ask me anything about your POS system..." />
-                            <button id="send-message">Send</button>
+                            <input type="text" id="chat-input" placeholder="${t('agent.inputPlaceholder')}" />
+                            <button id="send-message">${t('agent.send')}</button>
                         </div>
                     </div>
                     
                     <div class="tab-content" id="analysis-tab" style="display: none;">
                         <div class="analysis-dashboard">
                             <div class="analysis-section">
-                                <h4>Product Analysis</h4>
-                                <div id="product-analysis-results">Click "Run Analysis" to scan your products</div>
+                                <h4>${t('agent.productAnalysis')}</h4>
+                                <div id="product-analysis-results">${t('agent.productAnalysisEmpty')}</div>
                             </div>
                             <div class="analysis-section">
-                                <h4>Inventory Status</h4>
-                                <div id="inventory-analysis-results">No inventory data available</div>
+                                <h4>${t('agent.inventoryStatus')}</h4>
+                                <div id="inventory-analysis-results">${t('agent.inventoryEmpty')}</div>
                             </div>
                             <div class="analysis-section">
-                                <h4>Pricing Analysis</h4>
-                                <div id="pricing-analysis-results">No pricing data available</div>
+                                <h4>${t('agent.pricingAnalysis')}</h4>
+                                <div id="pricing-analysis-results">${t('agent.pricingEmpty')}</div>
                             </div>
                         </div>
                     </div>
                     
                     <div class="tab-content" id="setup-tab" style="display: none;">
                         <div class="setup-wizard">
-                            <h4>POS Setup Wizard</h4>
+                            <h4>${t('agent.setupTitle')}</h4>
                             <div id="setup-progress"></div>
                             <div id="setup-steps"></div>
                         </div>
@@ -150,8 +322,8 @@ class POSAgent {
                     
                     <div class="tab-content" id="recommendations-tab" style="display: none;">
                         <div class="recommendations-panel">
-                            <h4>Smart Recommendations</h4>
-                            <div id="recommendations-list">Loading recommendations...</div>
+                            <h4>${t('agent.recommendationsTitle')}</h4>
+                            <div id="recommendations-list">${t('agent.loadingRecommendations')}</div>
                         </div>
                     </div>
                 </div>
@@ -176,7 +348,7 @@ class POSAgent {
             #pos-agent-container {
                 position: fixed;
                 bottom: 20px;
-                left: 20px;
+                inset-inline-start: 20px;
                 z-index: 10001;
                 font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
             }
@@ -218,7 +390,7 @@ class POSAgent {
             .pos-agent-panel {
                 position: absolute;
                 bottom: 70px;
-                left: 0;
+                inset-inline-start: 0;
                 width: 400px;
                 max-height: 600px;
                 background: white;
@@ -609,7 +781,7 @@ class POSAgent {
         this.addMessage('user', message);
         
         // Add typing indicator
-        const typingId = this.addMessage('assistant', 'Analyzing your request...', true);
+        const typingId = this.addMessage('assistant', this.t('agent.thinking'), true);
         
         try {
             const response = await this.processUserQuery(message);
@@ -617,7 +789,7 @@ class POSAgent {
             this.addMessage('assistant', response);
         } catch (error) {
             this.removeMessage(typingId);
-            this.addMessage('assistant', 'I apologize, but I encountered an error processing your request. Please try rephrasing your question.');
+            this.addMessage('assistant', this.t('agent.error'));
             this.log('Error processing user query', 'error', error);
         }
     }
@@ -629,45 +801,46 @@ class POSAgent {
         const lowerQuery = query.toLowerCase();
         
         // Intent classification
-        if (this.matchesIntent(lowerQuery, ['analyze', 'analysis', 'check', 'scan', 'review'])) {
+        if (this.matchesIntent(lowerQuery, 'analyze')) {
             await this.runFullAnalysis();
             return this.generateAnalysisResponse();
         }
         
-        if (this.matchesIntent(lowerQuery, ['setup', 'configure', 'install', 'initialize'])) {
+        if (this.matchesIntent(lowerQuery, 'setup')) {
             this.startSetupWizard();
-            return "I've started the setup wizard for you. You can find it in the Setup tab. Let me walk you through configuring your POS system optimally.";
+            return this.t('agent.setupStarted');
         }
         
-        if (this.matchesIntent(lowerQuery, ['products', 'inventory', 'stock', 'items'])) {
+        if (this.matchesIntent(lowerQuery, 'products')) {
             const productAnalysis = await this.analyzeProducts();
             return this.formatProductAnalysisResponse(productAnalysis);
         }
         
-        if (this.matchesIntent(lowerQuery, ['price', 'pricing', 'cost', 'expensive', 'cheap'])) {
+        if (this.matchesIntent(lowerQuery, 'pricing')) {
             const pricingAnalysis = await this.analyzePricing();
             return this.formatPricingAnalysisResponse(pricingAnalysis);
         }
         
-        if (this.matchesIntent(lowerQuery, ['help', 'how', 'what', 'explain'])) {
+        if (this.matchesIntent(lowerQuery, 'help')) {
             return this.generateHelpResponse(lowerQuery);
         }
         
-        if (this.matchesIntent(lowerQuery, ['recommend', 'suggest', 'improve', 'optimize'])) {
+        if (this.matchesIntent(lowerQuery, 'recommend')) {
             const recommendations = await this.generateRecommendations();
             return this.formatRecommendationsResponse(recommendations);
         }
         
         // Default response with general analysis
         const quickAnalysis = await this.getQuickSystemStatus();
-        return `Based on your current setup: ${quickAnalysis}. Is there something specific you'd like me to help you with? I can analyze products, help with setup, provide recommendations, or answer questions about your POS system.`;
+        return this.t('agent.defaultReply', { status: quickAnalysis });
     }
 
     /**
-     * Check if query matches intent keywords
+     * Check if query matches an intent's keywords (message "agent.intent.<intent>")
      */
-    matchesIntent(query, keywords) {
-        return keywords.some(keyword => query.includes(keyword));
+    matchesIntent(query, intent) {
+        const keywords = this.t(`agent.intent.${intent}`).split(',').map(keyword => keyword.trim().toLowerCase());
+        return keywords.some(keyword => keyword && query.includes(keyword));
     }
 
     /**
@@ -681,9 +854,10 @@ class POSAgent {
         messageDiv.className = `message ${sender}`;
         messageDiv.id = messageId;
         
-        const time = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const time = this.getI18n().formatTime(new Date());
         
-        messageDiv.innerHTML = `
+        // Chat messages are plain text: what the merchant typed, or a reply that quotes it
+        messageDiv.innerHTML = POSHtml.html`
             <div class="message-time">${time}</div>
             <div class="message-content">${content}</div>
         `;
@@ -763,8 +937,8 @@ class POSAgent {
             analysis.recommendations.push({
                 type: 'product_detection',
                 priority: 'high',
-                message: `Found ${analysis.missingProducts} potential products that aren't integrated with the POS system`,
-                action: 'Run product scan to integrate missing products'
+                message: this.t('agent.rec.missingProducts', { count: analysis.missingProducts }),
+                action: this.t('agent.rec.missingProductsAction')
             });
         }
 
@@ -773,8 +947,8 @@ class POSAgent {
             analysis.recommendations.push({
                 type: 'product_quality',
                 priority: 'medium',
-                message: `${analysis.qualityIssues.length} products have quality issues`,
-                action: 'Review and fix product attribute problems'
+                message: this.t('agent.rec.quality', { count: analysis.qualityIssues.length }),
+                action: this.t('agent.rec.qualityAction')
             });
         }
 
@@ -789,19 +963,19 @@ class POSAgent {
         const issues = [];
 
         if (!product.name || product.name.length < this.analysisRules.quality.minProductNameLength) {
-            issues.push('Product name is too short or missing');
+            issues.push(this.t('agent.issue.name'));
         }
 
         if (!product.price || product.price <= 0) {
-            issues.push('Invalid or missing price');
+            issues.push(this.t('agent.issue.price'));
         }
 
         if (this.analysisRules.quality.imageRequired && !product.image) {
-            issues.push('Product image is missing');
+            issues.push(this.t('agent.issue.image'));
         }
 
         if (!product.description || product.description.length < 10) {
-            issues.push('Product description is missing or too short');
+            issues.push(this.t('agent.issue.description'));
         }
 
         return issues;
@@ -842,8 +1016,8 @@ class POSAgent {
             analysis.recommendations.push({
                 type: 'out_of_stock',
                 priority: 'high',
-                message: `${analysis.outOfStock.length} products are out of stock`,
-                action: 'Restock these items immediately to avoid lost sales'
+                message: this.t('agent.rec.outOfStock', { count: analysis.outOfStock.length }),
+                action: this.t('agent.rec.outOfStockAction')
             });
         }
 
@@ -851,8 +1025,8 @@ class POSAgent {
             analysis.recommendations.push({
                 type: 'low_stock',
                 priority: 'medium',
-                message: `${analysis.lowStock.length} products are running low`,
-                action: 'Consider restocking these items soon'
+                message: this.t('agent.rec.lowStock', { count: analysis.lowStock.length }),
+                action: this.t('agent.rec.lowStockAction')
             });
         }
 
@@ -878,8 +1052,8 @@ class POSAgent {
             analysis.recommendations.push({
                 type: 'no_products',
                 priority: 'high',
-                message: 'No products found with pricing data',
-                action: 'Add products with valid pricing information'
+                message: this.t('agent.rec.noProducts'),
+                action: this.t('agent.rec.noProductsAction')
             });
             return analysis;
         }
@@ -900,7 +1074,7 @@ class POSAgent {
                 analysis.pricingIssues.push({
                     productId: product.id,
                     productName: product.name,
-                    issue: 'Invalid price (zero or negative)',
+                    issue: this.t('agent.issue.invalidPrice'),
                     currentPrice: price
                 });
             }
@@ -914,8 +1088,8 @@ class POSAgent {
             analysis.recommendations.push({
                 type: 'price_variance',
                 priority: 'medium',
-                message: 'Large price variance detected across products',
-                action: 'Review pricing strategy for consistency'
+                message: this.t('agent.rec.priceVariance'),
+                action: this.t('agent.rec.priceVarianceAction')
             });
         }
 
@@ -925,8 +1099,8 @@ class POSAgent {
             analysis.recommendations.push({
                 type: 'price_outliers',
                 priority: 'low',
-                message: `${outliers.length} products have unusual pricing`,
-                action: 'Review outlier prices for accuracy'
+                message: this.t('agent.rec.priceOutliers', { count: outliers.length }),
+                action: this.t('agent.rec.priceOutliersAction')
             });
         }
 
@@ -988,8 +1162,8 @@ class POSAgent {
                 analysis.recommendations.push({
                     type: 'memory_usage',
                     priority: 'medium',
-                    message: 'High memory usage detected',
-                    action: 'Consider optimizing product data or clearing cache'
+                    message: this.t('agent.rec.memory'),
+                    action: this.t('agent.rec.memoryAction')
                 });
             }
         }
@@ -1019,8 +1193,8 @@ class POSAgent {
             analysis.recommendations.push({
                 type: 'api_endpoint',
                 priority: 'medium',
-                message: 'No API endpoint configured for order processing',
-                action: 'Configure an API endpoint to handle orders'
+                message: this.t('agent.rec.apiEndpoint'),
+                action: this.t('agent.rec.apiEndpointAction')
             });
         }
 
@@ -1028,8 +1202,8 @@ class POSAgent {
             analysis.recommendations.push({
                 type: 'tax_rate',
                 priority: 'medium',
-                message: 'No tax rate configured',
-                action: 'Set up appropriate tax rates for your location'
+                message: this.t('agent.rec.taxRate'),
+                action: this.t('agent.rec.taxRateAction')
             });
         }
 
@@ -1066,28 +1240,29 @@ class POSAgent {
     formatProductAnalysisUI(analysis) {
         const qualityScore = Math.max(0, 100 - (analysis.qualityIssues.length * 10));
         const completionScore = analysis.enhancedProducts / Math.max(1, analysis.potentialProducts) * 100;
+        const i18n = this.getI18n();
         
-        return `
+        return POSHtml.html`
             <div class="analysis-metric">
-                <span class="metric-label">Products Found</span>
-                <span class="metric-value">${analysis.totalProducts}</span>
+                <span class="metric-label">${this.t('agent.metric.productsFound')}</span>
+                <span class="metric-value">${i18n.formatNumber(analysis.totalProducts)}</span>
             </div>
             <div class="analysis-metric">
-                <span class="metric-label">Integration Rate</span>
+                <span class="metric-label">${this.t('agent.metric.integrationRate')}</span>
                 <span class="metric-value ${completionScore >= 90 ? 'success' : completionScore >= 70 ? 'warning' : 'error'}">
-                    ${Math.round(completionScore)}%
+                    ${i18n.formatNumber(Math.round(completionScore) / 100, { style: 'percent' })}
                 </span>
             </div>
             <div class="analysis-metric">
-                <span class="metric-label">Quality Score</span>
+                <span class="metric-label">${this.t('agent.metric.qualityScore')}</span>
                 <span class="metric-value ${qualityScore >= 80 ? 'success' : qualityScore >= 60 ? 'warning' : 'error'}">
-                    ${qualityScore}/100
+                    ${i18n.formatNumber(qualityScore)}/100
                 </span>
             </div>
             <div class="analysis-metric">
-                <span class="metric-label">Issues Found</span>
+                <span class="metric-label">${this.t('agent.metric.issuesFound')}</span>
                 <span class="metric-value ${analysis.qualityIssues.length === 0 ? 'success' : 'warning'}">
-                    ${analysis.qualityIssues.length}
+                    ${i18n.formatNumber(analysis.qualityIssues.length)}
                 </span>
             </div>
         `;
@@ -1097,26 +1272,28 @@ class POSAgent {
      * Format inventory analysis for UI display
      */
     formatInventoryAnalysisUI(analysis) {
-        return `
+        const i18n = this.getI18n();
+
+        return POSHtml.html`
             <div class="analysis-metric">
-                <span class="metric-label">Total Items</span>
-                <span class="metric-value">${analysis.totalItems}</span>
+                <span class="metric-label">${this.t('agent.metric.totalItems')}</span>
+                <span class="metric-value">${i18n.formatNumber(analysis.totalItems)}</span>
             </div>
             <div class="analysis-metric">
-                <span class="metric-label">Out of Stock</span>
+                <span class="metric-label">${this.t('agent.metric.outOfStock')}</span>
                 <span class="metric-value ${analysis.outOfStock.length === 0 ? 'success' : 'error'}">
-                    ${analysis.outOfStock.length}
+                    ${i18n.formatNumber(analysis.outOfStock.length)}
                 </span>
             </div>
             <div class="analysis-metric">
-                <span class="metric-label">Low Stock</span>
+                <span class="metric-label">${this.t('agent.metric.lowStock')}</span>
                 <span class="metric-value ${analysis.lowStock.length === 0 ? 'success' : 'warning'}">
-                    ${analysis.lowStock.length}
+                    ${i18n.formatNumber(analysis.lowStock.length)}
                 </span>
             </div>
             <div class="analysis-metric">
-                <span class="metric-label">Inventory Value</span>
-                <span class="metric-value">$${analysis.totalValue.toFixed(2)}</span>
+                <span class="metric-label">${this.t('agent.metric.inventoryValue')}</span>
+                <span class="metric-value">${this.formatAmount(analysis.totalValue)}</span>
             </div>
         `;
     }
@@ -1125,19 +1302,19 @@ class POSAgent {
      * Format pricing analysis for UI display
      */
     formatPricingAnalysisUI(analysis) {
-        return `
+        return POSHtml.html`
             <div class="analysis-metric">
-                <span class="metric-label">Price Range</span>
-                <span class="metric-value">$${analysis.priceRange.min.toFixed(2)} - $${analysis.priceRange.max.toFixed(2)}</span>
+                <span class="metric-label">${this.t('agent.metric.priceRange')}</span>
+                <span class="metric-value">${this.formatAmount(analysis.priceRange.min)} - ${this.formatAmount(analysis.priceRange.max)}</span>
             </div>
             <div class="analysis-metric">
-                <span class="metric-label">Average Price</span>
-                <span class="metric-value">$${analysis.priceRange.average.toFixed(2)}</span>
+                <span class="metric-label">${this.t('agent.metric.averagePrice')}</span>
+                <span class="metric-value">${this.formatAmount(analysis.priceRange.average)}</span>
             </div>
             <div class="analysis-metric">
-                <span class="metric-label">Pricing Issues</span>
+                <span class="metric-label">${this.t('agent.metric.pricingIssues')}</span>
                 <span class="metric-value ${analysis.pricingIssues.length === 0 ? 'success' : 'error'}">
-                    ${analysis.pricingIssues.length}
+                    ${this.getI18n().formatNumber(analysis.pricingIssues.length)}
                 </span>
             </div>
         `;
@@ -1150,29 +1327,29 @@ class POSAgent {
         const setupSteps = [
             {
                 id: 'basic_config',
-                title: 'Basic Configuration',
-                description: 'Set up currency, tax rate, and shipping',
+                title: this.t('agent.step.basicConfig'),
+                description: this.t('agent.step.basicConfigDescription'),
                 completed: false,
                 active: true
             },
             {
                 id: 'product_scan',
-                title: 'Product Detection',
-                description: 'Scan and integrate products',
+                title: this.t('agent.step.productScan'),
+                description: this.t('agent.step.productScanDescription'),
                 completed: false,
                 active: false
             },
             {
                 id: 'api_setup',
-                title: 'API Configuration',
-                description: 'Configure order processing endpoint',
+                title: this.t('agent.step.apiSetup'),
+                description: this.t('agent.step.apiSetupDescription'),
                 completed: false,
                 active: false
             },
             {
                 id: 'optimization',
-                title: 'Optimization',
-                description: 'Apply recommended optimizations',
+                title: this.t('agent.step.optimization'),
+                description: this.t('agent.step.optimizationDescription'),
                 completed: false,
                 active: false
             }
@@ -1200,23 +1377,24 @@ class POSAgent {
         const totalSteps = this.setupProgress.steps.length;
         const progressPercent = (completedSteps / totalSteps) * 100;
 
-        progressContainer.innerHTML = `
+        const { html } = POSHtml;
+        progressContainer.innerHTML = html`
             <div class="progress-bar">
                 <div class="progress-fill" style="width: ${progressPercent}%"></div>
             </div>
-            <p>Setup Progress: ${completedSteps}/${totalSteps} steps completed</p>
+            <p>${this.t('agent.setupProgress', { completed: completedSteps, total: totalSteps })}</p>
         `;
 
-        stepsContainer.innerHTML = this.setupProgress.steps.map((step, index) => `
+        stepsContainer.innerHTML = html`${this.setupProgress.steps.map((step, index) => html`
             <div class="setup-step ${step.completed ? 'completed' : ''} ${step.active ? 'active' : ''}"
-                 onclick="posAgent.handleSetupStep('${step.id}')">
+                 onclick="posAgent.handleSetupStep(${POSHtml.jsString(step.id)})">
                 <strong>${step.title}</strong>
                 <p>${step.description}</p>
                 <div class="step-status">
-                    ${step.completed ? '✅ Completed' : step.active ? '🔄 In Progress' : '⏳ Pending'}
+                    ${step.completed ? `✅ ${this.t('agent.step.completed')}` : step.active ? `🔄 ${this.t('agent.step.inProgress')}` : `⏳ ${this.t('agent.step.pending')}`}
                 </div>
             </div>
-        `).join('');
+        `)}`;
     }
 
     /**
@@ -1248,9 +1426,9 @@ class POSAgent {
     configureBasicSettings() {
         const currentConfig = this.posSystem ? this.posSystem.options : {};
         
-        const currency = prompt('Enter currency symbol (e.g., $, €, £):', currentConfig.currency || '$');
-        const taxRate = prompt('Enter tax rate (as decimal, e.g., 0.08 for 8%):', currentConfig.taxRate || '0');
-        const shippingCost = prompt('Enter default shipping cost:', currentConfig.shippingCost || '0');
+        const currency = prompt(this.t('agent.prompt.currency'), currentConfig.currency || '$');
+        const taxRate = prompt(this.t('agent.prompt.taxRate'), currentConfig.taxRate || '0');
+        const shippingCost = prompt(this.t('agent.prompt.shipping'), currentConfig.shippingCost || '0');
 
         if (currency !== null && this.posSystem) {
             this.posSystem.options.currency = currency;
@@ -1258,7 +1436,11 @@ class POSAgent {
             this.posSystem.options.shippingCost = parseFloat(shippingCost) || 0;
             
             this.completeSetupStep('basic_config');
-            this.addMessage('assistant', `Basic configuration updated: Currency: ${currency}, Tax Rate: ${(parseFloat(taxRate) * 100).toFixed(1)}%, Shipping: ${currency}${shippingCost}`);
+            this.addMessage('assistant', this.t('agent.basicConfigured', {
+                currency,
+                taxRate: this.getI18n().formatNumber(parseFloat(taxRate) || 0, { style: 'percent', minimumFractionDigits: 1 }),
+                shipping: this.formatAmount(parseFloat(shippingCost) || 0)
+            }));
         }
     }
 
@@ -1267,12 +1449,12 @@ class POSAgent {
      */
     async runProductScan() {
         if (this.posSystem && this.posSystem.scanProducts) {
-            this.addMessage('assistant', 'Scanning for products...');
+            this.addMessage('assistant', this.t('agent.scanning'));
             await this.posSystem.scanProducts();
             
             const products = this.posSystem.getProducts();
             this.completeSetupStep('product_scan');
-            this.addMessage('assistant', `Product scan completed! Found and integrated ${products.length} products.`);
+            this.addMessage('assistant', this.t('agent.scanCompleted', { count: products.length }));
         }
     }
 
@@ -1281,15 +1463,15 @@ class POSAgent {
      */
     configureAPI() {
         const currentEndpoint = this.posSystem ? this.posSystem.options.apiEndpoint : '';
-        const apiEndpoint = prompt('Enter API endpoint URL for order processing:', currentEndpoint || '');
+        const apiEndpoint = prompt(this.t('agent.prompt.apiEndpoint'), currentEndpoint || '');
 
         if (apiEndpoint && this.posSystem) {
             this.posSystem.options.apiEndpoint = apiEndpoint;
             this.completeSetupStep('api_setup');
-            this.addMessage('assistant', `API endpoint configured: ${apiEndpoint}`);
+            this.addMessage('assistant', this.t('agent.apiConfigured', { endpoint: apiEndpoint }));
         } else if (apiEndpoint === '') {
             this.completeSetupStep('api_setup');
-            this.addMessage('assistant', 'API configuration skipped. Orders will be handled locally.');
+            this.addMessage('assistant', this.t('agent.apiSkipped'));
         }
     }
 
@@ -1297,7 +1479,7 @@ class POSAgent {
      * Apply system optimizations
      */
     async applyOptimizations() {
-        this.addMessage('assistant', 'Applying optimizations...');
+        this.addMessage('assistant', this.t('agent.optimizing'));
         
         // Run analysis to get recommendations
         const analysis = await this.runFullAnalysis();
@@ -1316,12 +1498,12 @@ class POSAgent {
         });
 
         this.completeSetupStep('optimization');
-        this.addMessage('assistant', `Optimization completed! Applied ${optimizationsApplied} automatic improvements.`);
+        this.addMessage('assistant', this.t('agent.optimized', { count: optimizationsApplied }));
         
         // Check if setup is complete
         if (this.setupProgress.steps.every(step => step.completed)) {
             this.setupProgress.completed = true;
-            this.addMessage('assistant', '🎉 Setup wizard completed! Your POS system is now optimally configured.');
+            this.addMessage('assistant', this.t('agent.setupCompleted'));
         }
     }
 
@@ -1363,20 +1545,20 @@ class POSAgent {
             {
                 type: 'general',
                 priority: 'low',
-                message: 'Enable notifications for better user feedback',
-                action: 'Configure notification settings in your POS options'
+                message: this.t('agent.rec.notifications'),
+                action: this.t('agent.rec.notificationsAction')
             },
             {
                 type: 'general',
                 priority: 'low',
-                message: 'Regular inventory audits help maintain accuracy',
-                action: 'Schedule weekly inventory reviews'
+                message: this.t('agent.rec.audits'),
+                action: this.t('agent.rec.auditsAction')
             },
             {
                 type: 'general',
                 priority: 'medium',
-                message: 'Monitor cart abandonment rates',
-                action: 'Track when customers add items but don\'t complete purchases'
+                message: this.t('agent.rec.abandonment'),
+                action: this.t('agent.rec.abandonmentAction')
             }
         );
 
@@ -1394,21 +1576,22 @@ class POSAgent {
         const recommendationsContainer = document.getElementById('recommendations-list');
         if (!recommendationsContainer) return;
 
-        recommendationsContainer.innerHTML = '<div class="loading">Loading recommendations...</div>';
+        const { html } = POSHtml;
+        recommendationsContainer.innerHTML = html`<div class="loading">${this.t('agent.loadingRecommendations')}</div>`;
 
         try {
             const recommendations = await this.generateRecommendations();
             
-            recommendationsContainer.innerHTML = recommendations.map(rec => `
+            recommendationsContainer.innerHTML = html`${recommendations.map(rec => html`
                 <div class="recommendation-item">
                     <div class="recommendation-title">
                         ${this.getPriorityIcon(rec.priority)} ${rec.message}
                     </div>
                     <div class="recommendation-desc">${rec.action}</div>
                 </div>
-            `).join('');
+            `)}`;
         } catch (error) {
-            recommendationsContainer.innerHTML = '<div>Error loading recommendations</div>';
+            recommendationsContainer.innerHTML = html`<div>${this.t('agent.recommendationsError')}</div>`;
             this.log('Error loading recommendations', 'error', error);
         }
     }
@@ -1433,21 +1616,30 @@ class POSAgent {
         const inventoryAnalysis = this.analysisCache.get('inventory');
         const pricingAnalysis = this.analysisCache.get('pricing');
 
-        let response = 'Here\'s what I found in my analysis:\n\n';
+        let response = `${this.t('agent.analysis.intro')}\n\n`;
 
         if (productAnalysis) {
-            response += `**Products**: Found ${productAnalysis.totalProducts} products with ${productAnalysis.qualityIssues.length} quality issues.\n`;
+            response += `${this.t('agent.analysis.products', {
+                products: this.t('agent.count.products', { count: productAnalysis.totalProducts }),
+                issues: this.t('agent.count.qualityIssues', { count: productAnalysis.qualityIssues.length })
+            })}\n`;
         }
 
         if (inventoryAnalysis) {
-            response += `**Inventory**: ${inventoryAnalysis.outOfStock.length} out of stock, ${inventoryAnalysis.lowStock.length} low stock items.\n`;
+            response += `${this.t('agent.analysis.inventory', {
+                outOfStock: inventoryAnalysis.outOfStock.length,
+                lowStock: inventoryAnalysis.lowStock.length
+            })}\n`;
         }
 
         if (pricingAnalysis) {
-            response += `**Pricing**: Average price $${pricingAnalysis.priceRange.average.toFixed(2)}, ${pricingAnalysis.pricingIssues.length} pricing issues found.\n`;
+            response += `${this.t('agent.analysis.pricing', {
+                average: this.formatAmount(pricingAnalysis.priceRange.average),
+                issues: this.t('agent.count.pricingIssues', { count: pricingAnalysis.pricingIssues.length })
+            })}\n`;
         }
 
-        response += '\nCheck the Analysis tab for detailed information and recommendations.';
+        response += `\n${this.t('agent.analysis.outro')}`;
         return response;
     }
 
@@ -1455,19 +1647,29 @@ class POSAgent {
      * Format product analysis response
      */
     formatProductAnalysisResponse(analysis) {
-        return `I found ${analysis.totalProducts} products in your system. ${analysis.qualityIssues.length > 0 ? 
-            `There are ${analysis.qualityIssues.length} products with quality issues that need attention.` : 
-            'All products look good!'} ${analysis.missingProducts > 0 ? 
-            `I also detected ${analysis.missingProducts} potential products that aren't integrated yet.` : ''}`;
+        return [
+            this.t('agent.reply.products', { products: this.t('agent.count.products', { count: analysis.totalProducts }) }),
+            analysis.qualityIssues.length > 0
+                ? this.t('agent.reply.productIssues', { count: analysis.qualityIssues.length })
+                : this.t('agent.reply.productsGood'),
+            analysis.missingProducts > 0 ? this.t('agent.reply.missingProducts', { count: analysis.missingProducts }) : ''
+        ].filter(Boolean).join(' ');
     }
 
     /**
      * Format pricing analysis response
      */
     formatPricingAnalysisResponse(analysis) {
-        return `Your products are priced between $${analysis.priceRange.min.toFixed(2)} and $${analysis.priceRange.max.toFixed(2)}, with an average of $${analysis.priceRange.average.toFixed(2)}. ${analysis.pricingIssues.length > 0 ? 
-            `I found ${analysis.pricingIssues.length} pricing issues that need to be fixed.` : 
-            'Your pricing looks consistent!'}`;
+        return [
+            this.t('agent.reply.pricing', {
+                min: this.formatAmount(analysis.priceRange.min),
+                max: this.formatAmount(analysis.priceRange.max),
+                average: this.formatAmount(analysis.priceRange.average)
+            }),
+            analysis.pricingIssues.length > 0
+                ? this.t('agent.reply.pricingIssues', { count: analysis.pricingIssues.length })
+                : this.t('agent.reply.pricingGood')
+        ].join(' ');
     }
 
     /**
@@ -1477,26 +1679,30 @@ class POSAgent {
         const highPriority = recommendations.filter(r => r.priority === 'high').length;
         const mediumPriority = recommendations.filter(r => r.priority === 'medium').length;
         
-        return `I have ${recommendations.length} recommendations for you: ${highPriority} high priority, ${mediumPriority} medium priority. Check the Tips tab to see all recommendations with detailed actions you can take.`;
+        return this.t('agent.reply.recommendations', {
+            total: this.t('agent.count.recommendations', { count: recommendations.length }),
+            high: highPriority,
+            medium: mediumPriority
+        });
     }
 
     /**
      * Generate help response based on query
      */
     generateHelpResponse(query) {
-        if (query.includes('setup') || query.includes('configure')) {
-            return 'I can help you set up your POS system! Use the Setup tab or click the gear icon to start the setup wizard. I\'ll guide you through configuring currency, tax rates, product detection, and API settings.';
+        if (this.matchesIntent(query, 'helpSetup')) {
+            return this.t('agent.help.setup');
         }
         
-        if (query.includes('product') || query.includes('item')) {
-            return 'I can analyze your products, detect quality issues, and help integrate new products. Try asking "analyze my products" or use the Analysis tab to see detailed product information.';
+        if (this.matchesIntent(query, 'helpProducts')) {
+            return this.t('agent.help.products');
         }
         
-        if (query.includes('price') || query.includes('cost')) {
-            return 'I can help with pricing analysis, detect pricing issues, and suggest optimizations. Ask me about "pricing analysis" or check the Analysis tab for detailed pricing insights.';
+        if (this.matchesIntent(query, 'helpPricing')) {
+            return this.t('agent.help.pricing');
         }
         
-        return 'I\'m your POS AI assistant! I can help with:\n• Product analysis and optimization\n• Inventory management\n• Pricing strategy\n• System setup and configuration\n• Troubleshooting issues\n• Performance recommendations\n\nJust ask me what you need help with!';
+        return this.t('agent.help.general');
     }
 
     /**
@@ -1506,7 +1712,10 @@ class POSAgent {
         const products = this.posSystem ? this.posSystem.getProducts() : [];
         const cart = this.posSystem ? this.posSystem.getCart() : [];
         
-        return `You have ${products.length} products configured and ${cart.length} items in cart.`;
+        return this.t('agent.status', {
+            products: this.t('agent.status.products', { count: products.length }),
+            cartItems: this.t('agent.status.cartItems', { count: cart.length })
+        });
     }
 
     /**
@@ -1529,7 +1738,7 @@ class POSAgent {
         const inventoryAnalysis = this.analysisCache.get('inventory');
         
         if (inventoryAnalysis && inventoryAnalysis.outOfStock.length > 0) {
-            this.showAlert(`${inventoryAnalysis.outOfStock.length} products are out of stock!`, 'warning');
+            this.showAlert(this.t('agent.rec.outOfStock', { count: inventoryAnalysis.outOfStock.length }), 'warning');
         }
     }
 
@@ -1539,7 +1748,7 @@ class POSAgent {
     showAlert(message, type = 'info') {
         // Could integrate with the main POS notification system
         if (this.posSystem && this.posSystem.showNotification) {
-            this.posSystem.showNotification(`AI Assistant: ${message}`, type);
+            this.posSystem.showNotification(this.t('agent.alert', { message }), type);
         }
     }
 
@@ -1610,7 +1819,7 @@ class POSAgent {
         const messagesContainer = document.getElementById('chat-messages');
         if (messagesContainer) {
             messagesContainer.innerHTML = '';
-            this.addMessage('assistant', 'Conversation cleared. How can I help you?');
+            this.addMessage('assistant', this.t('agent.cleared'));
         }
     }
 
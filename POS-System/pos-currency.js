@@ -0,0 +1,114 @@
+/**
+ * Universal POS Currency Converter
+ * Exchange-rate conversion and locale-aware formatting for multi-currency storefronts
+ * Version: 1.0.0
+ *
+ * Configuration:
+ * {
+ *     baseCurrency: 'USD',              // Store (settlement) currency; totals are calculated in it
+ *     rates: {                          // Units of each currency per 1 unit of the base currency
+ *         EUR: 0.92,
+ *         GBP: 0.79,
+ *         JPY: 149.5
+ *     },
+ *     locale: 'en-US'                   // Defaults to the browser locale
+ * }
+ *
+ * Rates are maintained locally by the store owner; nothing is fetched from a rates service.
+ */
+
+class CurrencyConverter {
+    constructor(options = {}) {
+        this.options = {
+            baseCurrency: 'USD',
+            rates: {},
+            locale: null,
+            ...options
+        };
+
+        this.options.baseCurrency = this.options.baseCurrency.toUpperCase();
+        this.rates = {};
+        this.setRates(this.options.rates);
+        this.formatters = new Map();
+    }
+
+    /**
+     * Replace or extend the rate table
+     */
+    setRates(rates) {
+        Object.entries(rates || {}).forEach(([currency, rate]) => this.setRate(currency, rate));
+    }
+
+    setRate(currency, rate) {
+        const value = parseFloat(rate);
+        if (isNaN(value) || value <= 0) {
+            throw new Error(`Invalid exchange rate for ${currency}: ${rate}`);
+        }
+
+        this.rates[currency.toUpperCase()] = value;
+    }
+
+    /**
+     * Currencies that can be displayed, base currency first
+     */
+    getCurrencies() {
+        return [this.options.baseCurrency, ...Object.keys(this.rates).filter(code => code !== this.options.baseCurrency)];
+    }
+
+    supports(currency) {
+        const code = String(currency || '').toUpperCase();
+        return code === this.options.baseCurrency || code in this.rates;
+    }
+
+    /**
+     * Exchange rate between two supported currencies
+     */
+    getRate(from, to) {
+        const source = from.toUpperCase();
+        const target = to.toUpperCase();
+        if (!this.supports(source) || !this.supports(target)) {
+            throw new Error(`No exchange rate for ${source} to ${target}`);
+        }
+
+        const sourceRate = source === this.options.baseCurrency ? 1 : this.rates[source];
+        const targetRate = target === this.options.baseCurrency ? 1 : this.rates[target];
+        return targetRate / sourceRate;
+    }
+
+    /**
+     * Convert Money into another currency, rounded to that currency's minor unit
+     */
+    convert(money, currency) {
+        const target = currency.toUpperCase();
+        if (money.currency === target) {
+            return money;
+        }
+
+        return Money.fromMajor(money.toMajor() * this.getRate(money.currency, target), target);
+    }
+
+    /**
+     * Format Money with Intl.NumberFormat, e.g. "$1,299.99", "1.299,99 €", "￥1,300"
+     */
+    format(money) {
+        const locale = this.options.locale || (typeof navigator !== 'undefined' ? navigator.language : 'en-US');
+        const key = `${locale}:${money.currency}`;
+
+        if (!this.formatters.has(key)) {
+            const decimals = Money.decimalsFor(money.currency);
+            this.formatters.set(key, new Intl.NumberFormat(locale, {
+                style: 'currency',
+                currency: money.currency,
+                minimumFractionDigits: decimals,
+                maximumFractionDigits: decimals
+            }));
+        }
+
+        return this.formatters.get(key).format(money.toMajor());
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CurrencyConverter;
+}
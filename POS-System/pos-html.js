@@ -0,0 +1,122 @@
+/**
+ * Universal POS Safe HTML
+ * Escaped templating and URL checks for markup the POS builds from page, storage and API data
+ * Version: 1.0.0
+ *
+ * Product names, SKUs and images are read from the page (data attributes, scraped markup), orders
+ * and customers come back from storage other tabs write, and error messages come from payment
+ * processors and APIs. None of it is markup. Templates are written with the html tag, which escapes
+ * every interpolated value:
+ *
+ *     const { html } = POSHtml;
+ *     element.innerHTML = html`<li title="${item.name}">${item.name}</li>`;
+ *
+ * The result of a nested html`` and arrays of them are inserted as they are, so lists are written
+ * as ${items.map(item => html`<li>${item.name}</li>`)} without .join(''). null, undefined and
+ * false render nothing. Markup that really is trusted (a site's own template functions) goes through
+ * POSHtml.raw(). URLs in src and href attributes go through POSHtml.url() or POSHtml.imageUrl(),
+ * which drop javascript:, vbscript: and other script-capable schemes. Values inside inline event
+ * handlers go through POSHtml.jsString().
+ *
+ * Load this file first, with pos-i18n.js.
+ */
+
+class SafeHtml {
+    constructor(markup) {
+        this.markup = String(markup);
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+const POSHtml = {
+    /**
+     * Escape text for element content and quoted attribute values
+     */
+    escape(value) {
+        if (value === null || value === undefined || value === false) return '';
+
+        return String(value).replace(/[&<>"'`]/g, char => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;',
+            '`': '&#96;'
+        }[char]));
+    },
+
+    /**
+     * Tagged template: the literal parts are markup, every value is escaped unless it is SafeHtml
+     */
+    html(strings, ...values) {
+        let markup = strings[0];
+        values.forEach((value, index) => {
+            markup += POSHtml.toMarkup(value) + strings[index + 1];
+        });
+        return new SafeHtml(markup);
+    },
+
+    toMarkup(value) {
+        if (value instanceof SafeHtml) return value.markup;
+        if (Array.isArray(value)) return value.map(item => POSHtml.toMarkup(item)).join('');
+        return POSHtml.escape(value);
+    },
+
+    /**
+     * Mark markup as trusted; only for markup the site itself wrote
+     */
+    raw(markup) {
+        if (markup instanceof SafeHtml) return markup;
+        return new SafeHtml(markup === null || markup === undefined ? '' : markup);
+    },
+
+    isSafe(value) {
+        return value instanceof SafeHtml;
+    },
+
+    /**
+     * URL for an href or src attribute, or '' when its scheme could run script
+     * Relative URLs and http(s), blob, mailto and tel URLs pass; data: only for images.
+     */
+    url(value, options = {}) {
+        const url = String(value === null || value === undefined ? '' : value).trim();
+        if (!url) return '';
+
+        // Browsers ignore control characters and whitespace inside a scheme ("java\tscript:")
+        const scheme = /^([a-z][a-z0-9+.-]*):/.exec(url.replace(/[\u0000-\u0020\u007f]/g, '').toLowerCase());
+        if (!scheme) {
+            return url;
+        }
+
+        if (['http', 'https', 'blob', 'mailto', 'tel'].includes(scheme[1])) {
+            return url;
+        }
+        if (scheme[1] === 'data' && options.image && /^data:image\/(png|gif|jpe?g|webp|avif|bmp)[;,]/i.test(url)) {
+            return url;
+        }
+
+        return '';
+    },
+
+    imageUrl(value) {
+        return POSHtml.url(value, { image: true });
+    },
+
+    /**
+     * JavaScript string literal for an inline event handler attribute, e.g.
+     * html`<button onclick="admin.view(${POSHtml.jsString(id)})">`; html`` then escapes the quotes
+     * for the attribute and the browser decodes them back before running the handler.
+     */
+    jsString(value) {
+        return JSON.stringify(String(value === null || value === undefined ? '' : value));
+    }
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = POSHtml;
+    module.exports.SafeHtml = SafeHtml;
+}
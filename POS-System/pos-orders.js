@@ -0,0 +1,131 @@
+/**
+ * Universal POS Order Lifecycle
+ * Order status state machine with an audit trail and side effects
+ * Version: 1.0.0
+ *
+ *   pending-sync ──> placed ──> paid ──> fulfilled ──> shipped ──> delivered
+ *        │             │         │          │             │            │
+ *        v             v         v          v             v            v
+ *   sync-failed    cancelled  cancelled  cancelled     returned     returned
+ *                             refunded   refunded      refunded     refunded
+ *
+ *                    placed ──> authorized ──> paid        (the card hold is captured)
+ *                                   └───────> cancelled   (the card hold is voided)
+ *
+ * Returned orders can then be refunded. Pickup orders may go straight from fulfilled to delivered.
+ * Orders waiting in the offline queue only leave pending-sync when the queue syncs or rejects them.
+ * Every change is recorded on the order as { from, to, at, actor, note }.
+ * Stock goes back on hand when goods return to the store: on cancel, on return, and on a
+ * refund before the order shipped.
+ */
+
+const OrderStatus = {
+    PENDING_SYNC: 'pending-sync',
+    SYNC_FAILED: 'sync-failed',
+    PLACED: 'placed',
+    AUTHORIZED: 'authorized',
+    PAID: 'paid',
+    FULFILLED: 'fulfilled',
+    SHIPPED: 'shipped',
+    DELIVERED: 'delivered',
+    CANCELLED: 'cancelled',
+    RETURNED: 'returned',
+    REFUNDED: 'refunded'
+};
+
+const OrderTransitions = {
+    [OrderStatus.PENDING_SYNC]: [OrderStatus.PLACED, OrderStatus.SYNC_FAILED],
+    [OrderStatus.SYNC_FAILED]: [OrderStatus.PLACED, OrderStatus.CANCELLED],
+    [OrderStatus.PLACED]: [OrderStatus.PAID, OrderStatus.AUTHORIZED, OrderStatus.CANCELLED],
+    [OrderStatus.AUTHORIZED]: [OrderStatus.PAID, OrderStatus.CANCELLED],
+    [OrderStatus.PAID]: [OrderStatus.FULFILLED, OrderStatus.CANCELLED, OrderStatus.REFUNDED],
+    [OrderStatus.FULFILLED]: [OrderStatus.SHIPPED, OrderStatus.DELIVERED, OrderStatus.CANCELLED, OrderStatus.REFUNDED],
+    [OrderStatus.SHIPPED]: [OrderStatus.DELIVERED, OrderStatus.RETURNED, OrderStatus.REFUNDED],
+    [OrderStatus.DELIVERED]: [OrderStatus.RETURNED, OrderStatus.REFUNDED],
+    [OrderStatus.RETURNED]: [OrderStatus.REFUNDED],
+    [OrderStatus.CANCELLED]: [],
+    [OrderStatus.REFUNDED]: []
+};
+
+class OrderLifecycle {
+    constructor(pos, options = {}) {
+        this.pos = pos;
+        this.options = {
+            transitions: OrderTransitions,
+            ...options
+        };
+
+        this.effects = [];
+
+        // Goods that are back in the store go back on hand, once
+        this.onTransition((order, from, to) => {
+            const neverShipped = ![OrderStatus.SHIPPED, OrderStatus.DELIVERED].includes(from);
+            if (to === OrderStatus.CANCELLED || to === OrderStatus.RETURNED || (to === OrderStatus.REFUNDED && neverShipped)) {
+                this.restock(order);
+            }
+        });
+    }
+
+    /**
+     * Register a side effect run after every status change: effect(order, from, to)
+     */
+    onTransition(effect) {
+        this.effects.push(effect);
+    }
+
+    getAvailableTransitions(order) {
+        return [...(this.options.transitions[order.status] || [])];
+    }
+
+    canTransition(order, to) {
+        return this.getAvailableTransitions(order).includes(to);
+    }
+
+    isFinal(order) {
+        return this.getAvailableTransitions(order).length === 0;
+    }
+
+    /**
+     * Move an order to a new status
+     * Throws when the order does not exist or the transition is not allowed.
+     */
+    transition(orderId, to, { actor = 'system', note = null } = {}) {
+        this.pos.pullLatestState();
+
+        const orders = this.pos.getOrders();
+        const order = orders.find(o => o.id === orderId);
+        if (!order) {
+            throw new Error(`Order ${orderId} not found`);
+        }
+
+        const from = order.status;
+        if (!this.canTransition(order, to)) {
+            throw new Error(`Cannot change order ${orderId} from ${from} to ${to}`);
+        }
+
+        this.pos.setOrderStatus(order, to, actor, note);
+        this.effects.forEach(effect => effect(order, from, to));
+
+        this.pos.markChanged([this.pos.saveOrders(orders)]);
+        this.pos.emit('pos:order-status-changed', { orderId, from, to, actor, note, order });
+        return order;
+    }
+
+    /**
+     * Put an order's items back on hand
+     */
+    restock(order) {
+        if (order.restocked) return;
+
+        (order.cart || []).forEach(item => {
+            const key = item.key || item.id;
+            this.pos.setInventory(key, this.pos.getStockLevels(key).onHand + item.quantity);
+        });
+        order.restocked = true;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OrderLifecycle, OrderStatus, OrderTransitions };
+}
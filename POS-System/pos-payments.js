@@ -21,7 +21,13 @@ const PaymentConfig = {
         SQUARE: 'square',
         AUTHORIZE_NET: 'authorize_net',
         APPLE_PAY: 'apple_pay',
-        GOOGLE_PAY: 'google_pay'
+        GOOGLE_PAY: 'google_pay',
+        // Tenders taken at the counter
+        CASH: 'cash',
+        CHECK: 'check',
+        GIFT_CARD: 'gift_card',
+        STORE_CREDIT: 'store_credit',
+        HOUSE_ACCOUNT: 'house_account'
     },
     
     // Security settings
@@ -50,15 +56,87 @@ const PaymentConfig = {
     }
 };
 
+// English messages; locale packs register translations under the same keys
+POSI18n.registerLocale('en', {
+    'payment.title': 'Secure Payment',
+    'payment.close': 'Close',
+    'payment.methodTitle': 'Select Payment Method',
+    'payment.billingTitle': 'Billing Information',
+    'payment.cardholderName': 'Cardholder Name',
+    'payment.email': 'Email Address',
+    'payment.submit': 'Process Payment',
+    'payment.cancel': 'Cancel',
+    'payment.processing': 'Processing payment...',
+    'payment.success': 'Payment successful!',
+    'payment.completed': 'Payment successful! Order completed.',
+    'payment.heldForReview': 'Payment received and held for review. We will confirm your order once it clears.',
+    'payment.continue': 'Continue to payment',
+    'payment.summaryTitle': 'Order Summary',
+    'payment.lineQuantity': '{name} x{quantity}',
+    'payment.badge.encrypted': 'SSL Encrypted',
+    'payment.badge.pci': 'PCI Compliant',
+    'payment.badge.secure': 'Secure',
+    'payment.method.card': 'Credit/Debit Card',
+    'payment.cardNumber': 'Card number',
+    'payment.cardExpiry': 'Expiry (MM/YY)',
+    'payment.cardCvv': 'Security code',
+    'payment.method.cash': 'Cash',
+    'payment.method.check': 'Check',
+    'payment.method.giftCard': 'Gift card',
+    'payment.method.storeCredit': 'Store credit',
+    'payment.method.houseAccount': 'House account',
+    'payment.tenderAmount': 'Amount',
+    'payment.cashTendered': 'Cash tendered',
+    'payment.reference.check': 'Check number',
+    'payment.reference.gift_card': 'Gift card number',
+    'payment.reference.store_credit': 'Credit note or customer account (optional)',
+    'payment.reference.house_account': 'House account number',
+    'payment.changeDue': 'Change due: {amount}',
+    'payment.successChange': 'Payment successful! Change due: {amount}',
+    'payment.amountDue': 'Amount due',
+    'payment.tenderApplied': '{method} {amount} applied; {due} left to pay',
+    'payment.removeTender': 'Remove {method} payment',
+    'payment.refundAction.cash': 'Give {amount} back in cash',
+    'payment.refundAction.check': 'Hand back the check, or pay {amount} back at the counter',
+    'payment.refundAction.gift_card': 'Load {amount} back onto the gift card',
+    'payment.refundAction.store_credit': 'Add {amount} back to the customer\'s store credit',
+    'payment.refundAction.house_account': 'Credit {amount} to the house account',
+    'payment.refundAction.tender': 'Refund {amount} at the counter',
+    'payment.capturedPartial': 'Captured {amount} of {authorized}; the rest was released',
+    'payment.error.noProcessor': 'No payment processor selected',
+    'payment.error.notCompleted': 'The payment was not completed ({status})',
+    'payment.error.billingName': 'Billing name is required',
+    'payment.error.email': 'Valid email address is required',
+    'payment.error.cardNumber': 'Enter a valid card number',
+    'payment.error.cardExpiry': 'Enter a valid expiry date that has not passed',
+    'payment.error.cardCvv': 'Enter the 3 or 4 digit security code',
+    'payment.error.tenderAmount': 'Enter an amount greater than zero',
+    'payment.error.tenderReference': 'Enter the reference number for this payment',
+    'payment.error.orderChanged': 'The order changed after part of it was paid. Those payments were reversed; start the payment again.'
+});
+
 /**
  * Base Payment Processor Interface
  * All payment processors must implement these methods
+ * Amounts are Money values (integer minor units); plain major-unit numbers are still accepted.
+ * metadata.orderId identifies the POS order and metadata.idempotencyKey is passed on to the
+ * processor's API, so a retried request for the same order is never charged twice.
  */
 class PaymentProcessor {
     constructor(config = {}) {
         this.config = config;
         this.isInitialized = false;
         this.logger = null;
+        // Card processors show the shared cardholder name and email fields; processors that
+        // tokenize card numbers in the page itself also get the card fields as paymentData.card
+        this.collectsBillingDetails = false;
+        this.collectsCardDetails = false;
+        // Processors that take payment from their own button (PayPal, wallets) hide the Process Payment button
+        this.providesPaymentButton = false;
+        // Counter tenders get the amount and reference fields as paymentData.tender, and may pay part of the order
+        this.collectsTender = false;
+        // Days a card authorization can still be captured; config.authorizationValidDays overrides it
+        this.authorizationValidDays = 7;
     }
     
     async initialize() {
@@ -81,6 +159,32 @@ class PaymentProcessor {
         throw new Error('getPaymentStatus() must be implemented by payment processor');
     }
     
+    /**
+     * Capture an authorized payment (status requires_capture); amount (up to the authorized amount)
+     * defaults to all of it, and whatever is not captured is released to the customer
+     */
+    async capturePayment(paymentId, amount = null, metadata = {}) {
+        throw new Error(`${this.constructor.name} cannot capture authorized payments`);
+    }
+    
+    /**
+     * Release an authorized payment that has not been captured
+     */
+    async voidAuthorization(paymentId, metadata = {}) {
+        throw new Error(`${this.constructor.name} cannot void authorized payments`);
+    }
+    
+    /**
+     * When an authorization taken at authorizedAt can no longer be captured
+     */
+    getAuthorizationExpiry(authorizedAt = new Date()) {
+        const days = this.config.authorizationValidDays || this.authorizationValidDays;
+        return new Date(new Date(authorizedAt).getTime() + days * 24 * 60 * 60 * 1000);
+    }
+    
+    /**
+     * Returns { isValid, errors }; errors are message keys (or plain text) the payment manager translates
+     */
     validatePaymentData(paymentData) {
         throw new Error('validatePaymentData() must be implemented by payment processor');
     }
@@ -95,6 +199,7 @@ class StripeProcessor extends PaymentProcessor {
         this.stripe = null;
         this.elements = null;
         this.cardElement = null;
+        this.collectsBillingDetails = true;
     }
     
     async initialize() {
@@ -171,10 +276,13 @@ class StripeProcessor extends PaymentProcessor {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
+                ...(metadata.idempotencyKey ? { 'Idempotency-Key': metadata.idempotencyKey } : {})
             },
             body: JSON.stringify({
-                amount: Math.round(amount * 100), // Convert to cents
-                currency,
+                amount: Money.from(amount, currency).amount, // Minor units, e.g. cents or yen
+                currency: String(currency).toLowerCase(),
+                // captureMethod 'manual' only authorizes the card; the payment is captured later
+                ...(this.config.captureMethod === 'manual' ? { capture_method: 'manual' } : {}),
                 metadata
             })
         });
@@ -213,7 +321,7 @@ class StripeProcessor extends PaymentProcessor {
             },
             body: JSON.stringify({
                 payment_intent_id: paymentIntentId,
-                amount: amount ? Math.round(amount * 100) : null
+                amount: amount ? Money.from(amount, this.config.currency || 'usd').amount : null
             })
         });
         
@@ -224,6 +332,45 @@ class StripeProcessor extends PaymentProcessor {
         return await response.json();
     }
     
+    async capturePayment(paymentIntentId, amount = null, metadata = {}) {
+        const response = await fetch(`${this.config.apiEndpoint}/capture-payment-intent`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(metadata.idempotencyKey ? { 'Idempotency-Key': metadata.idempotencyKey } : {})
+            },
+            body: JSON.stringify({
+                payment_intent_id: paymentIntentId,
+                amount_to_capture: amount ? Money.from(amount, this.config.currency || 'usd').amount : null
+            })
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Capture failed: ${response.statusText}`);
+        }
+        
+        return await response.json();
+    }
+    
+    async voidAuthorization(paymentIntentId, metadata = {}) {
+        const response = await fetch(`${this.config.apiEndpoint}/cancel-payment-intent`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(metadata.idempotencyKey ? { 'Idempotency-Key': metadata.idempotencyKey } : {})
+            },
+            body: JSON.stringify({
+                payment_intent_id: paymentIntentId
+            })
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Void failed: ${response.statusText}`);
+        }
+        
+        return await response.json();
+    }
+    
     validatePaymentData(paymentData) {
         // Basic validation - Stripe handles most validation
         const errors = [];
@@ -231,10 +378,10 @@ class StripeProcessor extends PaymentProcessor {
         if (paymentData.billingDetails) {
             const { name, email } = paymentData.billingDetails;
             if (!name || name.trim().length < 2) {
-                errors.push('Billing name is required');
+                errors.push('payment.error.billingName');
             }
             if (email && !this.isValidEmail(email)) {
-                errors.push('Valid email address is required');
+                errors.push('payment.error.email');
             }
         }
         
@@ -257,6 +404,7 @@ class PayPalProcessor extends PaymentProcessor {
     constructor(config) {
         super(config);
         this.paypal = null;
+        this.providesPaymentButton = true;
     }
     
     async initialize() {
@@ -284,7 +432,7 @@ class PayPalProcessor extends PaymentProcessor {
         });
     }
     
-    createPayPalButton(containerId, amount, currency = 'USD', onSuccess, onError) {
+    createPayPalButton(containerId, amount, currency = 'USD', onSuccess, onError, metadata = {}) {
         if (!this.paypal) {
             throw new Error('PayPal not initialized');
         }
@@ -293,8 +441,10 @@ class PayPalProcessor extends PaymentProcessor {
             createOrder: (data, actions) => {
                 return actions.order.create({
                     purchase_units: [{
+                        // PayPal refuses a second payment for an invoice ID it has already seen
+                        ...(metadata.orderId ? { invoice_id: metadata.orderId } : {}),
                         amount: {
-                            value: amount.toFixed(2),
+                            value: Money.from(amount, currency).toDecimalString(),
                             currency_code: currency
                         }
                     }]
@@ -338,230 +488,1390 @@ class PayPalProcessor extends PaymentProcessor {
 }
 
 /**
- * Apple Pay Processor
+ * Square Payment Processor
+ * Cards are tokenized by the Square Web Payments SDK; the token is charged by your backend, which
+ * holds the Square access token:
+ *   POST {apiEndpoint}/process-square-payment   { sourceId, verificationToken, amount, currency, locationId, orderId, metadata }
+ *   POST {apiEndpoint}/refund-square-payment    { paymentId, amount, currency }
+ *   GET  {apiEndpoint}/square-payment-status/{paymentId}
+ * Each responds with the Square payment (or refund) object. Amounts are in minor units, and
+ * requests carry an Idempotency-Key header for the backend to pass on as Square's idempotency_key.
  */
-class ApplePayProcessor extends PaymentProcessor {
+class SquareProcessor extends PaymentProcessor {
     constructor(config) {
         super(config);
-        this.isAvailable = false;
+        this.payments = null;
+        this.card = null;
+        this.intents = new Map();
+        this.collectsBillingDetails = true;
     }
     
     async initialize() {
-        if (!window.ApplePaySession) {
-            console.log('Apple Pay not available on this device');
-            return;
+        if (!this.config.applicationId || !this.config.locationId) {
+            throw new Error('Square application ID and location ID are required');
+        }
+        
+        // Load the Web Payments SDK if not already loaded
+        if (!window.Square) {
+            await this.loadSquareSDK();
         }
         
-        this.isAvailable = ApplePaySession.canMakePayments();
+        this.payments = window.Square.payments(this.config.applicationId, this.config.locationId);
         this.isInitialized = true;
-        console.log('Apple Pay processor initialized, available:', this.isAvailable);
+        console.log('Square processor initialized');
     }
     
-    canMakePayments() {
-        return this.isAvailable && ApplePaySession.canMakePayments();
+    /**
+     * Sandbox application IDs start with "sandbox-"; they only work with the sandbox SDK
+     */
+    getEnvironment() {
+        return this.config.environment || (this.config.applicationId.startsWith('sandbox-') ? 'sandbox' : 'production');
     }
     
-    createApplePayButton(containerId, amount, currency = 'USD', onSuccess, onError) {
-        if (!this.canMakePayments()) {
-            throw new Error('Apple Pay not available');
-        }
-        
-        const button = document.createElement('button');
-        button.className = 'apple-pay-button';
-        button.style.cssText = `
-            -webkit-appearance: -apple-pay-button;
-            -apple-pay-button-type: buy;
-            -apple-pay-button-style: black;
-            width: 200px;
-            height: 44px;
-            border: none;
-            cursor: pointer;
-        `;
-        
-        button.addEventListener('click', () => {
-            this.startApplePaySession(amount, currency, onSuccess, onError);
+    async loadSquareSDK() {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = this.getEnvironment() === 'sandbox'
+                ? 'https://sandbox.web.squarecdn.com/v1/square.js'
+                : 'https://web.squarecdn.com/v1/square.js';
+            script.onload = resolve;
+            script.onerror = reject;
+            document.head.appendChild(script);
         });
+    }
+    
+    async createCardElement(containerId) {
+        if (!this.payments) {
+            throw new Error('Square not initialized');
+        }
         
-        const container = document.getElementById(containerId);
-        if (container) {
-            container.appendChild(button);
+        // The payment modal is rebuilt when the storefront language changes; attach to the current container
+        if (this.card) {
+            await this.card.destroy();
+            this.card = null;
         }
         
-        return button;
+        const card = await this.payments.card(this.config.style ? { style: this.config.style } : undefined);
+        await card.attach(`#${containerId}`);
+        this.card = card;
+        
+        return card;
     }
     
-    startApplePaySession(amount, currency, onSuccess, onError) {
-        const request = {
-            countryCode: this.config.countryCode || 'US',
-            currencyCode: currency,
-            supportedNetworks: ['visa', 'masterCard', 'amex', 'discover'],
-            merchantCapabilities: ['supports3DS'],
-            total: {
-                label: this.config.merchantName || 'Purchase',
-                amount: amount.toString()
-            }
+    async createPaymentIntent(amount, currency = 'USD', metadata = {}) {
+        // Square charges a card token in one call, so the intent is kept here until the card is tokenized
+        const money = Money.from(amount, currency);
+        const id = metadata.idempotencyKey || metadata.orderId || `square-${Date.now()}`;
+        const previous = this.intents.get(id);
+        const intent = {
+            id,
+            amount: money,
+            currency: money.currency,
+            metadata,
+            type: 'square_payment',
+            // Square refuses a reused idempotency key with a different card, so each declined attempt gets its own
+            attempt: previous ? previous.attempt : 1
         };
         
-        const session = new ApplePaySession(3, request);
+        this.intents.set(id, intent);
+        return intent;
+    }
+    
+    async confirmPayment(intentId, paymentData = {}) {
+        const intent = this.intents.get(intentId);
+        if (!intent) {
+            throw new Error(`Unknown Square payment: ${intentId}`);
+        }
         
-        session.onvalidatemerchant = async (event) => {
-            try {
-                const response = await fetch(`${this.config.apiEndpoint}/validate-merchant`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify({
-                        validationURL: event.validationURL
-                    })
-                });
-                
-                const merchantSession = await response.json();
-                session.completeMerchantValidation(merchantSession);
-            } catch (error) {
-                session.abort();
-                onError(error);
-            }
-        };
+        if (!this.payments || !this.card) {
+            throw new Error('Square not properly initialized');
+        }
         
-        session.onpaymentauthorized = async (event) => {
-            try {
-                const response = await fetch(`${this.config.apiEndpoint}/process-apple-pay`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify({
-                        paymentData: event.payment
-                    })
-                });
-                
-                const result = await response.json();
-                
-                if (result.success) {
-                    session.completePayment(ApplePaySession.STATUS_SUCCESS);
-                    onSuccess(result);
-                } else {
-                    session.completePayment(ApplePaySession.STATUS_FAILURE);
-                    onError(new Error(result.error));
-                }
-            } catch (error) {
-                session.completePayment(ApplePaySession.STATUS_FAILURE);
-                onError(error);
-            }
-        };
+        const tokenResult = await this.card.tokenize();
+        if (tokenResult.status !== 'OK') {
+            const messages = (tokenResult.errors || []).map(error => error.message).filter(Boolean);
+            throw new Error(messages.join(', ') || `Card tokenization failed: ${tokenResult.status}`);
+        }
         
-        session.begin();
-    }
-    
-    validatePaymentData(paymentData) {
-        return { isValid: true, errors: [] };
-    }
-}
-
-/**
- * Main Payment Integration Manager
- */
-class POSPaymentManager {
-    constructor(posInstance, config = {}) {
-        this.pos = posInstance;
-        this.config = { ...PaymentConfig, ...config };
-        this.processors = new Map();
-        this.currentProcessor = null;
-        this.paymentUI = null;
-        this.transactions = new Map();
-        this.logger = posInstance.logger || console;
+        const verificationToken = await this.verifyBuyer(tokenResult.token, intent, paymentData.billingDetails);
+        const { items, ...metadata } = intent.metadata;
         
-        this.init();
-    }
-    
-    async init() {
-        try {
-            this.createPaymentUI();
-            this.bindEvents();
-            this.logger.info('Payment manager initialized');
-        } catch (error) {
-            this.logger.error('Payment manager initialization failed', error);
-            throw error;
+        const response = await fetch(`${this.config.apiEndpoint}/process-square-payment`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Idempotency-Key': `${intent.id}-${intent.attempt}`
+            },
+            body: JSON.stringify({
+                sourceId: tokenResult.token,
+                verificationToken,
+                amount: intent.amount.amount, // Minor units, e.g. cents or yen
+                currency: intent.currency,
+                locationId: this.config.locationId,
+                // captureMethod 'manual' leaves the payment APPROVED until it is completed or canceled
+                autocomplete: this.config.captureMethod !== 'manual',
+                orderId: intent.metadata.orderId || null,
+                buyerEmailAddress: paymentData.billingDetails ? paymentData.billingDetails.email : null,
+                metadata,
+                items
+            })
+        });
+        
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            intent.attempt++;
+            throw new Error(result.error || `Square payment failed: ${response.statusText}`);
         }
+        
+        const payment = this.normalizePayment(result.payment || result);
+        if (payment.status === 'failed' || payment.status === 'canceled') {
+            intent.attempt++;
+            throw new Error(`Square payment ${payment.squareStatus.toLowerCase()}`);
+        }
+        
+        this.intents.delete(intentId);
+        return payment;
     }
     
     /**
-     * Register a payment processor
+     * Strong customer authentication (3-D Secure) for the card; Square asks for it where the card's bank requires it
      */
-    registerProcessor(type, processor) {
-        if (!(processor instanceof PaymentProcessor)) {
-            throw new Error('Processor must extend PaymentProcessor class');
+    async verifyBuyer(token, intent, billingDetails = {}) {
+        if (this.config.verifyBuyer === false || typeof this.payments.verifyBuyer !== 'function') {
+            return null;
         }
         
-        this.processors.set(type, processor);
-        processor.logger = this.logger;
-        this.logger.info('Payment processor registered', { type });
+        const details = billingDetails || {};
+        const address = details.address || {};
+        const [givenName, ...familyName] = String(details.name || '').trim().split(/\s+/);
+        const verification = await this.payments.verifyBuyer(token, {
+            amount: intent.amount.toDecimalString(),
+            currencyCode: intent.currency,
+            intent: 'CHARGE',
+            billingContact: {
+                givenName: givenName || undefined,
+                familyName: familyName.join(' ') || undefined,
+                email: details.email || undefined,
+                addressLines: [address.line1, address.line2].filter(Boolean),
+                city: address.city || undefined,
+                state: address.state || undefined,
+                postalCode: address.postal_code || undefined,
+                countryCode: address.country || undefined
+            }
+        });
+        
+        return verification ? verification.token : null;
     }
     
     /**
-     * Initialize a specific payment processor
+     * Square payment object in the shape the payment manager stores
+     * COMPLETED → succeeded, APPROVED → requires_capture (authorized, not yet captured), PENDING → processing
      */
-    async initializeProcessor(type, config) {
-        const ProcessorClass = this.getProcessorClass(type);
-        if (!ProcessorClass) {
-            throw new Error(`Unknown payment processor: ${type}`);
-        }
-        
-        const processor = new ProcessorClass(config);
-        await processor.initialize();
-        this.registerProcessor(type, processor);
+    normalizePayment(payment) {
+        const statuses = {
+            COMPLETED: 'succeeded',
+            APPROVED: 'requires_capture',
+            PENDING: 'processing',
+            CANCELED: 'canceled',
+            FAILED: 'failed'
+        };
+        const squareStatus = String(payment.status || '').toUpperCase();
         
-        return processor;
+        return {
+            ...payment,
+            id: payment.id,
+            status: statuses[squareStatus] || squareStatus.toLowerCase(),
+            squareStatus,
+            processor: 'square'
+        };
     }
     
-    getProcessorClass(type) {
-        const processors = {
-            [PaymentConfig.PROCESSORS.STRIPE]: StripeProcessor,
-            [PaymentConfig.PROCESSORS.PAYPAL]: PayPalProcessor,
-            [PaymentConfig.PROCESSORS.APPLE_PAY]: ApplePayProcessor
-        };
+    async refundPayment(paymentId, amount = null, metadata = {}) {
+        // Money amounts refund in their own currency; plain numbers are in the processor's
+        const money = amount ? Money.from(amount, this.config.currency || 'USD') : null;
+        const response = await fetch(`${this.config.apiEndpoint}/refund-square-payment`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(metadata.idempotencyKey ? { 'Idempotency-Key': metadata.idempotencyKey } : {})
+            },
+            body: JSON.stringify({
+                paymentId,
+                amount: money ? money.amount : null, // null refunds the full payment
+                currency: money ? money.currency : this.config.currency || 'USD'
+            })
+        });
         
-        return processors[type];
+        if (!response.ok) {
+            throw new Error(`Refund failed: ${response.statusText}`);
+        }
+        
+        const result = await response.json();
+        return result.refund || result;
     }
     
     /**
-     * Set the active payment processor
+     * Complete an APPROVED payment; a smaller amount is set on the payment before it is completed
      */
-    setActiveProcessor(type) {
-        const processor = this.processors.get(type);
-        if (!processor) {
-            throw new Error(`Payment processor not found: ${type}`);
+    async capturePayment(paymentId, amount = null, metadata = {}) {
+        // Money amounts capture in their own currency; plain numbers are in the processor's
+        const money = amount ? Money.from(amount, this.config.currency || 'USD') : null;
+        const result = await this.request('complete-square-payment', {
+            paymentId,
+            amount: money ? money.amount : null, // null completes the full amount
+            currency: money ? money.currency : this.config.currency || 'USD'
+        }, metadata.idempotencyKey);
+        
+        return this.normalizePayment(result.payment || result);
+    }
+    
+    async voidAuthorization(paymentId, metadata = {}) {
+        const result = await this.request('cancel-square-payment', { paymentId }, metadata.idempotencyKey);
+        return this.normalizePayment(result.payment || result);
+    }
+    
+    async request(path, body, idempotencyKey = null) {
+        const response = await fetch(`${this.config.apiEndpoint}/${path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {})
+            },
+            body: JSON.stringify(body)
+        });
+        
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.error || `Square request failed: ${response.statusText}`);
         }
         
-        if (!processor.isInitialized) {
-            throw new Error(`Payment processor not initialized: ${type}`);
+        return result;
+    }
+    
+    async getPaymentStatus(paymentId) {
+        const response = await fetch(`${this.config.apiEndpoint}/square-payment-status/${encodeURIComponent(paymentId)}`);
+        
+        if (!response.ok) {
+            throw new Error(`Payment status lookup failed: ${response.statusText}`);
         }
         
-        this.currentProcessor = processor;
-        this.updatePaymentUI();
-        this.logger.info('Active payment processor changed', { type });
+        const result = await response.json();
+        return this.normalizePayment(result.payment || result);
     }
     
-    /**
-     * Create the payment UI
-     */
-    createPaymentUI() {
-        // Remove existing payment UI
-        const existing = document.getElementById('pos-payment-modal');
-        if (existing) {
-            existing.remove();
+    validatePaymentData(paymentData) {
+        // Card number, expiry and CVV are validated inside the Square card field
+        const errors = [];
+        
+        if (String(paymentData.billingDetails?.name || '').trim().length < 2) {
+            errors.push('payment.error.billingName');
+        } else if (paymentData.billingDetails.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(paymentData.billingDetails.email)) {
+            errors.push('payment.error.email');
         }
         
-        const modal = document.createElement('div');
-        modal.id = 'pos-payment-modal';
-        modal.className = 'pos-payment-modal';
-        modal.innerHTML = `
-            <div class="pos-payment-overlay"></div>
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+}
+
+/**
+ * Authorize.Net Payment Processor
+ * Card details are turned into a payment nonce by Accept.js in the browser and never reach your
+ * server; the backend, which holds the transaction key, runs the transaction with the nonce:
+ *   POST {apiEndpoint}/process-authorize-net-payment   { opaqueData, transactionType, amount, currency, orderId, billTo, metadata, items }
+ *   POST {apiEndpoint}/capture-authorize-net-payment   { transactionId, amount, currency }
+ *   POST {apiEndpoint}/void-authorize-net-payment      { transactionId }
+ *   POST {apiEndpoint}/refund-authorize-net-payment    { transactionId, amount, currency }
+ *   GET  {apiEndpoint}/authorize-net-payment-status/{transactionId}
+ * Transactions respond with Authorize.Net's transactionResponse, the status lookup with its
+ * transaction details. Amounts are in minor units.
+ *
+ * transactionType 'authCaptureTransaction' (default) charges the card; 'authOnlyTransaction' only
+ * authorizes it, for capturePayment() once the order ships.
+ */
+class AuthorizeNetProcessor extends PaymentProcessor {
+    constructor(config = {}) {
+        super({ transactionType: config.captureMethod === 'manual' ? 'authOnlyTransaction' : 'authCaptureTransaction', ...config });
+        this.intents = new Map();
+        this.collectsBillingDetails = true;
+        this.collectsCardDetails = true;
+        this.authorizationValidDays = 30;
+    }
+    
+    async initialize() {
+        if (!this.config.apiLoginId || !this.config.clientKey) {
+            throw new Error('Authorize.Net API login ID and public client key are required');
+        }
+        
+        if (!['authCaptureTransaction', 'authOnlyTransaction'].includes(this.config.transactionType)) {
+            throw new Error(`Unsupported Authorize.Net transaction type: ${this.config.transactionType}`);
+        }
+        
+        // Load Accept.js if not already loaded
+        if (!window.Accept) {
+            await this.loadAcceptJS();
+        }
+        
+        this.isInitialized = true;
+        console.log('Authorize.Net processor initialized');
+    }
+    
+    async loadAcceptJS() {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = this.config.environment === 'sandbox'
+                ? 'https://jstest.authorize.net/v1/Accept.js'
+                : 'https://js.authorize.net/v1/Accept.js';
+            script.charset = 'utf-8';
+            script.onload = resolve;
+            script.onerror = reject;
+            document.head.appendChild(script);
+        });
+    }
+    
+    /**
+     * Exchange card details for a single-use payment nonce ({ dataDescriptor, dataValue })
+     */
+    tokenizeCard(card, billingDetails = {}) {
+        return new Promise((resolve, reject) => {
+            window.Accept.dispatchData({
+                authData: {
+                    clientKey: this.config.clientKey,
+                    apiLoginID: this.config.apiLoginId
+                },
+                cardData: {
+                    cardNumber: card.number,
+                    month: card.month,
+                    year: card.year,
+                    cardCode: card.cvv,
+                    ...(billingDetails && billingDetails.name ? { fullName: billingDetails.name } : {}),
+                    ...(billingDetails && billingDetails.address && billingDetails.address.postal_code ? { zip: billingDetails.address.postal_code } : {})
+                }
+            }, response => {
+                if (response.messages.resultCode === 'Error') {
+                    reject(new Error(response.messages.message.map(message => message.text).join(', ')));
+                    return;
+                }
+                resolve(response.opaqueData);
+            });
+        });
+    }
+    
+    async createPaymentIntent(amount, currency = 'USD', metadata = {}) {
+        // The transaction runs once the card is tokenized, so the intent is kept here until then
+        const money = Money.from(amount, currency);
+        const id = metadata.idempotencyKey || metadata.orderId || `anet-${Date.now()}`;
+        const previous = this.intents.get(id);
+        const intent = {
+            id,
+            amount: money,
+            currency: money.currency,
+            metadata,
+            type: 'authorize_net_transaction',
+            // A declined card must not be answered from the backend's idempotency cache on the next try
+            attempt: previous ? previous.attempt : 1
+        };
+        
+        this.intents.set(id, intent);
+        return intent;
+    }
+    
+    async confirmPayment(intentId, paymentData = {}) {
+        const intent = this.intents.get(intentId);
+        if (!intent) {
+            throw new Error(`Unknown Authorize.Net payment: ${intentId}`);
+        }
+        
+        if (!window.Accept || !paymentData.card) {
+            throw new Error('Authorize.Net not properly initialized');
+        }
+        
+        const opaqueData = await this.tokenizeCard(paymentData.card, paymentData.billingDetails);
+        const billing = paymentData.billingDetails || {};
+        const address = billing.address || {};
+        const [firstName, ...lastName] = String(billing.name || '').trim().split(/\s+/);
+        const { items, ...metadata } = intent.metadata;
+        
+        const response = await fetch(`${this.config.apiEndpoint}/process-authorize-net-payment`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Idempotency-Key': `${intent.id}-${intent.attempt}`
+            },
+            body: JSON.stringify({
+                opaqueData,
+                transactionType: this.config.transactionType,
+                amount: intent.amount.amount, // Minor units, e.g. cents
+                currency: intent.currency,
+                orderId: intent.metadata.orderId || null,
+                billTo: {
+                    firstName: firstName || null,
+                    lastName: lastName.join(' ') || null,
+                    address: [address.line1, address.line2].filter(Boolean).join(', ') || null,
+                    city: address.city || null,
+                    state: address.state || null,
+                    zip: address.postal_code || null,
+                    country: address.country || null,
+                    email: billing.email || null
+                },
+                metadata,
+                items
+            })
+        });
+        
+        // Once the backend has answered, the next try is a new transaction with its own key
+        intent.attempt++;
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.error || `Authorize.Net payment failed: ${response.statusText}`);
+        }
+        
+        const transaction = this.normalizeTransaction(result, this.config.transactionType);
+        this.intents.delete(intentId);
+        return transaction;
+    }
+    
+    /**
+     * Capture an authorization; amount (up to the authorized amount) defaults to all of it
+     */
+    async capturePayment(transactionId, amount = null, metadata = {}) {
+        // Money amounts capture in their own currency; plain numbers are in the processor's
+        const money = amount ? Money.from(amount, this.config.currency || 'USD') : null;
+        const result = await this.request('capture-authorize-net-payment', {
+            transactionId,
+            amount: money ? money.amount : null,
+            currency: money ? money.currency : this.config.currency || 'USD'
+        }, metadata.idempotencyKey);
+        
+        return this.normalizeTransaction(result, 'priorAuthCaptureTransaction');
+    }
+    
+    /**
+     * Void an authorization, or a charge that has not settled yet (settled charges are refunded instead)
+     */
+    async voidPayment(transactionId, metadata = {}) {
+        const result = await this.request('void-authorize-net-payment', { transactionId }, metadata.idempotencyKey);
+        return { ...this.normalizeTransaction(result, 'voidTransaction'), status: 'canceled' };
+    }
+    
+    async voidAuthorization(transactionId, metadata = {}) {
+        return this.voidPayment(transactionId, metadata);
+    }
+    
+    async refundPayment(transactionId, amount = null, metadata = {}) {
+        // Money amounts refund in their own currency; plain numbers are in the processor's
+        const money = amount ? Money.from(amount, this.config.currency || 'USD') : null;
+        const result = await this.request('refund-authorize-net-payment', {
+            transactionId,
+            amount: money ? money.amount : null, // null refunds the full amount
+            currency: money ? money.currency : this.config.currency || 'USD'
+        }, metadata.idempotencyKey);
+        
+        return this.normalizeTransaction(result, 'refundTransaction');
+    }
+    
+    async getPaymentStatus(transactionId) {
+        const response = await fetch(`${this.config.apiEndpoint}/authorize-net-payment-status/${encodeURIComponent(transactionId)}`);
+        
+        if (!response.ok) {
+            throw new Error(`Payment status lookup failed: ${response.statusText}`);
+        }
+        
+        const result = await response.json();
+        const transaction = result.transaction || result;
+        const statuses = {
+            authorizedPendingCapture: 'requires_capture',
+            capturedPendingSettlement: 'succeeded',
+            settledSuccessfully: 'succeeded',
+            refundPendingSettlement: 'refunded',
+            refundSettledSuccessfully: 'refunded',
+            voided: 'canceled',
+            expired: 'canceled',
+            declined: 'failed',
+            generalError: 'failed',
+            settlementError: 'failed',
+            failedReview: 'failed',
+            FDSPendingReview: 'processing',
+            FDSAuthorizedPendingReview: 'processing',
+            underReview: 'processing'
+        };
+        
+        return {
+            ...transaction,
+            id: transaction.transId,
+            status: statuses[transaction.transactionStatus] || 'processing',
+            authorizeNetStatus: transaction.transactionStatus,
+            processor: 'authorize_net'
+        };
+    }
+    
+    async request(path, body, idempotencyKey = null) {
+        const response = await fetch(`${this.config.apiEndpoint}/${path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {})
+            },
+            body: JSON.stringify(body)
+        });
+        
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.error || `Authorize.Net request failed: ${response.statusText}`);
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Authorize.Net transactionResponse in the shape the payment manager stores
+     * Response codes: 1 approved, 2 declined, 3 error, 4 held for review
+     */
+    normalizeTransaction(result, transactionType) {
+        const response = result.transactionResponse || result;
+        const responseCode = String(response.responseCode);
+        
+        if (responseCode === '2' || responseCode === '3') {
+            const errors = (response.errors || []).map(error => error.errorText).filter(Boolean);
+            throw new Error(errors.join(', ') || (responseCode === '2' ? 'The card was declined' : 'Authorize.Net transaction failed'));
+        }
+        
+        return {
+            id: response.transId,
+            status: responseCode === '4' ? 'processing' : (transactionType === 'authOnlyTransaction' ? 'requires_capture' : 'succeeded'),
+            responseCode,
+            authCode: response.authCode || null,
+            accountNumber: response.accountNumber || null, // Masked, e.g. XXXX1111
+            accountType: response.accountType || null,
+            processor: 'authorize_net'
+        };
+    }
+    
+    validatePaymentData(paymentData) {
+        const errors = [];
+        const card = paymentData.card || {};
+        
+        if (String(paymentData.billingDetails?.name || '').trim().length < 2) {
+            errors.push('payment.error.billingName');
+        } else if (paymentData.billingDetails.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(paymentData.billingDetails.email)) {
+            errors.push('payment.error.email');
+        }
+        
+        if (!this.isValidCardNumber(card.number)) {
+            errors.push('payment.error.cardNumber');
+        }
+        
+        const month = Number(card.month);
+        const year = 2000 + Number(card.year);
+        const now = new Date();
+        if (!(month >= 1 && month <= 12) || !/^\d{2}$/.test(card.year || '')
+            || year < now.getFullYear() || (year === now.getFullYear() && month < now.getMonth() + 1)) {
+            errors.push('payment.error.cardExpiry');
+        }
+        
+        if (!/^\d{3,4}$/.test(card.cvv || '')) {
+            errors.push('payment.error.cardCvv');
+        }
+        
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+    
+    /**
+     * Card number length and Luhn checksum
+     */
+    isValidCardNumber(number) {
+        if (!/^\d{13,19}$/.test(number || '')) {
+            return false;
+        }
+        
+        let sum = 0;
+        number.split('').reverse().forEach((digit, index) => {
+            let value = Number(digit);
+            if (index % 2 === 1) {
+                value *= 2;
+                if (value > 9) value -= 9;
+            }
+            sum += value;
+        });
+        
+        return sum % 10 === 0;
+    }
+}
+
+/**
+ * Payment Request Processor
+ * Shared base for the wallets that take payment in a payment sheet (Google Pay, Apple Pay).
+ * The payment manager hands the processor a sheet for each button click: the order's line items,
+ * shipping options and total as W3C PaymentDetailsInit, callbacks that reprice the order when the
+ * customer picks another shipping address or option in the sheet, and the outcome handlers.
+ * The wallet's payment token is handed to your backend, which charges it through your gateway:
+ *   POST {apiEndpoint}/{processEndpoint}   { paymentData, amount, currency, orderId, payer }
+ * responding with { success, id, status } or { success: false, error }.
+ *
+ * Subclasses supply getPaymentMethodData() and processEndpoint; a wallet with its own sheet
+ * (ApplePaySession) overrides checkAvailability() and showPaymentSheet().
+ */
+class PaymentRequestProcessor extends PaymentProcessor {
+    constructor(config) {
+        super(config);
+        this.isAvailable = false;
+        this.processEndpoint = null;
+        this.attempts = new Map();
+        this.providesPaymentButton = true;
+    }
+    
+    async initialize() {
+        this.isAvailable = await this.checkAvailability();
+        // A wallet the device cannot pay with is not offered
+        this.isInitialized = this.isAvailable;
+        console.log(`${this.constructor.name} initialized, available:`, this.isAvailable);
+    }
+    
+    async checkAvailability() {
+        if (!window.PaymentRequest) {
+            return false;
+        }
+        
+        try {
+            const request = new PaymentRequest(this.getPaymentMethodData(), {
+                total: { label: 'Total', amount: { currency: this.config.currency || 'USD', value: '0.00' } }
+            });
+            return await request.canMakePayment();
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    canMakePayments() {
+        return this.isAvailable;
+    }
+    
+    getPaymentMethodData() {
+        throw new Error('getPaymentMethodData() must be implemented by payment request processor');
+    }
+    
+    createButtonElement() {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'pos-wallet-button';
+        return button;
+    }
+    
+    /**
+     * Wallet button; createSheet() is called on every click, so the sheet starts from the current order
+     */
+    createPaymentButton(containerId, createSheet) {
+        if (!this.canMakePayments()) {
+            throw new Error(`${this.constructor.name} not available`);
+        }
+        
+        const button = this.createButtonElement();
+        button.addEventListener('click', () => this.showPaymentSheet(createSheet()));
+        
+        const container = document.getElementById(containerId);
+        if (container) {
+            container.replaceChildren(button);
+        }
+        
+        return button;
+    }
+    
+    async showPaymentSheet(sheet) {
+        const request = new PaymentRequest(this.getPaymentMethodData(), sheet.getDetails(), {
+            requestShipping: sheet.requestShipping,
+            requestPayerName: true,
+            requestPayerEmail: true
+        });
+        
+        // Before authorization wallets only share the city, region, postal code and country
+        request.addEventListener('shippingaddresschange', event => {
+            event.updateWith(Promise.resolve().then(() => sheet.changeShippingAddress(this.toAddress(request.shippingAddress))));
+        });
+        request.addEventListener('shippingoptionchange', event => {
+            event.updateWith(Promise.resolve().then(() => sheet.changeShippingOption(request.shippingOption)));
+        });
+        
+        let response;
+        try {
+            response = await request.show();
+        } catch (error) {
+            sheet.onCancel();
+            if (error.name !== 'AbortError') {
+                sheet.onError(error);
+            }
+            return;
+        }
+        
+        try {
+            if (response.shippingAddress) {
+                sheet.changeShippingAddress(this.toAddress(response.shippingAddress));
+            }
+            
+            const charge = await sheet.prepareCharge();
+            const result = await this.processToken(response.details, charge, {
+                name: response.payerName || null,
+                email: response.payerEmail || null
+            });
+            
+            await response.complete('success');
+            sheet.onSuccess(result);
+        } catch (error) {
+            await response.complete('fail');
+            sheet.onError(error);
+        }
+    }
+    
+    /**
+     * Hand the wallet's payment token to the backend to charge
+     */
+    async processToken(paymentData, charge, payer = {}) {
+        const key = charge.metadata.idempotencyKey;
+        const attempt = this.attempts.get(key) || 1;
+        
+        const response = await fetch(`${this.config.apiEndpoint}/${this.processEndpoint}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(key ? { 'Idempotency-Key': `${key}-${attempt}` } : {})
+            },
+            body: JSON.stringify({
+                paymentData,
+                amount: charge.amount.amount, // Minor units, e.g. cents or yen
+                currency: charge.amount.currency,
+                orderId: charge.metadata.orderId || null,
+                payer
+            })
+        });
+        
+        // Each wallet authorization is a new token; once the backend has answered, the next one gets a new key
+        this.attempts.set(key, attempt + 1);
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `Payment failed: ${response.statusText}`);
+        }
+        
+        // The sheet reports failure for anything that neither charged, authorized nor awaits review
+        const status = result.status || 'succeeded';
+        if (!['succeeded', 'requires_capture', 'processing'].includes(status)) {
+            throw new Error(`Payment ${status}`);
+        }
+        
+        return {
+            ...result,
+            id: result.id || result.paymentIntent || null,
+            status,
+            payer
+        };
+    }
+    
+    /**
+     * W3C PaymentAddress as a POS address
+     */
+    toAddress(address) {
+        const lines = address.addressLine || [];
+        return {
+            line1: lines[0] || '',
+            line2: lines.slice(1).join(', '),
+            city: address.city || '',
+            state: address.region || '',
+            postalCode: address.postalCode || '',
+            country: address.country || ''
+        };
+    }
+    
+    validatePaymentData(paymentData) {
+        // The wallet validates the payment method
+        return { isValid: true, errors: [] };
+    }
+}
+
+/**
+ * Apple Pay Processor
+ * Uses ApplePaySession, whose sheet also supports merchant validation through
+ * {apiEndpoint}/validate-merchant; tokens go to {apiEndpoint}/process-apple-pay.
+ */
+class ApplePayProcessor extends PaymentRequestProcessor {
+    constructor(config) {
+        super(config);
+        this.processEndpoint = 'process-apple-pay';
+    }
+    
+    async checkAvailability() {
+        if (!window.ApplePaySession) {
+            console.log('Apple Pay not available on this device');
+            return false;
+        }
+        
+        return ApplePaySession.canMakePayments();
+    }
+    
+    canMakePayments() {
+        return this.isAvailable && ApplePaySession.canMakePayments();
+    }
+    
+    createButtonElement() {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'apple-pay-button';
+        button.style.cssText = `
+            -webkit-appearance: -apple-pay-button;
+            -apple-pay-button-type: buy;
+            -apple-pay-button-style: black;
+            width: 200px;
+            height: 44px;
+            border: none;
+            cursor: pointer;
+        `;
+        return button;
+    }
+    
+    /**
+     * Sheet details in ApplePayPaymentRequest form; the selected shipping method comes first
+     */
+    toApplePayDetails(details) {
+        const options = details.shippingOptions || [];
+        return {
+            total: {
+                label: this.config.merchantName || 'Purchase',
+                amount: details.total.amount.value
+            },
+            lineItems: (details.displayItems || []).map(item => ({
+                label: item.label,
+                amount: item.amount.value
+            })),
+            shippingMethods: [...options.filter(option => option.selected), ...options.filter(option => !option.selected)].map(option => ({
+                identifier: option.id,
+                label: option.label,
+                detail: '',
+                amount: option.amount.value
+            }))
+        };
+    }
+    
+    /**
+     * ApplePayPaymentContact as a POS address
+     */
+    toAddress(contact) {
+        const lines = contact.addressLines || [];
+        return {
+            line1: lines[0] || '',
+            line2: lines.slice(1).join(', '),
+            city: contact.locality || '',
+            state: contact.administrativeArea || '',
+            postalCode: contact.postalCode || '',
+            country: String(contact.countryCode || '').toUpperCase()
+        };
+    }
+    
+    showPaymentSheet(sheet) {
+        const details = sheet.getDetails();
+        const request = {
+            countryCode: this.config.countryCode || 'US',
+            currencyCode: details.total.amount.currency,
+            supportedNetworks: ['visa', 'masterCard', 'amex', 'discover'],
+            merchantCapabilities: ['supports3DS'],
+            requiredShippingContactFields: sheet.requestShipping ? ['postalAddress', 'name', 'email'] : ['name', 'email'],
+            ...this.toApplePayDetails(details)
+        };
+        
+        const session = new ApplePaySession(3, request);
+        
+        session.onvalidatemerchant = async (event) => {
+            try {
+                const response = await fetch(`${this.config.apiEndpoint}/validate-merchant`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({
+                        validationURL: event.validationURL
+                    })
+                });
+                
+                const merchantSession = await response.json();
+                session.completeMerchantValidation(merchantSession);
+            } catch (error) {
+                session.abort();
+                sheet.onError(error);
+            }
+        };
+        
+        session.onshippingcontactselected = (event) => {
+            const update = this.toApplePayDetails(sheet.changeShippingAddress(this.toAddress(event.shippingContact)));
+            session.completeShippingContactSelection({
+                newTotal: update.total,
+                newLineItems: update.lineItems,
+                newShippingMethods: update.shippingMethods
+            });
+        };
+        
+        session.onshippingmethodselected = (event) => {
+            const update = this.toApplePayDetails(sheet.changeShippingOption(event.shippingMethod.identifier));
+            session.completeShippingMethodSelection({
+                newTotal: update.total,
+                newLineItems: update.lineItems
+            });
+        };
+        
+        session.onpaymentauthorized = async (event) => {
+            try {
+                if (event.payment.shippingContact) {
+                    sheet.changeShippingAddress(this.toAddress(event.payment.shippingContact));
+                }
+                
+                const charge = await sheet.prepareCharge();
+                const contact = event.payment.shippingContact || {};
+                const result = await this.processToken(event.payment, charge, {
+                    name: [contact.givenName, contact.familyName].filter(Boolean).join(' ') || null,
+                    email: contact.emailAddress || null
+                });
+                
+                session.completePayment(ApplePaySession.STATUS_SUCCESS);
+                sheet.onSuccess(result);
+            } catch (error) {
+                session.completePayment(ApplePaySession.STATUS_FAILURE);
+                sheet.onError(error);
+            }
+        };
+        
+        session.oncancel = () => sheet.onCancel();
+        
+        session.begin();
+    }
+}
+
+/**
+ * Google Pay Processor
+ * Google Pay through the Payment Request API (Chrome and other browsers with Google Pay support).
+ * The payment token is created for your gateway (gateway, gatewayMerchantId) and goes to
+ * {apiEndpoint}/process-google-pay for the backend to charge through that gateway.
+ */
+class GooglePayProcessor extends PaymentRequestProcessor {
+    constructor(config) {
+        super({ environment: 'TEST', ...config });
+        this.processEndpoint = 'process-google-pay';
+    }
+    
+    async initialize() {
+        if (!this.config.gateway || !this.config.gatewayMerchantId) {
+            throw new Error('Google Pay gateway and gateway merchant ID are required');
+        }
+        
+        if (this.config.environment === 'PRODUCTION' && !this.config.merchantId) {
+            throw new Error('Google Pay merchant ID is required in production');
+        }
+        
+        await super.initialize();
+    }
+    
+    getPaymentMethodData() {
+        return [{
+            supportedMethods: 'https://google.com/pay',
+            data: {
+                environment: this.config.environment,
+                apiVersion: 2,
+                apiVersionMinor: 0,
+                merchantInfo: {
+                    merchantName: this.config.merchantName || document.title,
+                    ...(this.config.merchantId ? { merchantId: this.config.merchantId } : {})
+                },
+                allowedPaymentMethods: [{
+                    type: 'CARD',
+                    parameters: {
+                        allowedAuthMethods: this.config.allowedAuthMethods || ['PAN_ONLY', 'CRYPTOGRAM_3DS'],
+                        allowedCardNetworks: this.config.allowedCardNetworks || ['AMEX', 'DISCOVER', 'MASTERCARD', 'VISA']
+                    },
+                    tokenizationSpecification: {
+                        type: 'PAYMENT_GATEWAY',
+                        parameters: {
+                            gateway: this.config.gateway,
+                            gatewayMerchantId: this.config.gatewayMerchantId
+                        }
+                    }
+                }]
+            }
+        }];
+    }
+    
+    createButtonElement() {
+        const button = super.createButtonElement();
+        button.classList.add('google-pay-button');
+        button.setAttribute('aria-label', 'Google Pay');
+        button.textContent = 'Google Pay';
+        return button;
+    }
+}
+
+/**
+ * Tender Processor
+ * Payments taken at the counter rather than through a gateway: checks, gift cards, store credit and
+ * house accounts. The cashier enters the amount, which may be less than the amount due when the
+ * order is split across several tenders, and the tender's reference (check number, gift card
+ * number, account number) where it has one.
+ *
+ * Without an apiEndpoint the tender is recorded as taken, and refunds are left to the cashier
+ * (status 'requires_action'). With one, tenders are redeemed against
+ * your backend, which may approve less than was asked for (a gift card's remaining balance):
+ *   POST {apiEndpoint}/redeem-tender    { type, reference, amount, currency, orderId }  → { id, amount, balance }
+ *   POST {apiEndpoint}/reverse-tender   { type, paymentId, amount, currency }           → { id }
+ * Amounts are in minor units.
+ */
+class TenderProcessor extends PaymentProcessor {
+    constructor(config = {}) {
+        super(config);
+        this.type = config.type;
+        this.intents = new Map();
+        this.collectsTender = true;
+        this.requiresReference = config.requiresReference !== undefined
+            ? config.requiresReference
+            : ['check', 'gift_card', 'house_account'].includes(this.type);
+    }
+    
+    async initialize() {
+        if (!this.type) {
+            throw new Error('Tender type is required');
+        }
+        
+        this.isInitialized = true;
+        console.log(`${this.type} tender initialized`);
+    }
+    
+    async createPaymentIntent(amount, currency = 'USD', metadata = {}) {
+        const intent = {
+            id: `${metadata.idempotencyKey || metadata.orderId || Date.now()}-${this.type}`,
+            amount: Money.from(amount, currency),
+            metadata,
+            type: 'tender'
+        };
+        
+        this.intents.set(intent.id, intent);
+        return intent;
+    }
+    
+    /**
+     * Take the tender; the result's amount is what it pays of the amount due
+     */
+    async confirmPayment(intentId, paymentData = {}) {
+        const intent = this.intents.get(intentId);
+        if (!intent) {
+            throw new Error(`Unknown ${this.type} payment: ${intentId}`);
+        }
+        
+        const tender = paymentData.tender || {};
+        const offered = Money.fromMajor(tender.amount, intent.amount.currency);
+        const taken = this.applyTender(offered, intent.amount);
+        let result = { id: intent.id, amount: taken.amount };
+        
+        if (this.config.apiEndpoint) {
+            result = await this.request('redeem-tender', {
+                type: this.type,
+                reference: tender.reference || null,
+                amount: taken.amount.amount,
+                currency: taken.amount.currency,
+                orderId: intent.metadata.orderId || null
+            }, intent.id);
+            
+            // The backend may approve less than was asked for, but never more
+            result.amount = Money.fromMinor(result.amount, taken.amount.currency).min(taken.amount);
+        }
+        
+        this.intents.delete(intentId);
+        return {
+            ...taken,
+            id: result.id,
+            status: 'succeeded',
+            amount: result.amount,
+            balance: result.balance !== undefined ? result.balance : null,
+            reference: this.maskReference(tender.reference),
+            processor: this.type
+        };
+    }
+    
+    /**
+     * What an offered amount pays of the amount due; tenders other than cash never give change
+     */
+    applyTender(offered, due) {
+        return { amount: offered.min(due) };
+    }
+    
+    /**
+     * Gift card numbers are kept as their last four digits; check and account numbers as entered
+     */
+    maskReference(reference) {
+        if (!reference) {
+            return null;
+        }
+        
+        return this.type === 'gift_card' ? `•••• ${String(reference).slice(-4)}` : String(reference);
+    }
+    
+    /**
+     * Give a tender back: redeemed tenders through the backend, the rest by the cashier
+     * Without an apiEndpoint nothing is refunded here: the result has status 'requires_action' and
+     * action, the message key for what the cashier has to do, such as give the cash back from the drawer.
+     */
+    async refundPayment(paymentId, amount = null, metadata = {}) {
+        // Money amounts refund in their own currency; plain numbers are in the processor's
+        const money = amount ? Money.from(amount, this.config.currency || 'USD') : null;
+        
+        if (!this.config.apiEndpoint) {
+            return {
+                id: metadata.idempotencyKey || `${paymentId}-refund`,
+                status: 'requires_action',
+                action: `payment.refundAction.${this.type}`,
+                amount: money,
+                processor: this.type
+            };
+        }
+        
+        const result = await this.request('reverse-tender', {
+            type: this.type,
+            paymentId,
+            amount: money ? money.amount : null,
+            currency: money ? money.currency : this.config.currency || 'USD'
+        }, metadata.idempotencyKey);
+        
+        return { ...result, status: 'succeeded', processor: this.type };
+    }
+    
+    async getPaymentStatus(paymentId) {
+        // Tenders are settled when they are taken
+        return { id: paymentId, status: 'succeeded', processor: this.type };
+    }
+    
+    async request(path, body, idempotencyKey = null) {
+        const response = await fetch(`${this.config.apiEndpoint}/${path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {})
+            },
+            body: JSON.stringify(body)
+        });
+        
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.error || `Tender request failed: ${response.statusText}`);
+        }
+        
+        return result;
+    }
+    
+    validatePaymentData(paymentData) {
+        const errors = [];
+        const tender = paymentData.tender || {};
+        
+        if (!(tender.amount > 0)) {
+            errors.push('payment.error.tenderAmount');
+        }
+        if (this.requiresReference && !tender.reference) {
+            errors.push('payment.error.tenderReference');
+        }
+        
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+}
+
+/**
+ * Cash Processor
+ * The cashier enters the cash handed over; anything over the amount due is change.
+ */
+class CashProcessor extends TenderProcessor {
+    constructor(config = {}) {
+        super({ ...config, type: 'cash' });
+    }
+    
+    applyTender(offered, due) {
+        const amount = offered.min(due);
+        return {
+            amount,
+            tendered: offered,
+            change: offered.subtract(amount)
+        };
+    }
+}
+
+/**
+ * Main Payment Integration Manager
+ */
+class POSPaymentManager {
+    constructor(posInstance, config = {}) {
+        this.pos = posInstance;
+        this.config = { ...PaymentConfig, ...config };
+        this.processors = new Map();
+        this.currentProcessor = null;
+        this.currentProcessorType = null;
+        // Payments already taken for the order being paid, when it is split across several tenders
+        this.tenders = [];
+        this.tenderCount = 0;
+        this.tenderOrderId = null;
+        this.paymentInProgress = false;
+        this.paymentUI = null;
+        this.transactions = new Map();
+        this.logger = posInstance.logger || console;
+        
+        this.init();
+    }
+    
+    async init() {
+        try {
+            this.createPaymentUI();
+            this.bindEvents();
+            this.logger.info('Payment manager initialized');
+        } catch (error) {
+            this.logger.error('Payment manager initialization failed', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Register a payment processor
+     */
+    registerProcessor(type, processor) {
+        if (!(processor instanceof PaymentProcessor)) {
+            throw new Error('Processor must extend PaymentProcessor class');
+        }
+        
+        this.processors.set(type, processor);
+        processor.logger = this.logger;
+        this.logger.info('Payment processor registered', { type });
+    }
+    
+    /**
+     * Initialize a specific payment processor
+     */
+    async initializeProcessor(type, config) {
+        const ProcessorClass = this.getProcessorClass(type);
+        if (!ProcessorClass) {
+            throw new Error(`Unknown payment processor: ${type}`);
+        }
+        
+        const processor = new ProcessorClass({ type, currency: this.getSettlementCurrency(), ...config });
+        await processor.initialize();
+        this.registerProcessor(type, processor);
+        
+        return processor;
+    }
+    
+    /**
+     * Currency payments are settled in: config.currency, or the POS store currency
+     */
+    getSettlementCurrency() {
+        return String(this.config.currency || this.pos.options.currencyCode).toUpperCase();
+    }
+    
+    /**
+     * Order total in the settlement currency
+     * Converting from the store currency needs an exchange rate from the currency converter.
+     */
+    getSettlementAmount(totals) {
+        return this.toSettlementCurrency(Money.fromMinor(totals.minorUnits.total, totals.currency));
+    }
+    
+    /**
+     * What is left to pay of the order after the tenders already taken for it
+     */
+    getAmountDue(totals) {
+        const total = this.getSettlementAmount(totals);
+        const paid = Money.sum(this.tenders.map(tender => Money.fromMinor(tender.amountMinor, tender.currency)), total.currency);
+        return paid.amount >= total.amount ? Money.zero(total.currency) : total.subtract(paid);
+    }
+    
+    /**
+     * Idempotency key for the next payment of the order; the first keeps the order's own key
+     * Counted over every tender taken, so one that was removed never shares a key with the next.
+     */
+    getPaymentIdempotencyKey(checkoutData) {
+        return this.tenderCount === 0
+            ? checkoutData.idempotencyKey
+            : `${checkoutData.idempotencyKey}-${this.tenderCount + 1}`;
+    }
+    
+    formatSettlementAmount(money) {
+        if (this.pos.currencyConverter) {
+            return this.pos.currencyConverter.format(money);
+        }
+        return money.currency === this.pos.options.currencyCode ? money.format(this.pos.options.currency) : money.toString();
+    }
+    
+    toSettlementCurrency(money) {
+        const currency = this.getSettlementCurrency();
+        if (currency === money.currency) {
+            return money;
+        }
+        
+        if (!this.pos.currencyConverter || !this.pos.currencyConverter.supports(currency)) {
+            throw new Error(`Cannot settle in ${currency}: no exchange rate from ${money.currency}`);
+        }
+        return this.pos.currencyConverter.convert(money, currency);
+    }
+    
+    getProcessorClass(type) {
+        const processors = {
+            [PaymentConfig.PROCESSORS.STRIPE]: StripeProcessor,
+            [PaymentConfig.PROCESSORS.PAYPAL]: PayPalProcessor,
+            [PaymentConfig.PROCESSORS.SQUARE]: SquareProcessor,
+            [PaymentConfig.PROCESSORS.AUTHORIZE_NET]: AuthorizeNetProcessor,
+            [PaymentConfig.PROCESSORS.APPLE_PAY]: ApplePayProcessor,
+            [PaymentConfig.PROCESSORS.GOOGLE_PAY]: GooglePayProcessor,
+            [PaymentConfig.PROCESSORS.CASH]: CashProcessor,
+            [PaymentConfig.PROCESSORS.CHECK]: TenderProcessor,
+            [PaymentConfig.PROCESSORS.GIFT_CARD]: TenderProcessor,
+            [PaymentConfig.PROCESSORS.STORE_CREDIT]: TenderProcessor,
+            [PaymentConfig.PROCESSORS.HOUSE_ACCOUNT]: TenderProcessor
+        };
+        
+        return processors[type];
+    }
+    
+    /**
+     * Set the active payment processor
+     */
+    setActiveProcessor(type) {
+        const processor = this.processors.get(type);
+        if (!processor) {
+            throw new Error(`Payment processor not found: ${type}`);
+        }
+        
+        if (!processor.isInitialized) {
+            throw new Error(`Payment processor not initialized: ${type}`);
+        }
+        
+        this.currentProcessor = processor;
+        this.currentProcessorType = type;
+        this.updatePaymentUI();
+        this.logger.info('Active payment processor changed', { type });
+    }
+    
+    /**
+     * Create the payment UI
+     */
+    createPaymentUI() {
+        // Remove existing payment UI
+        const existing = document.getElementById('pos-payment-modal');
+        if (existing) {
+            existing.remove();
+        }
+        
+        const t = key => this.pos.t(key);
+        const modal = document.createElement('div');
+        modal.id = 'pos-payment-modal';
+        modal.className = 'pos-payment-modal';
+        this.pos.i18n.applyDirection(modal);
+        modal.innerHTML = POSHtml.html`
+            <div class="pos-payment-overlay"></div>
             <div class="pos-payment-container">
                 <div class="pos-payment-header">
-                    <h2>Secure Payment</h2>
-                    <button class="pos-payment-close">&times;</button>
+                    <h2>${t('payment.title')}</h2>
+                    <button class="pos-payment-close" aria-label="${t('payment.close')}">&times;</button>
                 </div>
                 
                 <div class="pos-payment-summary">
@@ -569,53 +1879,87 @@ class POSPaymentManager {
                 </div>
                 
                 <div class="pos-payment-methods">
-                    <h3>Select Payment Method</h3>
+                    <h3>${t('payment.methodTitle')}</h3>
                     <div class="pos-payment-options"></div>
                 </div>
                 
                 <div class="pos-payment-forms">
-                    <div id="stripe-payment-form" class="pos-payment-form" style="display: none;">
-                        <div class="pos-billing-details">
-                            <h4>Billing Information</h4>
-                            <div class="pos-form-row">
-                                <input type="text" id="cardholder-name" placeholder="Cardholder Name" required>
-                            </div>
-                            <div class="pos-form-row">
-                                <input type="email" id="cardholder-email" placeholder="Email Address">
-                            </div>
+                    <div class="pos-billing-details" style="display: none;">
+                        <h4>${t('payment.billingTitle')}</h4>
+                        <div class="pos-form-row">
+                            <input type="text" id="cardholder-name" placeholder="${t('payment.cardholderName')}" aria-label="${t('payment.cardholderName')}" required>
+                        </div>
+                        <div class="pos-form-row">
+                            <input type="email" id="cardholder-email" placeholder="${t('payment.email')}" aria-label="${t('payment.email')}">
+                        </div>
+                    </div>
+                    
+                    <div class="pos-tender-details" style="display: none;">
+                        <div class="pos-form-row">
+                            <input type="text" id="tender-amount" inputmode="decimal" autocomplete="off">
+                        </div>
+                        <div class="pos-form-row pos-tender-reference">
+                            <input type="text" id="tender-reference" autocomplete="off">
                         </div>
+                        <div id="tender-change" class="pos-tender-change" aria-live="polite"></div>
+                    </div>
+                    
+                    <div id="stripe-payment-form" class="pos-payment-form" style="display: none;">
                         <div class="pos-card-element">
                             <div id="stripe-card-element"></div>
                             <div id="stripe-card-errors" class="pos-error-message"></div>
                         </div>
                     </div>
                     
+                    <div id="square-payment-form" class="pos-payment-form" style="display: none;">
+                        <div class="pos-card-element">
+                            <div id="square-card-element"></div>
+                        </div>
+                    </div>
+                    
+                    <!-- No name attributes: card details are tokenized in the page and never submitted -->
+                    <div id="authorize_net-payment-form" class="pos-payment-form" style="display: none;">
+                        <div class="pos-card-fields">
+                            <div class="pos-form-row">
+                                <input type="text" id="card-number" inputmode="numeric" autocomplete="cc-number" maxlength="23" placeholder="${t('payment.cardNumber')}" aria-label="${t('payment.cardNumber')}">
+                            </div>
+                            <div class="pos-form-row pos-form-row-split">
+                                <input type="text" id="card-expiry" inputmode="numeric" autocomplete="cc-exp" maxlength="7" placeholder="${t('payment.cardExpiry')}" aria-label="${t('payment.cardExpiry')}">
+                                <input type="text" id="card-cvv" inputmode="numeric" autocomplete="cc-csc" maxlength="4" placeholder="${t('payment.cardCvv')}" aria-label="${t('payment.cardCvv')}">
+                            </div>
+                        </div>
+                    </div>
+                    
                     <div id="paypal-payment-form" class="pos-payment-form" style="display: none;">
                         <div id="paypal-button-container"></div>
                     </div>
                     
-                    <div id="apple-pay-form" class="pos-payment-form" style="display: none;">
+                    <div id="apple_pay-payment-form" class="pos-payment-form" style="display: none;">
                         <div id="apple-pay-button-container"></div>
                     </div>
+                    
+                    <div id="google_pay-payment-form" class="pos-payment-form" style="display: none;">
+                        <div id="google-pay-button-container"></div>
+                    </div>
                 </div>
                 
                 <div class="pos-payment-actions">
                     <button id="pos-payment-submit" class="pos-btn-primary" disabled>
-                        Process Payment
+                        ${t('payment.submit')}
                     </button>
                     <button id="pos-payment-cancel" class="pos-btn-secondary">
-                        Cancel
+                        ${t('payment.cancel')}
                     </button>
                 </div>
                 
                 <div class="pos-payment-status">
                     <div id="pos-payment-loading" class="pos-loading" style="display: none;">
                         <div class="pos-spinner"></div>
-                        <span>Processing payment...</span>
+                        <span>${t('payment.processing')}</span>
                     </div>
                     <div id="pos-payment-success" class="pos-success" style="display: none;">
                         <div class="pos-success-icon">✓</div>
-                        <span>Payment successful!</span>
+                        <span>${t('payment.success')}</span>
                     </div>
                     <div id="pos-payment-error" class="pos-error" style="display: none;">
                         <div class="pos-error-icon">✗</div>
@@ -625,9 +1969,9 @@ class POSPaymentManager {
                 
                 <div class="pos-security-info">
                     <div class="pos-security-badges">
-                        <span class="pos-badge">🔒 SSL Encrypted</span>
-                        <span class="pos-badge">🛡️ PCI Compliant</span>
-                        <span class="pos-badge">🔐 Secure</span>
+                        <span class="pos-badge">🔒 ${t('payment.badge.encrypted')}</span>
+                        <span class="pos-badge">🛡️ ${t('payment.badge.pci')}</span>
+                        <span class="pos-badge">🔐 ${t('payment.badge.secure')}</span>
                     </div>
                 </div>
             </div>
@@ -670,10 +2014,15 @@ class POSPaymentManager {
                 stripe: '💳',
                 paypal: '🏦',
                 apple_pay: '🍎',
-                google_pay: '📱'
+                google_pay: '📱',
+                cash: '💵',
+                check: '🧾',
+                gift_card: '🎁',
+                store_credit: '🏷️',
+                house_account: '🏢'
             };
             
-            option.innerHTML = `
+            option.innerHTML = POSHtml.html`
                 <input type="radio" name="payment-method" value="${type}" id="payment-${type}">
                 <label for="payment-${type}">
                     <span class="pos-payment-icon">${icons[type] || '💳'}</span>
@@ -687,12 +2036,17 @@ class POSPaymentManager {
     
     getProcessorDisplayName(type) {
         const names = {
-            stripe: 'Credit/Debit Card',
+            stripe: this.pos.t('payment.method.card'),
             paypal: 'PayPal',
             apple_pay: 'Apple Pay',
             google_pay: 'Google Pay',
             square: 'Square',
-            authorize_net: 'Authorize.Net'
+            authorize_net: 'Authorize.Net',
+            cash: this.pos.t('payment.method.cash'),
+            check: this.pos.t('payment.method.check'),
+            gift_card: this.pos.t('payment.method.giftCard'),
+            store_credit: this.pos.t('payment.method.storeCredit'),
+            house_account: this.pos.t('payment.method.houseAccount')
         };
         
         return names[type] || type.charAt(0).toUpperCase() + type.slice(1);
@@ -702,23 +2056,44 @@ class POSPaymentManager {
      * Bind payment UI events
      */
     bindEvents() {
-        // Extend the existing POS checkout to use payments
-        this.pos.originalStartCheckout = this.pos.startCheckout;
-        this.pos.startCheckout = () => this.showPaymentModal();
+        // Extend the existing POS checkout to use payments: orders are placed through the payment modal
+        this.pos.originalPlaceOrder = this.pos.placeOrder;
+        this.pos.placeOrder = () => this.showPaymentModal();
+        if (this.pos.checkoutFlow) {
+            this.pos.checkoutFlow.options.placeOrderLabel = 'payment.continue';
+        }
+        
+        // The modal is built in the storefront language, so build it again when that changes
+        document.addEventListener('pos:locale-changed', () => {
+            this.createPaymentUI();
+            this.updatePaymentUI();
+        });
         
         // Payment modal events
         document.addEventListener('click', (e) => {
             if (e.target.matches('.pos-payment-close, .pos-payment-overlay')) {
-                this.hidePaymentModal();
+                this.cancelPayment();
             }
             
             if (e.target.id === 'pos-payment-cancel') {
-                this.hidePaymentModal();
+                this.cancelPayment();
             }
             
             if (e.target.id === 'pos-payment-submit') {
                 this.processPayment();
             }
+            
+            const removeTender = e.target.closest('.pos-tender-remove');
+            if (removeTender) {
+                this.removeTender(Number(removeTender.dataset.tenderIndex));
+            }
+        });
+        
+        // Change for the cash tendered, as the cashier types it
+        document.addEventListener('input', (e) => {
+            if (e.target.id === 'tender-amount') {
+                this.updateTenderChange();
+            }
         });
         
         // Payment method selection
@@ -734,11 +2109,26 @@ class POSPaymentManager {
      */
     showPaymentModal() {
         if (this.pos.cart.length === 0) {
-            this.pos.showNotification('Cart is empty', 'error');
+            this.pos.showNotification(this.pos.t('notify.cartEmpty'), 'error');
+            return;
+        }
+        
+        if (!this.pos.ensureReservations() || !this.pos.validateCustomerDetails()) {
             return;
         }
         
+        // Price authority mode (pos-pricing.js): the summary and the charge use the quoted prices
+        if (this.pos.priceAuthority && !this.pos.priceAuthority.hasValidQuote()) {
+            return this.pos.priceAuthority.verifyCart().then(verified => {
+                if (verified) {
+                    this.showPaymentModal();
+                }
+                return verified;
+            });
+        }
+        
         this.updateOrderSummary();
+        this.prefillBillingDetails();
         this.paymentUI.style.display = 'block';
         document.body.style.overflow = 'hidden';
         
@@ -750,6 +2140,45 @@ class POSPaymentManager {
         }
     }
     
+    /**
+     * Start the billing fields from the customer details entered in the cart
+     */
+    prefillBillingDetails() {
+        const { name, email } = this.pos.customerDetails;
+        const nameInput = this.paymentUI.querySelector('#cardholder-name');
+        const emailInput = this.paymentUI.querySelector('#cardholder-email');
+        
+        if (nameInput && !nameInput.value && name) nameInput.value = name;
+        if (emailInput && !emailInput.value && email) emailInput.value = email;
+    }
+    
+    /**
+     * Close the payment modal without completing the order
+     * Payments already taken for it are given back first; if one cannot be, the modal stays open with the error.
+     */
+    async cancelPayment() {
+        if (this.tenders.length > 0) {
+            // Not while a payment for the order is under way; it may still be added to the tenders
+            if (this.paymentInProgress) {
+                return;
+            }
+            
+            this.paymentInProgress = true;
+            this.showPaymentStatus('loading');
+            try {
+                await this.reverseTenders();
+            } catch (error) {
+                this.updateOrderSummary();
+                this.handlePaymentError(error);
+                return;
+            } finally {
+                this.paymentInProgress = false;
+            }
+        }
+        
+        this.hidePaymentModal();
+    }
+    
     /**
      * Hide payment modal
      */
@@ -765,38 +2194,62 @@ class POSPaymentManager {
     updateOrderSummary() {
         const totals = this.pos.calculateTotals();
         const summaryContainer = this.paymentUI.querySelector('.pos-order-summary');
+        const t = (key, params) => this.pos.t(key, params);
+        const label = name => t('totals.label', { label: name });
+        const { html } = POSHtml;
         
-        summaryContainer.innerHTML = `
-            <h4>Order Summary</h4>
+        summaryContainer.innerHTML = html`
+            <h4>${t('payment.summaryTitle')}</h4>
             <div class="pos-summary-items">
-                ${this.pos.cart.map(item => `
+                ${this.pos.cart.map(item => html`
                     <div class="pos-summary-item">
-                        <span class="pos-item-name">${item.name} x${item.quantity}</span>
-                        <span class="pos-item-total">${this.pos.options.currency}${(item.price * item.quantity).toFixed(2)}</span>
+                        <span class="pos-item-name">${t('payment.lineQuantity', { name: item.name, quantity: item.quantity })}</span>
+                        <span class="pos-item-total">${this.pos.formatPrice(this.pos.getLineTotal(item))}</span>
                     </div>
-                `).join('')}
+                `)}
             </div>
             <div class="pos-summary-totals">
                 <div class="pos-summary-line">
-                    <span>Subtotal:</span>
-                    <span>${this.pos.options.currency}${totals.subtotal.toFixed(2)}</span>
+                    <span>${label(t('totals.subtotal'))}</span>
+                    <span>${this.pos.formatPrice(totals.subtotal)}</span>
                 </div>
-                ${totals.tax > 0 ? `
+                ${(totals.discounts || []).map(discount => html`
+                    <div class="pos-summary-line pos-summary-discount">
+                        <span>${label(discount.label)}</span>
+                        <span>-${this.pos.formatPrice(discount.amount)}</span>
+                    </div>
+                `)}
+                ${totals.tax > 0 ? html`
                     <div class="pos-summary-line">
-                        <span>Tax:</span>
-                        <span>${this.pos.options.currency}${totals.tax.toFixed(2)}</span>
+                        <span>${label(t(totals.taxInclusive ? 'totals.taxIncluded' : 'totals.tax'))}</span>
+                        <span>${this.pos.formatPrice(totals.tax)}</span>
                     </div>
                 ` : ''}
-                ${totals.shipping > 0 ? `
+                ${totals.shipping > 0 || totals.shippingMethod ? html`
                     <div class="pos-summary-line">
-                        <span>Shipping:</span>
-                        <span>${this.pos.options.currency}${totals.shipping.toFixed(2)}</span>
+                        <span>${label(totals.shippingMethod ? t('totals.shippingMethod', { method: totals.shippingMethod.label }) : t('totals.shipping'))}</span>
+                        <span>${totals.shipping > 0 ? this.pos.formatPrice(totals.shipping) : t('shipping.free')}</span>
                     </div>
                 ` : ''}
                 <div class="pos-summary-line pos-summary-total">
-                    <span>Total:</span>
-                    <span>${this.pos.options.currency}${totals.total.toFixed(2)}</span>
+                    <span>${label(t('totals.total'))}</span>
+                    <span>${this.pos.formatPrice(totals.total)}</span>
                 </div>
+                ${this.tenders.map((tender, index) => html`
+                    <div class="pos-summary-line pos-summary-tender">
+                        <span>${label(tender.reference ? `${tender.label} (${tender.reference})` : tender.label)}</span>
+                        <span>
+                            -${this.formatSettlementAmount(Money.fromMinor(tender.amountMinor, tender.currency))}
+                            ${tender.removable ? html`<button type="button" class="pos-tender-remove" data-tender-index="${index}" aria-label="${t('payment.removeTender', { method: tender.label })}">&times;</button>` : ''}
+                        </span>
+                    </div>
+                `)}
+                ${this.tenders.length > 0 ? html`
+                    <div class="pos-summary-line pos-summary-due">
+                        <span>${label(t('payment.amountDue'))}</span>
+                        <span>${this.formatSettlementAmount(this.getAmountDue(totals))}</span>
+                    </div>
+                ` : ''}
             </div>
         `;
     }
@@ -817,13 +2270,62 @@ class POSPaymentManager {
         }
         
         this.setActiveProcessor(processorType);
+        this.paymentUI.querySelector('.pos-billing-details').style.display = this.currentProcessor.collectsBillingDetails ? 'block' : 'none';
+        this.setupTenderFields();
         this.setupProcessorUI(processorType);
         
         // Enable/disable submit button
         const submitBtn = this.paymentUI.querySelector('#pos-payment-submit');
+        submitBtn.style.display = this.currentProcessor.providesPaymentButton ? 'none' : '';
         submitBtn.disabled = false;
     }
     
+    /**
+     * Amount and reference fields for counter tenders, starting from the amount still due
+     */
+    setupTenderFields() {
+        const processor = this.currentProcessor;
+        const details = this.paymentUI.querySelector('.pos-tender-details');
+        details.style.display = processor.collectsTender ? 'block' : 'none';
+        if (!processor.collectsTender) {
+            return;
+        }
+        
+        const amountInput = this.paymentUI.querySelector('#tender-amount');
+        const amountLabel = this.pos.t(processor instanceof CashProcessor ? 'payment.cashTendered' : 'payment.tenderAmount');
+        amountInput.placeholder = amountLabel;
+        amountInput.setAttribute('aria-label', amountLabel);
+        amountInput.value = this.getAmountDue(this.pos.calculateTotals()).toDecimalString();
+        
+        // Cash has no reference to take
+        const referenceKey = `payment.reference.${this.currentProcessorType}`;
+        const referenceInput = this.paymentUI.querySelector('#tender-reference');
+        const hasReference = this.pos.i18n.has(referenceKey);
+        referenceInput.parentElement.style.display = hasReference ? 'block' : 'none';
+        referenceInput.value = '';
+        if (hasReference) {
+            referenceInput.placeholder = this.pos.t(referenceKey);
+            referenceInput.setAttribute('aria-label', this.pos.t(referenceKey));
+        }
+        
+        this.updateTenderChange();
+    }
+    
+    updateTenderChange() {
+        const change = this.paymentUI.querySelector('#tender-change');
+        const tendered = this.collectPaymentData().tender;
+        if (!(this.currentProcessor instanceof CashProcessor) || !tendered || !(tendered.amount > 0)) {
+            change.textContent = '';
+            return;
+        }
+        
+        const due = this.getAmountDue(this.pos.calculateTotals());
+        const offered = Money.fromMajor(tendered.amount, due.currency);
+        change.textContent = offered.amount > due.amount
+            ? this.pos.t('payment.changeDue', { amount: this.formatSettlementAmount(offered.subtract(due)) })
+            : '';
+    }
+    
     /**
      * Setup processor-specific UI
      */
@@ -836,64 +2338,210 @@ class POSPaymentManager {
                 processor.createCardElement('stripe-card-element');
                 break;
                 
-            case PaymentConfig.PROCESSORS.PAYPAL:
-                const totals = this.pos.calculateTotals();
+            case PaymentConfig.PROCESSORS.SQUARE:
+                processor.createCardElement('square-card-element').catch(error => this.handlePaymentError(error));
+                break;
+                
+            case PaymentConfig.PROCESSORS.PAYPAL: {
+                const checkoutData = this.pos.buildCheckoutData();
+                const amount = this.getAmountDue(checkoutData.totals);
                 processor.createPayPalButton(
                     'paypal-button-container',
-                    totals.total,
-                    this.config.currency || 'USD',
-                    (order) => this.handlePaymentSuccess(order),
-                    (error) => this.handlePaymentError(error)
+                    amount,
+                    amount.currency,
+                    (order) => this.completePayment(order, checkoutData, amount),
+                    (error) => this.handlePaymentError(error),
+                    { orderId: checkoutData.orderId, idempotencyKey: this.getPaymentIdempotencyKey(checkoutData) }
                 );
                 break;
+            }
                 
             case PaymentConfig.PROCESSORS.APPLE_PAY:
+            case PaymentConfig.PROCESSORS.GOOGLE_PAY:
                 if (processor.canMakePayments()) {
-                    const totals = this.pos.calculateTotals();
-                    processor.createApplePayButton(
-                        'apple-pay-button-container',
-                        totals.total,
-                        this.config.currency || 'USD',
-                        (result) => this.handlePaymentSuccess(result),
-                        (error) => this.handlePaymentError(error)
+                    processor.createPaymentButton(
+                        processorType === PaymentConfig.PROCESSORS.APPLE_PAY ? 'apple-pay-button-container' : 'google-pay-button-container',
+                        () => this.createPaymentSheet()
                     );
                 }
                 break;
         }
     }
     
+    /**
+     * Payment sheet for a wallet processor (PaymentRequestProcessor): what the sheet shows, and how
+     * the order is repriced when the customer picks a shipping address or option in it
+     */
+    createPaymentSheet() {
+        const previous = { address: this.pos.shippingAddress, methodId: this.pos.selectedShippingMethod };
+        let shippingChanged = false;
+        let checkoutData = null;
+        let amount = null;
+        
+        const details = () => this.getPaymentSheetDetails(this.pos.calculateTotals());
+        const changed = () => {
+            shippingChanged = true;
+            this.updateOrderSummary();
+            return details();
+        };
+        
+        return {
+            requestShipping: this.pos.cart.some(item => item.requiresShipping !== false),
+            getDetails: details,
+            changeShippingAddress: address => {
+                this.pos.setShippingAddress(address);
+                return changed();
+            },
+            changeShippingOption: methodId => {
+                // The flat-rate option stands in for shipping when no shipping methods are set up
+                if (!this.pos.calculateTotals().shippingMethods.some(method => method.id === methodId)) {
+                    return details();
+                }
+                this.pos.selectShippingMethod(methodId);
+                return changed();
+            },
+            // The order as it is when the customer authorizes payment
+            prepareCharge: async () => {
+                if (this.pos.priceAuthority && !(await this.pos.priceAuthority.verifyCart())) {
+                    throw new Error(this.pos.t('pricing.failed'));
+                }
+                
+                checkoutData = this.pos.buildCheckoutData();
+                amount = this.getAmountDue(checkoutData.totals);
+                return {
+                    amount,
+                    metadata: {
+                        orderId: checkoutData.orderId,
+                        idempotencyKey: this.getPaymentIdempotencyKey(checkoutData),
+                        priceQuoteId: checkoutData.priceQuote ? checkoutData.priceQuote.quoteId : null
+                    }
+                };
+            },
+            onSuccess: result => {
+                checkoutData.customer = this.getOrderCustomer(checkoutData.customer, result.payer);
+                this.completePayment(result, checkoutData, amount);
+            },
+            onError: error => this.handlePaymentError(error),
+            // Closing the sheet puts back the address and shipping method the customer had chosen before
+            onCancel: () => {
+                if (!shippingChanged) return;
+                this.pos.setShippingAddress(previous.address);
+                if (previous.methodId) {
+                    this.pos.selectShippingMethod(previous.methodId);
+                }
+                this.updateOrderSummary();
+            }
+        };
+    }
+    
+    /**
+     * The order as W3C PaymentDetailsInit, in the settlement currency: cart lines, discounts, tax
+     * and shipping, and the shipping options for the current address
+     */
+    getPaymentSheetDetails(totals) {
+        const t = (key, params) => this.pos.t(key, params);
+        const amount = value => {
+            const money = this.toSettlementCurrency(this.pos.toMoney(value));
+            return { currency: money.currency, value: money.toDecimalString() };
+        };
+        const requestShipping = this.pos.cart.some(item => item.requiresShipping !== false);
+        const shippingLabel = totals.shippingMethod ? t('totals.shippingMethod', { method: totals.shippingMethod.label }) : t('totals.shipping');
+        const total = this.getSettlementAmount(totals);
+        
+        const displayItems = [
+            ...this.pos.cart.map(item => ({
+                label: t('payment.lineQuantity', { name: item.name, quantity: item.quantity }),
+                amount: amount(this.pos.getLineTotal(item))
+            })),
+            ...(totals.discounts || []).map(discount => ({
+                label: discount.label,
+                amount: amount(-discount.amount)
+            })),
+            // Prices that include tax already count it in the lines
+            ...(totals.tax > 0 && !totals.taxInclusive ? [{ label: t('totals.tax'), amount: amount(totals.tax) }] : []),
+            ...(requestShipping ? [{ label: shippingLabel, amount: amount(totals.shipping) }] : [])
+        ];
+        
+        const shippingOptions = totals.shippingMethods.length > 0
+            ? totals.shippingMethods.map(method => ({
+                id: method.id,
+                label: method.label,
+                amount: amount(method.amount),
+                selected: !!totals.shippingMethod && method.id === totals.shippingMethod.id
+            }))
+            : [{ id: 'flat-rate', label: t('totals.shipping'), amount: amount(totals.shipping), selected: true }];
+        
+        return {
+            displayItems,
+            total: {
+                label: t('totals.total'),
+                amount: { currency: total.currency, value: total.toDecimalString() }
+            },
+            ...(requestShipping ? { shippingOptions } : {})
+        };
+    }
+    
     /**
      * Process payment
      */
     async processPayment() {
         if (!this.currentProcessor) {
-            this.handlePaymentError(new Error('No payment processor selected'));
+            this.handlePaymentError(new Error(this.pos.t('payment.error.noProcessor')));
+            return;
+        }
+        
+        // A repeated click while this order's payment is under way
+        if (this.paymentInProgress) {
             return;
         }
         
+        this.paymentInProgress = true;
         this.showPaymentStatus('loading');
         
         try {
-            const totals = this.pos.calculateTotals();
+            // The cart may have changed since it was quoted; never charge for an unquoted cart
+            if (this.pos.priceAuthority && !(await this.pos.priceAuthority.verifyCart())) {
+                this.updateOrderSummary();
+                throw new Error(this.pos.t('pricing.failed'));
+            }
+            
+            const checkoutData = this.pos.buildCheckoutData();
+            const totals = checkoutData.totals;
+            
+            // The cart changed after part of the order was paid, so it is a new order; its payments are given back
+            if (this.tenders.length > 0 && this.tenderOrderId !== checkoutData.orderId) {
+                await this.reverseTenders();
+                this.updateOrderSummary();
+                this.setupTenderFields();
+                throw new Error(this.pos.t('payment.error.orderChanged'));
+            }
+            
             const paymentData = this.collectPaymentData();
+            checkoutData.customer = this.getOrderCustomer(checkoutData.customer, paymentData.billingDetails);
             
             // Validate payment data
             const validation = this.currentProcessor.validatePaymentData(paymentData);
             if (!validation.isValid) {
-                throw new Error(validation.errors.join(', '));
+                throw new Error(validation.errors.map(error => this.pos.t(error)).join(', '));
             }
             
-            // Create payment intent
+            // Create payment intent for what is left to pay
+            const amount = this.getAmountDue(totals);
             const paymentIntent = await this.currentProcessor.createPaymentIntent(
-                totals.total,
-                this.config.currency || 'usd',
+                amount,
+                amount.currency,
                 {
-                    orderId: Date.now().toString(),
-                    items: this.pos.cart.map(item => ({
+                    orderId: checkoutData.orderId,
+                    idempotencyKey: this.getPaymentIdempotencyKey(checkoutData),
+                    priceQuoteId: checkoutData.priceQuote ? checkoutData.priceQuote.quoteId : null,
+                    items: checkoutData.cart.map(item => ({
                         id: item.id,
+                        variantId: item.variantId || null,
+                        sku: item.sku,
                         name: item.name,
                         quantity: item.quantity,
-                        price: item.price
+                        price: item.price,
+                        tax: item.tax
                     }))
                 }
             );
@@ -904,13 +2552,18 @@ class POSPaymentManager {
                 paymentData
             );
             
-            // Store transaction
-            this.storeTransaction(result, totals);
+            // Only a charged or authorized card pays for the order. One held for review (Authorize.Net
+            // response code 4, a PENDING Square payment) is recorded and the order waits for it.
+            if (!['succeeded', 'requires_capture', 'processing'].includes(result.status)) {
+                throw new Error(this.pos.t('payment.error.notCompleted', { status: result.status }));
+            }
             
-            this.handlePaymentSuccess(result);
+            this.completePayment(result, checkoutData, amount);
             
         } catch (error) {
             this.handlePaymentError(error);
+        } finally {
+            this.paymentInProgress = false;
         }
     }
     
@@ -929,50 +2582,294 @@ class POSPaymentManager {
                 name: nameInput.value.trim(),
                 email: emailInput && emailInput.value ? emailInput.value.trim() : null
             };
+            
+            // Billing address from the checkout flow, in Stripe's billing_details shape
+            const address = this.pos.billingAddress || this.pos.shippingAddress;
+            if (address) {
+                data.billingDetails.address = {
+                    line1: address.line1 || null,
+                    line2: address.line2 || null,
+                    city: address.city || null,
+                    state: address.state || null,
+                    postal_code: address.postalCode || null,
+                    country: address.country || null
+                };
+            }
+        }
+        
+        // Amount and reference of a counter tender
+        if (this.currentProcessor && this.currentProcessor.collectsTender) {
+            const amount = this.paymentUI.querySelector('#tender-amount').value.trim().replace(',', '.');
+            data.tender = {
+                amount: amount === '' ? NaN : Number(amount),
+                reference: this.paymentUI.querySelector('#tender-reference').value.trim() || null
+            };
+        }
+        
+        // Card fields for processors that tokenize in the page; the card never leaves the browser untokenized
+        if (this.currentProcessor && this.currentProcessor.collectsCardDetails) {
+            const value = id => this.paymentUI.querySelector(id).value.trim();
+            // MM/YY, M/YY, MM/YYYY or MMYY
+            const [, month = '', year = ''] = /^(\d{1,2})\s*\/?\s*(\d{2}|\d{4})$/.exec(value('#card-expiry')) || [];
+            data.card = {
+                number: value('#card-number').replace(/[\s-]/g, ''),
+                month: month.padStart(2, '0'),
+                year: year.slice(-2),
+                cvv: value('#card-cvv')
+            };
         }
         
         return data;
     }
     
+    /**
+     * Order customer, with billing name and email filling in what the cart's customer details left blank
+     */
+    getOrderCustomer(customer, billingDetails) {
+        if (!billingDetails) {
+            return customer;
+        }
+        
+        const base = customer || { email: '', name: '', phone: '', address: this.pos.shippingAddress };
+        return {
+            ...base,
+            name: base.name || billingDetails.name,
+            email: base.email || billingDetails.email || ''
+        };
+    }
+    
+    /**
+     * Record a payment against the order; once nothing is left to pay, the order is complete
+     * Returns false while a split payment still has an amount due.
+     */
+    completePayment(result, checkoutData, amountDue) {
+        // Tenders report what they paid; gateways charge the whole amount due
+        const amount = result.amount instanceof Money ? result.amount : amountDue;
+        const tender = {
+            type: this.currentProcessorType,
+            label: this.getProcessorDisplayName(this.currentProcessorType),
+            paymentId: result.id,
+            amount: amount.toMajor(),
+            amountMinor: amount.amount,
+            currency: amount.currency,
+            reference: result.reference || null,
+            tendered: result.tendered ? result.tendered.toMajor() : null,
+            change: result.change ? result.change.toMajor() : null,
+            balance: result.balance !== undefined ? result.balance : null,
+            status: result.status,
+            // Counter tenders can be handed back before the order is complete; charges cannot
+            removable: !!this.currentProcessor.collectsTender
+        };
+        this.tenders.push(tender);
+        this.tenderCount++;
+        this.tenderOrderId = checkoutData.orderId;
+        
+        const due = this.getAmountDue(checkoutData.totals);
+        if (due.amount > 0) {
+            this.updateOrderSummary();
+            this.setupTenderFields();
+            this.showPaymentStatus('idle');
+            this.pos.showNotification(this.pos.t('payment.tenderApplied', {
+                method: tender.label,
+                amount: this.formatSettlementAmount(amount),
+                due: this.formatSettlementAmount(due)
+            }), 'success');
+            this.pos.emit('pos:payment-tender', { orderId: checkoutData.orderId, tender, amountDue: due.toMajor() });
+            return false;
+        }
+        
+        this.storeTransaction(result, checkoutData.totals, checkoutData.orderId);
+        this.tenders = [];
+        this.tenderCount = 0;
+        this.tenderOrderId = null;
+        this.handlePaymentSuccess(result, checkoutData);
+        
+        if (result.change && result.change.amount > 0) {
+            this.paymentUI.querySelector('#pos-payment-success span').textContent = this.pos.t('payment.successChange', {
+                amount: this.formatSettlementAmount(result.change)
+            });
+        }
+        return true;
+    }
+    
+    /**
+     * Hand back a tender taken for the order, before the order is complete
+     */
+    async removeTender(index) {
+        const tender = this.tenders[index];
+        // Not while a payment is under way: it counts on the tenders taken so far
+        if (!tender || !tender.removable || this.paymentInProgress) {
+            return;
+        }
+        
+        this.paymentInProgress = true;
+        try {
+            await this.reverseTender(tender);
+            
+            this.tenders.splice(this.tenders.indexOf(tender), 1);
+            this.updateOrderSummary();
+            if (this.currentProcessor) {
+                this.setupTenderFields();
+            }
+        } catch (error) {
+            this.handlePaymentError(error);
+        } finally {
+            this.paymentInProgress = false;
+        }
+    }
+    
+    /**
+     * Give back every payment taken for an order that will not be completed
+     * Those that could not be given back stay in the tenders, and the first error is thrown.
+     */
+    async reverseTenders() {
+        const kept = [];
+        let failure = null;
+        
+        for (const tender of this.tenders) {
+            try {
+                await this.reverseTender(tender);
+            } catch (error) {
+                kept.push(tender);
+                failure = failure || error;
+            }
+        }
+        
+        this.tenders = kept;
+        if (kept.length === 0) {
+            this.tenderOrderId = null;
+        }
+        if (failure) {
+            throw failure;
+        }
+    }
+    
+    /**
+     * Refund a payment taken for an incomplete order, or release it if the card was only authorized
+     * The cashier is told what to hand back for tenders that are refunded at the counter.
+     */
+    async reverseTender(tender) {
+        const processor = this.processors.get(tender.type);
+        if (!processor) {
+            throw new Error(`Payment processor not available to reverse the ${tender.label} payment`);
+        }
+        
+        const amount = Money.fromMinor(tender.amountMinor, tender.currency);
+        const result = tender.status === 'requires_capture'
+            ? await processor.voidAuthorization(tender.paymentId, { idempotencyKey: `${tender.paymentId}-void` })
+            : await processor.refundPayment(tender.paymentId, amount, { idempotencyKey: `${tender.paymentId}-reverse` });
+        
+        const action = this.getRefundAction(result, amount);
+        if (action) {
+            this.pos.showNotification(action, 'info');
+        }
+        
+        return result;
+    }
+    
+    /**
+     * What the cashier has to do for a refund the processor left to them, or null
+     */
+    getRefundAction(result, amount) {
+        if (!result || result.status !== 'requires_action') {
+            return null;
+        }
+        
+        const key = this.pos.i18n.has(result.action) ? result.action : 'payment.refundAction.tender';
+        return this.pos.t(key, { amount: this.formatSettlementAmount(result.amount || amount) });
+    }
+    
     /**
      * Store transaction record
      */
-    storeTransaction(paymentResult, totals) {
+    storeTransaction(paymentResult, totals, orderId = null) {
+        const amount = this.getSettlementAmount(totals);
         const transaction = {
             id: paymentResult.id,
-            amount: totals.total,
-            currency: this.config.currency || 'usd',
+            orderId,
+            amount: amount.toMajor(),
+            amountMinor: amount.amount,
+            currency: amount.currency,
             status: paymentResult.status,
             processor: this.currentProcessor.constructor.name,
+            processorType: this.currentProcessorType,
+            // Every payment the order was paid with, the last one included
+            tenders: this.tenders.map(({ removable, ...tender }) => tender),
             timestamp: new Date().toISOString(),
-            cart: [...this.pos.cart],
+            cart: this.pos.getCheckoutLines(totals),
             totals: totals
         };
         
-        this.transactions.set(transaction.id, transaction);
+        // The card was only authorized; the last payment of the order is captured later
+        if (paymentResult.status === 'requires_capture') {
+            const payment = this.tenders[this.tenders.length - 1];
+            const authorized = payment ? Money.fromMinor(payment.amountMinor, payment.currency) : amount;
+            transaction.authorization = {
+                amount: authorized.toMajor(),
+                amountMinor: authorized.amount,
+                currency: authorized.currency,
+                authorizedAt: transaction.timestamp,
+                expiresAt: this.currentProcessor.getAuthorizationExpiry(transaction.timestamp).toISOString()
+            };
+        }
         
-        // Store in localStorage for persistence
-        const stored = JSON.parse(localStorage.getItem('pos-transactions') || '[]');
-        stored.push(transaction);
-        localStorage.setItem('pos-transactions', JSON.stringify(stored));
+        this.saveTransaction(transaction);
         
         this.logger.info('Transaction stored', { transactionId: transaction.id });
     }
     
+    /**
+     * Persist a new or updated transaction through the POS storage backend
+     */
+    saveTransaction(transaction) {
+        this.transactions.set(transaction.id, transaction);
+        
+        const stored = this.pos.readRecord('transaction', []);
+        const index = stored.findIndex(existing => existing.id === transaction.id);
+        if (index === -1) {
+            stored.push(transaction);
+        } else {
+            stored[index] = transaction;
+        }
+        this.pos.writeRecord('transaction', stored);
+    }
+    
     /**
      * Handle successful payment
+     * A payment held for review leaves the order placed, not paid, until the processor clears it.
      */
-    handlePaymentSuccess(result) {
+    handlePaymentSuccess(result, checkoutData = this.pos.buildCheckoutData()) {
+        // An authorized card is only charged when the order is captured
+        const held = result.status === 'processing';
+        const order = this.pos.recordOrder({
+            ...checkoutData,
+            paymentId: result.id,
+            paymentProcessor: this.currentProcessor ? this.currentProcessor.constructor.name : null,
+            paymentStatus: result.status
+        }, held ? 'placed' : (result.status === 'requires_capture' ? 'authorized' : 'paid'));
+        
+        // The order was already completed by an earlier success callback
+        if (!order) {
+            this.logger.warn('Duplicate payment completion ignored', { orderId: checkoutData.orderId, paymentId: result.id });
+            return;
+        }
+        
+        this.paymentUI.querySelector('#pos-payment-success span').textContent = this.pos.t(held ? 'payment.heldForReview' : 'payment.success');
         this.showPaymentStatus('success');
         
+        // Paid stock is sold now, not when the success message closes; a held order keeps its
+        // stock too, and cancelling it puts the stock back
+        this.pos.commitReservations();
+        
         setTimeout(() => {
             this.hidePaymentModal();
             this.pos.clearCart();
-            this.pos.showNotification('Payment successful! Order completed.', 'success');
+            this.pos.showNotification(this.pos.t(held ? 'payment.heldForReview' : 'payment.completed'), 'success');
             
             // Emit custom event
-            this.pos.emit('pos:payment-success', {
+            this.pos.emit(held ? 'pos:payment-pending' : 'pos:payment-success', {
                 result,
+                orderId: order.id,
                 transaction: this.transactions.get(result.id)
             });
         }, 2000);
@@ -1024,7 +2921,7 @@ class POSPaymentManager {
         
         if (status === 'loading') {
             formElements.forEach(el => el.disabled = true);
-        } else if (status === 'error') {
+        } else if (status === 'error' || status === 'idle') {
             formElements.forEach(el => el.disabled = false);
             submitBtn.disabled = false;
         }
@@ -1048,6 +2945,7 @@ class POSPaymentManager {
         this.paymentUI.querySelectorAll('.pos-loading, .pos-success, .pos-error').forEach(el => {
             el.style.display = 'none';
         });
+        this.paymentUI.querySelector('#pos-payment-success span').textContent = this.pos.t('payment.success');
         
         // Re-enable form elements
         this.paymentUI.querySelectorAll('input, button').forEach(el => {
@@ -1066,51 +2964,297 @@ class POSPaymentManager {
     
     /**
      * Get transaction by ID
+     * Transactions from earlier sessions, such as those the admin captures, are read from storage.
      */
     getTransaction(transactionId) {
+        if (!this.transactions.has(transactionId)) {
+            const stored = this.pos.readRecord('transaction', []).find(transaction => transaction.id === transactionId);
+            if (stored) {
+                this.transactions.set(stored.id, stored);
+            }
+        }
+        
         return this.transactions.get(transactionId);
     }
     
     /**
-     * Refund a transaction
+     * Processor a transaction was paid with, or null when it is not registered on this page
      */
-    async refundTransaction(transactionId, amount = null) {
+    getTransactionProcessor(transaction) {
+        // Transactions record the processor class name; older ones have no processorType
+        return this.processors.get(transaction.processorType)
+            || Array.from(this.processors.values()).find(candidate => candidate.constructor.name === transaction.processor)
+            || null;
+    }
+    
+    /**
+     * State of a transaction's card authorization: authorized (can be captured or voided), expired,
+     * captured or voided; null for payments that were charged at checkout
+     */
+    getAuthorizationStatus(transaction) {
+        const authorization = transaction ? transaction.authorization : null;
+        if (!authorization) {
+            return null;
+        }
+        if (authorization.capturedAt) {
+            return 'captured';
+        }
+        if (authorization.voidedAt) {
+            return 'voided';
+        }
+        
+        return new Date(authorization.expiresAt) > new Date() ? 'authorized' : 'expired';
+    }
+    
+    /**
+     * Transaction and processor for a capture or void; throws unless the authorization is still open
+     */
+    getOpenAuthorization(transactionId) {
         const transaction = this.getTransaction(transactionId);
         if (!transaction) {
             throw new Error('Transaction not found');
         }
         
-        const processor = this.processors.get(transaction.processor);
+        const status = this.getAuthorizationStatus(transaction);
+        if (status === 'expired') {
+            throw new Error(`The authorization for transaction ${transactionId} expired on ${this.pos.i18n.formatDateTime(transaction.authorization.expiresAt)}`);
+        }
+        if (status !== 'authorized') {
+            throw new Error(`Transaction ${transactionId} has no open authorization`);
+        }
+        
+        const processor = this.getTransactionProcessor(transaction);
         if (!processor) {
-            throw new Error('Payment processor not available for refund');
+            throw new Error('Payment processor not available for this authorization');
+        }
+        
+        return { transaction, processor };
+    }
+    
+    /**
+     * Capture an authorized transaction; amount (up to the authorized amount) defaults to all of it
+     * Its order becomes paid, and the transaction amount becomes what was charged.
+     */
+    async captureTransaction(transactionId, amount = null, { actor = 'system' } = {}) {
+        const { transaction, processor } = this.getOpenAuthorization(transactionId);
+        const authorization = transaction.authorization;
+        const authorized = Money.fromMinor(authorization.amountMinor, authorization.currency);
+        const capture = amount === null ? authorized : Money.from(amount, authorized.currency);
+        
+        if (capture.currency !== authorized.currency || capture.amount <= 0 || capture.amount > authorized.amount) {
+            throw new Error(`Capture amount must be more than zero and no more than ${this.formatSettlementAmount(authorized)}`);
         }
         
         try {
-            const refundResult = await processor.refundPayment(transactionId, amount);
+            // Keyed by the amount: retrying the same capture is safe, a corrected amount is a new request
+            const result = await processor.capturePayment(transactionId, capture, {
+                idempotencyKey: `${transactionId}-capture-${capture.amount}`
+            });
+            
+            // What a partial capture leaves uncharged is released, so it is no longer part of the payment
+            const charged = Money.fromMinor(transaction.amountMinor, transaction.currency).subtract(authorized).add(capture);
+            const payment = (transaction.tenders || []).find(tender => tender.paymentId === transactionId);
+            transaction.status = 'succeeded';
+            transaction.amount = charged.toMajor();
+            transaction.amountMinor = charged.amount;
+            if (payment) {
+                Object.assign(payment, { amount: capture.toMajor(), amountMinor: capture.amount, status: 'succeeded' });
+            }
+            Object.assign(authorization, {
+                captureId: result.id || transactionId,
+                capturedAmount: capture.toMajor(),
+                capturedMinor: capture.amount,
+                capturedAt: new Date().toISOString()
+            });
+            this.saveTransaction(transaction);
             
-            // Update transaction record
-            transaction.refunds = transaction.refunds || [];
-            transaction.refunds.push({
-                id: refundResult.id,
-                amount: amount || transaction.amount,
-                timestamp: new Date().toISOString()
+            const note = capture.equals(authorized) ? null : this.pos.t('payment.capturedPartial', {
+                amount: this.formatSettlementAmount(capture),
+                authorized: this.formatSettlementAmount(authorized)
             });
+            this.updateAuthorizedOrder(transaction.orderId, 'paid', actor, note);
             
-            this.logger.info('Refund processed', {
+            this.logger.info('Authorization captured', { transactionId, amount: capture.toMajor() });
+            this.pos.emit('pos:payment-captured', { transactionId, orderId: transaction.orderId, amount: capture.toMajor() });
+            
+            return result;
+        } catch (error) {
+            this.logger.error('Capture failed', {
                 transactionId,
-                refundId: refundResult.id,
-                amount: amount || transaction.amount
+                error: error.message
+            });
+            throw error;
+        }
+    }
+    
+    /**
+     * Release an authorized transaction without charging it; its order is cancelled
+     */
+    async voidTransaction(transactionId, { actor = 'system' } = {}) {
+        const { transaction, processor } = this.getOpenAuthorization(transactionId);
+        
+        try {
+            const result = await processor.voidAuthorization(transactionId, {
+                idempotencyKey: `${transactionId}-void`
             });
             
-            return refundResult;
+            transaction.status = 'canceled';
+            transaction.authorization.voidedAt = new Date().toISOString();
+            this.saveTransaction(transaction);
+            
+            this.updateAuthorizedOrder(transaction.orderId, 'cancelled', actor);
+            
+            this.logger.info('Authorization voided', { transactionId });
+            this.pos.emit('pos:payment-voided', { transactionId, orderId: transaction.orderId });
+            
+            return result;
         } catch (error) {
-            this.logger.error('Refund failed', {
+            this.logger.error('Void failed', {
                 transactionId,
                 error: error.message
             });
             throw error;
         }
     }
+    
+    /**
+     * Move an authorized order on once its payment is captured or voided
+     */
+    updateAuthorizedOrder(orderId, status, actor, note = null) {
+        const lifecycle = this.pos.orderLifecycle;
+        const order = orderId ? this.pos.getOrders().find(candidate => candidate.id === orderId) : null;
+        
+        if (lifecycle && order && lifecycle.canTransition(order, status)) {
+            lifecycle.transition(orderId, status, { actor, note });
+        }
+    }
+    
+    /**
+     * Payments a transaction was made with: its tenders, or the transaction itself when recorded without them
+     */
+    getTransactionPayments(transaction) {
+        if (transaction.tenders && transaction.tenders.length > 0) {
+            return transaction.tenders;
+        }
+        
+        return [{
+            type: transaction.processorType,
+            paymentId: transaction.id,
+            amountMinor: transaction.amountMinor,
+            currency: transaction.currency
+        }];
+    }
+    
+    /**
+     * Refund a transaction; amount defaults to everything not refunded yet
+     * Each payment of a split tender is refunded through its own processor and recorded as a refund of
+     * its own; a partial refund goes back to the most recent payments first. Refunds the processor left
+     * to the cashier are recorded with status 'requires_action' and the action to take.
+     * Returns the refunds recorded. Throws before refunding anything if a payment's processor is not
+     * available, and after recording the others if a payment could not be refunded.
+     */
+    async refundTransaction(transactionId, amount = null) {
+        const transaction = this.getTransaction(transactionId);
+        if (!transaction) {
+            throw new Error('Transaction not found');
+        }
+        
+        transaction.refunds = transaction.refunds || [];
+        const currency = transaction.currency;
+        const refundsOf = payment => transaction.refunds.filter(refund => (refund.paymentId || transaction.id) === payment.paymentId);
+        const authorization = transaction.authorization;
+        const shares = this.getTransactionPayments(transaction).map(payment => {
+            // An authorized card was only charged what was captured of it, if anything
+            const paid = authorization && payment.paymentId === transaction.id
+                ? Money.fromMinor(authorization.capturedMinor || 0, authorization.currency)
+                : Money.fromMinor(payment.amountMinor, payment.currency);
+            const refunded = Money.sum(refundsOf(payment).map(refund => refund.amountMinor !== undefined
+                ? Money.fromMinor(refund.amountMinor, refund.currency)
+                : Money.fromMajor(refund.amount, currency)), currency);
+            
+            return {
+                payment,
+                type: payment.type || transaction.processorType || transaction.processor,
+                refundable: refunded.amount < paid.amount ? paid.subtract(refunded) : Money.zero(currency),
+                // Transactions recorded before tenders were kept name their processor instead
+                processor: this.processors.get(payment.type)
+                    || (payment.paymentId === transaction.id ? this.getTransactionProcessor(transaction) : null)
+            };
+        });
+        
+        const refundable = Money.sum(shares.map(share => share.refundable), currency);
+        if (['authorized', 'expired'].includes(this.getAuthorizationStatus(transaction)) && refundable.amount === 0) {
+            throw new Error(`Transaction ${transactionId} was authorized but not captured; void the authorization instead`);
+        }
+        const requested = amount === null ? refundable : Money.from(amount, currency);
+        if (requested.amount <= 0 || requested.amount > refundable.amount) {
+            throw new Error(`Refund amount must be more than zero and no more than ${this.formatSettlementAmount(refundable)}`);
+        }
+        
+        let remaining = requested;
+        const planned = [];
+        [...shares].reverse().forEach(share => {
+            const portion = share.refundable.min(remaining);
+            if (portion.amount > 0) {
+                planned.push({ ...share, amount: portion });
+                remaining = remaining.subtract(portion);
+            }
+        });
+        
+        const unavailable = planned.filter(share => !share.processor);
+        if (unavailable.length > 0) {
+            throw new Error(`Payment processor not available for refund: ${unavailable.map(share => this.getProcessorDisplayName(share.type)).join(', ')}`);
+        }
+        
+        const recorded = [];
+        const failures = [];
+        for (const { payment, type, processor, amount: portion } of planned) {
+            try {
+                // The nth refund of a payment keeps its key, so a retried request is not refunded twice
+                const refundResult = await processor.refundPayment(payment.paymentId, portion, {
+                    idempotencyKey: `${payment.paymentId}-refund-${refundsOf(payment).length + 1}`
+                });
+                
+                const refund = {
+                    id: refundResult.id,
+                    paymentId: payment.paymentId,
+                    type,
+                    amount: portion.toMajor(),
+                    amountMinor: portion.amount,
+                    currency: portion.currency,
+                    status: refundResult.status || 'succeeded',
+                    action: this.getRefundAction(refundResult, portion),
+                    timestamp: new Date().toISOString()
+                };
+                transaction.refunds.push(refund);
+                recorded.push(refund);
+                
+                this.logger.info('Refund processed', {
+                    transactionId,
+                    paymentId: payment.paymentId,
+                    refundId: refund.id,
+                    amount: refund.amount,
+                    status: refund.status
+                });
+            } catch (error) {
+                this.logger.error('Refund failed', {
+                    transactionId,
+                    paymentId: payment.paymentId,
+                    error: error.message
+                });
+                failures.push(`${this.getProcessorDisplayName(type)} ${this.formatSettlementAmount(portion)}: ${error.message}`);
+            }
+        }
+        
+        if (recorded.length > 0) {
+            this.saveTransaction(transaction);
+        }
+        if (failures.length > 0) {
+            throw new Error(`Refund failed for ${failures.join('; ')}`);
+        }
+        
+        return recorded;
+    }
 }
 
 // Auto-initialize payment system when POS is ready
@@ -1129,7 +3273,13 @@ if (typeof module !== 'undefined' && module.exports) {
         PaymentProcessor,
         StripeProcessor,
         PayPalProcessor,
+        SquareProcessor,
+        AuthorizeNetProcessor,
+        TenderProcessor,
+        CashProcessor,
+        PaymentRequestProcessor,
         ApplePayProcessor,
+        GooglePayProcessor,
         PaymentConfig
     };
 }
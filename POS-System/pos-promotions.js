@@ -0,0 +1,269 @@
+/**
+ * Universal POS Promotion Engine
+ * Coupon codes and automatic promotion rules for the Universal POS cart
+ * Version: 1.0.0
+ *
+ * Promotion definition:
+ * {
+ *     id: 'SUMMER10',
+ *     code: 'SUMMER10',            // Coupon code; promotions without a code apply automatically
+ *     label: 'Summer Sale',
+ *     type: 'percent',             // percent, fixed, buy_x_get_y
+ *     value: 10,                   // Percent off, or fixed amount off
+ *     buyQuantity: 2,              // buy_x_get_y: units to buy...
+ *     getQuantity: 1,              // ...and units discounted per group
+ *     getPercent: 100,             // buy_x_get_y: discount on the "get" units (100 = free)
+ *     minSubtotal: 50,             // Spend-over threshold for the eligible items
+ *     categories: ['clothing'],    // Limit to categories
+ *     products: ['laptop-pro'],    // Limit to product IDs
+ *     startsAt: '2026-06-01',      // Date window (inclusive)
+ *     endsAt: '2026-08-31',
+ *     exclusive: false,            // Exclusive promotions never stack with others
+ *     priority: 0                  // Higher priority is applied first
+ * }
+ */
+
+const PromotionTypes = {
+    PERCENT: 'percent',
+    FIXED: 'fixed',
+    BUY_X_GET_Y: 'buy_x_get_y'
+};
+
+class PromotionEngine {
+    constructor(options = {}) {
+        this.options = {
+            promotions: [],
+            now: () => new Date(),
+            ...options
+        };
+
+        this.promotions = [];
+        this.options.promotions.forEach(promotion => this.addPromotion(promotion));
+    }
+
+    /**
+     * Register a promotion
+     */
+    addPromotion(promotion) {
+        if (!promotion || !Object.values(PromotionTypes).includes(promotion.type)) {
+            throw new Error(`Invalid promotion type: ${promotion && promotion.type}`);
+        }
+
+        const normalized = {
+            id: promotion.id || promotion.code || `promo-${this.promotions.length + 1}`,
+            code: null,
+            label: promotion.label || promotion.code || 'Discount',
+            value: 0,
+            buyQuantity: 1,
+            getQuantity: 1,
+            getPercent: 100,
+            minSubtotal: 0,
+            categories: [],
+            products: [],
+            startsAt: null,
+            endsAt: null,
+            exclusive: false,
+            priority: 0,
+            ...promotion
+        };
+        if (normalized.code) {
+            normalized.code = String(normalized.code).toUpperCase();
+        }
+
+        this.promotions = this.promotions.filter(p => p.id !== normalized.id);
+        this.promotions.push(normalized);
+        return normalized;
+    }
+
+    /**
+     * Remove a promotion by ID
+     */
+    removePromotion(promotionId) {
+        this.promotions = this.promotions.filter(p => p.id !== promotionId);
+    }
+
+    getPromotions() {
+        return [...this.promotions];
+    }
+
+    /**
+     * Find a coupon promotion by code (case-insensitive)
+     */
+    findByCode(code) {
+        const normalized = String(code || '').trim().toUpperCase();
+        return this.promotions.find(p => p.code && p.code === normalized) || null;
+    }
+
+    /**
+     * Check whether a coupon code can be applied to the given cart lines
+     * Failures carry a reason (invalid, expired, notApplicable, minSubtotal) for translated messages.
+     */
+    validateCode(code, lines) {
+        const promotion = this.findByCode(code);
+        if (!promotion) {
+            return { isValid: false, reason: 'invalid', error: 'Invalid discount code' };
+        }
+
+        if (!this.isActive(promotion)) {
+            return { isValid: false, reason: 'expired', error: 'This discount code has expired' };
+        }
+
+        const eligibleLines = this.getEligibleLines(promotion, lines);
+        if (eligibleLines.length === 0) {
+            return { isValid: false, reason: 'notApplicable', error: 'This code does not apply to any items in your cart' };
+        }
+
+        const eligibleSubtotal = this.sumLines(eligibleLines);
+        if (eligibleSubtotal < promotion.minSubtotal) {
+            return {
+                isValid: false,
+                reason: 'minSubtotal',
+                minSubtotal: promotion.minSubtotal,
+                error: `Spend ${promotion.minSubtotal.toFixed(2)} or more to use this code`
+            };
+        }
+
+        return { isValid: true, promotion };
+    }
+
+    /**
+     * Check the promotion date window
+     */
+    isActive(promotion) {
+        const now = this.options.now();
+
+        if (promotion.startsAt && now < new Date(promotion.startsAt)) {
+            return false;
+        }
+        if (promotion.endsAt) {
+            const endsAt = new Date(promotion.endsAt);
+            // Date-only end dates include the whole day
+            if (/^\d{4}-\d{2}-\d{2}$/.test(promotion.endsAt)) {
+                endsAt.setHours(23, 59, 59, 999);
+            }
+            if (now > endsAt) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Cart lines a promotion applies to
+     */
+    getEligibleLines(promotion, lines) {
+        return lines.filter(line => {
+            if (promotion.products.length > 0 && !promotion.products.includes(line.id)) {
+                return false;
+            }
+            if (promotion.categories.length > 0 && !promotion.categories.includes(line.category)) {
+                return false;
+            }
+            return true;
+        });
+    }
+
+    sumLines(lines) {
+        return lines.reduce((sum, line) => sum + (line.price * line.quantity), 0);
+    }
+
+    /**
+     * Calculate the discount a single promotion gives on the cart
+     */
+    calculateDiscount(promotion, lines) {
+        const eligibleLines = this.getEligibleLines(promotion, lines);
+        const eligibleSubtotal = this.sumLines(eligibleLines);
+
+        if (eligibleLines.length === 0 || eligibleSubtotal < promotion.minSubtotal) {
+            return 0;
+        }
+
+        let amount = 0;
+        switch (promotion.type) {
+            case PromotionTypes.PERCENT:
+                amount = eligibleSubtotal * (promotion.value / 100);
+                break;
+
+            case PromotionTypes.FIXED:
+                amount = Math.min(promotion.value, eligibleSubtotal);
+                break;
+
+            case PromotionTypes.BUY_X_GET_Y: {
+                // Expand to single units, most expensive first, so the cheapest unit
+                // of every "buy X get Y" group is the one discounted
+                const units = [];
+                eligibleLines.forEach(line => {
+                    for (let i = 0; i < line.quantity; i++) {
+                        units.push(line.price);
+                    }
+                });
+                units.sort((a, b) => b - a);
+
+                const groupSize = promotion.buyQuantity + promotion.getQuantity;
+                for (let start = 0; start + groupSize <= units.length; start += groupSize) {
+                    const group = units.slice(start, start + groupSize);
+                    group.slice(promotion.buyQuantity).forEach(price => {
+                        amount += price * (promotion.getPercent / 100);
+                    });
+                }
+                break;
+            }
+        }
+
+        return Math.round(amount * 100) / 100;
+    }
+
+    /**
+     * Calculate all discounts for the cart
+     * Automatic promotions always apply; coupon promotions apply when their code is given.
+     * Stackable promotions combine; an exclusive promotion is used on its own when it beats them.
+     */
+    calculate(lines, codes = []) {
+        const appliedCodes = codes.map(code => String(code).toUpperCase());
+        const candidates = this.promotions
+            .filter(promotion => !promotion.code || appliedCodes.includes(promotion.code))
+            .filter(promotion => this.isActive(promotion))
+            .sort((a, b) => b.priority - a.priority);
+
+        const evaluated = candidates
+            .map(promotion => ({
+                id: promotion.id,
+                code: promotion.code,
+                label: promotion.label,
+                exclusive: promotion.exclusive,
+                amount: this.calculateDiscount(promotion, lines)
+            }))
+            .filter(discount => discount.amount > 0);
+
+        const stackable = evaluated.filter(discount => !discount.exclusive);
+        const stackableTotal = stackable.reduce((sum, discount) => sum + discount.amount, 0);
+        const bestExclusive = evaluated
+            .filter(discount => discount.exclusive)
+            .reduce((best, discount) => (!best || discount.amount > best.amount ? discount : best), null);
+
+        let discounts = stackable;
+        if (bestExclusive && bestExclusive.amount > stackableTotal) {
+            discounts = [bestExclusive];
+        }
+
+        // Never discount more than the cart is worth
+        const subtotal = this.sumLines(lines);
+        let remaining = subtotal;
+        discounts = discounts.map(({ exclusive, ...discount }) => {
+            const amount = Math.min(discount.amount, remaining);
+            remaining -= amount;
+            return { ...discount, amount: Math.round(amount * 100) / 100 };
+        }).filter(discount => discount.amount > 0);
+
+        return {
+            discounts,
+            total: Math.round(discounts.reduce((sum, discount) => sum + discount.amount, 0) * 100) / 100
+        };
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PromotionEngine, PromotionTypes };
+}
@@ -0,0 +1,156 @@
+/**
+ * Universal POS Storage Adapters
+ * IndexedDB and remote (REST) storage backends for large catalogs and order histories
+ * Version: 1.0.0
+ *
+ * Usage:
+ * new UniversalPOS({
+ *     storage: new IndexedDBAdapter({ databaseName: 'universal-pos' })
+ * });
+ *
+ * new UniversalPOS({
+ *     storage: new RemoteStorageAdapter({
+ *         endpoint: 'https://api.example.com/pos/storage',   // GET/PUT/DELETE {endpoint}/{key}
+ *         headers: { Authorization: 'Bearer ...' }
+ *     })
+ * });
+ *
+ * Both adapters are asynchronous: the POS reads every key into memory before it initializes
+ * and writes changes through in the background. LocalStorageAdapter (in pos-system.js) stays
+ * the default.
+ */
+
+class IndexedDBAdapter {
+    constructor(options = {}) {
+        this.options = {
+            databaseName: 'universal-pos',
+            storeName: 'state',
+            version: 1,
+            ...options
+        };
+
+        this.synchronous = false;
+        this.database = null;
+    }
+
+    /**
+     * Open the database once, creating the key-value store on first use
+     */
+    open() {
+        if (this.database) {
+            return this.database;
+        }
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('IndexedDB is not available'));
+        }
+
+        this.database = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.options.databaseName, this.options.version);
+
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(this.options.storeName)) {
+                    request.result.createObjectStore(this.options.storeName);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                this.database = null;
+                reject(request.error);
+            };
+        });
+
+        return this.database;
+    }
+
+    /**
+     * Run one request in its own transaction
+     */
+    request(mode, operation) {
+        return this.open().then(database => new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.options.storeName, mode);
+            const request = operation(transaction.objectStore(this.options.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        }));
+    }
+
+    getItem(key) {
+        return this.request('readonly', store => store.get(key))
+            .then(value => value === undefined ? null : value);
+    }
+
+    setItem(key, value) {
+        return this.request('readwrite', store => store.put(value, key));
+    }
+
+    removeItem(key) {
+        return this.request('readwrite', store => store.delete(key));
+    }
+}
+
+class RemoteStorageAdapter {
+    constructor(options = {}) {
+        this.options = {
+            endpoint: null,
+            headers: {},
+            credentials: 'same-origin',
+            ...options
+        };
+
+        if (!this.options.endpoint) {
+            throw new Error('RemoteStorageAdapter requires an endpoint');
+        }
+
+        this.synchronous = false;
+    }
+
+    getUrl(key) {
+        return `${this.options.endpoint.replace(/\/$/, '')}/${encodeURIComponent(key)}`;
+    }
+
+    /**
+     * Send a request; a 404 on read means the key has never been stored
+     */
+    async request(method, key, value) {
+        const init = {
+            method,
+            credentials: this.options.credentials,
+            headers: { ...this.options.headers }
+        };
+
+        if (value !== undefined) {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(value);
+        }
+
+        const response = await fetch(this.getUrl(key), init);
+
+        if (method === 'GET' && response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`Storage request failed: ${method} ${key} (${response.status})`);
+        }
+
+        return method === 'GET' ? response.json() : null;
+    }
+
+    getItem(key) {
+        return this.request('GET', key);
+    }
+
+    setItem(key, value) {
+        return this.request('PUT', key, value);
+    }
+
+    removeItem(key) {
+        return this.request('DELETE', key);
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IndexedDBAdapter, RemoteStorageAdapter };
+}
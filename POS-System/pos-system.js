@@ -2,617 +2,3265 @@
  * Universal Point of Sale System
  * A website-agnostic POS system that works with HTML data attributes
  * Version: 1.0.0
+ *
+ * Requires pos-i18n.js and pos-html.js, loaded before this file. Markup is built with
+ * POSHtml.html, so product, customer and order data are always inserted as text.
  */
 
-class UniversalPOS {
-    constructor(options = {}) {
-        this.options = {
-            cartStorageKey: 'universal-pos-cart',
-            inventoryStorageKey: 'universal-pos-inventory',
-            apiEndpoint: null,
-            currency: '$',
-            taxRate: 0,
-            shippingCost: 0,
-            autoInit: true,
-            notifications: true,
-            ...options
-        };
+/**
+ * Money value held as an integer count of minor units (cents, pence, yen) in an ISO currency
+ * Arithmetic stays in integers so totals never drift; convert to major units only for display.
+ */
+class Money {
+    constructor(amount, currency = 'USD') {
+        if (!Number.isInteger(amount)) {
+            throw new Error(`Money amount must be an integer number of minor units, got ${amount}`);
+        }
 
-        this.cart = [];
-        this.inventory = {};
-        this.products = [];
-        this.isInitialized = false;
+        this.amount = amount;
+        this.currency = String(currency).toUpperCase();
+        Object.freeze(this);
+    }
 
-        if (this.options.autoInit) {
-            this.init();
-        }
+    /**
+     * Number of decimals in a currency's minor unit (ISO 4217)
+     */
+    static decimalsFor(currency) {
+        const code = String(currency).toUpperCase();
+        if (Money.ZERO_DECIMAL.includes(code)) return 0;
+        if (Money.THREE_DECIMAL.includes(code)) return 3;
+        return 2;
     }
 
     /**
-     * Initialize the POS system
+     * Create from a major-unit amount such as 12.34, rounding half away from zero
      */
-    init() {
-        if (this.isInitialized) return;
+    static fromMajor(amount, currency = 'USD') {
+        const scaled = Number(amount) * Math.pow(10, Money.decimalsFor(currency));
+        if (!isFinite(scaled)) {
+            throw new Error(`Invalid money amount: ${amount}`);
+        }
 
-        this.loadStoredData();
-        this.scanProducts();
-        this.createCartUI();
-        this.bindEvents();
-        this.updateCartDisplay();
-        this.isInitialized = true;
+        // toFixed absorbs binary float error (1.005 * 100 = 100.49999...) before rounding
+        const minor = Math.sign(scaled) * Math.round(Math.abs(Number(scaled.toFixed(6))));
+        return new Money(minor || 0, currency);
+    }
 
-        this.emit('pos:initialized');
+    static fromMinor(amount, currency = 'USD') {
+        return new Money(amount, currency);
     }
 
     /**
-     * Load cart and inventory data from localStorage
+     * Accept a Money instance as-is, or a major-unit number in the given currency
      */
-    loadStoredData() {
-        try {
-            const storedCart = localStorage.getItem(this.options.cartStorageKey);
-            const storedInventory = localStorage.getItem(this.options.inventoryStorageKey);
+    static from(value, currency = 'USD') {
+        return value instanceof Money ? value : Money.fromMajor(value, currency);
+    }
 
-            if (storedCart) {
-                this.cart = JSON.parse(storedCart);
-            }
-            if (storedInventory) {
-                this.inventory = JSON.parse(storedInventory);
-            }
-        } catch (error) {
-            console.warn('Universal POS: Error loading stored data', error);
+    static fromJSON(json) {
+        return new Money(json.amount, json.currency);
+    }
+
+    static zero(currency = 'USD') {
+        return new Money(0, currency);
+    }
+
+    static sum(values, currency = 'USD') {
+        return values.reduce((total, value) => total.add(value), Money.zero(currency));
+    }
+
+    assertSameCurrency(other) {
+        if (!(other instanceof Money)) {
+            throw new Error('Expected a Money value');
+        }
+        if (other.currency !== this.currency) {
+            throw new Error(`Currency mismatch: ${this.currency} and ${other.currency}`);
         }
     }
 
+    add(other) {
+        this.assertSameCurrency(other);
+        return new Money(this.amount + other.amount, this.currency);
+    }
+
+    subtract(other) {
+        this.assertSameCurrency(other);
+        return new Money(this.amount - other.amount, this.currency);
+    }
+
     /**
-     * Save data to localStorage
+     * Multiply by a quantity or rate, rounding half away from zero
      */
-    saveData() {
-        try {
-            localStorage.setItem(this.options.cartStorageKey, JSON.stringify(this.cart));
-            localStorage.setItem(this.options.inventoryStorageKey, JSON.stringify(this.inventory));
-        } catch (error) {
-            console.warn('Universal POS: Error saving data', error);
-        }
+    multiply(factor) {
+        const scaled = this.amount * factor;
+        const minor = Math.sign(scaled) * Math.round(Math.abs(Number(scaled.toFixed(6))));
+        return new Money(minor || 0, this.currency);
     }
 
     /**
-     * Scan the DOM for products with POS attributes
+     * Split into parts proportional to the given weights; the parts always add up to the original
+     * Leftover minor units go to the parts with the largest remainders.
      */
-    scanProducts() {
-        const productElements = document.querySelectorAll('[data-pos-product]');
-        this.products = [];
+    allocate(weights) {
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        if (totalWeight <= 0) {
+            return weights.map(() => Money.zero(this.currency));
+        }
 
-        productElements.forEach(element => {
-            const product = this.parseProductElement(element);
-            if (product) {
-                this.products.push(product);
-                this.initializeInventory(product);
-                this.enhanceProductElement(element, product);
-            }
-        });
+        const shares = weights.map(weight => (this.amount * weight) / totalWeight);
+        const parts = shares.map(share => Math.floor(share));
+        let remainder = this.amount - parts.reduce((sum, part) => sum + part, 0);
+
+        shares
+            .map((share, index) => ({ index, fraction: share - Math.floor(share) }))
+            .sort((a, b) => b.fraction - a.fraction)
+            .forEach(({ index }) => {
+                if (remainder > 0) {
+                    parts[index]++;
+                    remainder--;
+                }
+            });
 
-        this.emit('pos:products-scanned', { products: this.products });
+        return parts.map(part => new Money(part, this.currency));
+    }
+
+    min(other) {
+        this.assertSameCurrency(other);
+        return this.amount <= other.amount ? this : other;
+    }
+
+    max(other) {
+        this.assertSameCurrency(other);
+        return this.amount >= other.amount ? this : other;
+    }
+
+    equals(other) {
+        return other instanceof Money && other.currency === this.currency && other.amount === this.amount;
+    }
+
+    isZero() {
+        return this.amount === 0;
+    }
+
+    isNegative() {
+        return this.amount < 0;
     }
 
     /**
-     * Parse product data from HTML element
+     * Major-unit number, e.g. 1234 cents -> 12.34
      */
-    parseProductElement(element) {
-        try {
-            const id = element.getAttribute('data-pos-product');
-            const name = element.getAttribute('data-pos-name') || element.textContent.trim() || `Product ${id}`;
-            const price = parseFloat(element.getAttribute('data-pos-price') || '0');
-            const inventory = parseInt(element.getAttribute('data-pos-inventory') || '999');
-            const category = element.getAttribute('data-pos-category') || 'general';
-            const description = element.getAttribute('data-pos-description') || '';
-            const image = element.getAttribute('data-pos-image') || '';
-            const sku = element.getAttribute('data-pos-sku') || id;
+    toMajor() {
+        return this.amount / Math.pow(10, Money.decimalsFor(this.currency));
+    }
 
-            if (!id || isNaN(price)) {
-                console.warn('Universal POS: Invalid product data', element);
-                return null;
-            }
+    /**
+     * Fixed-decimal string in major units, as payment APIs expect ("12.34", "1234" for JPY)
+     */
+    toDecimalString() {
+        return this.toMajor().toFixed(Money.decimalsFor(this.currency));
+    }
 
-            return {
-                id,
-                name,
-                price,
-                inventory,
-                category,
-                description,
-                image,
-                sku,
-                element
-            };
-        } catch (error) {
-            console.warn('Universal POS: Error parsing product element', error);
+    format(symbol = '') {
+        const sign = this.isNegative() ? '-' : '';
+        return `${sign}${symbol}${Math.abs(this.toMajor()).toFixed(Money.decimalsFor(this.currency))}`;
+    }
+
+    toJSON() {
+        return { amount: this.amount, currency: this.currency };
+    }
+
+    toString() {
+        return `${this.toDecimalString()} ${this.currency}`;
+    }
+}
+
+Money.ZERO_DECIMAL = ['BIF', 'CLP', 'DJF', 'GNF', 'ISK', 'JPY', 'KMF', 'KRW', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'];
+Money.THREE_DECIMAL = ['BHD', 'IQD', 'JOD', 'KWD', 'LYD', 'OMR', 'TND'];
+
+/**
+ * Default storage backend: synchronous, JSON-encoded localStorage
+ *
+ * Storage adapters implement getItem(key), setItem(key, value) and removeItem(key) over
+ * JSON-serializable values. Synchronous adapters return values directly; asynchronous ones
+ * (IndexedDBAdapter and RemoteStorageAdapter in pos-storage.js) return promises.
+ */
+class LocalStorageAdapter {
+    constructor() {
+        this.synchronous = true;
+    }
+
+    getItem(key) {
+        const stored = localStorage.getItem(key);
+        if (stored === null) {
             return null;
         }
+
+        try {
+            return JSON.parse(stored);
+        } catch (error) {
+            // Plain strings saved before values were JSON-encoded
+            return stored;
+        }
+    }
+
+    setItem(key, value) {
+        localStorage.setItem(key, JSON.stringify(value));
+    }
+
+    removeItem(key) {
+        localStorage.removeItem(key);
+    }
+}
+
+/**
+ * Synchronous view over a storage adapter
+ * Asynchronous backends are read into memory by load() and written through in the background,
+ * one write at a time per key, so the POS can keep reading and writing synchronously.
+ */
+class POSStorage {
+    constructor(adapter = new LocalStorageAdapter()) {
+        this.adapter = adapter;
+        this.synchronous = !!adapter.synchronous;
+        this.cache = new Map();
+        this.writes = new Map();
+        this.loaded = this.synchronous;
+        this.loading = null;
+    }
+
+    isReady() {
+        return this.loaded;
     }
 
     /**
-     * Initialize inventory for a product
+     * Read keys from an asynchronous backend into memory (again, after another tab changed them)
      */
-    initializeInventory(product) {
-        if (!(product.id in this.inventory)) {
-            this.inventory[product.id] = product.inventory;
+    load(keys) {
+        if (this.synchronous) {
+            return Promise.resolve();
         }
+        if (this.loading) {
+            return this.loading;
+        }
+
+        this.loading = Promise.all(keys.map(key =>
+            Promise.resolve(this.adapter.getItem(key)).then(value => {
+                if (value === null || value === undefined) {
+                    this.cache.delete(key);
+                } else {
+                    this.cache.set(key, value);
+                }
+            })
+        )).then(() => {
+            this.loaded = true;
+            this.loading = null;
+        }, error => {
+            this.loading = null;
+            throw error;
+        });
+
+        return this.loading;
+    }
+
+    get(key, fallback = null) {
+        const value = this.synchronous ? this.adapter.getItem(key) : this.cache.get(key);
+        return value === null || value === undefined ? fallback : value;
     }
 
     /**
-     * Enhance product element with POS functionality
+     * Store a value; resolves once the backend has it
      */
-    enhanceProductElement(element, product) {
-        // Add CSS class for styling
-        element.classList.add('pos-product');
-
-        // Create or find add to cart button
-        let addButton = element.querySelector('.pos-add-to-cart');
-        if (!addButton) {
-            addButton = document.createElement('button');
-            addButton.className = 'pos-add-to-cart';
-            addButton.textContent = 'Add to Cart';
-            element.appendChild(addButton);
+    set(key, value) {
+        if (this.synchronous) {
+            this.adapter.setItem(key, value);
+            return Promise.resolve();
         }
 
-        // Create quantity input if it doesn't exist
-        let quantityInput = element.querySelector('.pos-quantity');
-        if (!quantityInput) {
-            quantityInput = document.createElement('input');
-            quantityInput.type = 'number';
-            quantityInput.className = 'pos-quantity';
-            quantityInput.min = '1';
-            quantityInput.value = '1';
-            element.insertBefore(quantityInput, addButton);
-        }
+        this.cache.set(key, value);
+        return this.enqueue(key, () => this.adapter.setItem(key, value));
+    }
 
-        // Create stock display
-        let stockDisplay = element.querySelector('.pos-stock');
-        if (!stockDisplay) {
-            stockDisplay = document.createElement('span');
-            stockDisplay.className = 'pos-stock';
-            element.appendChild(stockDisplay);
+    remove(key) {
+        if (this.synchronous) {
+            this.adapter.removeItem(key);
+            return Promise.resolve();
         }
 
-        this.updateStockDisplay(product.id);
-        this.updateAddButton(product.id);
+        this.cache.delete(key);
+        return this.enqueue(key, () => this.adapter.removeItem(key));
+    }
 
-        // Bind events
-        addButton.addEventListener('click', (e) => {
-            e.preventDefault();
-            const quantity = parseInt(quantityInput.value) || 1;
-            this.addToCart(product.id, quantity);
+    enqueue(key, write) {
+        const previous = this.writes.get(key) || Promise.resolve();
+        const next = previous.then(write).catch(error => {
+            console.warn(`Universal POS: Error saving ${key}`, error);
         });
 
-        quantityInput.addEventListener('change', () => {
-            this.updateAddButton(product.id);
-        });
+        this.writes.set(key, next);
+        return next;
+    }
+}
+
+/**
+ * Versioned schemas for persisted data
+ * Records are stored as { schemaVersion, data }. Data saved before versioning is version 0.
+ * Each migration upgrades the data from the previous version; they run in order on read.
+ */
+class SchemaMigrations {
+    constructor() {
+        this.migrations = {};
+
+        // Version 1: shapes in use when versioning was introduced
+        this.register('cart', 1, lines => (Array.isArray(lines) ? lines : [])
+            .filter(line => line && line.id)
+            .map(line => ({
+                variantId: null,
+                options: null,
+                category: null,
+                taxClass: null,
+                weight: 0,
+                dimensions: null,
+                requiresShipping: true,
+                sku: null,
+                image: null,
+                ...line,
+                key: line.key || line.id,
+                name: line.name || String(line.id),
+                price: parseFloat(line.price) || 0,
+                quantity: Math.max(1, parseInt(line.quantity, 10) || 1)
+            })));
+
+        this.register('inventory', 1, inventory => Object.fromEntries(
+            Object.entries(inventory || {}).map(([key, stock]) => [key, Math.max(0, parseInt(stock, 10) || 0)])
+        ));
+
+        this.register('order', 1, (orders, context) => (Array.isArray(orders) ? orders : []).map(order => ({
+            status: 'completed',
+            timestamp: null,
+            cart: [],
+            ...order,
+            id: String(order.id),
+            totals: { currency: context.currencyCode, ...(order.totals || {}) }
+        })));
+
+        // Version 2: lifecycle statuses with a history of changes
+        this.register('order', 2, orders => orders.map(order => {
+            const statuses = { pending: 'placed', completed: 'paid' };
+            const status = statuses[order.status] || order.status;
+            return {
+                ...order,
+                status,
+                history: order.history || [
+                    { from: null, to: status, at: order.timestamp, actor: 'system', note: `Recorded before status history (was "${order.status}")` }
+                ]
+            };
+        }));
+
+        this.register('transaction', 1, (transactions, context) => (Array.isArray(transactions) ? transactions : []).map(transaction => {
+            const currency = (transaction.currency || context.currencyCode).toUpperCase();
+            return {
+                ...transaction,
+                currency,
+                amountMinor: transaction.amountMinor !== undefined
+                    ? transaction.amountMinor
+                    : Money.fromMajor(transaction.amount || 0, currency).amount
+            };
+        }));
+
+        this.register('settings', 1, settings => ({ ...(settings || {}) }));
+
+        this.register('queue', 1, entries => (Array.isArray(entries) ? entries : []));
+
+        this.register('customer', 1, customers => (Array.isArray(customers) ? customers : [])
+            .filter(customer => customer && customer.id && customer.email)
+            .map(customer => ({
+                name: null,
+                phone: null,
+                createdAt: null,
+                updatedAt: null,
+                ...customer,
+                email: String(customer.email).trim().toLowerCase(),
+                addresses: Array.isArray(customer.addresses) ? customer.addresses : [],
+                notes: Array.isArray(customer.notes) ? customer.notes : []
+            })));
     }
 
     /**
-     * Update stock display for a product
+     * Register the migration that upgrades a record type to the given version
      */
-    updateStockDisplay(productId) {
-        const product = this.products.find(p => p.id === productId);
-        if (!product) return;
-
-        const stockDisplay = product.element.querySelector('.pos-stock');
-        if (stockDisplay) {
-            const stock = this.inventory[productId] || 0;
-            stockDisplay.textContent = `Stock: ${stock}`;
-            stockDisplay.className = `pos-stock ${stock === 0 ? 'pos-out-of-stock' : stock < 5 ? 'pos-low-stock' : ''}`;
+    register(type, version, migrate) {
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`Invalid schema version for ${type}: ${version}`);
         }
+
+        this.migrations[type] = (this.migrations[type] || [])
+            .filter(migration => migration.version !== version)
+            .concat({ version, migrate })
+            .sort((a, b) => a.version - b.version);
+    }
+
+    getVersion(type) {
+        const migrations = this.migrations[type] || [];
+        return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+    }
+
+    getVersions() {
+        return Object.fromEntries(Object.keys(this.migrations).map(type => [type, this.getVersion(type)]));
+    }
+
+    isVersioned(stored) {
+        return !!stored && typeof stored === 'object' && !Array.isArray(stored) &&
+            Number.isInteger(stored.schemaVersion) && 'data' in stored;
     }
 
     /**
-     * Update add to cart button state
+     * Version a stored record was written with
      */
-    updateAddButton(productId) {
-        const product = this.products.find(p => p.id === productId);
-        if (!product) return;
+    versionOf(stored) {
+        return this.isVersioned(stored) ? stored.schemaVersion : 0;
+    }
 
-        const addButton = product.element.querySelector('.pos-add-to-cart');
-        const quantityInput = product.element.querySelector('.pos-quantity');
-        
-        if (addButton && quantityInput) {
-            const requestedQuantity = parseInt(quantityInput.value) || 1;
-            const availableStock = this.inventory[productId] || 0;
-            const isAvailable = availableStock >= requestedQuantity;
+    wrap(type, data) {
+        return { schemaVersion: this.getVersion(type), data };
+    }
 
-            addButton.disabled = !isAvailable;
-            addButton.textContent = isAvailable ? 'Add to Cart' : 'Out of Stock';
-            
-            // Update max quantity
-            quantityInput.max = availableStock;
-            if (requestedQuantity > availableStock) {
-                quantityInput.value = availableStock;
-            }
+    /**
+     * Unwrap a stored record and bring it up to the current version
+     */
+    upgrade(type, stored, context = {}) {
+        if (this.isVersioned(stored)) {
+            return this.migrate(type, stored.data, stored.schemaVersion, context);
         }
+        return this.migrate(type, stored, 0, context);
     }
 
     /**
-     * Add item to cart
+     * Run the migrations after fromVersion, in order
      */
-    addToCart(productId, quantity = 1) {
-        const product = this.products.find(p => p.id === productId);
-        if (!product) {
-            this.showNotification('Product not found', 'error');
-            return false;
+    migrate(type, data, fromVersion = 0, context = {}) {
+        const current = this.getVersion(type);
+        if (fromVersion > current) {
+            console.warn(`Universal POS: ${type} data has schema version ${fromVersion}, newer than ${current}; loading it unchanged`);
+            return data;
         }
 
-        const availableStock = this.inventory[productId] || 0;
-        if (availableStock < quantity) {
-            this.showNotification('Insufficient stock', 'error');
-            return false;
-        }
+        return (this.migrations[type] || [])
+            .filter(migration => migration.version > fromVersion)
+            .reduce((upgraded, migration) => migration.migrate(upgraded, context), data);
+    }
+}
 
-        // Check if item already in cart
-        const existingItem = this.cart.find(item => item.id === productId);
-        if (existingItem) {
-            const totalQuantity = existingItem.quantity + quantity;
-            if (availableStock < totalQuantity) {
-                this.showNotification('Not enough stock for requested quantity', 'error');
-                return false;
-            }
-            existingItem.quantity = totalQuantity;
-        } else {
-            this.cart.push({
-                id: productId,
+/**
+ * Accessible modal dialog
+ * Focus moves into the dialog and stays there (Tab and Shift+Tab wrap around), Escape dismisses it,
+ * and focus goes back to where it was when the dialog closes. open() resolves with the value of
+ * the action that closed the dialog, or null when it was dismissed.
+ */
+let posDialogCount = 0;
+
+class POSDialog {
+    constructor(options = {}) {
+        this.options = {
+            title: '',
+            className: '',
+            content: '',                      // Body markup: POSHtml.html`...`; plain strings are trusted as HTML
+            actions: [],                      // Footer buttons: [{ label, value, primary }]
+            dismissible: true,
+            closeLabel: 'Close',
+            lang: null,
+            dir: null,                        // "rtl" for right-to-left languages
+            onClose: null,                    // Called with the closing value before open() resolves
+            ...options
+        };
+
+        this.element = null;
+        this.previousFocus = null;
+        this.resolve = null;
+        this.titleId = `pos-dialog-title-${++posDialogCount}`;
+    }
+
+    isOpen() {
+        return this.element !== null;
+    }
+
+    open() {
+        const { title, className, content, actions, dismissible, closeLabel, lang, dir } = this.options;
+
+        this.previousFocus = document.activeElement;
+        this.element = document.createElement('div');
+        this.element.className = `pos-dialog ${className}`.trim();
+        if (lang) this.element.setAttribute('lang', lang);
+        if (dir) this.element.setAttribute('dir', dir);
+        const { html } = POSHtml;
+        this.element.innerHTML = html`
+            <div class="pos-dialog-overlay"></div>
+            <div class="pos-dialog-panel" role="dialog" aria-modal="true" aria-labelledby="${this.titleId}">
+                <div class="pos-dialog-header">
+                    <h2 id="${this.titleId}">${title}</h2>
+                    ${dismissible ? html`<button type="button" class="pos-dialog-close" aria-label="${closeLabel}">&times;</button>` : ''}
+                </div>
+                <div class="pos-dialog-body">${POSHtml.raw(content)}</div>
+                ${actions.length > 0 ? html`
+                    <div class="pos-dialog-actions">
+                        ${actions.map((action, index) => html`
+                            <button type="button" class="pos-dialog-action${action.primary ? ' pos-dialog-primary' : ''}" data-action-index="${index}">${action.label}</button>
+                        `)}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+
+        this.element.addEventListener('click', (e) => {
+            if (e.target.matches('.pos-dialog-overlay, .pos-dialog-close')) {
+                this.dismiss();
+                return;
+            }
+
+            const actionButton = e.target.closest('.pos-dialog-action');
+            if (actionButton) {
+                this.close(actions[actionButton.getAttribute('data-action-index')].value);
+            }
+        });
+
+        this.element.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.dismiss();
+            } else if (e.key === 'Tab') {
+                this.trapFocus(e);
+            }
+        });
+
+        document.body.appendChild(this.element);
+        this.focusFirst();
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    getBody() {
+        return this.element.querySelector('.pos-dialog-body');
+    }
+
+    setContent(html) {
+        this.getBody().innerHTML = html;
+    }
+
+    /**
+     * Focusable elements inside the dialog, in tab order
+     */
+    getFocusable() {
+        const selector = 'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+        return Array.from(this.element.querySelectorAll(selector)).filter(el => !el.closest('[hidden]'));
+    }
+
+    /**
+     * Focus the first field in the body, or else the primary action
+     */
+    focusFirst() {
+        const focusable = this.getFocusable();
+        const target = focusable.find(el => this.getBody().contains(el))
+            || this.element.querySelector('.pos-dialog-primary')
+            || focusable[0];
+        if (target) target.focus();
+    }
+
+    trapFocus(e) {
+        const focusable = this.getFocusable();
+        if (focusable.length === 0) return;
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    dismiss() {
+        if (this.options.dismissible) {
+            this.close(null);
+        }
+    }
+
+    close(value = null) {
+        if (!this.isOpen()) return;
+
+        this.element.remove();
+        this.element = null;
+
+        if (this.previousFocus && typeof this.previousFocus.focus === 'function' && document.contains(this.previousFocus)) {
+            this.previousFocus.focus();
+        }
+        if (this.options.onClose) {
+            this.options.onClose(value);
+        }
+        this.resolve(value);
+    }
+}
+
+// English messages; locale packs register translations under the same keys
+POSI18n.registerLocale('en', {
+    'dialog.close': 'Close',
+    'dialog.confirm': 'Confirm',
+    'dialog.cancel': 'Cancel',
+
+    'cart.title': 'Shopping Cart',
+    'cart.label': { one: 'Shopping cart, {count} item', other: 'Shopping cart, {count} items' },
+    'cart.close': 'Close cart',
+    'cart.empty': 'Your cart is empty',
+    'cart.sku': 'SKU: {sku}',
+    'cart.clear': 'Clear Cart',
+    'cart.clearTitle': 'Clear cart',
+    'cart.clearMessage': 'Remove all items from your cart?',
+    'cart.checkout': 'Checkout',
+    'cart.currency': 'Display currency',
+
+    'promo.placeholder': 'Discount code',
+    'promo.apply': 'Apply',
+    'promo.remove': 'Remove code {code}',
+    'promo.error.invalid': 'Invalid discount code',
+    'promo.error.expired': 'This discount code has expired',
+    'promo.error.notApplicable': 'This code does not apply to any items in your cart',
+    'promo.error.minSubtotal': 'Spend {amount} or more to use this code',
+
+    'customer.title': 'Your details',
+    'customer.email': 'Email',
+    'customer.name': 'Full name',
+    'customer.phone': 'Phone',
+    'customer.welcome': 'Welcome back!',
+    'customer.welcomeName': 'Welcome back, {name}!',
+
+    'address.line1': 'Address',
+    'address.city': 'City',
+    'address.state': 'State',
+    'address.postalCode': 'Postal code',
+    'address.country': 'Country',
+
+    'shipping.title': 'Shipping method',
+    'shipping.free': 'Free',
+
+    'totals.label': '{label}:',
+    'totals.subtotal': 'Subtotal',
+    'totals.tax': 'Tax',
+    'totals.taxIncluded': 'Includes tax',
+    'totals.shipping': 'Shipping',
+    'totals.shippingMethod': 'Shipping ({method})',
+    'totals.total': 'Total',
+    'totals.charged': 'You will be charged {amount} ({currency})',
+
+    'product.stock': 'Stock: {count}',
+    'product.addToCart': 'Add to Cart',
+    'product.outOfStock': 'Out of Stock',
+    'product.unavailable': 'Unavailable',
+    'product.option': '{name}: {value}',
+
+    'review.title': 'Review your order',
+    'review.caption': 'Items in your order',
+    'review.item': 'Item',
+    'review.quantity': 'Quantity',
+    'review.total': 'Total',
+    'review.each': '{price} each',
+    'review.quantityOf': 'Quantity of {name}',
+    'review.keepShopping': 'Keep shopping',
+    'review.placeOrder': 'Place order',
+
+    'notify.productNotFound': 'Product not found',
+    'notify.selectOption': 'Please select an available option',
+    'notify.notEnoughStock': 'Not enough stock for requested quantity',
+    'notify.insufficientStock': 'Insufficient stock',
+    'notify.added': '{name} added to cart',
+    'notify.cartChanged': 'Some items are no longer available and your cart was updated',
+    'notify.shippingUnavailable': 'This shipping method is not available',
+    'notify.invalidEmail': 'Please enter a valid email address',
+    'notify.codeAlreadyApplied': 'This code is already applied',
+    'notify.codeApplied': 'Code {code} applied',
+    'notify.cartEmpty': 'Cart is empty',
+    'notify.orderCompleted': 'Order completed successfully!',
+    'notify.checkoutFailed': 'Checkout failed. Please try again.',
+    'notify.orderQueued': 'You are offline. The order was saved and will sync when the connection returns.'
+});
+
+/**
+ * Default markup for the controls the POS injects into the page
+ * Each template renders the contents of an element the POS owns (the cart toggle, the cart dropdown,
+ * a line item, the stock badge, the add button, the order review) and is called as template(view, pos).
+ * Sites replace any of them with the "templates" option or pos.setTemplate(); see UniversalPOS.render().
+ * The view carries product and customer data as the page and storage supplied it, so a replacement
+ * should build its markup with POSHtml.html as these do.
+ */
+const POSTemplates = {
+    cartToggle: ({ itemCount }, pos) => POSHtml.html`
+        <span class="pos-cart-icon" role="img" aria-label="${pos.t('cart.label', { count: itemCount })}">🛒</span>
+        <span class="pos-cart-count" style="display: ${itemCount > 0 ? 'inline' : 'none'}" aria-hidden="true">${pos.i18n.formatNumber(itemCount)}</span>
+    `,
+
+    /**
+     * The POS fills the slots it finds by class: .pos-cart-items, .pos-cart-totals, .pos-promo-codes,
+     * .pos-cart-currency, .pos-cart-shipping and .pos-cart-customer. Buttons are matched by class too,
+     * so a template may leave out any control the site does not want.
+     */
+    cartDropdown: ({ currency, promotions, shipping, customerForm }, pos) => POSHtml.html`
+        <div class="pos-cart-header">
+            <h3>${pos.t('cart.title')}</h3>
+            ${currency ? POSHtml.raw('<div class="pos-cart-currency"></div>') : ''}
+            <button class="pos-cart-close" aria-label="${pos.t('cart.close')}">&times;</button>
+        </div>
+        <div class="pos-cart-items"></div>
+        ${promotions ? POSHtml.html`
+            <div class="pos-cart-promo">
+                <form class="pos-promo-form">
+                    <input type="text" class="pos-promo-input" placeholder="${pos.t('promo.placeholder')}" aria-label="${pos.t('promo.placeholder')}">
+                    <button type="submit" class="pos-promo-apply">${pos.t('promo.apply')}</button>
+                </form>
+                <div class="pos-promo-codes"></div>
+            </div>
+        ` : ''}
+        ${shipping ? POSHtml.raw('<div class="pos-cart-shipping"></div>') : ''}
+        ${customerForm ? POSHtml.html`
+            <form class="pos-cart-customer">
+                <div class="pos-customer-title">${pos.t('customer.title')}</div>
+                <div class="pos-customer-welcome"></div>
+                <input type="email" name="email" placeholder="${pos.t('customer.email')}" aria-label="${pos.t('customer.email')}" autocomplete="email">
+                <input type="text" name="name" placeholder="${pos.t('customer.name')}" aria-label="${pos.t('customer.name')}" autocomplete="name">
+                <input type="tel" name="phone" placeholder="${pos.t('customer.phone')}" aria-label="${pos.t('customer.phone')}" autocomplete="tel">
+                <input type="text" name="line1" placeholder="${pos.t('address.line1')}" aria-label="${pos.t('address.line1')}" autocomplete="address-line1">
+                <div class="pos-customer-row">
+                    <input type="text" name="city" placeholder="${pos.t('address.city')}" aria-label="${pos.t('address.city')}" autocomplete="address-level2">
+                    <input type="text" name="state" placeholder="${pos.t('address.state')}" aria-label="${pos.t('address.state')}" autocomplete="address-level1">
+                </div>
+                <div class="pos-customer-row">
+                    <input type="text" name="postalCode" placeholder="${pos.t('address.postalCode')}" aria-label="${pos.t('address.postalCode')}" autocomplete="postal-code">
+                    <input type="text" name="country" placeholder="${pos.t('address.country')}" aria-label="${pos.t('address.country')}" autocomplete="country">
+                </div>
+            </form>
+        ` : ''}
+        <div class="pos-cart-totals"></div>
+        <div class="pos-cart-actions">
+            <button class="pos-cart-clear">${pos.t('cart.clear')}</button>
+            <button class="pos-cart-checkout">${pos.t('cart.checkout')}</button>
+        </div>
+    `,
+
+    /**
+     * Quantity and remove buttons work through their classes and data-line-key attribute
+     */
+    cartItem: ({ item, optionsLabel, unitPrice, lineTotal }, pos) => POSHtml.html`
+        <div class="pos-cart-item" data-product-id="${item.id}" data-line-key="${item.key}">
+            ${POSHtml.imageUrl(item.image) ? POSHtml.html`<img src="${POSHtml.imageUrl(item.image)}" alt="${item.name}" class="pos-cart-item-image">` : ''}
+            <div class="pos-cart-item-details">
+                <div class="pos-cart-item-name">${item.name}</div>
+                ${optionsLabel ? POSHtml.html`<div class="pos-cart-item-options">${optionsLabel}</div>` : ''}
+                <div class="pos-cart-item-price">${unitPrice}</div>
+                <div class="pos-cart-item-sku">${pos.t('cart.sku', { sku: item.sku })}</div>
+            </div>
+            <div class="pos-cart-item-quantity">
+                <button class="pos-quantity-btn pos-quantity-decrease" data-line-key="${item.key}">-</button>
+                <span class="pos-quantity-display">${pos.i18n.formatNumber(item.quantity)}</span>
+                <button class="pos-quantity-btn pos-quantity-increase" data-line-key="${item.key}">+</button>
+            </div>
+            <div class="pos-cart-item-total">${lineTotal}</div>
+            <button class="pos-cart-item-remove" data-line-key="${item.key}">&times;</button>
+        </div>
+    `,
+
+    cartEmpty: (view, pos) => POSHtml.html`<div class="pos-cart-empty">${pos.t('cart.empty')}</div>`,
+
+    /**
+     * The POS keeps setting the pos-low-stock / pos-out-of-stock class on the badge itself
+     */
+    stockBadge: ({ stock }, pos) => POSHtml.html`${pos.t('product.stock', { count: stock })}`,
+
+    addButton: ({ state }, pos) => POSHtml.html`${pos.t({
+        available: 'product.addToCart',
+        'out-of-stock': 'product.outOfStock',
+        unavailable: 'product.unavailable'
+    }[state])}`,
+
+    /**
+     * Quantity inputs must keep the class "pos-review-quantity" and the data-line-key attribute
+     * to stay editable.
+     */
+    orderReview: ({ checkoutData, lines, totals, formatPrice }, pos) => POSHtml.html`
+        <table class="pos-review-lines">
+            <caption class="pos-sr-only">${pos.t('review.caption')}</caption>
+            <thead>
+                <tr>
+                    <th scope="col">${pos.t('review.item')}</th>
+                    <th scope="col">${pos.t('review.quantity')}</th>
+                    <th scope="col">${pos.t('review.total')}</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${lines.map(line => POSHtml.html`
+                    <tr>
+                        <td>
+                            <span class="pos-review-name">${line.name}</span>
+                            ${line.optionsLabel ? POSHtml.html`<span class="pos-review-options">${line.optionsLabel}</span>` : ''}
+                            <span class="pos-review-price">${pos.t('review.each', { price: line.unitPrice })}</span>
+                        </td>
+                        <td>
+                            <input type="number" class="pos-review-quantity" min="0" value="${line.quantity}" data-line-key="${line.key}" aria-label="${pos.t('review.quantityOf', { name: line.name })}">
+                        </td>
+                        <td class="pos-review-total">${line.lineTotal}</td>
+                    </tr>
+                `)}
+            </tbody>
+        </table>
+        <dl class="pos-review-totals">
+            <div><dt>${pos.t('totals.subtotal')}</dt><dd>${formatPrice(totals.subtotal)}</dd></div>
+            ${totals.discounts.map(discount => POSHtml.html`
+                <div class="pos-totals-discount"><dt>${discount.label}</dt><dd>-${formatPrice(discount.amount)}</dd></div>
+            `)}
+            ${totals.tax > 0 ? POSHtml.html`<div><dt>${pos.t(totals.taxInclusive ? 'totals.taxIncluded' : 'totals.tax')}</dt><dd>${formatPrice(totals.tax)}</dd></div>` : ''}
+            ${totals.shippingMethod ? POSHtml.html`
+                <div><dt>${pos.t('totals.shippingMethod', { method: totals.shippingMethod.label })}</dt><dd>${totals.shipping > 0 ? formatPrice(totals.shipping) : pos.t('shipping.free')}</dd></div>
+            ` : totals.shipping > 0 ? POSHtml.html`<div><dt>${pos.t('totals.shipping')}</dt><dd>${formatPrice(totals.shipping)}</dd></div>` : ''}
+            <div class="pos-review-grand-total"><dt>${pos.t('totals.total')}</dt><dd>${formatPrice(totals.total)}</dd></div>
+        </dl>
+        ${checkoutData.displayCurrency !== totals.currency ? POSHtml.html`
+            <p class="pos-totals-note">${pos.t('totals.charged', { amount: pos.formatStorePrice(totals.total), currency: totals.currency })}</p>
+        ` : ''}
+    `
+};
+
+class UniversalPOS {
+    constructor(options = {}) {
+        this.options = {
+            cartStorageKey: 'universal-pos-cart',
+            inventoryStorageKey: 'universal-pos-inventory',
+            reservationStorageKey: 'universal-pos-reservations',
+            couponStorageKey: 'universal-pos-coupons',
+            shippingStorageKey: 'universal-pos-shipping',
+            displayCurrencyStorageKey: 'universal-pos-display-currency',
+            orderStorageKey: 'universal-pos-orders',
+            transactionStorageKey: 'pos-transactions',
+            queueStorageKey: 'universal-pos-order-queue',
+            customerStorageKey: 'universal-pos-customers',
+            contactStorageKey: 'universal-pos-contact',
+            syncStorageKey: 'universal-pos-sync',
+            syncChannelName: 'universal-pos',
+            crossTabSync: true,
+            storage: null,
+            apiEndpoint: null,
+            currency: '$',
+            currencyCode: 'USD',
+            exchangeRates: {},
+            locale: null,
+            messages: {},
+            dateFormat: null,
+            taxRate: 0,
+            tax: {},
+            shippingAddress: null,
+            checkout: {},
+            checkoutTemplate: null,
+            templates: {},
+            shippingCost: 0,
+            shipping: {},
+            promotions: [],
+            priceAuthority: {},
+            reservationTTL: 15 * 60 * 1000,
+            reservationCheckInterval: 30 * 1000,
+            offlineQueue: true,
+            queueRetryDelay: 5 * 1000,
+            queueMaxRetryDelay: 5 * 60 * 1000,
+            // Fill a returning customer's name, phone and address in from their email. Only for
+            // staff terminals or single-shopper devices: anyone typing a known email would see them.
+            prefillCustomerDetails: false,
+            autoInit: true,
+            notifications: true,
+            ...options
+        };
+
+        this.cart = [];
+        this.inventory = {};
+        this.reservations = [];
+        this.reservationTimer = null;
+        this.revision = 0;
+        this.tabId = `tab-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        this.syncChannel = null;
+        this.storageListener = null;
+        this.queueTimer = null;
+        this.queueFlush = null;
+        this.onlineListener = null;
+        this.checkoutSession = null;
+        this.submittingOrders = new Set();
+        this.products = [];
+        this.appliedCoupons = [];
+        this.shippingAddress = this.options.shippingAddress;
+        this.customerDetails = { email: '', name: '', phone: '' };
+        this.billingAddress = null;
+        this.selectedShippingMethod = null;
+        this.displayCurrency = this.options.currencyCode;
+        this.isInitialized = false;
+        this.storage = new POSStorage(this.options.storage || new LocalStorageAdapter());
+        this.migrations = new SchemaMigrations();
+        this.i18n = new POSI18n({
+            locale: this.options.locale,
+            messages: this.options.messages,
+            dateFormat: this.options.dateFormat
+        });
+        this.templates = {};
+        if (this.options.checkoutTemplate) {
+            this.templates.orderReview = this.options.checkoutTemplate;
+        }
+        Object.entries(this.options.templates).forEach(([name, template]) => this.setTemplate(name, template));
+
+        // Optional subsystems, wired in when their scripts are loaded
+        this.promotions = typeof PromotionEngine !== 'undefined'
+            ? new PromotionEngine({ promotions: this.options.promotions })
+            : null;
+        this.taxEngine = typeof TaxEngine !== 'undefined'
+            ? new TaxEngine(this.options.tax)
+            : null;
+        this.shipping = typeof ShippingCalculator !== 'undefined'
+            ? new ShippingCalculator(this.options.shipping)
+            : null;
+        this.orderLifecycle = typeof OrderLifecycle !== 'undefined'
+            ? new OrderLifecycle(this)
+            : null;
+        this.customers = typeof CustomerDirectory !== 'undefined'
+            ? new CustomerDirectory(this)
+            : null;
+        this.checkoutFlow = typeof CheckoutFlow !== 'undefined'
+            ? new CheckoutFlow(this, this.options.checkout)
+            : null;
+        this.priceAuthority = typeof PriceAuthority !== 'undefined'
+            ? new PriceAuthority(this, this.options.priceAuthority)
+            : null;
+        this.currencyConverter = typeof CurrencyConverter !== 'undefined'
+            ? new CurrencyConverter({
+                baseCurrency: this.options.currencyCode,
+                rates: this.options.exchangeRates,
+                locale: this.options.locale
+            })
+            : null;
+
+        if (this.options.autoInit) {
+            this.init();
+        }
+    }
+
+    /**
+     * Initialize the POS system
+     */
+    init() {
+        if (this.isInitialized) return;
+
+        // Asynchronous backends (IndexedDB, remote) are read into memory before the first render
+        if (!this.storage.isReady()) {
+            this.storage.load(this.getStorageKeys()).then(() => this.init(), error => {
+                console.warn('Universal POS: Error loading stored data', error);
+                this.emit('pos:storage-error', { error });
+            });
+            return;
+        }
+
+        this.loadStoredData();
+        this.releaseExpiredReservations();
+        this.scanProducts();
+        this.createCartUI();
+        this.bindEvents();
+        this.updateCartDisplay();
+        this.startReservationTimer();
+        this.startSync();
+        this.startOrderQueue();
+        this.isInitialized = true;
+
+        this.emit('pos:initialized');
+    }
+
+    /**
+     * Load cart and inventory data from the storage backend
+     */
+    loadStoredData() {
+        try {
+            const storedCart = this.readRecord('cart');
+            const storedInventory = this.readRecord('inventory');
+            const storedReservations = this.storage.get(this.options.reservationStorageKey);
+            const storedCoupons = this.storage.get(this.options.couponStorageKey);
+            const storedShipping = this.storage.get(this.options.shippingStorageKey);
+            const storedDisplayCurrency = this.storage.get(this.options.displayCurrencyStorageKey);
+            const storedContact = this.storage.get(this.options.contactStorageKey);
+            const syncState = this.readSyncState();
+
+            if (storedCart) {
+                this.cart = storedCart;
+            }
+            if (storedInventory) {
+                this.inventory = storedInventory;
+            }
+            if (storedReservations) {
+                this.reservations = storedReservations;
+            } else if (this.cart.length > 0) {
+                // Carts saved before the reservation ledger had their quantities taken out of stock;
+                // put them back on hand and hold them as reservations instead
+                this.cart.forEach(item => {
+                    this.inventory[item.key] = (this.inventory[item.key] || 0) + item.quantity;
+                    this.reservations.push(this.createReservation(item.key, item.quantity));
+                });
+            }
+            if (storedCoupons) {
+                this.appliedCoupons = storedCoupons;
+            }
+            if (storedShipping) {
+                this.selectedShippingMethod = storedShipping;
+            }
+            if (storedDisplayCurrency && this.currencyConverter && this.currencyConverter.supports(storedDisplayCurrency)) {
+                this.displayCurrency = storedDisplayCurrency;
+            }
+            if (storedContact) {
+                this.customerDetails = storedContact.details;
+                if (storedContact.address) {
+                    this.shippingAddress = storedContact.address;
+                }
+                this.billingAddress = storedContact.billingAddress || null;
+            }
+            this.revision = syncState ? syncState.revision : 0;
+        } catch (error) {
+            console.warn('Universal POS: Error loading stored data', error);
+        }
+    }
+
+    /**
+     * Save data to the storage backend
+     */
+    saveData() {
+        try {
+            const writes = [
+                this.writeRecord('cart', this.cart),
+                this.writeRecord('inventory', this.inventory),
+                this.storage.set(this.options.reservationStorageKey, this.reservations),
+                this.storage.set(this.options.couponStorageKey, this.appliedCoupons),
+                this.storage.set(this.options.shippingStorageKey, this.selectedShippingMethod),
+                this.storage.set(this.options.displayCurrencyStorageKey, this.displayCurrency),
+                this.storage.set(this.options.contactStorageKey, {
+                    details: this.customerDetails,
+                    address: this.shippingAddress,
+                    billingAddress: this.billingAddress
+                })
+            ];
+
+            this.markChanged(writes);
+        } catch (error) {
+            console.warn('Universal POS: Error saving data', error);
+        }
+    }
+
+    /**
+     * Bump the shared revision once writes are saved, so other tabs reload
+     */
+    markChanged(writes = []) {
+        const syncState = this.readSyncState();
+        const revision = Math.max(this.revision, syncState ? syncState.revision : 0) + 1;
+        this.revision = revision;
+
+        // Other tabs must not be told about the change before an asynchronous backend has it
+        if (this.storage.synchronous) {
+            this.publishRevision(revision);
+        } else {
+            Promise.all(writes).then(() => this.publishRevision(revision));
+        }
+    }
+
+    /**
+     * Every storage key the POS reads, for backends that load into memory
+     */
+    getStorageKeys() {
+        return [
+            this.options.cartStorageKey,
+            this.options.inventoryStorageKey,
+            this.options.reservationStorageKey,
+            this.options.couponStorageKey,
+            this.options.shippingStorageKey,
+            this.options.displayCurrencyStorageKey,
+            this.options.orderStorageKey,
+            this.options.transactionStorageKey,
+            this.options.queueStorageKey,
+            this.options.customerStorageKey,
+            this.options.contactStorageKey
+        ];
+    }
+
+    getOrders() {
+        return this.readRecord('order', []);
+    }
+
+    saveOrders(orders) {
+        return this.writeRecord('order', orders);
+    }
+
+    /**
+     * Read a versioned record (cart, inventory, order, transaction, customer), upgrading older schema versions
+     * Upgraded records are written back so each migration runs once.
+     */
+    readRecord(type, fallback = null) {
+        const key = this.options[`${type}StorageKey`];
+        const stored = this.storage.get(key);
+        if (stored === null) {
+            return fallback;
+        }
+
+        const data = this.migrations.upgrade(type, stored, this.getMigrationContext());
+        if (this.migrations.versionOf(stored) < this.migrations.getVersion(type)) {
+            this.storage.set(key, this.migrations.wrap(type, data));
+        }
+        return data;
+    }
+
+    writeRecord(type, data) {
+        return this.storage.set(this.options[`${type}StorageKey`], this.migrations.wrap(type, data));
+    }
+
+    getMigrationContext() {
+        return { currencyCode: this.options.currencyCode };
+    }
+
+    /**
+     * Stamp a saved revision and notify other tabs
+     * The stamp always lives in localStorage, whatever the backend: it is the cross-tab signal.
+     */
+    publishRevision(revision) {
+        try {
+            localStorage.setItem(this.options.syncStorageKey, JSON.stringify({
+                revision,
+                tabId: this.tabId,
+                updatedAt: Date.now()
+            }));
+            this.broadcastChange(revision);
+        } catch (error) {
+            console.warn('Universal POS: Error saving data', error);
+        }
+    }
+
+    /**
+     * Revision stamp of the last save from any tab
+     */
+    readSyncState() {
+        try {
+            return JSON.parse(localStorage.getItem(this.options.syncStorageKey) || 'null');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Listen for saves made by other tabs
+     * BroadcastChannel carries the notification where available; storage events cover older browsers.
+     * Both only signal that something changed; the state itself is always read back from storage.
+     */
+    startSync() {
+        if (!this.options.crossTabSync || this.storageListener) return;
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.syncChannel = new BroadcastChannel(this.options.syncChannelName);
+            this.syncChannel.onmessage = () => this.pullLatestState();
+        }
+
+        this.storageListener = (e) => {
+            if (e.key === this.options.syncStorageKey) {
+                this.pullLatestState();
+            }
+        };
+        window.addEventListener('storage', this.storageListener);
+    }
+
+    stopSync() {
+        if (this.syncChannel) {
+            this.syncChannel.close();
+            this.syncChannel = null;
+        }
+        if (this.storageListener) {
+            window.removeEventListener('storage', this.storageListener);
+            this.storageListener = null;
+        }
+    }
+
+    broadcastChange(revision) {
+        if (this.syncChannel) {
+            this.syncChannel.postMessage({ type: 'state-changed', revision, tabId: this.tabId });
+        }
+    }
+
+    /**
+     * Load state saved by another tab if it is newer than ours
+     * Conflict strategy: the latest saved state wins. Every change first pulls that state and is
+     * applied on top of it, so one tab's change never overwrites another's with stale data.
+     */
+    pullLatestState() {
+        const syncState = this.readSyncState();
+        if (!syncState || syncState.revision <= this.revision) {
+            return false;
+        }
+
+        // Asynchronous backends re-read in the background, so a change already under way is saved on top
+        if (!this.storage.synchronous) {
+            this.revision = syncState.revision;
+            this.storage.load(this.getStorageKeys())
+                .then(() => this.applyStoredState(syncState))
+                .catch(error => console.warn('Universal POS: Error loading stored data', error));
+            return true;
+        }
+
+        this.applyStoredState(syncState);
+        return true;
+    }
+
+    applyStoredState(syncState) {
+        this.loadStoredData();
+
+        if (this.isInitialized) {
+            this.fillCustomerForm();
+            this.updateCartDisplay();
+            this.updateStockDisplays();
+            this.updateAddButtons();
+            this.products.forEach(product => this.updatePriceDisplay(product.id));
+        }
+
+        this.emit('pos:synced', { revision: this.revision, tabId: syncState.tabId });
+    }
+
+    /**
+     * Scan the DOM for products with POS attributes
+     */
+    scanProducts() {
+        const productElements = document.querySelectorAll('[data-pos-product]');
+        this.products = [];
+
+        productElements.forEach(element => {
+            const product = this.parseProductElement(element);
+            if (product) {
+                this.products.push(product);
+                this.initializeInventory(product);
+                this.enhanceProductElement(element, product);
+                this.updatePriceDisplay(product.id);
+            }
+        });
+
+        this.emit('pos:products-scanned', { products: this.products });
+    }
+
+    /**
+     * Parse product data from HTML element
+     */
+    parseProductElement(element) {
+        try {
+            const id = element.getAttribute('data-pos-product');
+            const name = element.getAttribute('data-pos-name') || element.textContent.trim() || `Product ${id}`;
+            const currency = (element.getAttribute('data-pos-currency') || this.options.currencyCode).toUpperCase();
+            const listPrice = parseFloat(element.getAttribute('data-pos-price') || '0');
+            const inventory = parseInt(element.getAttribute('data-pos-inventory') || '999');
+            const category = element.getAttribute('data-pos-category') || 'general';
+            const description = element.getAttribute('data-pos-description') || '';
+            const image = element.getAttribute('data-pos-image') || '';
+            const sku = element.getAttribute('data-pos-sku') || id;
+            const taxClass = element.getAttribute('data-pos-tax-class') || null;
+            const weight = parseFloat(element.getAttribute('data-pos-weight') || '0') || 0;
+            const dimensions = this.parseDimensions(element.getAttribute('data-pos-dimensions'));
+            const requiresShipping = element.getAttribute('data-pos-shipping') !== 'false';
+
+            if (!id || isNaN(listPrice)) {
+                console.warn('Universal POS: Invalid product data', element);
+                return null;
+            }
+
+            // Cart arithmetic runs in the store currency; prices listed in another currency are converted once here
+            const price = this.toStorePrice(listPrice, currency);
+
+            const declaredOptions = this.parseVariantOptions(element);
+            const variants = this.parseVariants(element, { price, currency, inventory, sku, image, weight }, declaredOptions);
+            // Without variants (none declared, or a malformed list) there are no options to pick
+            const options = variants.length === 0 ? [] : declaredOptions.length > 0 ? declaredOptions : this.deriveVariantOptions(variants);
+
+            return {
+                id,
+                name,
+                price,
+                currency,
+                listPrice,
+                inventory,
+                category,
+                description,
+                image,
+                sku,
+                taxClass,
+                weight,
+                dimensions,
+                requiresShipping,
+                options,
+                variants,
+                element
+            };
+        } catch (error) {
+            console.warn('Universal POS: Error parsing product element', error);
+            return null;
+        }
+    }
+
+    /**
+     * Parse variant option axes from data-pos-options
+     * Accepts JSON ({"size": ["S", "M"]}) or the compact form "size:S,M;color:Red,Blue"
+     */
+    parseVariantOptions(element) {
+        const raw = (element.getAttribute('data-pos-options') || '').trim();
+        if (!raw) return [];
+
+        if (raw.startsWith('{') || raw.startsWith('[')) {
+            const parsed = this.parseJSONAttribute(element, 'data-pos-options');
+            if (!parsed || typeof parsed !== 'object') return [];
+
+            const axes = Array.isArray(parsed)
+                ? parsed.map(axis => [axis.name, axis.values])
+                : Object.entries(parsed);
+
+            return axes
+                .filter(([name, values]) => name && Array.isArray(values))
+                .map(([name, values]) => ({ name, values: values.map(String) }));
+        }
+
+        return raw.split(';')
+            .map(pair => pair.split(':'))
+            .filter(([name, values]) => name && values)
+            .map(([name, values]) => ({
+                name: name.trim(),
+                values: values.split(',').map(value => value.trim()).filter(Boolean)
+            }));
+    }
+
+    /**
+     * JSON from a product attribute; a malformed value is logged and read as missing
+     */
+    parseJSONAttribute(element, attribute) {
+        try {
+            return JSON.parse(element.getAttribute(attribute));
+        } catch (error) {
+            console.error(`Universal POS: Invalid JSON in ${attribute}`, element, error);
+            return null;
+        }
+    }
+
+    /**
+     * Parse variants from data-pos-variants, or build every option combination
+     * from the declared axes when no explicit list is given
+     */
+    parseVariants(element, base, options) {
+        const raw = element.getAttribute('data-pos-variants');
+        let variants;
+
+        if (raw) {
+            variants = this.parseJSONAttribute(element, 'data-pos-variants');
+            if (!Array.isArray(variants)) return [];
+        } else if (options.length > 0) {
+            variants = options.reduce((combos, option) => {
+                const expanded = [];
+                combos.forEach(combo => {
+                    option.values.forEach(value => {
+                        expanded.push({ ...combo, [option.name]: value });
+                    });
+                });
+                return expanded;
+            }, [{}]).map(combo => ({ options: combo }));
+        } else {
+            return [];
+        }
+
+        return variants.map(variant => {
+            const variantOptions = variant.options || {};
+            const id = String(variant.id || variant.sku || Object.values(variantOptions).join('-'));
+            const listPrice = variant.price !== undefined ? parseFloat(variant.price) : NaN;
+            const inventory = variant.inventory !== undefined ? parseInt(variant.inventory) : base.inventory;
+
+            return {
+                id,
+                options: variantOptions,
+                sku: variant.sku || `${base.sku}-${id}`,
+                price: isNaN(listPrice) ? base.price : this.toStorePrice(listPrice, base.currency),
+                listPrice: isNaN(listPrice) ? null : listPrice,
+                inventory: isNaN(inventory) ? base.inventory : inventory,
+                image: variant.image || base.image,
+                weight: variant.weight !== undefined ? parseFloat(variant.weight) || 0 : base.weight
+            };
+        });
+    }
+
+    /**
+     * Parse data-pos-dimensions ("30x20x5") into [length, width, height]
+     */
+    parseDimensions(raw) {
+        if (!raw) return null;
+
+        const dimensions = raw.toLowerCase().split('x').map(value => parseFloat(value));
+        return dimensions.length === 3 && dimensions.every(value => !isNaN(value) && value > 0)
+            ? dimensions
+            : null;
+    }
+
+    /**
+     * Collect option axes from a variant list when none were declared
+     */
+    deriveVariantOptions(variants) {
+        const axes = new Map();
+
+        variants.forEach(variant => {
+            Object.entries(variant.options).forEach(([name, value]) => {
+                if (!axes.has(name)) axes.set(name, []);
+                const values = axes.get(name);
+                if (!values.includes(String(value))) values.push(String(value));
+            });
+        });
+
+        return Array.from(axes, ([name, values]) => ({ name, values }));
+    }
+
+    /**
+     * Inventory key for a product or one of its variants
+     */
+    getInventoryKey(productId, variantId = null) {
+        return variantId ? `${productId}:${variantId}` : productId;
+    }
+
+    /**
+     * Get the variant matching the options currently picked on the product element
+     */
+    getSelectedVariant(product) {
+        if (!product.variants || product.variants.length === 0) return null;
+
+        const selected = {};
+        product.element.querySelectorAll('.pos-variant-select').forEach(select => {
+            selected[select.dataset.option] = select.value;
+        });
+
+        return product.variants.find(variant =>
+            Object.entries(selected).every(([name, value]) => String(variant.options[name]) === value)
+        ) || null;
+    }
+
+    /**
+     * Inventory key for the product as currently configured on the page
+     */
+    getSelectedInventoryKey(product) {
+        if (!product.variants || product.variants.length === 0) return product.id;
+
+        const variant = this.getSelectedVariant(product);
+        return variant ? this.getInventoryKey(product.id, variant.id) : null;
+    }
+
+    /**
+     * Initialize inventory for a product
+     */
+    initializeInventory(product) {
+        if (product.variants.length > 0) {
+            product.variants.forEach(variant => {
+                const key = this.getInventoryKey(product.id, variant.id);
+                if (!(key in this.inventory)) {
+                    this.inventory[key] = variant.inventory;
+                }
+            });
+            return;
+        }
+
+        if (!(product.id in this.inventory)) {
+            this.inventory[product.id] = product.inventory;
+        }
+    }
+
+    /**
+     * Enhance product element with POS functionality
+     */
+    enhanceProductElement(element, product) {
+        // Add CSS class for styling
+        element.classList.add('pos-product');
+
+        // Create or find add to cart button
+        let addButton = element.querySelector('.pos-add-to-cart');
+        if (!addButton) {
+            addButton = document.createElement('button');
+            addButton.className = 'pos-add-to-cart';
+            element.appendChild(addButton);
+        }
+
+        // Create quantity input if it doesn't exist
+        let quantityInput = element.querySelector('.pos-quantity');
+        if (!quantityInput) {
+            quantityInput = document.createElement('input');
+            quantityInput.type = 'number';
+            quantityInput.className = 'pos-quantity';
+            quantityInput.min = '1';
+            quantityInput.value = '1';
+            element.insertBefore(quantityInput, addButton);
+        }
+
+        // Create variant picker with one select per option axis
+        let variantPicker = element.querySelector('.pos-variant-picker');
+        if (!variantPicker && product.variants.length > 0) {
+            variantPicker = document.createElement('div');
+            variantPicker.className = 'pos-variant-picker';
+
+            product.options.forEach(option => {
+                const label = document.createElement('label');
+                label.className = 'pos-variant-option';
+
+                const labelText = document.createElement('span');
+                labelText.textContent = option.name.charAt(0).toUpperCase() + option.name.slice(1);
+
+                const select = document.createElement('select');
+                select.className = 'pos-variant-select';
+                select.dataset.option = option.name;
+                option.values.forEach(value => {
+                    const optionElement = document.createElement('option');
+                    optionElement.value = value;
+                    optionElement.textContent = value;
+                    select.appendChild(optionElement);
+                });
+
+                label.appendChild(labelText);
+                label.appendChild(select);
+                variantPicker.appendChild(label);
+            });
+
+            element.insertBefore(variantPicker, quantityInput);
+        }
+
+        // Create stock display
+        let stockDisplay = element.querySelector('.pos-stock');
+        if (!stockDisplay) {
+            stockDisplay = document.createElement('span');
+            stockDisplay.className = 'pos-stock';
+            element.appendChild(stockDisplay);
+        }
+
+        this.updateStockDisplay(product.id);
+        this.updateAddButton(product.id);
+
+        // Bind events
+        addButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            const quantity = parseInt(quantityInput.value) || 1;
+            this.addToCart(product.id, quantity);
+        });
+
+        quantityInput.addEventListener('change', () => {
+            this.updateAddButton(product.id);
+        });
+
+        if (variantPicker) {
+            variantPicker.addEventListener('change', () => {
+                this.updateStockDisplay(product.id);
+                this.updateAddButton(product.id);
+                this.updatePriceDisplay(product.id);
+
+                const variant = this.getSelectedVariant(product);
+                this.emit('pos:variant-selected', { productId: product.id, variant });
+            });
+        }
+    }
+
+    /**
+     * Show the product price in the display currency
+     * Only elements marked with data-pos-price-display are touched, so store-rendered prices stay as they are.
+     */
+    updatePriceDisplay(productId) {
+        const product = this.products.find(p => p.id === productId);
+        if (!product) return;
+
+        const priceDisplay = product.element.querySelector('[data-pos-price-display]');
+        if (priceDisplay) {
+            const variant = product.variants.length > 0 ? this.getSelectedVariant(product) : null;
+            priceDisplay.textContent = this.formatPrice(variant ? variant.price : product.price);
+        }
+    }
+
+    /**
+     * Update stock display for a product
+     */
+    updateStockDisplay(productId) {
+        const product = this.products.find(p => p.id === productId);
+        if (!product) return;
+
+        const stockDisplay = product.element.querySelector('.pos-stock');
+        if (stockDisplay) {
+            const key = this.getSelectedInventoryKey(product);
+            const stock = key ? this.getAvailableStock(key) : 0;
+            stockDisplay.innerHTML = this.render('stockBadge', { product, stock });
+            stockDisplay.className = `pos-stock ${stock === 0 ? 'pos-out-of-stock' : stock < 5 ? 'pos-low-stock' : ''}`;
+        }
+    }
+
+    /**
+     * Update add to cart button state
+     */
+    updateAddButton(productId) {
+        const product = this.products.find(p => p.id === productId);
+        if (!product) return;
+
+        const addButton = product.element.querySelector('.pos-add-to-cart');
+        const quantityInput = product.element.querySelector('.pos-quantity');
+        
+        if (addButton && quantityInput) {
+            const requestedQuantity = parseInt(quantityInput.value) || 1;
+            const key = this.getSelectedInventoryKey(product);
+            const availableStock = key ? this.getAvailableStock(key) : 0;
+            const isAvailable = availableStock >= requestedQuantity;
+
+            addButton.disabled = !isAvailable;
+            addButton.innerHTML = this.render('addButton', {
+                product,
+                state: isAvailable ? 'available' : key ? 'out-of-stock' : 'unavailable',
+                available: isAvailable,
+                stock: availableStock,
+                quantity: requestedQuantity
+            });
+            
+            // Update max quantity
+            quantityInput.max = availableStock;
+            if (requestedQuantity > availableStock) {
+                quantityInput.value = availableStock;
+            }
+        }
+    }
+
+    /**
+     * Add item to cart
+     */
+    addToCart(productId, quantity = 1, variantId = null) {
+        this.pullLatestState();
+        const product = this.products.find(p => p.id === productId);
+        if (!product) {
+            this.showNotification(this.t('notify.productNotFound'), 'error');
+            return false;
+        }
+
+        // Products with variants are added per variant: explicit, or as picked on the page
+        let variant = null;
+        if (product.variants.length > 0) {
+            variant = variantId
+                ? product.variants.find(v => v.id === variantId)
+                : this.getSelectedVariant(product);
+
+            if (!variant) {
+                this.showNotification(this.t('notify.selectOption'), 'error');
+                return false;
+            }
+        }
+
+        const key = this.getInventoryKey(productId, variant ? variant.id : null);
+        const existingItem = this.cart.find(item => item.key === key);
+
+        // Hold the stock for this cart; what is already held for the line does not count against it
+        if (!this.reserveStock(key, quantity)) {
+            this.showNotification(this.t(existingItem ? 'notify.notEnoughStock' : 'notify.insufficientStock'), 'error');
+            return false;
+        }
+
+        if (existingItem) {
+            existingItem.quantity += quantity;
+        } else {
+            this.cart.push({
+                key,
+                id: productId,
+                variantId: variant ? variant.id : null,
+                options: variant ? { ...variant.options } : null,
                 name: product.name,
-                price: product.price,
+                category: product.category,
+                taxClass: product.taxClass,
+                weight: variant ? variant.weight : product.weight,
+                dimensions: product.dimensions,
+                requiresShipping: product.requiresShipping,
+                price: variant ? variant.price : product.price,
                 quantity: quantity,
-                sku: product.sku,
-                image: product.image
+                sku: variant ? variant.sku : product.sku,
+                image: variant ? variant.image : product.image
+            });
+        }
+
+        this.saveData();
+        this.updateCartDisplay();
+        this.updateStockDisplay(productId);
+        this.updateAddButton(productId);
+
+        this.showNotification(this.t('notify.added', { name: product.name }), 'success');
+        this.emit('pos:item-added', { productId, variantId: variant ? variant.id : null, key, quantity, cart: this.cart });
+
+        return true;
+    }
+
+    /**
+     * Remove item from cart
+     * Lines are identified by their key: the product ID, or "productId:variantId" for variants
+     */
+    removeFromCart(key, quantity = null) {
+        this.pullLatestState();
+        const cartItemIndex = this.cart.findIndex(item => item.key === key);
+        if (cartItemIndex === -1) return false;
+
+        const cartItem = this.cart[cartItemIndex];
+        const removeQuantity = quantity || cartItem.quantity;
+
+        this.releaseStock(key, removeQuantity);
+
+        if (quantity && cartItem.quantity > quantity) {
+            cartItem.quantity -= quantity;
+        } else {
+            this.cart.splice(cartItemIndex, 1);
+        }
+
+        this.saveData();
+        this.updateCartDisplay();
+        this.updateStockDisplays();
+        this.updateAddButtons();
+
+        this.emit('pos:item-removed', {
+            productId: cartItem.id,
+            variantId: cartItem.variantId || null,
+            key,
+            quantity: removeQuantity,
+            cart: this.cart
+        });
+        return true;
+    }
+
+    /**
+     * Clear entire cart
+     */
+    clearCart() {
+        this.pullLatestState();
+        // Release every hold; committed orders have already consumed theirs
+        this.cart.forEach(item => this.releaseStock(item.key));
+
+        this.cart = [];
+        this.appliedCoupons = [];
+        this.selectedShippingMethod = null;
+        if (this.priceAuthority) {
+            this.priceAuthority.reset();
+        }
+        this.saveData();
+        this.updateCartDisplay();
+        this.updateStockDisplays();
+        this.updateAddButtons();
+
+        this.emit('pos:cart-cleared');
+    }
+
+    /**
+     * Build a reservation ledger entry
+     */
+    createReservation(key, quantity) {
+        const now = Date.now();
+        return {
+            id: `res-${now}-${Math.random().toString(36).slice(2, 8)}`,
+            key,
+            quantity,
+            createdAt: now,
+            expiresAt: now + this.options.reservationTTL
+        };
+    }
+
+    /**
+     * Quantity held by active reservations
+     */
+    getReservedStock(key) {
+        const now = Date.now();
+        return this.reservations
+            .filter(reservation => reservation.key === key && reservation.expiresAt > now)
+            .reduce((sum, reservation) => sum + reservation.quantity, 0);
+    }
+
+    /**
+     * Stock that can still be added to a cart: on hand minus reserved
+     */
+    getAvailableStock(key) {
+        return Math.max(0, (this.inventory[key] || 0) - this.getReservedStock(key));
+    }
+
+    /**
+     * On-hand, reserved and available quantities for a stock key
+     */
+    getStockLevels(key) {
+        const onHand = this.inventory[key] || 0;
+        const reserved = this.getReservedStock(key);
+        return { onHand, reserved, available: Math.max(0, onHand - reserved) };
+    }
+
+    /**
+     * Hold stock for the cart
+     * Any change to the cart restarts the hold period of all its reservations.
+     */
+    reserveStock(key, quantity) {
+        this.releaseExpiredReservations();
+        if (this.getAvailableStock(key) < quantity) {
+            return false;
+        }
+
+        const reservation = this.reservations.find(r => r.key === key);
+        if (reservation) {
+            reservation.quantity += quantity;
+        } else {
+            this.reservations.push(this.createReservation(key, quantity));
+        }
+
+        this.refreshReservations();
+        this.emit('pos:stock-reserved', { key, quantity, levels: this.getStockLevels(key) });
+        return true;
+    }
+
+    /**
+     * Release held stock; without a quantity the whole hold for the key is released
+     */
+    releaseStock(key, quantity = null) {
+        const reservation = this.reservations.find(r => r.key === key);
+        if (!reservation) return;
+
+        if (quantity && reservation.quantity > quantity) {
+            reservation.quantity -= quantity;
+        } else {
+            this.reservations = this.reservations.filter(r => r !== reservation);
+        }
+
+        this.emit('pos:stock-released', { key, quantity: quantity || reservation.quantity, levels: this.getStockLevels(key) });
+    }
+
+    /**
+     * Restart the hold period of every reservation
+     */
+    refreshReservations() {
+        const expiresAt = Date.now() + this.options.reservationTTL;
+        this.reservations.forEach(reservation => {
+            reservation.expiresAt = expiresAt;
+        });
+    }
+
+    /**
+     * Drop reservations whose hold period has passed
+     * Cart lines stay in the cart; their stock is held again at checkout if still available.
+     */
+    releaseExpiredReservations() {
+        this.pullLatestState();
+
+        const now = Date.now();
+        const expired = this.reservations.filter(reservation => reservation.expiresAt <= now);
+        if (expired.length === 0) return;
+
+        this.reservations = this.reservations.filter(reservation => reservation.expiresAt > now);
+        this.saveData();
+
+        if (this.isInitialized) {
+            this.updateStockDisplays();
+            this.updateAddButtons();
+        }
+
+        this.emit('pos:reservations-expired', { reservations: expired });
+    }
+
+    /**
+     * Make sure every cart line is held before checkout
+     * Lines whose stock was taken after their reservation expired are reduced or removed.
+     */
+    ensureReservations() {
+        this.releaseExpiredReservations();
+        let changed = false;
+
+        this.cart.forEach(item => {
+            const reservation = this.reservations.find(r => r.key === item.key);
+            const held = reservation ? reservation.quantity : 0;
+            const missing = item.quantity - held;
+            if (missing <= 0) return;
+
+            const obtainable = Math.min(missing, this.getAvailableStock(item.key));
+            if (obtainable > 0) {
+                this.reserveStock(item.key, obtainable);
+            }
+            if (obtainable < missing) {
+                item.quantity = held + obtainable;
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            this.cart = this.cart.filter(item => item.quantity > 0);
+            this.saveData();
+            this.updateCartDisplay();
+            this.updateStockDisplays();
+            this.updateAddButtons();
+            this.showNotification(this.t('notify.cartChanged'), 'error');
+            return false;
+        }
+
+        this.refreshReservations();
+        this.saveData();
+        return true;
+    }
+
+    /**
+     * Turn the cart's reservations into sold stock
+     * Called once the order is placed or paid; afterwards the cart can be cleared.
+     */
+    commitReservations() {
+        this.pullLatestState();
+        this.cart.forEach(item => {
+            this.inventory[item.key] = Math.max(0, (this.inventory[item.key] || 0) - item.quantity);
+            this.reservations = this.reservations.filter(r => r.key !== item.key);
+        });
+
+        this.saveData();
+        this.emit('pos:stock-committed', { cart: this.cart });
+    }
+
+    startReservationTimer() {
+        if (this.reservationTimer || !this.options.reservationCheckInterval) return;
+
+        this.reservationTimer = setInterval(() => this.releaseExpiredReservations(), this.options.reservationCheckInterval);
+    }
+
+    /**
+     * Update all stock displays
+     */
+    updateStockDisplays() {
+        this.products.forEach(product => {
+            this.updateStockDisplay(product.id);
+        });
+    }
+
+    /**
+     * Update all add buttons
+     */
+    updateAddButtons() {
+        this.products.forEach(product => {
+            this.updateAddButton(product.id);
+        });
+    }
+
+    /**
+     * Calculate cart totals
+     */
+    calculateTotals() {
+        const currency = this.options.currencyCode;
+        const subtotal = Money.sum(this.cart.map(item => this.getLineTotal(item)), currency);
+        const promotion = this.promotions
+            ? this.promotions.calculate(this.getPricingLines(), this.appliedCoupons)
+            : { discounts: [], total: 0 };
+        const discount = this.toMoney(promotion.total).min(subtotal);
+        const taxResult = this.calculateTax(discount.toMajor());
+        const tax = Money.sum(taxResult.lines.map(line => this.toMoney(line.tax)), currency);
+        const shippingQuote = this.calculateShipping(subtotal.subtract(discount).toMajor());
+        const shipping = this.toMoney(shippingQuote.amount);
+        // Tax-inclusive prices already carry their tax in the subtotal
+        const total = subtotal
+            .subtract(discount)
+            .add(taxResult.inclusive ? Money.zero(currency) : tax)
+            .add(shipping);
+
+        return {
+            currency,
+            subtotal: subtotal.toMajor(),
+            discount: discount.toMajor(),
+            discounts: promotion.discounts,
+            tax: tax.toMajor(),
+            taxLines: taxResult.lines,
+            taxInclusive: taxResult.inclusive,
+            taxRegion: taxResult.region,
+            shipping: shipping.toMajor(),
+            shippingMethod: shippingQuote.method,
+            shippingMethods: shippingQuote.methods,
+            total: total.toMajor(),
+            // Exact integer amounts; the major-unit numbers above are for display only
+            minorUnits: {
+                subtotal: subtotal.amount,
+                discount: discount.amount,
+                tax: tax.amount,
+                shipping: shipping.amount,
+                total: total.amount
+            },
+            itemCount: this.cart.reduce((sum, item) => sum + item.quantity, 0)
+        };
+    }
+
+    /**
+     * Convert a major-unit amount in the store currency to Money
+     */
+    toMoney(amount) {
+        return Money.from(amount, this.options.currencyCode);
+    }
+
+    /**
+     * Line total (price x quantity) as Money
+     */
+    getLineTotal(item) {
+        return this.toMoney(item.price).multiply(item.quantity);
+    }
+
+    /**
+     * Convert a price listed in another currency into the store currency
+     */
+    toStorePrice(amount, currency) {
+        if (currency === this.options.currencyCode) {
+            return amount;
+        }
+
+        if (!this.currencyConverter || !this.currencyConverter.supports(currency)) {
+            console.warn(`Universal POS: No exchange rate for ${currency}, treating price as ${this.options.currencyCode}`);
+            return amount;
+        }
+
+        return this.currencyConverter.convert(Money.fromMajor(amount, currency), this.options.currencyCode).toMajor();
+    }
+
+    /**
+     * Format a store-currency amount for display in the shopper's display currency
+     * Without the currency converter the store currency symbol is used.
+     */
+    formatPrice(amount) {
+        if (!this.currencyConverter) {
+            return this.toMoney(amount).format(this.options.currency);
+        }
+
+        return this.currencyConverter.format(this.currencyConverter.convert(this.toMoney(amount), this.displayCurrency));
+    }
+
+    /**
+     * Format a store-currency amount in the store currency, whatever the display currency
+     */
+    formatStorePrice(amount) {
+        return this.currencyConverter
+            ? this.currencyConverter.format(this.toMoney(amount))
+            : this.toMoney(amount).format(this.options.currency);
+    }
+
+    /**
+     * Translate a message key in the customer's locale (see POSI18n)
+     */
+    t(key, params = {}) {
+        return this.i18n.t(key, params);
+    }
+
+    /**
+     * Switch the storefront language; the cart, product controls and prices are rendered again
+     */
+    setLocale(locale) {
+        this.i18n.setLocale(locale);
+        this.options.locale = this.i18n.getLocale();
+
+        if (this.currencyConverter) {
+            this.currencyConverter.options.locale = this.options.locale;
+            this.currencyConverter.formatters.clear();
+        }
+
+        if (this.isInitialized) {
+            this.createCartUI();
+            this.updateCartDisplay();
+            this.updateStockDisplays();
+            this.updateAddButtons();
+            this.products.forEach(product => this.updatePriceDisplay(product.id));
+        }
+
+        this.emit('pos:locale-changed', { locale: this.options.locale, dir: this.i18n.getDirection() });
+    }
+
+    /**
+     * Update exchange rates and re-price products (and cart lines) listed in other currencies
+     */
+    setExchangeRates(rates) {
+        if (!this.currencyConverter) return;
+
+        this.pullLatestState();
+        this.currencyConverter.setRates(rates);
+
+        this.products.forEach(product => {
+            product.price = this.toStorePrice(product.listPrice, product.currency);
+            product.variants.forEach(variant => {
+                variant.price = variant.listPrice !== null
+                    ? this.toStorePrice(variant.listPrice, product.currency)
+                    : product.price;
+            });
+        });
+
+        this.cart.forEach(item => {
+            const product = this.products.find(p => p.id === item.id);
+            if (!product || product.currency === this.options.currencyCode) return;
+
+            const variant = item.variantId ? product.variants.find(v => v.id === item.variantId) : null;
+            item.price = variant ? variant.price : product.price;
+        });
+
+        this.saveData();
+        this.updateCartDisplay();
+        this.products.forEach(product => this.updatePriceDisplay(product.id));
+    }
+
+    /**
+     * Change the currency prices are shown in; checkout is still charged in the store currency
+     */
+    setDisplayCurrency(currency) {
+        this.pullLatestState();
+        const code = String(currency || '').toUpperCase();
+        if (!this.currencyConverter || !this.currencyConverter.supports(code)) {
+            console.warn(`Universal POS: Unsupported display currency ${currency}`);
+            return false;
+        }
+
+        this.displayCurrency = code;
+        this.saveData();
+        this.updateCartDisplay();
+        this.products.forEach(product => this.updatePriceDisplay(product.id));
+
+        this.emit('pos:currency-changed', { currency: code });
+        return true;
+    }
+
+    /**
+     * Calculate tax per cart line on the discounted amounts
+     * Without the tax engine the flat options.taxRate applies to every line.
+     */
+    calculateTax(discount = 0) {
+        const lines = this.getPricingLines();
+
+        if (this.taxEngine) {
+            return this.taxEngine.calculate(lines, {
+                discount,
+                address: this.shippingAddress,
+                fallbackRate: this.options.taxRate
             });
         }
 
-        // Update inventory
-        this.inventory[productId] -= quantity;
+        const lineTotals = lines.map(line => this.getLineTotal(line));
+        const discountShares = this.toMoney(discount).allocate(lineTotals.map(lineTotal => lineTotal.amount));
+        const taxLines = lines.map((line, index) => {
+            const taxable = lineTotals[index].subtract(discountShares[index]);
+            const tax = taxable.multiply(this.options.taxRate);
+            return {
+                key: line.key,
+                taxClass: 'standard',
+                rate: this.options.taxRate,
+                taxable: taxable.toMajor(),
+                tax: tax.toMajor()
+            };
+        });
+
+        return {
+            lines: taxLines,
+            total: Money.sum(taxLines.map(line => this.toMoney(line.tax)), this.options.currencyCode).toMajor(),
+            inclusive: false,
+            region: null
+        };
+    }
+
+    /**
+     * Quote shipping for the cart
+     * Falls back to the flat options.shippingCost when no shipping methods are configured
+     * or none covers the order; carts with nothing to ship are never charged.
+     */
+    calculateShipping(discountedSubtotal = 0) {
+        const lines = this.getPricingLines();
+        if (!lines.some(line => line.requiresShipping !== false)) {
+            return { amount: 0, method: null, methods: [] };
+        }
+
+        const methods = this.shipping
+            ? this.shipping.getQuotes(lines, { address: this.shippingAddress, subtotal: discountedSubtotal })
+            : [];
+        if (methods.length === 0) {
+            return { amount: this.options.shippingCost, method: null, methods };
+        }
+
+        const method = methods.find(quote => quote.id === this.selectedShippingMethod) || methods[0];
+        return { amount: method.amount, method, methods };
+    }
+
+    /**
+     * Choose the shipping method for the order
+     */
+    selectShippingMethod(methodId) {
+        this.pullLatestState();
+        const { methods } = this.calculateShipping();
+        if (!methods.some(method => method.id === methodId)) {
+            this.showNotification(this.t('notify.shippingUnavailable'), 'error');
+            return false;
+        }
+
+        this.selectedShippingMethod = methodId;
+        this.saveData();
+        this.updateCartDisplay();
+
+        this.emit('pos:shipping-method-selected', { methodId, totals: this.calculateTotals() });
+        return true;
+    }
+
+    /**
+     * Set the shipping address used to pick the tax region and shipping zone
+     */
+    setShippingAddress(address) {
+        this.pullLatestState();
+        this.shippingAddress = address ? { ...address } : null;
+        this.saveData();
+        this.updateCartDisplay();
+        this.emit('pos:shipping-address-changed', { address: this.shippingAddress, totals: this.calculateTotals() });
+    }
+
+    /**
+     * Set the customer's contact details (email, name, phone) and, optionally, their address
+     * The address also becomes the shipping address.
+     */
+    setCustomerDetails(details = {}) {
+        this.pullLatestState();
+
+        const { address, ...contact } = details;
+        this.customerDetails = { ...this.customerDetails, ...contact };
+        if (address) {
+            this.shippingAddress = { ...address };
+        }
+
+        this.saveData();
+        this.updateCartDisplay();
+        this.emit('pos:customer-details-changed', { details: this.customerDetails, address: this.shippingAddress });
+    }
+
+    /**
+     * Set the billing address; null bills to the shipping address
+     */
+    setBillingAddress(address) {
+        this.pullLatestState();
+        this.billingAddress = address ? { ...address } : null;
+        this.saveData();
+        this.emit('pos:billing-address-changed', { address: this.billingAddress });
+    }
+
+    /**
+     * Profile of a returning customer, by email
+     */
+    lookupCustomer(email) {
+        return this.customers ? this.customers.findByEmail(email) : null;
+    }
+
+    /**
+     * Email is optional (guest checkout), but one that was entered must be valid
+     */
+    validateCustomerDetails() {
+        if (this.customers && this.customerDetails.email && !this.customers.isValidEmail(this.customerDetails.email)) {
+            this.showNotification(this.t('notify.invalidEmail'), 'error');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Customer for an order: contact details plus the shipping address
+     */
+    getCheckoutCustomer() {
+        const details = this.customerDetails;
+        if (!details.email && !details.name && !details.phone) {
+            return null;
+        }
+
+        return { ...details, address: this.shippingAddress };
+    }
+
+    /**
+     * Cart lines with product category, tax class and shipping details resolved, for pricing rules
+     */
+    getPricingLines() {
+        return this.cart.map(item => {
+            const product = this.products.find(p => p.id === item.id);
+            return {
+                ...item,
+                category: item.category || (product ? product.category : 'general'),
+                taxClass: item.taxClass || (product ? product.taxClass : null),
+                weight: item.weight !== undefined ? item.weight : (product ? product.weight : 0),
+                dimensions: item.dimensions !== undefined ? item.dimensions : (product ? product.dimensions : null),
+                requiresShipping: item.requiresShipping !== undefined
+                    ? item.requiresShipping
+                    : (product ? product.requiresShipping : true)
+            };
+        });
+    }
+
+    /**
+     * Apply a discount code to the cart
+     */
+    applyCoupon(code) {
+        this.pullLatestState();
+        if (!this.promotions) return false;
+
+        const normalized = String(code || '').trim().toUpperCase();
+        if (!normalized) return false;
+
+        if (this.appliedCoupons.includes(normalized)) {
+            this.showNotification(this.t('notify.codeAlreadyApplied'), 'info');
+            return false;
+        }
+
+        const validation = this.promotions.validateCode(normalized, this.getPricingLines());
+        if (!validation.isValid) {
+            const message = validation.reason
+                ? this.t(`promo.error.${validation.reason}`, { amount: this.formatPrice(validation.minSubtotal || 0) })
+                : validation.error;
+            this.showNotification(message, 'error');
+            return false;
+        }
+
+        this.appliedCoupons.push(normalized);
         this.saveData();
         this.updateCartDisplay();
-        this.updateStockDisplay(productId);
-        this.updateAddButton(productId);
 
-        this.showNotification(`${product.name} added to cart`, 'success');
-        this.emit('pos:item-added', { productId, quantity, cart: this.cart });
+        this.showNotification(this.t('notify.codeApplied', { code: normalized }), 'success');
+        this.emit('pos:coupon-applied', { code: normalized, totals: this.calculateTotals() });
+        return true;
+    }
+
+    /**
+     * Remove a discount code from the cart
+     */
+    removeCoupon(code) {
+        this.pullLatestState();
+        const normalized = String(code || '').trim().toUpperCase();
+        if (!this.appliedCoupons.includes(normalized)) return false;
+
+        this.appliedCoupons = this.appliedCoupons.filter(applied => applied !== normalized);
+        this.saveData();
+        this.updateCartDisplay();
 
+        this.emit('pos:coupon-removed', { code: normalized });
         return true;
     }
 
     /**
-     * Remove item from cart
+     * Replace the markup of one of the injected controls
+     * Names are the keys of POSTemplates: cartToggle, cartDropdown, cartItem, cartEmpty,
+     * stockBadge, addButton and orderReview. Passing null restores the default.
+     */
+    setTemplate(name, template) {
+        if (!(name in POSTemplates)) {
+            throw new Error(`Unknown template: ${name}`);
+        }
+        if (template !== null && typeof template !== 'function') {
+            throw new Error(`Template ${name} must be a function`);
+        }
+
+        if (template) {
+            this.templates[name] = template;
+        } else {
+            delete this.templates[name];
+        }
+
+        if (this.isInitialized) {
+            this.createCartUI();
+            this.updateCartDisplay();
+            this.updateStockDisplays();
+            this.updateAddButtons();
+        }
+    }
+
+    /**
+     * Render a template with the site's override, falling back to the default markup
+     * An override that returns null or undefined leaves that render to the default. What an override
+     * returns is the site's own markup and is inserted as it is.
+     */
+    render(name, view) {
+        const template = this.templates[name];
+        if (template) {
+            const html = template(view, this);
+            if (html !== null && html !== undefined) {
+                return POSHtml.raw(html);
+            }
+        }
+
+        return POSTemplates[name](view, this);
+    }
+
+    /**
+     * Create cart UI
+     */
+    createCartUI() {
+        // Remove existing cart UI
+        const existingCart = document.querySelector('.pos-cart-container');
+        if (existingCart) {
+            existingCart.remove();
+        }
+
+        const cartContainer = document.createElement('div');
+        cartContainer.className = 'pos-cart-container';
+        this.i18n.applyDirection(cartContainer);
+        cartContainer.innerHTML = `
+            <div class="pos-cart-toggle"></div>
+            <div class="pos-cart-dropdown"></div>
+        `;
+        cartContainer.querySelector('.pos-cart-toggle').innerHTML = this.render('cartToggle', {
+            itemCount: 0,
+            totals: null
+        });
+        cartContainer.querySelector('.pos-cart-dropdown').innerHTML = this.render('cartDropdown', {
+            currency: !!this.currencyConverter,
+            promotions: !!this.promotions,
+            shipping: !!this.shipping,
+            customerForm: !!(this.customers && !this.checkoutFlow)
+        });
+
+        document.body.appendChild(cartContainer);
+        this.bindCartEvents(cartContainer);
+        this.fillCustomerForm();
+    }
+
+    /**
+     * Bind cart UI events
+     */
+    bindCartEvents(cartContainer) {
+        const dropdown = cartContainer.querySelector('.pos-cart-dropdown');
+
+        // Delegated from the container, so templates can re-render any part of the cart
+        cartContainer.addEventListener('click', (e) => {
+            const button = e.target.closest('.pos-cart-toggle, .pos-cart-close, .pos-cart-clear, .pos-cart-checkout, .pos-quantity-decrease, .pos-quantity-increase, .pos-cart-item-remove, .pos-promo-remove');
+            if (!button || button.disabled) return;
+
+            const key = button.getAttribute('data-line-key');
+
+            if (button.classList.contains('pos-cart-toggle')) {
+                dropdown.classList.toggle('pos-cart-open');
+            } else if (button.classList.contains('pos-cart-close')) {
+                dropdown.classList.remove('pos-cart-open');
+            } else if (button.classList.contains('pos-cart-clear')) {
+                this.confirmAction({
+                    title: this.t('cart.clearTitle'),
+                    message: this.t('cart.clearMessage'),
+                    confirmLabel: this.t('cart.clearTitle')
+                }).then(confirmed => {
+                    if (confirmed) this.clearCart();
+                });
+            } else if (button.classList.contains('pos-cart-checkout')) {
+                this.startCheckout();
+            } else if (button.classList.contains('pos-quantity-decrease')) {
+                this.removeFromCart(key, 1);
+            } else if (button.classList.contains('pos-quantity-increase')) {
+                const item = this.cart.find(line => line.key === key);
+                if (item) {
+                    this.addToCart(item.id, 1, item.variantId);
+                }
+            } else if (button.classList.contains('pos-cart-item-remove')) {
+                this.removeFromCart(key);
+            } else if (button.classList.contains('pos-promo-remove')) {
+                this.removeCoupon(button.getAttribute('data-code'));
+            }
+        });
+
+        const promoForm = cartContainer.querySelector('.pos-promo-form');
+        if (promoForm) {
+            promoForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const input = promoForm.querySelector('.pos-promo-input');
+                if (this.applyCoupon(input.value)) {
+                    input.value = '';
+                }
+            });
+        }
+
+        const currencyPicker = cartContainer.querySelector('.pos-cart-currency');
+        if (currencyPicker) {
+            currencyPicker.addEventListener('change', (e) => {
+                if (e.target.classList.contains('pos-currency-select')) {
+                    this.setDisplayCurrency(e.target.value);
+                }
+            });
+        }
+
+        const shippingMethods = cartContainer.querySelector('.pos-cart-shipping');
+        if (shippingMethods) {
+            shippingMethods.addEventListener('change', (e) => {
+                if (e.target.name === 'pos-shipping-method') {
+                    this.selectShippingMethod(e.target.value);
+                }
+            });
+        }
+
+        const customerForm = cartContainer.querySelector('.pos-cart-customer');
+        if (customerForm) {
+            customerForm.addEventListener('submit', (e) => e.preventDefault());
+            customerForm.addEventListener('change', (e) => {
+                if (e.target.name === 'email') {
+                    this.prefillReturningCustomer(customerForm);
+                }
+                this.setCustomerDetails(this.readCustomerForm(customerForm));
+            });
+        }
+    }
+
+    /**
+     * Contact details and address entered in the cart's customer form
+     */
+    readCustomerForm(form) {
+        const value = name => form.elements[name].value.trim();
+        const address = {
+            line1: value('line1'),
+            city: value('city'),
+            state: value('state').toUpperCase(),
+            postalCode: value('postalCode'),
+            country: value('country').toUpperCase()
+        };
+
+        return {
+            email: value('email'),
+            name: value('name'),
+            phone: value('phone'),
+            address: Object.values(address).some(Boolean) ? address : null
+        };
+    }
+
+    /**
+     * Show the stored contact details and address in the customer form
+     */
+    fillCustomerForm() {
+        const form = document.querySelector('.pos-cart-customer');
+        if (!form) return;
+
+        const address = this.shippingAddress || {};
+        const values = { ...this.customerDetails, ...address };
+        ['email', 'name', 'phone', 'line1', 'city', 'state', 'postalCode', 'country'].forEach(name => {
+            if (document.activeElement !== form.elements[name]) {
+                form.elements[name].value = values[name] || '';
+            }
+        });
+    }
+
+    /**
+     * Greeting for a recognized returning customer; empty when there is none
+     * Their name is only shown where their details may be prefilled.
+     */
+    getWelcomeMessage(customer) {
+        if (!customer) return '';
+        return this.options.prefillCustomerDetails && customer.name
+            ? this.t('customer.welcomeName', { name: customer.name })
+            : this.t('customer.welcome');
+    }
+
+    /**
+     * Greet a returning customer, and fill the blanks in the customer form from their profile
+     * when prefillCustomerDetails is on; otherwise nothing stored about them is shown.
+     */
+    prefillReturningCustomer(form) {
+        const welcome = form.querySelector('.pos-customer-welcome');
+        const customer = this.lookupCustomer(form.elements.email.value);
+        const prefill = !!customer && this.options.prefillCustomerDetails;
+        welcome.textContent = this.getWelcomeMessage(customer);
+        if (!customer) return;
+
+        if (prefill) {
+            const address = customer.addresses[customer.addresses.length - 1] || {};
+            const values = { name: customer.name, phone: customer.phone, ...address };
+            ['name', 'phone', 'line1', 'city', 'state', 'postalCode', 'country'].forEach(name => {
+                if (!form.elements[name].value && values[name]) {
+                    form.elements[name].value = values[name];
+                }
+            });
+        }
+
+        this.emit('pos:customer-recognized', { customerId: customer.id, prefilled: prefill });
+    }
+
+    /**
+     * Update cart display
+     */
+    updateCartDisplay() {
+        const cartContainer = document.querySelector('.pos-cart-container');
+        if (!cartContainer) return;
+
+        const { html } = POSHtml;
+        const toggle = cartContainer.querySelector('.pos-cart-toggle');
+        const cartItems = cartContainer.querySelector('.pos-cart-items');
+        const cartTotals = cartContainer.querySelector('.pos-cart-totals');
+        const checkoutBtn = cartContainer.querySelector('.pos-cart-checkout');
+
+        const totals = this.calculateTotals();
+
+        // Update cart toggle
+        toggle.innerHTML = this.render('cartToggle', { itemCount: totals.itemCount, totals });
+
+        // Update cart items
+        if (cartItems) {
+            cartItems.innerHTML = this.cart.length === 0
+                ? this.render('cartEmpty', {})
+                : POSHtml.html`${this.cart.map(item => this.render('cartItem', {
+                    item,
+                    optionsLabel: item.options ? this.formatVariantOptions(item.options) : '',
+                    unitPrice: this.formatPrice(item.price),
+                    lineTotal: this.formatPrice(this.getLineTotal(item))
+                }))}`;
+        }
+        if (checkoutBtn) {
+            checkoutBtn.disabled = this.cart.length === 0;
+        }
+
+        // Update applied discount codes
+        const promoCodes = cartContainer.querySelector('.pos-promo-codes');
+        if (promoCodes) {
+            promoCodes.innerHTML = html`${this.appliedCoupons.map(code => html`
+                <span class="pos-promo-code">
+                    ${code}
+                    <button class="pos-promo-remove" data-code="${code}" aria-label="${this.t('promo.remove', { code })}">&times;</button>
+                </span>
+            `)}`;
+        }
+
+        // Update display currency picker
+        const currencyPicker = cartContainer.querySelector('.pos-cart-currency');
+        if (currencyPicker) {
+            const currencies = this.currencyConverter.getCurrencies();
+            currencyPicker.innerHTML = currencies.length > 1 ? html`
+                <select class="pos-currency-select" aria-label="${this.t('cart.currency')}">
+                    ${currencies.map(code => html`
+                        <option value="${code}" ${code === this.displayCurrency ? 'selected' : ''}>${code}</option>
+                    `)}
+                </select>
+            ` : '';
+        }
+
+        // Update shipping methods
+        const shippingMethods = cartContainer.querySelector('.pos-cart-shipping');
+        if (shippingMethods) {
+            shippingMethods.innerHTML = totals.shippingMethods.length > 0 ? html`
+                <div class="pos-shipping-title">${this.t('shipping.title')}</div>
+                ${totals.shippingMethods.map(method => html`
+                    <label class="pos-shipping-method">
+                        <input type="radio" name="pos-shipping-method" value="${method.id}" ${totals.shippingMethod && totals.shippingMethod.id === method.id ? 'checked' : ''}>
+                        <span class="pos-shipping-label">
+                            ${method.label}
+                            ${method.estimatedDays ? html`<small>${method.estimatedDays}</small>` : ''}
+                        </span>
+                        <span class="pos-shipping-rate">${method.amount > 0 ? this.formatPrice(method.amount) : this.t('shipping.free')}</span>
+                    </label>
+                `)}
+            ` : '';
+        }
+
+        // Update totals
+        if (!cartTotals) return;
+        const label = name => this.t('totals.label', { label: name });
+        cartTotals.innerHTML = html`
+            <div class="pos-totals-line">
+                <span>${label(this.t('totals.subtotal'))}</span>
+                <span>${this.formatPrice(totals.subtotal)}</span>
+            </div>
+            ${totals.discounts.map(discount => html`
+                <div class="pos-totals-line pos-totals-discount">
+                    <span>${label(discount.label)}</span>
+                    <span>-${this.formatPrice(discount.amount)}</span>
+                </div>
+            `)}
+            ${totals.tax > 0 ? html`
+                <div class="pos-totals-line">
+                    <span>${label(this.t(totals.taxInclusive ? 'totals.taxIncluded' : 'totals.tax'))}</span>
+                    <span>${this.formatPrice(totals.tax)}</span>
+                </div>
+            ` : ''}
+            ${totals.shippingMethod ? html`
+                <div class="pos-totals-line">
+                    <span>${label(totals.shippingMethod.label)}</span>
+                    <span>${totals.shipping > 0 ? this.formatPrice(totals.shipping) : this.t('shipping.free')}</span>
+                </div>
+            ` : totals.shipping > 0 ? html`
+                <div class="pos-totals-line">
+                    <span>${label(this.t('totals.shipping'))}</span>
+                    <span>${this.formatPrice(totals.shipping)}</span>
+                </div>
+            ` : ''}
+            <div class="pos-totals-line pos-totals-total">
+                <span>${label(this.t('totals.total'))}</span>
+                <span>${this.formatPrice(totals.total)}</span>
+            </div>
+            ${this.displayCurrency !== totals.currency ? html`
+                <div class="pos-totals-note">
+                    ${this.t('totals.charged', { amount: this.formatStorePrice(totals.total), currency: totals.currency })}
+                </div>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Format variant options for display, e.g. "Size: M / Color: Black"
+     */
+    formatVariantOptions(options) {
+        return Object.entries(options)
+            .map(([name, value]) => this.t('product.option', { name: name.charAt(0).toUpperCase() + name.slice(1), value }))
+            .join(' / ');
+    }
+
+    /**
+     * Start checkout process
+     * In price authority mode (pos-pricing.js) the cart is quoted first; checkout opens once its
+     * prices are confirmed.
+     */
+    startCheckout() {
+        if (this.cart.length === 0) {
+            this.showNotification(this.t('notify.cartEmpty'), 'error');
+            return;
+        }
+
+        if (!this.ensureReservations()) {
+            return;
+        }
+
+        if (this.priceAuthority && !this.priceAuthority.hasValidQuote()) {
+            return this.priceAuthority.verifyCart().then(verified => {
+                if (verified) {
+                    this.startCheckout();
+                }
+                return verified;
+            });
+        }
+
+        // The checkout flow collects and validates contact and address details before the order is placed
+        if (this.checkoutFlow) {
+            const dropdown = document.querySelector('.pos-cart-dropdown');
+            if (dropdown) dropdown.classList.remove('pos-cart-open');
+            this.checkoutFlow.open();
+            return;
+        }
+
+        if (!this.validateCustomerDetails()) {
+            return;
+        }
+
+        this.placeOrder();
+    }
+
+    /**
+     * Place the order for the cart
+     * Orders the customer already reviewed in the checkout flow skip the summary.
+     */
+    placeOrder(reviewed = false) {
+        // Addresses, shipping and quantities can change during checkout; the order goes out at a quote for the final cart
+        if (this.priceAuthority && !this.priceAuthority.hasValidQuote()) {
+            return this.priceAuthority.verifyCart().then(verified => {
+                if (verified) {
+                    this.placeOrder(reviewed);
+                }
+                return verified;
+            });
+        }
+
+        const checkoutData = this.buildCheckoutData();
+
+        this.emit('pos:checkout-started', checkoutData);
+
+        // If API endpoint is configured, send data there
+        if (this.options.apiEndpoint) {
+            this.submitToAPI(checkoutData);
+        } else if (reviewed) {
+            this.completeCheckout(checkoutData);
+        } else {
+            // Default checkout behavior - show summary and clear cart
+            this.showCheckoutSummary(checkoutData);
+        }
+    }
+
+    /**
+     * Snapshot of the cart for an order, identified by the checkout's order ID
+     */
+    buildCheckoutData() {
+        const totals = this.calculateTotals();
+        const { orderId, idempotencyKey } = this.beginCheckout();
+
+        return {
+            orderId,
+            idempotencyKey,
+            cart: this.getCheckoutLines(totals),
+            totals: totals,
+            discounts: totals.discounts,
+            couponCodes: [...this.appliedCoupons],
+            shippingMethod: totals.shippingMethod,
+            shippingAddress: this.shippingAddress,
+            billingAddress: this.billingAddress || this.shippingAddress,
+            customer: this.getCheckoutCustomer(),
+            displayCurrency: this.displayCurrency,
+            priceQuote: this.priceAuthority ? this.priceAuthority.getQuoteReference() : null,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Order ID for the checkout in progress
+     * It is generated once per cart: starting checkout again for the same cart (a double click, a retry
+     * after a failed request) reuses it, so the API and payment processors see one order, not several.
+     * The order ID doubles as the idempotency key.
+     */
+    beginCheckout() {
+        const signature = this.getCheckoutSignature();
+
+        if (!this.checkoutSession || this.checkoutSession.signature !== signature) {
+            const orderId = this.generateOrderId();
+            this.checkoutSession = { orderId, idempotencyKey: orderId, signature };
+        }
+
+        return this.checkoutSession;
+    }
+
+    /**
+     * Everything an order's price depends on; a checkout is the same order while this stays the same
+     */
+    getCheckoutSignature() {
+        return JSON.stringify({
+            lines: this.cart.map(item => [item.key, item.quantity, item.price]),
+            coupons: this.appliedCoupons,
+            shippingMethod: this.selectedShippingMethod,
+            shippingAddress: this.shippingAddress,
+            billingAddress: this.billingAddress
+        });
+    }
+
+    /**
+     * Collision-safe order ID, e.g. "ORD-1718031234567-9F2C4A1B7E03"
      */
-    removeFromCart(productId, quantity = null) {
-        const cartItemIndex = this.cart.findIndex(item => item.id === productId);
-        if (cartItemIndex === -1) return false;
+    generateOrderId() {
+        const random = typeof crypto !== 'undefined' && crypto.randomUUID
+            ? crypto.randomUUID().replace(/-/g, '').slice(0, 12)
+            : `${Math.random().toString(36).slice(2, 8)}${Math.random().toString(36).slice(2, 8)}`;
 
-        const cartItem = this.cart[cartItemIndex];
-        const removeQuantity = quantity || cartItem.quantity;
+        return `ORD-${Date.now()}-${random.toUpperCase()}`;
+    }
 
-        // Return stock to inventory
-        this.inventory[productId] = (this.inventory[productId] || 0) + removeQuantity;
+    /**
+     * Cart lines for an order, each carrying its own tax amount and rate
+     */
+    getCheckoutLines(totals) {
+        return this.cart.map(item => {
+            const taxLine = totals.taxLines.find(line => line.key === item.key);
+            return {
+                ...item,
+                taxClass: taxLine ? taxLine.taxClass : null,
+                taxRate: taxLine ? taxLine.rate : 0,
+                tax: taxLine ? taxLine.tax : 0
+            };
+        });
+    }
 
-        if (quantity && cartItem.quantity > quantity) {
-            cartItem.quantity -= quantity;
-        } else {
-            this.cart.splice(cartItemIndex, 1);
-        }
+    /**
+     * Show the order review dialog; the order is placed when the customer confirms it
+     * Quantities can still be changed in the dialog, so the order is rebuilt from the cart on confirm.
+     */
+    showCheckoutSummary(checkoutData) {
+        const dialog = this.createDialog({
+            title: this.t('review.title'),
+            className: 'pos-review-dialog',
+            content: this.renderOrderReview(checkoutData),
+            actions: [
+                { label: this.t('review.keepShopping'), value: false },
+                { label: this.t('review.placeOrder'), value: true, primary: true }
+            ]
+        });
 
-        this.saveData();
-        this.updateCartDisplay();
-        this.updateStockDisplays();
-        this.updateAddButtons();
+        const confirmed = dialog.open();
+        this.bindReviewQuantities(dialog.getBody(), () => {
+            if (this.cart.length === 0) {
+                dialog.close(false);
+                return;
+            }
+            dialog.setContent(this.renderOrderReview(this.buildCheckoutData()));
+        });
 
-        this.emit('pos:item-removed', { productId, quantity: removeQuantity, cart: this.cart });
-        return true;
+        return confirmed.then(placeOrder => {
+            if (placeOrder) {
+                this.completeCheckout(this.buildCheckoutData());
+            }
+            return placeOrder;
+        });
     }
 
     /**
-     * Clear entire cart
+     * Line items and totals of an order, with editable quantities
+     * Rendered through the orderReview template (the checkoutTemplate option still sets it).
      */
-    clearCart() {
-        // Return all items to inventory
-        this.cart.forEach(item => {
-            this.inventory[item.id] = (this.inventory[item.id] || 0) + item.quantity;
+    renderOrderReview(checkoutData) {
+        const lines = checkoutData.cart.map(item => ({
+            ...item,
+            optionsLabel: item.options ? this.formatVariantOptions(item.options) : '',
+            unitPrice: this.formatPrice(item.price),
+            lineTotal: this.formatPrice(this.getLineTotal(item))
+        }));
+
+        return this.render('orderReview', {
+            checkoutData,
+            lines,
+            totals: checkoutData.totals,
+            formatPrice: amount => this.formatPrice(amount)
         });
+    }
 
-        this.cart = [];
-        this.saveData();
-        this.updateCartDisplay();
-        this.updateStockDisplays();
-        this.updateAddButtons();
+    /**
+     * Apply quantity changes made in an order review, then let the caller re-render it
+     * Enter applies the new quantity instead of submitting the surrounding form.
+     */
+    bindReviewQuantities(container, onChange) {
+        const apply = (input) => {
+            const key = input.getAttribute('data-line-key');
+            if (this.setCartQuantity(key, parseInt(input.value, 10) || 0)) {
+                onChange(key);
+                const updated = container.querySelector(`.pos-review-quantity[data-line-key="${key}"]`);
+                if (updated) updated.focus();
+            }
+        };
 
-        this.emit('pos:cart-cleared');
+        container.addEventListener('change', (e) => {
+            if (e.target.classList.contains('pos-review-quantity')) {
+                apply(e.target);
+            }
+        });
+
+        container.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.classList.contains('pos-review-quantity')) {
+                e.preventDefault();
+                apply(e.target);
+            }
+        });
     }
 
     /**
-     * Update all stock displays
+     * Set a cart line to an exact quantity; 0 removes it
+     * Returns true when the cart changed.
      */
-    updateStockDisplays() {
-        this.products.forEach(product => {
-            this.updateStockDisplay(product.id);
-        });
+    setCartQuantity(key, quantity) {
+        const item = this.cart.find(line => line.key === key);
+        if (!item || quantity === item.quantity || quantity < 0) {
+            return false;
+        }
+
+        if (quantity === 0) {
+            return this.removeFromCart(key);
+        }
+        if (quantity > item.quantity) {
+            return this.addToCart(item.id, quantity - item.quantity, item.variantId);
+        }
+        return this.removeFromCart(key, item.quantity - quantity);
     }
 
     /**
-     * Update all add buttons
+     * POSDialog in the customer's language and text direction
      */
-    updateAddButtons() {
-        this.products.forEach(product => {
-            this.updateAddButton(product.id);
+    createDialog(options) {
+        return new POSDialog({
+            closeLabel: this.t('dialog.close'),
+            lang: this.i18n.getLocale(),
+            dir: this.i18n.getDirection(),
+            ...options
         });
     }
 
     /**
-     * Calculate cart totals
+     * Ask the customer to confirm an action in a dialog; resolves true when confirmed
      */
-    calculateTotals() {
-        const subtotal = this.cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-        const tax = subtotal * this.options.taxRate;
-        const shipping = this.options.shippingCost;
-        const total = subtotal + tax + shipping;
+    confirmAction({ title, message, confirmLabel = this.t('dialog.confirm'), cancelLabel = this.t('dialog.cancel') }) {
+        const dialog = this.createDialog({
+            title,
+            className: 'pos-confirm-dialog',
+            content: POSHtml.html`<p>${message}</p>`,
+            actions: [
+                { label: cancelLabel, value: false },
+                { label: confirmLabel, value: true, primary: true }
+            ]
+        });
 
-        return {
-            subtotal: Math.round(subtotal * 100) / 100,
-            tax: Math.round(tax * 100) / 100,
-            shipping: Math.round(shipping * 100) / 100,
-            total: Math.round(total * 100) / 100,
-            itemCount: this.cart.reduce((sum, item) => sum + item.quantity, 0)
-        };
+        return dialog.open().then(confirmed => confirmed === true);
     }
 
     /**
-     * Create cart UI
+     * Complete checkout
      */
-    createCartUI() {
-        // Remove existing cart UI
-        const existingCart = document.querySelector('.pos-cart-container');
-        if (existingCart) {
-            existingCart.remove();
+    completeCheckout(checkoutData, status = 'placed') {
+        const order = this.recordOrder(checkoutData, status);
+        if (!order) {
+            return null;
         }
 
-        const cartContainer = document.createElement('div');
-        cartContainer.className = 'pos-cart-container';
-        cartContainer.innerHTML = `
-            <div class="pos-cart-toggle">
-                <span class="pos-cart-icon">🛒</span>
-                <span class="pos-cart-count">0</span>
-            </div>
-            <div class="pos-cart-dropdown">
-                <div class="pos-cart-header">
-                    <h3>Shopping Cart</h3>
-                    <button class="pos-cart-close">&times;</button>
-                </div>
-                <div class="pos-cart-items"></div>
-                <div class="pos-cart-totals"></div>
-                <div class="pos-cart-actions">
-                    <button class="pos-cart-clear">Clear Cart</button>
-                    <button class="pos-cart-checkout">Checkout</button>
-                </div>
-            </div>
-        `;
-
-        document.body.appendChild(cartContainer);
-        this.bindCartEvents(cartContainer);
+        this.commitReservations();
+        this.clearCart();
+        this.showNotification(this.t('notify.orderCompleted'), 'success');
+        this.emit('pos:checkout-completed', checkoutData);
+        return order;
     }
 
     /**
-     * Bind cart UI events
+     * Save an order, once
+     * A second completion of the same order ID is rejected (returns null) so it cannot be recorded
+     * or have its stock committed twice.
      */
-    bindCartEvents(cartContainer) {
-        const toggle = cartContainer.querySelector('.pos-cart-toggle');
-        const dropdown = cartContainer.querySelector('.pos-cart-dropdown');
-        const closeBtn = cartContainer.querySelector('.pos-cart-close');
-        const clearBtn = cartContainer.querySelector('.pos-cart-clear');
-        const checkoutBtn = cartContainer.querySelector('.pos-cart-checkout');
+    recordOrder(checkoutData, status = 'placed', actor = 'customer') {
+        this.pullLatestState();
 
-        toggle.addEventListener('click', () => {
-            dropdown.classList.toggle('pos-cart-open');
-        });
+        const order = this.setOrderStatus({
+            ...checkoutData,
+            id: checkoutData.orderId || this.generateOrderId(),
+            status: null
+        }, status, actor);
+        const orders = this.getOrders();
+
+        if (orders.some(existing => existing.id === order.id)) {
+            console.warn(`Universal POS: Order ${order.id} was already completed`);
+            this.emit('pos:checkout-duplicate', { orderId: order.id });
+            return null;
+        }
 
-        closeBtn.addEventListener('click', () => {
-            dropdown.classList.remove('pos-cart-open');
-        });
+        this.attachCustomer(order);
+        orders.push(order);
+        this.saveOrders(orders);
 
-        clearBtn.addEventListener('click', () => {
-            if (confirm('Are you sure you want to clear your cart?')) {
-                this.clearCart();
-            }
-        });
+        if (this.checkoutSession && this.checkoutSession.orderId === order.id) {
+            this.checkoutSession = null;
+        }
 
-        checkoutBtn.addEventListener('click', () => {
-            this.startCheckout();
-        });
+        return order;
+    }
 
-        // Close cart when clicking outside
-        document.addEventListener('click', (e) => {
-            if (!cartContainer.contains(e.target)) {
-                dropdown.classList.remove('pos-cart-open');
-            }
-        });
+    /**
+     * Link an order to the customer profile for its email, creating the profile for first-time customers
+     * Guest orders without a valid email are recorded without a profile.
+     */
+    attachCustomer(order) {
+        if (!this.customers || !order.customer || !this.customers.isValidEmail(order.customer.email)) {
+            return;
+        }
+
+        try {
+            order.customerId = this.customers.upsert(order.customer).id;
+        } catch (error) {
+            console.warn('Universal POS: Error saving customer profile', error);
+        }
     }
 
     /**
-     * Update cart display
+     * Set an order's status and record the change in its history
+     * Transition rules live in OrderLifecycle (pos-orders.js).
      */
-    updateCartDisplay() {
-        const cartContainer = document.querySelector('.pos-cart-container');
-        if (!cartContainer) return;
+    setOrderStatus(order, status, actor, note = null) {
+        order.history = [
+            ...(order.history || []),
+            { from: order.status || null, to: status, at: new Date().toISOString(), actor, note }
+        ];
+        order.status = status;
+        return order;
+    }
 
-        const cartCount = cartContainer.querySelector('.pos-cart-count');
-        const cartItems = cartContainer.querySelector('.pos-cart-items');
-        const cartTotals = cartContainer.querySelector('.pos-cart-totals');
-        const checkoutBtn = cartContainer.querySelector('.pos-cart-checkout');
+    /**
+     * Submit checkout data to API
+     * Orders that fail for connectivity reasons are queued and completed locally as "pending-sync".
+     */
+    async submitToAPI(checkoutData) {
+        const orderId = checkoutData.orderId || this.generateOrderId();
+        const order = {
+            ...checkoutData,
+            orderId,
+            idempotencyKey: checkoutData.idempotencyKey || orderId
+        };
 
-        const totals = this.calculateTotals();
+        // A repeated click while the same order is being submitted
+        if (this.submittingOrders.has(orderId)) {
+            return;
+        }
 
-        // Update cart count
-        cartCount.textContent = totals.itemCount;
-        cartCount.style.display = totals.itemCount > 0 ? 'inline' : 'none';
+        if (this.options.offlineQueue && this.isOffline()) {
+            this.queueOrder(order, new Error('Browser is offline'));
+            return;
+        }
 
-        // Update cart items
-        if (this.cart.length === 0) {
-            cartItems.innerHTML = '<div class="pos-cart-empty">Your cart is empty</div>';
-            checkoutBtn.disabled = true;
-        } else {
-            cartItems.innerHTML = this.cart.map(item => `
-                <div class="pos-cart-item" data-product-id="${item.id}">
-                    ${item.image ? `<img src="${item.image}" alt="${item.name}" class="pos-cart-item-image">` : ''}
-                    <div class="pos-cart-item-details">
-                        <div class="pos-cart-item-name">${item.name}</div>
-                        <div class="pos-cart-item-price">${this.options.currency}${item.price.toFixed(2)}</div>
-                        <div class="pos-cart-item-sku">SKU: ${item.sku}</div>
-                    </div>
-                    <div class="pos-cart-item-quantity">
-                        <button class="pos-quantity-btn pos-quantity-decrease" data-product-id="${item.id}">-</button>
-                        <span class="pos-quantity-display">${item.quantity}</span>
-                        <button class="pos-quantity-btn pos-quantity-increase" data-product-id="${item.id}">+</button>
-                    </div>
-                    <div class="pos-cart-item-total">${this.options.currency}${(item.price * item.quantity).toFixed(2)}</div>
-                    <button class="pos-cart-item-remove" data-product-id="${item.id}">&times;</button>
-                </div>
-            `).join('');
-            checkoutBtn.disabled = false;
-
-            // Bind quantity and remove buttons
-            cartItems.querySelectorAll('.pos-quantity-decrease').forEach(btn => {
-                btn.addEventListener('click', (e) => {
-                    const productId = e.target.getAttribute('data-product-id');
-                    this.removeFromCart(productId, 1);
-                });
-            });
+        this.submittingOrders.add(orderId);
+        try {
+            const result = await this.sendOrder(order);
+            this.emit('pos:api-success', result);
+            this.completeCheckout(order);
+        } catch (error) {
+            if (this.options.offlineQueue && error.retryable) {
+                this.queueOrder(order, error);
+                return;
+            }
 
-            cartItems.querySelectorAll('.pos-quantity-increase').forEach(btn => {
-                btn.addEventListener('click', (e) => {
-                    const productId = e.target.getAttribute('data-product-id');
-                    this.addToCart(productId, 1);
-                });
-            });
+            console.error('Universal POS: API submission failed', error);
+            this.showNotification(this.t('notify.checkoutFailed'), 'error');
+            this.emit('pos:api-error', error);
+        } finally {
+            this.submittingOrders.delete(orderId);
+        }
+    }
 
-            cartItems.querySelectorAll('.pos-cart-item-remove').forEach(btn => {
-                btn.addEventListener('click', (e) => {
-                    const productId = e.target.getAttribute('data-product-id');
-                    this.removeFromCart(productId);
-                });
+    /**
+     * POST an order to the API
+     * Errors are marked retryable when the request could succeed later: network failures,
+     * timeouts, rate limiting and server errors. Other 4xx responses are final.
+     */
+    async sendOrder(checkoutData) {
+        let response;
+        try {
+            response = await fetch(this.options.apiEndpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Idempotency-Key': checkoutData.idempotencyKey
+                },
+                body: JSON.stringify(checkoutData)
             });
+        } catch (error) {
+            error.retryable = true;
+            throw error;
         }
 
-        // Update totals
-        cartTotals.innerHTML = `
-            <div class="pos-totals-line">
-                <span>Subtotal:</span>
-                <span>${this.options.currency}${totals.subtotal.toFixed(2)}</span>
-            </div>
-            ${this.options.taxRate > 0 ? `
-                <div class="pos-totals-line">
-                    <span>Tax:</span>
-                    <span>${this.options.currency}${totals.tax.toFixed(2)}</span>
-                </div>
-            ` : ''}
-            ${this.options.shippingCost > 0 ? `
-                <div class="pos-totals-line">
-                    <span>Shipping:</span>
-                    <span>${this.options.currency}${totals.shipping.toFixed(2)}</span>
-                </div>
-            ` : ''}
-            <div class="pos-totals-line pos-totals-total">
-                <span>Total:</span>
-                <span>${this.options.currency}${totals.total.toFixed(2)}</span>
-            </div>
-        `;
+        if (!response.ok) {
+            const error = new Error(`API request failed: ${response.status}`);
+            error.status = response.status;
+            error.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+            throw error;
+        }
+
+        return response.json();
+    }
+
+    isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+
+    getOrderQueue() {
+        return this.readRecord('queue', []);
     }
 
     /**
-     * Start checkout process
+     * Complete an order locally and keep it for submission once the API is reachable
      */
-    startCheckout() {
-        if (this.cart.length === 0) {
-            this.showNotification('Cart is empty', 'error');
-            return;
+    queueOrder(checkoutData, error) {
+        const order = this.completeCheckout(checkoutData, 'pending-sync');
+        if (!order) {
+            return null;
         }
 
-        const totals = this.calculateTotals();
-        const checkoutData = {
-            cart: this.cart,
-            totals: totals,
-            timestamp: new Date().toISOString()
-        };
+        const now = Date.now();
+
+        this.pullLatestState();
+        const queue = this.getOrderQueue();
+        queue.push({
+            orderId: order.id,
+            idempotencyKey: checkoutData.idempotencyKey,
+            checkoutData,
+            attempts: 1,
+            queuedAt: now,
+            nextAttemptAt: now + this.getRetryDelay(1),
+            lastError: error.message
+        });
+        this.markChanged([this.writeRecord('queue', queue)]);
 
-        this.emit('pos:checkout-started', checkoutData);
+        this.showNotification(this.t('notify.orderQueued'), 'info');
+        this.emit('pos:order-queued', { orderId: order.id, idempotencyKey: checkoutData.idempotencyKey, error });
+        this.scheduleQueueFlush();
+        return order;
+    }
 
-        // If API endpoint is configured, send data there
-        if (this.options.apiEndpoint) {
-            this.submitToAPI(checkoutData);
-        } else {
-            // Default checkout behavior - show summary and clear cart
-            this.showCheckoutSummary(checkoutData);
-        }
+    /**
+     * Exponential backoff with jitter, so tabs and devices coming back online do not retry in lockstep
+     */
+    getRetryDelay(attempts) {
+        const delay = Math.min(this.options.queueMaxRetryDelay, this.options.queueRetryDelay * Math.pow(2, attempts - 1));
+        return Math.round(delay * (0.8 + (Math.random() * 0.4)));
     }
 
     /**
-     * Show checkout summary
+     * Retry queued orders when connectivity returns and on the backoff schedule
      */
-    showCheckoutSummary(checkoutData) {
-        const summary = `
-            Order Summary:
-            
-            Items:
-            ${checkoutData.cart.map(item => `- ${item.name} x${item.quantity} = ${this.options.currency}${(item.price * item.quantity).toFixed(2)}`).join('\n')}
-            
-            Subtotal: ${this.options.currency}${checkoutData.totals.subtotal.toFixed(2)}
-            ${this.options.taxRate > 0 ? `Tax: ${this.options.currency}${checkoutData.totals.tax.toFixed(2)}` : ''}
-            ${this.options.shippingCost > 0 ? `Shipping: ${this.options.currency}${checkoutData.totals.shipping.toFixed(2)}` : ''}
-            Total: ${this.options.currency}${checkoutData.totals.total.toFixed(2)}
-        `;
+    startOrderQueue() {
+        if (!this.options.offlineQueue || this.onlineListener) return;
 
-        if (confirm(summary + '\n\nProceed with order?')) {
-            this.completeCheckout(checkoutData);
+        this.onlineListener = () => this.flushOrderQueue(true);
+        window.addEventListener('online', this.onlineListener);
+        this.scheduleQueueFlush();
+    }
+
+    stopOrderQueue() {
+        if (this.queueTimer) {
+            clearTimeout(this.queueTimer);
+            this.queueTimer = null;
+        }
+        if (this.onlineListener) {
+            window.removeEventListener('online', this.onlineListener);
+            this.onlineListener = null;
         }
     }
 
+    scheduleQueueFlush() {
+        if (this.queueTimer) {
+            clearTimeout(this.queueTimer);
+            this.queueTimer = null;
+        }
+
+        const queue = this.getOrderQueue();
+        if (queue.length === 0 || !this.options.apiEndpoint || !this.onlineListener) return;
+
+        const nextAttemptAt = Math.min(...queue.map(entry => entry.nextAttemptAt));
+        this.queueTimer = setTimeout(() => this.flushOrderQueue(), Math.max(0, nextAttemptAt - Date.now()));
+    }
+
     /**
-     * Complete checkout
+     * Submit queued orders that are due (all of them when forced)
+     * Every queued order keeps its idempotency key, so a retry the API already received is not applied twice.
      */
-    completeCheckout(checkoutData) {
-        // Store order in localStorage
-        const orders = JSON.parse(localStorage.getItem('universal-pos-orders') || '[]');
-        orders.push({
-            ...checkoutData,
-            id: Date.now().toString(),
-            status: 'completed'
+    flushOrderQueue(force = false) {
+        if (this.queueFlush) {
+            return this.queueFlush;
+        }
+
+        this.queueFlush = this.processOrderQueue(force).finally(() => {
+            this.queueFlush = null;
+            this.scheduleQueueFlush();
         });
-        localStorage.setItem('universal-pos-orders', JSON.stringify(orders));
+        return this.queueFlush;
+    }
 
-        this.clearCart();
-        this.showNotification('Order completed successfully!', 'success');
-        this.emit('pos:checkout-completed', checkoutData);
+    async processOrderQueue(force) {
+        if (!this.options.apiEndpoint) return;
+
+        this.pullLatestState();
+        const now = Date.now();
+        const due = this.getOrderQueue().filter(entry => force || entry.nextAttemptAt <= now);
+
+        for (const entry of due) {
+            if (this.isOffline()) break;
+
+            try {
+                const result = await this.sendOrder(entry.checkoutData);
+                this.finishQueuedOrder(entry, 'placed');
+                this.emit('pos:order-synced', { orderId: entry.orderId, idempotencyKey: entry.idempotencyKey, result });
+            } catch (error) {
+                if (error.retryable) {
+                    this.retryQueuedOrder(entry, error);
+                } else {
+                    console.error('Universal POS: Queued order rejected', error);
+                    this.finishQueuedOrder(entry, 'sync-failed', error);
+                    this.emit('pos:order-sync-failed', { orderId: entry.orderId, idempotencyKey: entry.idempotencyKey, error });
+                }
+            }
+        }
+    }
+
+    retryQueuedOrder(entry, error) {
+        this.pullLatestState();
+        const queue = this.getOrderQueue();
+        const queued = queue.find(e => e.idempotencyKey === entry.idempotencyKey);
+        if (!queued) return;
+
+        queued.attempts += 1;
+        queued.nextAttemptAt = Date.now() + this.getRetryDelay(queued.attempts);
+        queued.lastError = error.message;
+        this.markChanged([this.writeRecord('queue', queue)]);
     }
 
     /**
-     * Submit checkout data to API
+     * Take an order off the queue and record the outcome on the stored order
      */
-    async submitToAPI(checkoutData) {
-        try {
-            const response = await fetch(this.options.apiEndpoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(checkoutData)
-            });
-
-            if (response.ok) {
-                const result = await response.json();
-                this.emit('pos:api-success', result);
-                this.completeCheckout(checkoutData);
-            } else {
-                throw new Error(`API request failed: ${response.status}`);
+    finishQueuedOrder(entry, status, error = null) {
+        this.pullLatestState();
+        const queue = this.getOrderQueue().filter(e => e.idempotencyKey !== entry.idempotencyKey);
+        const orders = this.getOrders();
+        const order = orders.find(o => o.id === entry.orderId);
+
+        if (order && order.status === 'pending-sync') {
+            this.setOrderStatus(order, status, 'system', error ? error.message : null);
+            if (error) {
+                order.syncError = error.message;
             }
-        } catch (error) {
-            console.error('Universal POS: API submission failed', error);
-            this.showNotification('Checkout failed. Please try again.', 'error');
-            this.emit('pos:api-error', error);
         }
+
+        this.markChanged([this.writeRecord('queue', queue), this.saveOrders(orders)]);
     }
 
     /**
@@ -628,6 +3276,7 @@ class UniversalPOS {
         const notification = document.createElement('div');
         notification.className = `pos-notification pos-notification-${type}`;
         notification.textContent = message;
+        this.i18n.applyDirection(notification);
 
         document.body.appendChild(notification);
 
@@ -643,6 +3292,17 @@ class UniversalPOS {
      * Bind global events
      */
     bindEvents() {
+        // Close the cart when clicking outside it. Registered once: the cart UI is rebuilt when a
+        // template changes, so the container is looked up per click. The path still holds the cart
+        // when the click re-rendered its target.
+        this.outsideClickListener = (e) => {
+            const cartContainer = document.querySelector('.pos-cart-container');
+            if (cartContainer && !e.composedPath().includes(cartContainer)) {
+                cartContainer.querySelector('.pos-cart-dropdown').classList.remove('pos-cart-open');
+            }
+        };
+        document.addEventListener('click', this.outsideClickListener);
+
         // Re-scan products when DOM changes
         const observer = new MutationObserver((mutations) => {
             let shouldRescan = false;
@@ -692,11 +3352,20 @@ class UniversalPOS {
         return { ...this.inventory };
     }
 
-    setInventory(productId, quantity) {
-        this.inventory[productId] = quantity;
+    /**
+     * Set stock for a product or, with a "productId:variantId" key, for a single variant
+     */
+    setInventory(key, quantity) {
+        this.pullLatestState();
+        this.inventory[key] = quantity;
         this.saveData();
-        this.updateStockDisplay(productId);
-        this.updateAddButton(productId);
+
+        // Admin data may use numeric product IDs
+        const product = this.products.find(p => String(key) === p.id || String(key).startsWith(`${p.id}:`));
+        if (product) {
+            this.updateStockDisplay(product.id);
+            this.updateAddButton(product.id);
+        }
     }
 
     updateProduct(productId, updates) {
@@ -708,6 +3377,17 @@ class UniversalPOS {
     }
 
     destroy() {
+        if (this.reservationTimer) {
+            clearInterval(this.reservationTimer);
+            this.reservationTimer = null;
+        }
+        this.stopSync();
+        this.stopOrderQueue();
+        if (this.outsideClickListener) {
+            document.removeEventListener('click', this.outsideClickListener);
+            this.outsideClickListener = null;
+        }
+
         // Remove cart UI
         const cartContainer = document.querySelector('.pos-cart-container');
         if (cartContainer) {
@@ -723,10 +3403,12 @@ class UniversalPOS {
             const addButton = element.querySelector('.pos-add-to-cart');
             const quantityInput = element.querySelector('.pos-quantity');
             const stockDisplay = element.querySelector('.pos-stock');
-            
+            const variantPicker = element.querySelector('.pos-variant-picker');
+
             if (addButton) addButton.remove();
             if (quantityInput) quantityInput.remove();
             if (stockDisplay) stockDisplay.remove();
+            if (variantPicker) variantPicker.remove();
         });
 
         this.isInitialized = false;
@@ -744,4 +3426,10 @@ document.addEventListener('DOMContentLoaded', () => {
 // Export for module usage
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = UniversalPOS;
+    module.exports.Money = Money;
+    module.exports.POSStorage = POSStorage;
+    module.exports.LocalStorageAdapter = LocalStorageAdapter;
+    module.exports.SchemaMigrations = SchemaMigrations;
+    module.exports.POSDialog = POSDialog;
+    module.exports.POSTemplates = POSTemplates;
 }
\ No newline at end of file
@@ -0,0 +1,146 @@
+/**
+ * Universal POS Tax Engine
+ * Jurisdiction-aware tax rates with per-category tax classes
+ * Version: 1.0.0
+ *
+ * Configuration:
+ * {
+ *     pricesIncludeTax: false,          // true for VAT-style tax-inclusive pricing
+ *     categoryClasses: {                // Product category -> tax class
+ *         clothing: 'clothing',
+ *         books: 'exempt'
+ *     },
+ *     regions: {                        // Region -> rate per tax class
+ *         'US-NY': { standard: 0.08875, clothing: 0 },
+ *         'US-CA': { standard: 0.0725 },
+ *         'GB': { standard: 0.20, reduced: 0.05 }
+ *     },
+ *     defaultRegion: 'US-NY'            // Used until a shipping address is known
+ * }
+ *
+ * Regions are matched from the shipping address as "COUNTRY-STATE", then "COUNTRY".
+ * Classes missing from a region's table use its standard rate; the "exempt" class is never taxed.
+ * Products can override their class with data-pos-tax-class.
+ */
+
+const TaxClasses = {
+    STANDARD: 'standard',
+    EXEMPT: 'exempt'
+};
+
+class TaxEngine {
+    constructor(options = {}) {
+        this.options = {
+            pricesIncludeTax: false,
+            categoryClasses: {},
+            regions: {},
+            defaultRegion: null,
+            ...options
+        };
+    }
+
+    /**
+     * Set the rate table for a region, e.g. setRegionRates('US-NY', { standard: 0.08875 })
+     */
+    setRegionRates(region, rates) {
+        this.options.regions[region.toUpperCase()] = { ...rates };
+    }
+
+    /**
+     * Assign a product category to a tax class
+     */
+    setCategoryClass(category, taxClass) {
+        this.options.categoryClasses[category] = taxClass;
+    }
+
+    /**
+     * Resolve the region key for a shipping address
+     */
+    resolveRegion(address) {
+        const regions = this.options.regions;
+
+        if (address && address.country) {
+            const country = String(address.country).toUpperCase();
+            const state = address.state ? String(address.state).toUpperCase() : null;
+
+            if (state && regions[`${country}-${state}`]) {
+                return `${country}-${state}`;
+            }
+            if (regions[country]) {
+                return country;
+            }
+        }
+
+        return this.options.defaultRegion && regions[this.options.defaultRegion]
+            ? this.options.defaultRegion
+            : null;
+    }
+
+    /**
+     * Resolve the tax class for a cart line
+     */
+    resolveClass(line) {
+        return line.taxClass || this.options.categoryClasses[line.category] || TaxClasses.STANDARD;
+    }
+
+    /**
+     * Rate for a tax class in a region; falls back to the flat rate when no region matches
+     */
+    getRate(taxClass, region, fallbackRate = 0) {
+        if (taxClass === TaxClasses.EXEMPT) {
+            return 0;
+        }
+
+        const rates = region ? this.options.regions[region] : null;
+        if (!rates) {
+            return fallbackRate;
+        }
+
+        if (taxClass in rates) {
+            return rates[taxClass];
+        }
+        return TaxClasses.STANDARD in rates ? rates[TaxClasses.STANDARD] : fallbackRate;
+    }
+
+    /**
+     * Calculate tax per cart line
+     * Order-level discounts are spread across lines in proportion to their value
+     * so each line is taxed on what the customer actually pays for it.
+     */
+    calculate(lines, { discount = 0, address = null, fallbackRate = 0 } = {}) {
+        const region = this.resolveRegion(address);
+        const subtotal = lines.reduce((sum, line) => sum + (line.price * line.quantity), 0);
+        const inclusive = this.options.pricesIncludeTax;
+
+        const taxLines = lines.map(line => {
+            const lineTotal = line.price * line.quantity;
+            const discountShare = subtotal > 0 ? discount * (lineTotal / subtotal) : 0;
+            const amount = Math.max(0, lineTotal - discountShare);
+            const taxClass = this.resolveClass(line);
+            const rate = this.getRate(taxClass, region, fallbackRate);
+
+            // Inclusive prices already contain the tax; extract it instead of adding it
+            const tax = inclusive ? amount - (amount / (1 + rate)) : amount * rate;
+
+            return {
+                key: line.key || line.id,
+                taxClass,
+                rate,
+                taxable: Math.round(amount * 100) / 100,
+                tax: Math.round(tax * 100) / 100
+            };
+        });
+
+        return {
+            lines: taxLines,
+            total: Math.round(taxLines.reduce((sum, line) => sum + line.tax, 0) * 100) / 100,
+            inclusive,
+            region
+        };
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TaxEngine, TaxClasses };
+}
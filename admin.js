@@ -2,8 +2,304 @@
  * POS Admin Dashboard
  * Complete management interface for the Universal POS System
  * Version: 1.0.0
+ *
+ * Static text in admin.html carries data-i18n keys from the catalog below; the Language and
+ * Date Format settings apply to every label and date the dashboard shows. Tables and modals are
+ * built with POSHtml.html from pos-html.js, so product, order and customer data render as text.
  */
 
+// English messages; locale packs register translations under the same keys
+POSI18n.registerLocale('en', {
+    'admin.title': 'POS Admin',
+    'admin.nav.home': 'Home',
+    'admin.nav.demo': 'Demo',
+    'admin.nav.admin': 'Admin',
+    'admin.nav.backToDemo': '← Back to Demo',
+    'admin.user.name': 'Admin User',
+    'admin.user.role': 'Administrator',
+    'admin.refresh': 'Refresh data',
+    'admin.notifications': 'Notifications',
+    'admin.toggleSidebar': 'Toggle sidebar',
+
+    'admin.section.dashboard': 'Dashboard',
+    'admin.section.inventory': 'Inventory Management',
+    'admin.section.analytics': 'Sales Analytics',
+    'admin.section.orders': 'Order Management',
+    'admin.section.customers': 'Customers',
+    'admin.section.settings': 'System Settings',
+    'admin.menu.dashboard': 'Dashboard',
+    'admin.menu.inventory': 'Inventory',
+    'admin.menu.analytics': 'Analytics',
+    'admin.menu.orders': 'Orders',
+    'admin.menu.customers': 'Customers',
+    'admin.menu.settings': 'Settings',
+
+    'admin.stats.revenue': 'Total Revenue',
+    'admin.stats.orders': 'Total Orders',
+    'admin.stats.products': 'Products',
+    'admin.stats.lowStock': 'Low Stock Items',
+    'admin.stats.alert': 'Alert',
+    'admin.widget.recentOrders': 'Recent Orders',
+    'admin.widget.topProducts': 'Top Products',
+    'admin.widget.lowStock': 'Low Stock Alerts',
+    'admin.widget.viewAll': 'View All',
+    'admin.widget.viewDetails': 'View Details',
+    'admin.widget.manage': 'Manage',
+    'admin.widget.noRecentOrders': 'No recent orders',
+    'admin.widget.noSales': 'No sales data available',
+    'admin.widget.allInStock': 'All products in stock',
+    'admin.widget.sold': '{count} sold',
+    'admin.widget.remaining': '{count} remaining',
+    'admin.widget.reserved': '({count} reserved)',
+
+    'admin.action.addProduct': 'Add Product',
+    'admin.action.exportCsv': 'Export CSV',
+    'admin.action.bulkUpdate': 'Bulk Update',
+    'admin.action.exportReport': 'Export Report',
+    'admin.action.refresh': 'Refresh',
+    'admin.action.cancel': 'Cancel',
+    'admin.action.close': 'Close',
+
+    'admin.filter.category': 'Category:',
+    'admin.filter.allCategories': 'All Categories',
+    'admin.filter.stockStatus': 'Stock Status:',
+    'admin.filter.allItems': 'All Items',
+    'admin.filter.search': 'Search:',
+    'admin.filter.searchProducts': 'Search products...',
+    'admin.filter.status': 'Status:',
+    'admin.filter.allOrders': 'All Orders',
+    'admin.filter.date': 'Date:',
+    'admin.filter.searchOrders': 'Order ID, customer...',
+    'admin.filter.searchCustomers': 'Name, email, phone...',
+
+    'admin.stock.in': 'In Stock',
+    'admin.stock.low': 'Low Stock',
+    'admin.stock.out': 'Out of Stock',
+    'admin.stock.updated': 'Stock updated for {product}',
+
+    'admin.column.productName': 'Product Name',
+    'admin.column.product': 'Product',
+    'admin.column.sku': 'SKU',
+    'admin.column.category': 'Category',
+    'admin.column.price': 'Price',
+    'admin.column.onHand': 'On Hand',
+    'admin.column.reserved': 'Reserved',
+    'admin.column.available': 'Available',
+    'admin.column.status': 'Status',
+    'admin.column.actions': 'Actions',
+    'admin.column.productId': 'Product ID',
+    'admin.column.orderId': 'Order ID',
+    'admin.column.order': 'Order',
+    'admin.column.date': 'Date',
+    'admin.column.total': 'Total',
+    'admin.column.items': 'Items',
+    'admin.column.customer': 'Customer',
+    'admin.column.phone': 'Phone',
+    'admin.column.orders': 'Orders',
+    'admin.column.lifetimeValue': 'Lifetime Value',
+    'admin.column.lastOrder': 'Last Order',
+    'admin.column.quantity': 'Quantity',
+    'admin.column.tax': 'Tax',
+    'admin.column.name': 'Name',
+    'admin.column.stock': 'Stock',
+    'admin.column.description': 'Description',
+    'admin.column.subtotal': 'Subtotal',
+    'admin.column.discount': 'Discount',
+    'admin.column.shipping': 'Shipping',
+    'admin.column.shippingMethod': 'Shipping Method',
+
+    'admin.inventory.loading': 'Loading inventory...',
+    'admin.inventory.empty': 'No products found. Add products to your website with POS attributes.',
+
+    'admin.analytics.dateRange': 'Select date range',
+    'admin.analytics.revenueTrend': 'Revenue Trend',
+    'admin.analytics.daily': 'Daily',
+    'admin.analytics.weekly': 'Weekly',
+    'admin.analytics.monthly': 'Monthly',
+    'admin.analytics.topSelling': 'Top Selling Products',
+    'admin.analytics.byCategory': 'Sales by Category',
+    'admin.analytics.orderStats': 'Order Statistics',
+    'admin.analytics.averageOrder': 'Average Order Value',
+    'admin.analytics.ordersToday': 'Orders Today',
+    'admin.analytics.conversionRate': 'Conversion Rate',
+    'admin.analytics.returnRate': 'Return Rate',
+    'admin.analytics.revenue': 'Revenue',
+    'admin.analytics.quantitySold': 'Quantity Sold',
+    'admin.analytics.unknownCategory': 'Unknown',
+
+    'admin.status.placed': 'Placed',
+    'admin.status.authorized': 'Authorized',
+    'admin.status.paid': 'Paid',
+    'admin.status.fulfilled': 'Fulfilled',
+    'admin.status.shipped': 'Shipped',
+    'admin.status.delivered': 'Delivered',
+    'admin.status.cancelled': 'Cancelled',
+    'admin.status.returned': 'Returned',
+    'admin.status.refunded': 'Refunded',
+    'admin.status.pending-sync': 'Pending sync',
+    'admin.status.sync-failed': 'Sync failed',
+
+    'admin.orders.loading': 'Loading orders...',
+    'admin.orders.empty': 'No orders found',
+    'admin.orders.itemCount': { one: '{count} item', other: '{count} items' },
+    'admin.order.title': 'Order #{id}',
+    'admin.order.details': 'Order Details',
+    'admin.order.date': 'Date:',
+    'admin.order.customer': 'Customer:',
+    'admin.order.phone': 'Phone:',
+    'admin.order.shipTo': 'Ship to:',
+    'admin.order.billTo': 'Bill to:',
+    'admin.order.items': 'Items:',
+    'admin.order.delivery': 'Delivery:',
+    'admin.order.status': 'Status:',
+    'admin.order.markAs': 'Mark as {status}',
+    'admin.order.statusNote': 'Note (optional)',
+    'admin.order.sync': 'Sync:',
+    'admin.order.syncAttempts': { one: '{count} attempt, next retry {time}', other: '{count} attempts, next retry {time}' },
+    'admin.order.syncNow': 'Sync now',
+    'admin.order.syncError': 'Sync error:',
+    'admin.order.priceCheck': 'Price check:',
+    'admin.order.priceVerified': 'Verified',
+    'admin.order.priceVerifiedQuote': 'Verified, quote {quote}',
+    'admin.order.priceUnverified': 'Not verified',
+    'admin.order.pricesCorrected': { one: '{count} page price corrected at checkout', other: '{count} page prices corrected at checkout' },
+    'admin.order.itemsOrdered': 'Items Ordered',
+    'admin.order.timeline': 'Timeline',
+    'admin.order.timelineEntry': '{date} by {actor}',
+    'admin.order.unknownDate': 'Unknown date',
+    'admin.order.unknownActor': 'unknown',
+    'admin.order.updateStatus': 'Update Status',
+    'admin.order.guest': 'Guest #{id}',
+    'admin.order.notFound': 'Order not found',
+    'admin.order.noApi': 'No checkout API configured to sync orders to',
+    'admin.order.stillPending': { one: '{count} order still waiting to sync', other: '{count} orders still waiting to sync' },
+    'admin.order.allSynced': 'All pending orders synced',
+    'admin.order.selectStatus': 'Select the new status first',
+    'admin.order.noLifecycle': 'Order lifecycle is not loaded',
+    'admin.order.statusUpdated': 'Order status updated to {status}',
+    'admin.payment.label': 'Payment:',
+    'admin.payment.authorized': 'Authorized {amount}, capture by {date}',
+    'admin.payment.expired': 'Authorization of {amount} expired {date}',
+    'admin.payment.captured': 'Captured {amount} of {authorized} on {date}',
+    'admin.payment.voided': 'Authorization of {amount} voided on {date}',
+    'admin.payment.captureAmount': 'Amount to capture',
+    'admin.payment.capture': 'Capture',
+    'admin.payment.void': 'Void',
+    'admin.payment.confirmVoid': 'Void this authorization? The customer will not be charged and the order will be cancelled.',
+    'admin.payment.enterAmount': 'Enter the amount to capture',
+    'admin.payment.captureDone': 'Captured {amount}',
+    'admin.payment.voidDone': 'Authorization voided and order cancelled',
+    'admin.payment.unavailable': 'Payments are not loaded on this page',
+    'admin.orders.exported': 'Orders exported successfully',
+
+    'admin.customers.loading': 'Loading customers...',
+    'admin.customers.disabled': 'Customer profiles are not enabled',
+    'admin.customers.noMatches': 'No matching customers',
+    'admin.customers.empty': 'No customers yet',
+    'admin.customer.details': 'Customer Details',
+    'admin.customer.email': 'Email:',
+    'admin.customer.phone': 'Phone:',
+    'admin.customer.since': 'Customer since:',
+    'admin.customer.lifetimeValue': 'Lifetime value:',
+    'admin.customer.lifetimeSummary': { one: '{amount} over {count} order', other: '{amount} over {count} orders' },
+    'admin.customer.addresses': 'Addresses',
+    'admin.customer.noAddresses': 'No addresses on file',
+    'admin.customer.orderHistory': 'Order History',
+    'admin.customer.noOrders': 'No orders yet',
+    'admin.customer.notes': 'Notes',
+    'admin.customer.noteEntry': '{date} by {author}',
+    'admin.customer.notePlaceholder': 'Add a note about this customer',
+    'admin.customer.addNote': 'Add Note',
+    'admin.customer.noteAdded': 'Note added',
+    'admin.customer.notFound': 'Customer not found',
+
+    'admin.totals.subtotal': 'Subtotal:',
+    'admin.totals.tax': 'Tax',
+    'admin.totals.taxIncluded': 'Includes tax',
+    'admin.totals.label': '{label}:',
+    'admin.totals.shipping': 'Shipping:',
+    'admin.totals.shippingMethod': 'Shipping ({method}):',
+    'admin.totals.free': 'Free',
+    'admin.totals.total': 'Total:',
+
+    'admin.product.add': 'Add Product',
+    'admin.product.edit': 'Edit Product',
+    'admin.product.id': 'Product ID',
+    'admin.product.name': 'Product Name',
+    'admin.product.sku': 'SKU',
+    'admin.product.category': 'Category',
+    'admin.product.price': 'Price',
+    'admin.product.stock': 'Stock Quantity',
+    'admin.product.description': 'Description',
+    'admin.product.image': 'Image URL',
+    'admin.product.save': 'Save Product',
+    'admin.product.notFound': 'Product not found',
+    'admin.product.required': 'Please fill in all required fields',
+    'admin.product.saved': 'Product {name} saved successfully',
+    'admin.product.confirmDelete': 'Are you sure you want to delete this product?',
+    'admin.product.deleted': 'Product deleted successfully',
+
+    'admin.bulk.title': 'Bulk Update Inventory',
+    'admin.bulk.action': 'Action',
+    'admin.bulk.add': 'Add to stock',
+    'admin.bulk.subtract': 'Subtract from stock',
+    'admin.bulk.set': 'Set stock to',
+    'admin.bulk.quantity': 'Quantity',
+    'admin.bulk.category': 'Apply to category (optional)',
+    'admin.bulk.allCategories': 'All categories',
+    'admin.bulk.apply': 'Apply Update',
+    'admin.bulk.invalid': 'Please enter valid update parameters',
+    'admin.bulk.updated': { one: 'Updated {count} product', other: 'Updated {count} products' },
+    'admin.inventory.exported': 'Inventory exported successfully',
+
+    'admin.settings.save': 'Save Settings',
+    'admin.settings.reset': 'Reset to Default',
+    'admin.settings.store': 'Store Configuration',
+    'admin.settings.storeName': 'Store Name',
+    'admin.settings.currency': 'Currency',
+    'admin.settings.taxRate': 'Tax Rate (%)',
+    'admin.settings.shippingCost': 'Shipping Cost',
+    'admin.settings.api': 'API Configuration',
+    'admin.settings.apiEndpoint': 'API Endpoint',
+    'admin.settings.apiKey': 'API Key',
+    'admin.settings.apiKeyPlaceholder': 'Enter API key',
+    'admin.settings.apiSync': 'Enable real-time sync',
+    'admin.settings.testConnection': 'Test Connection',
+    'admin.settings.payments': 'Payments',
+    'admin.settings.paymentsEndpoint': 'Payments API Endpoint',
+    'admin.settings.inventory': 'Inventory Settings',
+    'admin.settings.lowStockThreshold': 'Low Stock Threshold',
+    'admin.settings.notifications': 'Enable notifications',
+    'admin.settings.autoReorder': 'Auto-reorder when stock is low',
+    'admin.settings.reorderQuantity': 'Reorder Quantity',
+    'admin.settings.display': 'Display Preferences',
+    'admin.settings.locale': 'Language',
+    'admin.settings.localeAuto': 'Browser default',
+    'admin.settings.dateFormat': 'Date Format',
+    'admin.settings.itemsPerPage': 'Items per page',
+    'admin.settings.darkMode': 'Enable dark mode',
+    'admin.settings.data': 'Data Management',
+    'admin.settings.backup': 'Backup Data',
+    'admin.settings.restoreFrom': 'Restore from backup:',
+    'admin.settings.restore': 'Restore',
+    'admin.settings.clearAll': 'Clear All Data',
+    'admin.settings.saved': 'Settings saved successfully',
+    'admin.settings.saveError': 'Error saving settings',
+    'admin.settings.confirmReset': 'Are you sure you want to reset all settings to default?',
+    'admin.settings.resetDone': 'Settings reset to default',
+    'admin.api.endpointRequired': 'Please enter an API endpoint',
+    'admin.api.success': 'API connection successful',
+    'admin.api.failed': 'API connection failed: {status}',
+    'admin.api.networkError': 'API connection failed: Network error',
+    'admin.data.refreshed': 'Data refreshed',
+    'admin.data.backedUp': 'Data backup created successfully',
+    'admin.data.selectBackup': 'Please select a backup file',
+    'admin.data.restored': 'Data restored successfully',
+    'admin.data.restoreError': 'Error restoring data: Invalid file format',
+    'admin.data.confirmClear': 'Are you sure you want to clear ALL data? This action cannot be undone.',
+    'admin.data.cleared': 'All data cleared successfully'
+});
+
 class AdminDashboard {
     constructor() {
         this.currentSection = 'dashboard';
@@ -11,6 +307,7 @@ class AdminDashboard {
         this.sortDirection = 'asc';
         this.filters = {};
         this.charts = {};
+        this.i18n = new POSI18n();
         this.settings = this.loadSettings();
         this.init();
     }
@@ -25,6 +322,7 @@ class AdminDashboard {
         this.initializeDatePicker();
         this.initializeCharts();
         this.populateFilters();
+        this.configurePayments(this.settings);
         
         // Auto-refresh data every 30 seconds
         setInterval(() => {
@@ -90,6 +388,30 @@ class AdminDashboard {
             }, 300);
         });
 
+        document.getElementById('search-customers').addEventListener('input', () => {
+            clearTimeout(this.searchTimeout);
+            this.searchTimeout = setTimeout(() => {
+                this.loadCustomers();
+            }, 300);
+        });
+
+        // Live updates when a storefront or another admin tab changes carts, stock or orders
+        document.addEventListener('pos:synced', () => {
+            this.syncLiveData();
+        });
+
+        // Queued orders synced or rejected by this tab
+        ['pos:order-synced', 'pos:order-sync-failed'].forEach(eventName => {
+            document.addEventListener(eventName, () => {
+                this.syncLiveData();
+            });
+        });
+
+        // Asynchronous storage backends finish loading after the dashboard first renders
+        document.addEventListener('pos:initialized', () => {
+            this.syncLiveData();
+        });
+
         // Window resize handler for responsive charts
         window.addEventListener('resize', () => {
             Object.values(this.charts).forEach(chart => {
@@ -98,6 +420,41 @@ class AdminDashboard {
         });
     }
 
+    /**
+     * Translate a message key in the dashboard language
+     */
+    t(key, params = {}) {
+        return this.i18n.t(key, params);
+    }
+
+    /**
+     * Apply the Language and Date Format settings to the page and the dashboard's dates
+     */
+    applyDisplaySettings(settings) {
+        this.i18n.setLocale(settings.locale || (typeof navigator !== 'undefined' && navigator.language) || 'en');
+        this.i18n.setDateFormat(settings['date-format']);
+        this.i18n.translatePage(document);
+        this.i18n.applyDirection(document.documentElement);
+        document.querySelector('.page-title').textContent = this.t(`admin.section.${this.currentSection}`);
+    }
+
+    /**
+     * Language choices: the browser default plus every registered locale pack
+     */
+    populateLocaleOptions() {
+        const select = document.getElementById('locale');
+        if (!select) return;
+
+        const names = typeof Intl.DisplayNames === 'function' ? new Intl.DisplayNames([this.i18n.getLocale()], { type: 'language' }) : null;
+        select.innerHTML = POSHtml.html`<option value="">${this.t('admin.settings.localeAuto')}</option>`;
+        POSI18n.getLocales().forEach(locale => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.textContent = names ? names.of(locale) : locale;
+            select.appendChild(option);
+        });
+    }
+
     /**
      * Switch between dashboard sections
      */
@@ -115,14 +472,7 @@ class AdminDashboard {
         document.getElementById(`${section}-section`).classList.add('active');
 
         // Update page title
-        const titles = {
-            dashboard: 'Dashboard',
-            inventory: 'Inventory Management',
-            analytics: 'Sales Analytics',
-            orders: 'Order Management',
-            settings: 'System Settings'
-        };
-        document.querySelector('.page-title').textContent = titles[section];
+        document.querySelector('.page-title').textContent = this.t(`admin.section.${section}`);
 
         this.currentSection = section;
 
@@ -137,6 +487,9 @@ class AdminDashboard {
             case 'orders':
                 this.loadOrders();
                 break;
+            case 'customers':
+                this.loadCustomers();
+                break;
             case 'settings':
                 this.loadSettings();
                 break;
@@ -149,6 +502,7 @@ class AdminDashboard {
     loadData() {
         this.loadInventory();
         this.loadOrders();
+        this.loadCustomers();
         this.loadRecentOrders();
         this.loadTopProducts();
         this.loadLowStockAlerts();
@@ -163,7 +517,27 @@ class AdminDashboard {
         if (this.currentSection === 'analytics') {
             this.updateCharts();
         }
-        this.showNotification('Data refreshed', 'success');
+        this.showNotification(this.t('admin.data.refreshed'), 'success');
+    }
+
+    /**
+     * Re-render after another tab saved new POS state
+     * The inventory table is left alone while a stock count is being edited.
+     */
+    syncLiveData() {
+        const active = document.activeElement;
+        if (!active || !active.classList.contains('stock-input')) {
+            this.loadInventory();
+        }
+        this.loadOrders();
+        this.loadCustomers();
+        this.loadRecentOrders();
+        this.loadTopProducts();
+        this.loadLowStockAlerts();
+        this.updateStats();
+        if (this.currentSection === 'analytics') {
+            this.updateCharts();
+        }
     }
 
     /**
@@ -174,8 +548,8 @@ class AdminDashboard {
         const inventory = this.getInventory();
         const products = this.getProducts();
 
-        // Calculate total revenue
-        const totalRevenue = orders.reduce((sum, order) => sum + order.totals.total, 0);
+        // Calculate total revenue in integer minor units
+        const totalRevenue = Money.sum(orders.map(order => this.getOrderTotal(order)), this.getCurrencyCode());
         document.getElementById('total-revenue').textContent = this.formatCurrency(totalRevenue);
 
         // Total orders
@@ -184,8 +558,9 @@ class AdminDashboard {
         // Total products
         document.getElementById('total-products').textContent = products.length;
 
-        // Low stock count
-        const lowStockCount = Object.values(inventory).filter(stock => stock <= this.settings.lowStockThreshold || 5).length;
+        // Low stock count, by stock still available to customers
+        const threshold = this.settings.lowStockThreshold || 5;
+        const lowStockCount = Object.keys(inventory).filter(key => this.getStockLevels(key).available <= threshold).length;
         document.getElementById('low-stock-count').textContent = lowStockCount;
 
         // Update notification badge
@@ -195,17 +570,71 @@ class AdminDashboard {
     }
 
     /**
-     * Get orders from localStorage
+     * Get orders from the POS storage backend or localStorage
      */
     getOrders() {
+        if (window.universalPOS) {
+            return window.universalPOS.getOrders();
+        }
         try {
-            return JSON.parse(localStorage.getItem('universal-pos-orders') || '[]');
+            return this.getMigrations().upgrade('order', JSON.parse(localStorage.getItem('universal-pos-orders') || '[]'), { currencyCode: this.getCurrencyCode() });
         } catch (error) {
             console.error('Error loading orders:', error);
             return [];
         }
     }
 
+    saveOrders(orders) {
+        if (window.universalPOS) {
+            window.universalPOS.saveOrders(orders);
+        } else {
+            localStorage.setItem('universal-pos-orders', JSON.stringify(this.getMigrations().wrap('order', orders)));
+        }
+    }
+
+    /**
+     * Schema migrations shared with the POS, for settings and backups
+     */
+    getMigrations() {
+        if (window.universalPOS) {
+            return window.universalPOS.migrations;
+        }
+        if (!this.migrations) {
+            this.migrations = new SchemaMigrations();
+        }
+        return this.migrations;
+    }
+
+    /**
+     * On-hand, reserved (held in carts) and available stock for a stock key
+     */
+    getStockLevels(key) {
+        if (window.universalPOS) {
+            return window.universalPOS.getStockLevels(key);
+        }
+
+        const onHand = (this.getInventory() || {})[key] || 0;
+        return { onHand, reserved: 0, available: onHand };
+    }
+
+    /**
+     * Order total as Money
+     * Orders saved before minor-unit totals only carry the rounded major-unit number.
+     */
+    getOrderTotal(order) {
+        const currency = order.totals.currency || this.getCurrencyCode();
+        return order.totals.minorUnits
+            ? Money.fromMinor(order.totals.minorUnits.total, currency)
+            : Money.fromMajor(order.totals.total || 0, currency);
+    }
+
+    /**
+     * ISO code of the store currency
+     */
+    getCurrencyCode() {
+        return window.universalPOS ? window.universalPOS.options.currencyCode : 'USD';
+    }
+
     /**
      * Get inventory from localStorage or POS system
      */
@@ -214,7 +643,7 @@ class AdminDashboard {
             return window.universalPOS.getInventory();
         }
         try {
-            return JSON.parse(localStorage.getItem('universal-pos-inventory') || '{}');
+            return this.getMigrations().upgrade('inventory', JSON.parse(localStorage.getItem('universal-pos-inventory') || '{}'));
         } catch (error) {
             console.error('Error loading inventory:', error);
             return {};
@@ -231,59 +660,90 @@ class AdminDashboard {
         return [];
     }
 
+    /**
+     * Get stock items: one per product, or one per variant for products with variants
+     */
+    getStockItems() {
+        const stockItems = [];
+
+        this.getProducts().forEach(product => {
+            if (!product.variants || product.variants.length === 0) {
+                stockItems.push({ key: product.id, product, ...product });
+                return;
+            }
+
+            product.variants.forEach(variant => {
+                stockItems.push({
+                    ...product,
+                    key: `${product.id}:${variant.id}`,
+                    product,
+                    variant,
+                    name: `${product.name} (${Object.values(variant.options).join(' / ')})`,
+                    sku: variant.sku,
+                    price: variant.price,
+                    image: variant.image
+                });
+            });
+        });
+
+        return stockItems;
+    }
+
     /**
      * Load inventory data
      */
     loadInventory() {
-        const products = this.getProducts();
-        const inventory = this.getInventory();
+        const { html } = POSHtml;
+        const stockItems = this.getStockItems();
         const tbody = document.getElementById('inventory-table-body');
 
-        if (products.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="8" class="no-data">No products found. Add products to your website with POS attributes.</td></tr>';
+        if (stockItems.length === 0) {
+            tbody.innerHTML = html`<tr><td colspan="10" class="no-data">${this.t('admin.inventory.empty')}</td></tr>`;
             return;
         }
 
-        let html = '';
-        products.forEach(product => {
-            const stock = inventory[product.id] || 0;
-            const status = this.getStockStatus(stock);
+        const rows = [];
+        stockItems.forEach(item => {
+            const levels = this.getStockLevels(item.key);
+            const status = this.getStockStatus(levels.available);
             
-            html += `
-                <tr data-product-id="${product.id}">
-                    <td><input type="checkbox" value="${product.id}"></td>
+            rows.push(html`
+                <tr data-product-id="${item.key}">
+                    <td><input type="checkbox" value="${item.key}"></td>
                     <td>
                         <div class="product-info">
-                            ${product.image ? `<img src="${product.image}" alt="${product.name}" class="product-thumb">` : ''}
+                            ${POSHtml.imageUrl(item.image) ? html`<img src="${POSHtml.imageUrl(item.image)}" alt="${item.name}" class="product-thumb">` : ''}
                             <div>
-                                <div class="product-name">${product.name}</div>
-                                <div class="product-description">${product.description || ''}</div>
+                                <div class="product-name">${item.name}</div>
+                                <div class="product-description">${item.description || ''}</div>
                             </div>
                         </div>
                     </td>
-                    <td>${product.sku}</td>
-                    <td><span class="category-badge">${product.category}</span></td>
-                    <td>${this.formatCurrency(product.price)}</td>
+                    <td>${item.sku}</td>
+                    <td><span class="category-badge">${item.category}</span></td>
+                    <td>${this.formatCurrency(item.price)}</td>
                     <td>
-                        <input type="number" class="stock-input" value="${stock}" 
-                               data-product-id="${product.id}" onchange="adminDashboard.updateStock('${product.id}', this.value)">
+                        <input type="number" class="stock-input" value="${levels.onHand}" 
+                               data-product-id="${item.key}" onchange="adminDashboard.updateStock(${POSHtml.jsString(item.key)}, this.value)">
                     </td>
+                    <td class="stock-reserved">${levels.reserved}</td>
+                    <td class="stock-available">${levels.available}</td>
                     <td><span class="status-badge ${status.class}">${status.text}</span></td>
                     <td>
                         <div class="action-buttons">
-                            <button class="btn-sm btn-primary" onclick="adminDashboard.editProduct('${product.id}')">
+                            <button class="btn-sm btn-primary" onclick="adminDashboard.editProduct(${POSHtml.jsString(item.id)})">
                                 <i class="fas fa-edit"></i>
                             </button>
-                            <button class="btn-sm btn-danger" onclick="adminDashboard.deleteProduct('${product.id}')">
+                            <button class="btn-sm btn-danger" onclick="adminDashboard.deleteProduct(${POSHtml.jsString(item.id)})">
                                 <i class="fas fa-trash"></i>
                             </button>
                         </div>
                     </td>
                 </tr>
-            `;
+            `);
         });
 
-        tbody.innerHTML = html;
+        tbody.innerHTML = html`${rows}`;
     }
 
     /**
@@ -292,11 +752,11 @@ class AdminDashboard {
     getStockStatus(stock) {
         const threshold = this.settings.lowStockThreshold || 5;
         if (stock <= 0) {
-            return { class: 'out-of-stock', text: 'Out of Stock' };
+            return { class: 'out-of-stock', text: this.t('admin.stock.out') };
         } else if (stock <= threshold) {
-            return { class: 'low-stock', text: 'Low Stock' };
+            return { class: 'low-stock', text: this.t('admin.stock.low') };
         } else {
-            return { class: 'in-stock', text: 'In Stock' };
+            return { class: 'in-stock', text: this.t('admin.stock.in') };
         }
     }
 
@@ -309,7 +769,7 @@ class AdminDashboard {
             window.universalPOS.setInventory(productId, stock);
         }
         this.updateStats();
-        this.showNotification(`Stock updated for ${productId}`, 'success');
+        this.showNotification(this.t('admin.stock.updated', { product: productId }), 'success');
     }
 
     /**
@@ -326,8 +786,8 @@ class AdminDashboard {
             if (row.querySelector('.no-data')) return;
 
             const productId = row.dataset.productId;
-            const product = this.getProducts().find(p => p.id === productId);
-            const stock = this.getInventory()[productId] || 0;
+            const product = this.getStockItems().find(item => item.key === productId);
+            const stock = this.getStockLevels(productId).available;
             
             let visible = true;
 
@@ -373,8 +833,8 @@ class AdminDashboard {
         rows.sort((a, b) => {
             const aId = a.dataset.productId;
             const bId = b.dataset.productId;
-            const aProduct = this.getProducts().find(p => p.id === aId);
-            const bProduct = this.getProducts().find(p => p.id === bId);
+            const aProduct = this.getStockItems().find(item => item.key === aId);
+            const bProduct = this.getStockItems().find(item => item.key === bId);
             
             let aValue, bValue;
             
@@ -396,8 +856,12 @@ class AdminDashboard {
                     bValue = bProduct.price;
                     break;
                 case 'stock':
-                    aValue = this.getInventory()[aId] || 0;
-                    bValue = this.getInventory()[bId] || 0;
+                    aValue = this.getStockLevels(aId).onHand;
+                    bValue = this.getStockLevels(bId).onHand;
+                    break;
+                case 'available':
+                    aValue = this.getStockLevels(aId).available;
+                    bValue = this.getStockLevels(bId).available;
                     break;
                 default:
                     return 0;
@@ -428,53 +892,54 @@ class AdminDashboard {
      * Load orders
      */
     loadOrders() {
+        const { html } = POSHtml;
         const orders = this.getOrders();
         const tbody = document.getElementById('orders-table-body');
 
         if (orders.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="7" class="no-data">No orders found</td></tr>';
+            tbody.innerHTML = html`<tr><td colspan="7" class="no-data">${this.t('admin.orders.empty')}</td></tr>`;
             return;
         }
 
-        let html = '';
+        const rows = [];
         orders.forEach(order => {
-            const date = new Date(order.timestamp).toLocaleDateString();
+            const date = this.i18n.formatDate(order.timestamp);
             const itemCount = order.cart.reduce((sum, item) => sum + item.quantity, 0);
             
-            html += `
+            rows.push(html`
                 <tr data-order-id="${order.id}">
                     <td><span class="order-id">#${order.id}</span></td>
                     <td>${date}</td>
                     <td>${this.formatCurrency(order.totals.total)}</td>
                     <td>
-                        <span class="item-count">${itemCount} items</span>
+                        <span class="item-count">${this.t('admin.orders.itemCount', { count: itemCount })}</span>
                         <div class="item-preview">
                             ${order.cart.slice(0, 2).map(item => item.name).join(', ')}
                             ${order.cart.length > 2 ? '...' : ''}
                         </div>
                     </td>
-                    <td><span class="status-badge ${order.status}">${order.status}</span></td>
+                    <td><span class="status-badge ${order.status}">${this.formatStatus(order.status)}</span></td>
                     <td>
                         <div class="customer-info">
-                            <div>Customer #${order.id.slice(-6)}</div>
-                            <div class="customer-email">customer@example.com</div>
+                            <div>${this.getOrderCustomerName(order)}</div>
+                            ${order.customer && order.customer.email ? html`<div class="customer-email">${order.customer.email}</div>` : ''}
                         </div>
                     </td>
                     <td>
                         <div class="action-buttons">
-                            <button class="btn-sm btn-primary" onclick="adminDashboard.viewOrder('${order.id}')">
+                            <button class="btn-sm btn-primary" onclick="adminDashboard.viewOrder(${POSHtml.jsString(order.id)})">
                                 <i class="fas fa-eye"></i>
                             </button>
-                            <button class="btn-sm btn-secondary" onclick="adminDashboard.updateOrderStatus('${order.id}')">
+                            <button class="btn-sm btn-secondary" onclick="adminDashboard.updateOrderStatus(${POSHtml.jsString(order.id)})">
                                 <i class="fas fa-edit"></i>
                             </button>
                         </div>
                     </td>
                 </tr>
-            `;
+            `);
         });
 
-        tbody.innerHTML = html;
+        tbody.innerHTML = html`${rows}`;
     }
 
     /**
@@ -508,8 +973,10 @@ class AdminDashboard {
                 }
             }
 
-            // Search filter
-            if (searchTerm && !orderId.toLowerCase().includes(searchTerm)) {
+            // Search filter: order ID, customer name or email
+            const customer = order.customer || {};
+            const searchable = [orderId, customer.name, customer.email].filter(Boolean).join(' ').toLowerCase();
+            if (searchTerm && !searchable.includes(searchTerm)) {
                 visible = false;
             }
 
@@ -577,18 +1044,19 @@ class AdminDashboard {
      * Load recent orders for dashboard
      */
     loadRecentOrders() {
+        const { html } = POSHtml;
         const orders = this.getOrders().slice(-5).reverse();
         const container = document.getElementById('recent-orders-list');
 
         if (orders.length === 0) {
-            container.innerHTML = '<div class="no-data">No recent orders</div>';
+            container.innerHTML = html`<div class="no-data">${this.t('admin.widget.noRecentOrders')}</div>`;
             return;
         }
 
-        let html = '';
+        const rows = [];
         orders.forEach(order => {
-            const date = new Date(order.timestamp).toLocaleDateString();
-            html += `
+            const date = this.i18n.formatDate(order.timestamp);
+            rows.push(html`
                 <div class="recent-order-item">
                     <div class="order-info">
                         <span class="order-id">#${order.id}</span>
@@ -596,16 +1064,17 @@ class AdminDashboard {
                     </div>
                     <div class="order-total">${this.formatCurrency(order.totals.total)}</div>
                 </div>
-            `;
+            `);
         });
 
-        container.innerHTML = html;
+        container.innerHTML = html`${rows}`;
     }
 
     /**
      * Load top products for dashboard
      */
     loadTopProducts() {
+        const { html } = POSHtml;
         const orders = this.getOrders();
         const productSales = {};
 
@@ -632,63 +1101,67 @@ class AdminDashboard {
         const container = document.getElementById('top-products-list');
 
         if (topProducts.length === 0) {
-            container.innerHTML = '<div class="no-data">No sales data available</div>';
+            container.innerHTML = html`<div class="no-data">${this.t('admin.widget.noSales')}</div>`;
             return;
         }
 
-        let html = '';
+        const rows = [];
         topProducts.forEach(product => {
-            html += `
+            rows.push(html`
                 <div class="top-product-item">
                     <div class="product-info">
                         <span class="product-name">${product.name}</span>
-                        <span class="product-sales">${product.quantity} sold</span>
+                        <span class="product-sales">${this.t('admin.widget.sold', { count: product.quantity })}</span>
                     </div>
                     <div class="product-revenue">${this.formatCurrency(product.revenue)}</div>
                 </div>
-            `;
+            `);
         });
 
-        container.innerHTML = html;
+        container.innerHTML = html`${rows}`;
     }
 
     /**
      * Load low stock alerts for dashboard
      */
     loadLowStockAlerts() {
-        const products = this.getProducts();
-        const inventory = this.getInventory();
+        const { html } = POSHtml;
+        const stockItems = this.getStockItems();
         const threshold = this.settings.lowStockThreshold || 5;
 
-        const lowStockProducts = products.filter(product => {
-            const stock = inventory[product.id] || 0;
-            return stock <= threshold;
-        });
+        const lowStockProducts = stockItems.filter(item => this.getStockLevels(item.key).available <= threshold);
 
         const container = document.getElementById('low-stock-alerts');
 
         if (lowStockProducts.length === 0) {
-            container.innerHTML = '<div class="no-data">All products in stock</div>';
+            container.innerHTML = html`<div class="no-data">${this.t('admin.widget.allInStock')}</div>`;
             return;
         }
 
-        let html = '';
+        const rows = [];
         lowStockProducts.forEach(product => {
-            const stock = inventory[product.id] || 0;
-            html += `
+            const { available: stock, reserved } = this.getStockLevels(product.key);
+            rows.push(html`
                 <div class="low-stock-item">
                     <div class="product-info">
                         <span class="product-name">${product.name}</span>
-                        <span class="product-sku">SKU: ${product.sku}</span>
+                        <span class="product-sku">${this.t('admin.column.sku')}: ${product.sku}</span>
                     </div>
                     <div class="stock-level ${stock === 0 ? 'out-of-stock' : 'low-stock'}">
-                        ${stock} remaining
+                        ${this.t('admin.widget.remaining', { count: stock })}${reserved > 0 ? ` ${this.t('admin.widget.reserved', { count: reserved })}` : ''}
                     </div>
                 </div>
-            `;
+            `);
         });
 
-        container.innerHTML = html;
+        container.innerHTML = html`${rows}`;
+    }
+
+    /**
+     * Date Format setting as a flatpickr format, e.g. "DD/MM/YYYY" -> "d/m/Y"
+     */
+    getPickerDateFormat() {
+        return (this.settings['date-format'] || 'YYYY-MM-DD').replace('YYYY', 'Y').replace('MM', 'm').replace('DD', 'd');
     }
 
     /**
@@ -696,9 +1169,9 @@ class AdminDashboard {
      */
     initializeDatePicker() {
         if (typeof flatpickr !== 'undefined') {
-            flatpickr('#date-range', {
+            this.datePicker = flatpickr('#date-range', {
                 mode: 'range',
-                dateFormat: 'Y-m-d',
+                dateFormat: this.getPickerDateFormat(),
                 defaultDate: [
                     new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), // 30 days ago
                     new Date()
@@ -739,15 +1212,15 @@ class AdminDashboard {
                 const orderDate = new Date(order.timestamp).toDateString();
                 return orderDate === date.toDateString();
             });
-            return dayOrders.reduce((sum, order) => sum + order.totals.total, 0);
+            return Money.sum(dayOrders.map(order => this.getOrderTotal(order)), this.getCurrencyCode()).toMajor();
         });
 
         this.charts.revenue = new Chart(ctx, {
             type: 'line',
             data: {
-                labels: last7Days.map(date => date.toLocaleDateString()),
+                labels: last7Days.map(date => this.i18n.formatDate(date)),
                 datasets: [{
-                    label: 'Revenue',
+                    label: this.t('admin.analytics.revenue'),
                     data: revenueData,
                     borderColor: '#3b82f6',
                     backgroundColor: 'rgba(59, 130, 246, 0.1)',
@@ -767,9 +1240,7 @@ class AdminDashboard {
                     y: {
                         beginAtZero: true,
                         ticks: {
-                            callback: function(value) {
-                                return '$' + value.toFixed(2);
-                            }
+                            callback: (value) => this.formatCurrency(value)
                         }
                     }
                 }
@@ -802,7 +1273,7 @@ class AdminDashboard {
             data: {
                 labels: topProducts.map(([name]) => name),
                 datasets: [{
-                    label: 'Quantity Sold',
+                    label: this.t('admin.analytics.quantitySold'),
                     data: topProducts.map(([,quantity]) => quantity),
                     backgroundColor: '#10b981',
                     borderColor: '#059669',
@@ -840,7 +1311,7 @@ class AdminDashboard {
         orders.forEach(order => {
             order.cart.forEach(item => {
                 const product = products.find(p => p.id === item.id);
-                const category = product ? product.category : 'Unknown';
+                const category = product ? product.category : this.t('admin.analytics.unknownCategory');
                 categorySales[category] = (categorySales[category] || 0) + (item.price * item.quantity);
             });
         });
@@ -909,7 +1380,7 @@ class AdminDashboard {
         categoryFilters.forEach(select => {
             if (select) {
                 const currentValue = select.value;
-                select.innerHTML = '<option value="">All Categories</option>';
+                select.innerHTML = POSHtml.html`<option value="">${this.t('admin.filter.allCategories')}</option>`;
                 categories.forEach(category => {
                     const option = document.createElement('option');
                     option.value = category;
@@ -925,7 +1396,7 @@ class AdminDashboard {
      * Show add product dialog
      */
     showAddProductDialog() {
-        document.getElementById('product-modal-title').textContent = 'Add Product';
+        document.getElementById('product-modal-title').textContent = this.t('admin.product.add');
         document.getElementById('product-form').reset();
         document.getElementById('product-id').readOnly = false;
         this.showModal('product-modal');
@@ -939,11 +1410,11 @@ class AdminDashboard {
         const product = products.find(p => p.id === productId);
         
         if (!product) {
-            this.showNotification('Product not found', 'error');
+            this.showNotification(this.t('admin.product.notFound'), 'error');
             return;
         }
 
-        document.getElementById('product-modal-title').textContent = 'Edit Product';
+        document.getElementById('product-modal-title').textContent = this.t('admin.product.edit');
         document.getElementById('product-id').value = product.id;
         document.getElementById('product-id').readOnly = true;
         document.getElementById('product-name').value = product.name;
@@ -978,13 +1449,13 @@ class AdminDashboard {
 
         // Validate required fields
         if (!productData.id || !productData.name || !productData.sku || !productData.category || isNaN(productData.price)) {
-            this.showNotification('Please fill in all required fields', 'error');
+            this.showNotification(this.t('admin.product.required'), 'error');
             return;
         }
 
         // For demonstration, we'll show success message
         // In a real application, you would create/update the product in your system
-        this.showNotification(`Product ${productData.name} saved successfully`, 'success');
+        this.showNotification(this.t('admin.product.saved', { name: productData.name }), 'success');
         
         if (window.universalPOS) {
             window.universalPOS.setInventory(productData.id, stock);
@@ -999,12 +1470,12 @@ class AdminDashboard {
      * Delete product
      */
     deleteProduct(productId) {
-        if (!confirm('Are you sure you want to delete this product?')) {
+        if (!confirm(this.t('admin.product.confirmDelete'))) {
             return;
         }
 
         // In a real application, you would delete the product from your system
-        this.showNotification('Product deleted successfully', 'success');
+        this.showNotification(this.t('admin.product.deleted'), 'success');
         this.loadInventory();
         this.updateStats();
     }
@@ -1026,20 +1497,20 @@ class AdminDashboard {
         const category = document.getElementById('bulk-category').value;
 
         if (!action || quantity < 0) {
-            this.showNotification('Please enter valid update parameters', 'error');
+            this.showNotification(this.t('admin.bulk.invalid'), 'error');
             return;
         }
 
-        const products = this.getProducts();
+        const stockItems = this.getStockItems();
         const inventory = this.getInventory();
         let updatedCount = 0;
 
-        products.forEach(product => {
-            if (category && product.category !== category) {
+        stockItems.forEach(item => {
+            if (category && item.category !== category) {
                 return;
             }
 
-            const currentStock = inventory[product.id] || 0;
+            const currentStock = inventory[item.key] || 0;
             let newStock;
 
             switch (action) {
@@ -1057,7 +1528,7 @@ class AdminDashboard {
             }
 
             if (window.universalPOS) {
-                window.universalPOS.setInventory(product.id, newStock);
+                window.universalPOS.setInventory(item.key, newStock);
             }
             updatedCount++;
         });
@@ -1065,132 +1536,589 @@ class AdminDashboard {
         this.closeModal('bulk-update-modal');
         this.loadInventory();
         this.updateStats();
-        this.showNotification(`Updated ${updatedCount} products`, 'success');
+        this.showNotification(this.t('admin.bulk.updated', { count: updatedCount }), 'success');
     }
 
     /**
      * View order details
      */
     viewOrder(orderId) {
+        const { html } = POSHtml;
         const orders = this.getOrders();
         const order = orders.find(o => o.id === orderId);
         
         if (!order) {
-            this.showNotification('Order not found', 'error');
+            this.showNotification(this.t('admin.order.notFound'), 'error');
             return;
         }
 
         const content = document.getElementById('order-details-content');
-        const date = new Date(order.timestamp);
+        // Orders placed before per-line tax was recorded only have an order-level total
+        const hasLineTax = order.cart.some(item => item.tax !== undefined);
+        const lifecycle = window.universalPOS ? window.universalPOS.orderLifecycle : null;
+        const payments = this.getPaymentManager();
+        const transaction = payments && order.paymentId ? payments.getTransaction(order.paymentId) : null;
+        const authorization = transaction ? transaction.authorization : null;
+        const authorizationStatus = payments ? payments.getAuthorizationStatus(transaction) : null;
+        // While the card hold is open the order is paid by capturing it and cancelled by voiding it
+        const transitions = (lifecycle ? lifecycle.getAvailableTransitions(order) : [])
+            .filter(status => authorizationStatus !== 'authorized' || !['paid', 'cancelled'].includes(status));
+        const queued = order.status === 'pending-sync' && window.universalPOS
+            ? window.universalPOS.getOrderQueue().find(entry => entry.orderId === order.id)
+            : null;
+        const shipTo = order.shippingAddress ? this.formatAddress(order.shippingAddress) : null;
+        // Only shown when the order was billed somewhere other than where it shipped
+        const billTo = order.billingAddress ? this.formatAddress(order.billingAddress) : null;
         
-        content.innerHTML = `
+        content.innerHTML = html`
             <div class="order-details">
                 <div class="order-header">
-                    <h4>Order #${order.id}</h4>
-                    <span class="status-badge ${order.status}">${order.status}</span>
+                    <h4>${this.t('admin.order.title', { id: order.id })}</h4>
+                    <span class="status-badge ${order.status}">${this.formatStatus(order.status)}</span>
                 </div>
                 
                 <div class="order-info-grid">
                     <div class="info-item">
-                        <label>Date:</label>
-                        <span>${date.toLocaleDateString()} ${date.toLocaleTimeString()}</span>
+                        <label>${this.t('admin.order.date')}</label>
+                        <span>${this.i18n.formatDateTime(order.timestamp)}</span>
                     </div>
                     <div class="info-item">
-                        <label>Customer:</label>
-                        <span>Customer #${order.id.slice(-6)}</span>
+                        <label>${this.t('admin.order.customer')}</label>
+                        <span>
+                            ${order.customerId
+                                ? html`<a href="#" onclick="adminDashboard.viewCustomer(${POSHtml.jsString(order.customerId)}); return false;">${this.getOrderCustomerName(order)}</a>`
+                                : this.getOrderCustomerName(order)}
+                            ${order.customer && order.customer.email ? html`<span class="customer-email">${order.customer.email}</span>` : ''}
+                        </span>
                     </div>
+                    ${order.customer && order.customer.phone ? html`
+                        <div class="info-item">
+                            <label>${this.t('admin.order.phone')}</label>
+                            <span>${order.customer.phone}</span>
+                        </div>
+                    ` : ''}
+                    ${shipTo ? html`
+                        <div class="info-item">
+                            <label>${this.t('admin.order.shipTo')}</label>
+                            <span>${shipTo}</span>
+                        </div>
+                    ` : ''}
+                    ${billTo && billTo !== shipTo ? html`
+                        <div class="info-item">
+                            <label>${this.t('admin.order.billTo')}</label>
+                            <span>${billTo}</span>
+                        </div>
+                    ` : ''}
                     <div class="info-item">
-                        <label>Items:</label>
-                        <span>${order.cart.reduce((sum, item) => sum + item.quantity, 0)} items</span>
+                        <label>${this.t('admin.order.items')}</label>
+                        <span>${this.t('admin.orders.itemCount', { count: order.cart.reduce((sum, item) => sum + item.quantity, 0) })}</span>
                     </div>
+                    ${order.shippingMethod ? html`
+                        <div class="info-item">
+                            <label>${this.t('admin.order.delivery')}</label>
+                            <span>${order.shippingMethod.label}${order.shippingMethod.estimatedDays ? ` (${order.shippingMethod.estimatedDays})` : ''}</span>
+                        </div>
+                    ` : ''}
                     <div class="info-item">
-                        <label>Status:</label>
-                        <select id="order-status-select">
-                            <option value="pending" ${order.status === 'pending' ? 'selected' : ''}>Pending</option>
-                            <option value="completed" ${order.status === 'completed' ? 'selected' : ''}>Completed</option>
-                            <option value="refunded" ${order.status === 'refunded' ? 'selected' : ''}>Refunded</option>
-                            <option value="cancelled" ${order.status === 'cancelled' ? 'selected' : ''}>Cancelled</option>
+                        <label>${this.t('admin.order.status')}</label>
+                        <select id="order-status-select" ${transitions.length === 0 ? 'disabled' : ''}>
+                            <option value="" selected>${this.formatStatus(order.status)}</option>
+                            ${transitions.map(status => html`<option value="${status}">${this.t('admin.order.markAs', { status: this.formatStatus(status) })}</option>`)}
                         </select>
+                        ${transitions.length > 0 ? html`<input type="text" id="order-status-note" placeholder="${this.t('admin.order.statusNote')}">` : ''}
                     </div>
+                    ${authorizationStatus ? html`
+                        <div class="info-item payment-authorization">
+                            <label>${this.t('admin.payment.label')}</label>
+                            <span>${this.formatAuthorization(authorization, authorizationStatus)}</span>
+                            ${authorizationStatus === 'authorized' ? html`
+                                <input type="text" id="capture-amount" inputmode="decimal" value="${this.formatCaptureAmount(authorization)}" aria-label="${this.t('admin.payment.captureAmount')}">
+                                <div class="authorization-actions">
+                                    <button type="button" class="btn-primary btn-sm" onclick="adminDashboard.captureOrderPayment(${POSHtml.jsString(order.id)})">${this.t('admin.payment.capture')}</button>
+                                    <button type="button" class="btn-danger btn-sm" onclick="adminDashboard.voidOrderPayment(${POSHtml.jsString(order.id)})">${this.t('admin.payment.void')}</button>
+                                </div>
+                            ` : ''}
+                        </div>
+                    ` : ''}
+                    ${queued ? html`
+                        <div class="info-item">
+                            <label>${this.t('admin.order.sync')}</label>
+                            <span>${this.t('admin.order.syncAttempts', { count: queued.attempts, time: this.i18n.formatTime(queued.nextAttemptAt) })}${queued.lastError ? ` (${queued.lastError})` : ''}</span>
+                            <button type="button" class="btn-secondary" onclick="adminDashboard.syncPendingOrders()">${this.t('admin.order.syncNow')}</button>
+                        </div>
+                    ` : ''}
+                    ${order.syncError ? html`
+                        <div class="info-item">
+                            <label>${this.t('admin.order.syncError')}</label>
+                            <span>${order.syncError}</span>
+                        </div>
+                    ` : ''}
+                    ${order.priceQuote ? html`
+                        <div class="info-item">
+                            <label>${this.t('admin.order.priceCheck')}</label>
+                            <span>
+                                ${order.priceQuote.verified
+                                    ? this.t(order.priceQuote.quoteId ? 'admin.order.priceVerifiedQuote' : 'admin.order.priceVerified', { quote: order.priceQuote.quoteId })
+                                    : this.t('admin.order.priceUnverified')}
+                                ${order.priceQuote.adjustments.length > 0 ? html`<span class="status-badge price-corrected">${this.t('admin.order.pricesCorrected', { count: order.priceQuote.adjustments.length })}</span>` : ''}
+                            </span>
+                        </div>
+                    ` : ''}
                 </div>
 
                 <div class="order-items">
-                    <h5>Items Ordered</h5>
+                    <h5>${this.t('admin.order.itemsOrdered')}</h5>
                     <table class="order-items-table">
                         <thead>
                             <tr>
-                                <th>Product</th>
-                                <th>SKU</th>
-                                <th>Price</th>
-                                <th>Quantity</th>
-                                <th>Total</th>
+                                <th>${this.t('admin.column.product')}</th>
+                                <th>${this.t('admin.column.sku')}</th>
+                                <th>${this.t('admin.column.price')}</th>
+                                <th>${this.t('admin.column.quantity')}</th>
+                                ${hasLineTax ? html`<th>${this.t('admin.column.tax')}</th>` : ''}
+                                <th>${this.t('admin.column.total')}</th>
                             </tr>
                         </thead>
                         <tbody>
-                            ${order.cart.map(item => `
+                            ${order.cart.map(item => html`
                                 <tr>
                                     <td>
                                         <div class="item-info">
-                                            ${item.image ? `<img src="${item.image}" alt="${item.name}" class="item-thumb">` : ''}
+                                            ${POSHtml.imageUrl(item.image) ? html`<img src="${POSHtml.imageUrl(item.image)}" alt="${item.name}" class="item-thumb">` : ''}
                                             <span>${item.name}</span>
                                         </div>
                                     </td>
                                     <td>${item.sku}</td>
                                     <td>${this.formatCurrency(item.price)}</td>
                                     <td>${item.quantity}</td>
+                                    ${hasLineTax ? html`
+                                        <td>
+                                            ${this.formatCurrency(item.tax)}
+                                            <span class="tax-rate">${+(item.taxRate * 100).toFixed(3)}%${item.taxClass && item.taxClass !== 'standard' ? ` ${item.taxClass}` : ''}</span>
+                                        </td>
+                                    ` : ''}
                                     <td>${this.formatCurrency(item.price * item.quantity)}</td>
                                 </tr>
-                            `).join('')}
+                            `)}
                         </tbody>
                     </table>
                 </div>
 
                 <div class="order-totals">
                     <div class="totals-row">
-                        <span>Subtotal:</span>
+                        <span>${this.t('admin.totals.subtotal')}</span>
                         <span>${this.formatCurrency(order.totals.subtotal)}</span>
                     </div>
-                    ${order.totals.tax > 0 ? `
+                    ${(order.discounts || []).map(discount => html`
+                        <div class="totals-row discount-row">
+                            <span>${this.t('admin.totals.label', { label: `${discount.label}${discount.code ? ` (${discount.code})` : ''}` })}</span>
+                            <span>-${this.formatCurrency(discount.amount)}</span>
+                        </div>
+                    `)}
+                    ${order.totals.tax > 0 ? html`
                         <div class="totals-row">
-                            <span>Tax:</span>
+                            <span>${this.t('admin.totals.label', { label: `${this.t(order.totals.taxInclusive ? 'admin.totals.taxIncluded' : 'admin.totals.tax')}${order.totals.taxRegion ? ` (${order.totals.taxRegion})` : ''}` })}</span>
                             <span>${this.formatCurrency(order.totals.tax)}</span>
                         </div>
                     ` : ''}
-                    ${order.totals.shipping > 0 ? `
+                    ${order.shippingMethod ? html`
                         <div class="totals-row">
-                            <span>Shipping:</span>
+                            <span>${this.t('admin.totals.shippingMethod', { method: order.shippingMethod.label })}</span>
+                            <span>${order.totals.shipping > 0 ? this.formatCurrency(order.totals.shipping) : this.t('admin.totals.free')}</span>
+                        </div>
+                    ` : order.totals.shipping > 0 ? html`
+                        <div class="totals-row">
+                            <span>${this.t('admin.totals.shipping')}</span>
                             <span>${this.formatCurrency(order.totals.shipping)}</span>
                         </div>
                     ` : ''}
                     <div class="totals-row total-row">
-                        <span>Total:</span>
+                        <span>${this.t('admin.totals.total')}</span>
                         <span>${this.formatCurrency(order.totals.total)}</span>
                     </div>
                 </div>
+
+                <div class="order-timeline">
+                    <h5>${this.t('admin.order.timeline')}</h5>
+                    <ol>
+                        ${(order.history || []).slice().reverse().map(entry => html`
+                            <li class="timeline-entry">
+                                <span class="status-badge ${entry.to}">${this.formatStatus(entry.to)}</span>
+                                <span class="timeline-meta">${this.t('admin.order.timelineEntry', {
+                                    date: entry.at ? this.i18n.formatDateTime(entry.at) : this.t('admin.order.unknownDate'),
+                                    actor: entry.actor || this.t('admin.order.unknownActor')
+                                })}</span>
+                                ${entry.note ? html`<span class="timeline-note">${entry.note}</span>` : ''}
+                            </li>
+                        `)}
+                    </ol>
+                </div>
             </div>
         `;
 
-        document.getElementById('update-order-status').onclick = () => {
+        const updateButton = document.getElementById('update-order-status');
+        updateButton.disabled = transitions.length === 0;
+        updateButton.onclick = () => {
             this.updateOrderStatusFromModal(orderId);
         };
 
         this.showModal('order-modal');
     }
 
+    /**
+     * Customer name for an order; guest orders and orders placed before customer capture fall back to the order ID
+     */
+    getOrderCustomerName(order) {
+        const customer = order.customer || {};
+        return customer.name || customer.email || this.t('admin.order.guest', { id: order.id.slice(-6) });
+    }
+
+    /**
+     * One-line postal address, e.g. "1 Main St, Springfield, IL 62701, US"
+     */
+    formatAddress(address) {
+        const region = [address.state, address.postalCode].filter(Boolean).join(' ');
+        return [address.line1, address.line2, address.city, region, address.country].filter(Boolean).join(', ');
+    }
+
+    /**
+     * Customer directory of the POS, when pos-customers.js is loaded
+     */
+    getCustomerDirectory() {
+        return window.universalPOS ? window.universalPOS.customers : null;
+    }
+
+    /**
+     * Load the customer list, filtered by the search box
+     */
+    loadCustomers() {
+        const { html } = POSHtml;
+        const tbody = document.getElementById('customers-table-body');
+        const directory = this.getCustomerDirectory();
+
+        if (!directory) {
+            tbody.innerHTML = html`<tr><td colspan="6" class="no-data">${this.t('admin.customers.disabled')}</td></tr>`;
+            return;
+        }
+
+        const searchTerm = document.getElementById('search-customers').value.trim().toLowerCase();
+        const customers = directory.getAll().filter(customer => !searchTerm ||
+            [customer.name, customer.email, customer.phone].filter(Boolean).join(' ').toLowerCase().includes(searchTerm));
+
+        if (customers.length === 0) {
+            tbody.innerHTML = html`<tr><td colspan="6" class="no-data">${this.t(searchTerm ? 'admin.customers.noMatches' : 'admin.customers.empty')}</td></tr>`;
+            return;
+        }
+
+        tbody.innerHTML = customers.map(customer => {
+            const summary = directory.getSummary(customer.id);
+            return html`
+                <tr data-customer-id="${customer.id}">
+                    <td>
+                        <div class="customer-info">
+                            <div>${customer.name || customer.email}</div>
+                            <div class="customer-email">${customer.email}</div>
+                        </div>
+                    </td>
+                    <td>${customer.phone || '—'}</td>
+                    <td>${summary.orderCount}</td>
+                    <td>${this.formatCurrency(summary.lifetimeValue)}</td>
+                    <td>${summary.lastOrderAt ? this.i18n.formatDate(summary.lastOrderAt) : '—'}</td>
+                    <td>
+                        <div class="action-buttons">
+                            <button class="btn-sm btn-primary" onclick="adminDashboard.viewCustomer(${POSHtml.jsString(customer.id)})">
+                                <i class="fas fa-eye"></i>
+                            </button>
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Show a customer's profile, addresses, order history, lifetime value and notes
+     */
+    viewCustomer(customerId) {
+        const { html } = POSHtml;
+        const directory = this.getCustomerDirectory();
+        const customer = directory ? directory.get(customerId) : null;
+
+        if (!customer) {
+            this.showNotification(this.t('admin.customer.notFound'), 'error');
+            return;
+        }
+
+        const orders = directory.getOrders(customerId);
+        const summary = directory.getSummary(customerId);
+        const content = document.getElementById('customer-details-content');
+
+        content.innerHTML = html`
+            <div class="order-details customer-details">
+                <div class="order-header">
+                    <h4>${customer.name || customer.email}</h4>
+                    <span class="customer-email">${customer.id}</span>
+                </div>
+
+                <div class="order-info-grid">
+                    <div class="info-item">
+                        <label>${this.t('admin.customer.email')}</label>
+                        <span>${customer.email}</span>
+                    </div>
+                    <div class="info-item">
+                        <label>${this.t('admin.customer.phone')}</label>
+                        <span>${customer.phone || '—'}</span>
+                    </div>
+                    <div class="info-item">
+                        <label>${this.t('admin.customer.since')}</label>
+                        <span>${customer.createdAt ? this.i18n.formatDate(customer.createdAt) : '—'}</span>
+                    </div>
+                    <div class="info-item">
+                        <label>${this.t('admin.customer.lifetimeValue')}</label>
+                        <span>${this.t('admin.customer.lifetimeSummary', { amount: this.formatCurrency(summary.lifetimeValue), count: summary.orderCount })}</span>
+                    </div>
+                </div>
+
+                <div class="customer-addresses">
+                    <h5>${this.t('admin.customer.addresses')}</h5>
+                    ${customer.addresses.length > 0
+                        ? html`<ul>${customer.addresses.map(address => html`<li>${this.formatAddress(address)}</li>`)}</ul>`
+                        : html`<div class="no-data">${this.t('admin.customer.noAddresses')}</div>`}
+                </div>
+
+                <div class="order-items">
+                    <h5>${this.t('admin.customer.orderHistory')}</h5>
+                    ${orders.length > 0 ? html`
+                        <table class="order-items-table">
+                            <thead>
+                                <tr>
+                                    <th>${this.t('admin.column.order')}</th>
+                                    <th>${this.t('admin.column.date')}</th>
+                                    <th>${this.t('admin.column.status')}</th>
+                                    <th>${this.t('admin.column.total')}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${orders.map(order => html`
+                                    <tr>
+                                        <td><a href="#" class="order-id" onclick="adminDashboard.closeModal('customer-modal'); adminDashboard.viewOrder(${POSHtml.jsString(order.id)}); return false;">#${order.id}</a></td>
+                                        <td>${this.i18n.formatDate(order.timestamp)}</td>
+                                        <td><span class="status-badge ${order.status}">${this.formatStatus(order.status)}</span></td>
+                                        <td>${this.formatCurrency(this.getOrderTotal(order))}</td>
+                                    </tr>
+                                `)}
+                            </tbody>
+                        </table>
+                    ` : html`<div class="no-data">${this.t('admin.customer.noOrders')}</div>`}
+                </div>
+
+                <div class="customer-notes">
+                    <h5>${this.t('admin.customer.notes')}</h5>
+                    <ol>
+                        ${customer.notes.slice().reverse().map(note => html`
+                            <li class="timeline-entry">
+                                <span class="timeline-meta">${this.t('admin.customer.noteEntry', { date: this.i18n.formatDateTime(note.at), author: note.author })}</span>
+                                <span class="timeline-note">${note.text}</span>
+                            </li>
+                        `)}
+                    </ol>
+                    <form class="customer-note-form" onsubmit="adminDashboard.addCustomerNote(${POSHtml.jsString(customer.id)}); return false;">
+                        <input type="text" id="customer-note-input" placeholder="${this.t('admin.customer.notePlaceholder')}">
+                        <button type="submit" class="btn-secondary">${this.t('admin.customer.addNote')}</button>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        this.showModal('customer-modal');
+    }
+
+    /**
+     * Add a note to a customer from the customer modal
+     */
+    addCustomerNote(customerId) {
+        const input = document.getElementById('customer-note-input');
+        const directory = this.getCustomerDirectory();
+
+        try {
+            directory.addNote(customerId, input.value, 'admin');
+            this.viewCustomer(customerId);
+            this.showNotification(this.t('admin.customer.noteAdded'), 'success');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * Order status for display, e.g. "pending-sync" -> "Pending sync"; statuses without a message are spelled out
+     */
+    formatStatus(status) {
+        const key = `admin.status.${status}`;
+        return this.i18n.has(key) ? this.t(key) : String(status).replace(/-/g, ' ');
+    }
+
+    /**
+     * Retry every order waiting for the API now, without waiting for the backoff
+     */
+    async syncPendingOrders() {
+        if (!window.universalPOS || !window.universalPOS.options.apiEndpoint) {
+            this.showNotification(this.t('admin.order.noApi'), 'error');
+            return;
+        }
+
+        await window.universalPOS.flushOrderQueue(true);
+        const pending = window.universalPOS.getOrderQueue().length;
+        this.closeModal('order-modal');
+        this.syncLiveData();
+        this.showNotification(pending > 0 ? this.t('admin.order.stillPending', { count: pending }) : this.t('admin.order.allSynced'), pending > 0 ? 'info' : 'success');
+    }
+
     /**
      * Update order status from modal
      */
     updateOrderStatusFromModal(orderId) {
         const newStatus = document.getElementById('order-status-select').value;
-        const orders = this.getOrders();
-        const order = orders.find(o => o.id === orderId);
-        
-        if (order) {
-            order.status = newStatus;
-            localStorage.setItem('universal-pos-orders', JSON.stringify(orders));
-            this.loadOrders();
+        const noteInput = document.getElementById('order-status-note');
+        const lifecycle = window.universalPOS ? window.universalPOS.orderLifecycle : null;
+
+        if (!newStatus) {
+            this.showNotification(this.t('admin.order.selectStatus'), 'error');
+            return;
+        }
+        if (!lifecycle) {
+            this.showNotification(this.t('admin.order.noLifecycle'), 'error');
+            return;
+        }
+
+        try {
+            lifecycle.transition(orderId, newStatus, {
+                actor: 'admin',
+                note: noteInput && noteInput.value.trim() ? noteInput.value.trim() : null
+            });
+            this.syncLiveData();
+            this.closeModal('order-modal');
+            this.showNotification(this.t('admin.order.statusUpdated', { status: this.formatStatus(newStatus) }), 'success');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * Register the card processors that can capture and void authorizations against the payments endpoint
+     * They only call the backend, so they are not initialized and no payment SDK is loaded.
+     */
+    configurePayments(settings) {
+        const endpoint = settings['payments-endpoint'];
+        if (!endpoint || typeof window.initializePOSPayments !== 'function' || !window.universalPOS) {
+            return;
+        }
+
+        const payments = window.initializePOSPayments();
+        const { STRIPE, SQUARE, AUTHORIZE_NET } = PaymentConfig.PROCESSORS;
+        [STRIPE, SQUARE, AUTHORIZE_NET].forEach(type => {
+            const ProcessorClass = payments.getProcessorClass(type);
+            payments.registerProcessor(type, new ProcessorClass({
+                type,
+                apiEndpoint: endpoint,
+                currency: payments.getSettlementCurrency()
+            }));
+        });
+    }
+
+    /**
+     * Payment manager, when pos-payments.js is loaded on this page
+     */
+    getPaymentManager() {
+        return window.universalPOS && window.universalPOS.paymentManager ? window.universalPOS.paymentManager : null;
+    }
+
+    /**
+     * Card authorization of an order for display, e.g. "Authorized $120.00, capture by 10/26/2026"
+     */
+    formatAuthorization(authorization, status) {
+        const amount = this.formatCurrency(Money.fromMinor(authorization.amountMinor, authorization.currency));
+        switch (status) {
+            case 'captured':
+                return this.t('admin.payment.captured', {
+                    amount: this.formatCurrency(Money.fromMinor(authorization.capturedMinor, authorization.currency)),
+                    authorized: amount,
+                    date: this.i18n.formatDateTime(authorization.capturedAt)
+                });
+            case 'voided':
+                return this.t('admin.payment.voided', { amount, date: this.i18n.formatDateTime(authorization.voidedAt) });
+            case 'expired':
+                return this.t('admin.payment.expired', { amount, date: this.i18n.formatDateTime(authorization.expiresAt) });
+            default:
+                return this.t('admin.payment.authorized', { amount, date: this.i18n.formatDateTime(authorization.expiresAt) });
+        }
+    }
+
+    /**
+     * Authorized amount as the capture field shows it: in the admin's locale, without grouping
+     */
+    formatCaptureAmount(authorization) {
+        const decimals = Money.decimalsFor(authorization.currency);
+        return this.i18n.formatNumber(Money.fromMinor(authorization.amountMinor, authorization.currency).toMajor(), {
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: decimals,
+            useGrouping: false
+        });
+    }
+
+    /**
+     * Capture an order's card authorization for the amount entered in the order modal
+     */
+    async captureOrderPayment(orderId) {
+        const order = this.getOrders().find(o => o.id === orderId);
+        const payments = this.getPaymentManager();
+        const transaction = payments ? payments.getTransaction(order.paymentId) : null;
+
+        if (!transaction) {
+            this.showNotification(this.t('admin.payment.unavailable'), 'error');
+            return;
+        }
+        // Typed the way the admin's locale writes numbers, in the currency the card was authorized in
+        const value = this.i18n.parseNumber(document.getElementById('capture-amount').value);
+        if (!(value > 0)) {
+            this.showNotification(this.t('admin.payment.enterAmount'), 'error');
+            return;
+        }
+
+        try {
+            await payments.captureTransaction(order.paymentId, Money.fromMajor(value, transaction.authorization.currency), { actor: 'admin' });
+            const { authorization } = payments.getTransaction(order.paymentId);
+            this.syncLiveData();
             this.closeModal('order-modal');
-            this.showNotification(`Order status updated to ${newStatus}`, 'success');
+            this.showNotification(this.t('admin.payment.captureDone', {
+                amount: this.formatCurrency(Money.fromMinor(authorization.capturedMinor, authorization.currency))
+            }), 'success');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    /**
+     * Release an order's card authorization and cancel the order
+     */
+    async voidOrderPayment(orderId) {
+        const order = this.getOrders().find(o => o.id === orderId);
+        const payments = this.getPaymentManager();
+
+        if (!payments) {
+            this.showNotification(this.t('admin.payment.unavailable'), 'error');
+            return;
+        }
+        if (!confirm(this.t('admin.payment.confirmVoid'))) {
+            return;
+        }
+
+        try {
+            await payments.voidTransaction(order.paymentId, { actor: 'admin' });
+            this.syncLiveData();
+            this.closeModal('order-modal');
+            this.showNotification(this.t('admin.payment.voidDone'), 'success');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
         }
     }
 
@@ -1198,24 +2126,28 @@ class AdminDashboard {
      * Export inventory to CSV
      */
     exportInventory() {
-        const products = this.getProducts();
-        const inventory = this.getInventory();
+        const stockItems = this.getStockItems();
         
         const csvData = [
-            ['Product ID', 'Name', 'SKU', 'Category', 'Price', 'Stock', 'Description'],
-            ...products.map(product => [
-                product.id,
-                product.name,
-                product.sku,
-                product.category,
-                product.price,
-                inventory[product.id] || 0,
-                product.description || ''
-            ])
+            ['productId', 'name', 'sku', 'category', 'price', 'stock', 'reserved', 'available', 'description'].map(column => this.t(`admin.column.${column}`)),
+            ...stockItems.map(item => {
+                const levels = this.getStockLevels(item.key);
+                return [
+                    item.key,
+                    item.name,
+                    item.sku,
+                    item.category,
+                    item.price,
+                    levels.onHand,
+                    levels.reserved,
+                    levels.available,
+                    item.description || ''
+                ];
+            })
         ];
 
         this.downloadCSV(csvData, 'inventory-export.csv');
-        this.showNotification('Inventory exported successfully', 'success');
+        this.showNotification(this.t('admin.inventory.exported'), 'success');
     }
 
     /**
@@ -1225,21 +2157,23 @@ class AdminDashboard {
         const orders = this.getOrders();
         
         const csvData = [
-            ['Order ID', 'Date', 'Status', 'Items', 'Subtotal', 'Tax', 'Shipping', 'Total'],
+            ['orderId', 'date', 'status', 'items', 'subtotal', 'discount', 'tax', 'shipping', 'shippingMethod', 'total'].map(column => this.t(`admin.column.${column}`)),
             ...orders.map(order => [
                 order.id,
-                new Date(order.timestamp).toLocaleDateString(),
+                this.i18n.formatDate(order.timestamp),
                 order.status,
                 order.cart.reduce((sum, item) => sum + item.quantity, 0),
                 order.totals.subtotal,
+                order.totals.discount || 0,
                 order.totals.tax,
                 order.totals.shipping,
+                order.shippingMethod ? order.shippingMethod.label : '',
                 order.totals.total
             ])
         ];
 
         this.downloadCSV(csvData, 'orders-export.csv');
-        this.showNotification('Orders exported successfully', 'success');
+        this.showNotification(this.t('admin.orders.exported'), 'success');
     }
 
     /**
@@ -1271,10 +2205,12 @@ class AdminDashboard {
             'api-endpoint': '',
             'api-key': '',
             'api-sync-enabled': false,
+            'payments-endpoint': '',
             'low-stock-threshold': 5,
             'notifications-enabled': true,
             'auto-reorder-enabled': false,
             'reorder-quantity': 10,
+            'locale': '',
             'date-format': 'MM/DD/YYYY',
             'items-per-page': 50,
             'dark-mode-enabled': false
@@ -1282,8 +2218,12 @@ class AdminDashboard {
 
         try {
             const stored = localStorage.getItem('pos-admin-settings');
-            const settings = stored ? { ...defaultSettings, ...JSON.parse(stored) } : defaultSettings;
+            const settings = stored
+                ? { ...defaultSettings, ...this.getMigrations().upgrade('settings', JSON.parse(stored)) }
+                : defaultSettings;
             
+            this.populateLocaleOptions();
+
             // Apply settings to form
             Object.entries(settings).forEach(([key, value]) => {
                 const element = document.getElementById(key);
@@ -1297,6 +2237,7 @@ class AdminDashboard {
             });
 
             this.settings = settings;
+            this.applyDisplaySettings(settings);
             return settings;
         } catch (error) {
             console.error('Error loading settings:', error);
@@ -1315,7 +2256,7 @@ class AdminDashboard {
         });
 
         try {
-            localStorage.setItem('pos-admin-settings', JSON.stringify(settings));
+            localStorage.setItem('pos-admin-settings', JSON.stringify(this.getMigrations().wrap('settings', settings)));
             this.settings = settings;
             
             // Apply settings to POS system if available
@@ -1324,12 +2265,23 @@ class AdminDashboard {
                 window.universalPOS.options.taxRate = parseFloat(settings['tax-rate']) / 100;
                 window.universalPOS.options.shippingCost = parseFloat(settings['shipping-cost']);
                 window.universalPOS.options.notifications = settings['notifications-enabled'];
+                window.universalPOS.i18n.setDateFormat(settings['date-format']);
+            }
+            this.configurePayments(settings);
+
+            // Re-render everything that shows dates or translated text
+            this.applyDisplaySettings(settings);
+            this.populateLocaleOptions();
+            document.getElementById('locale').value = settings.locale;
+            if (this.datePicker) {
+                this.datePicker.set('dateFormat', this.getPickerDateFormat());
             }
+            this.syncLiveData();
 
-            this.showNotification('Settings saved successfully', 'success');
+            this.showNotification(this.t('admin.settings.saved'), 'success');
         } catch (error) {
             console.error('Error saving settings:', error);
-            this.showNotification('Error saving settings', 'error');
+            this.showNotification(this.t('admin.settings.saveError'), 'error');
         }
     }
 
@@ -1337,13 +2289,13 @@ class AdminDashboard {
      * Reset settings to default
      */
     resetSettings() {
-        if (!confirm('Are you sure you want to reset all settings to default?')) {
+        if (!confirm(this.t('admin.settings.confirmReset'))) {
             return;
         }
 
         localStorage.removeItem('pos-admin-settings');
         this.loadSettings();
-        this.showNotification('Settings reset to default', 'success');
+        this.showNotification(this.t('admin.settings.resetDone'), 'success');
     }
 
     /**
@@ -1354,7 +2306,7 @@ class AdminDashboard {
         const apiKey = document.getElementById('api-key').value;
 
         if (!endpoint) {
-            this.showNotification('Please enter an API endpoint', 'error');
+            this.showNotification(this.t('admin.api.endpointRequired'), 'error');
             return;
         }
 
@@ -1365,12 +2317,12 @@ class AdminDashboard {
             });
 
             if (response.ok) {
-                this.showNotification('API connection successful', 'success');
+                this.showNotification(this.t('admin.api.success'), 'success');
             } else {
-                this.showNotification(`API connection failed: ${response.status}`, 'error');
+                this.showNotification(this.t('admin.api.failed', { status: String(response.status) }), 'error');
             }
         } catch (error) {
-            this.showNotification('API connection failed: Network error', 'error');
+            this.showNotification(this.t('admin.api.networkError'), 'error');
         }
     }
 
@@ -1379,7 +2331,9 @@ class AdminDashboard {
      */
     backupData() {
         const data = {
+            schemaVersions: this.getMigrations().getVersions(),
             orders: this.getOrders(),
+            customers: this.getCustomerDirectory() ? this.getCustomerDirectory().getAll() : [],
             inventory: this.getInventory(),
             settings: this.settings,
             timestamp: new Date().toISOString()
@@ -1396,7 +2350,7 @@ class AdminDashboard {
         document.body.removeChild(a);
         window.URL.revokeObjectURL(url);
 
-        this.showNotification('Data backup created successfully', 'success');
+        this.showNotification(this.t('admin.data.backedUp'), 'success');
     }
 
     /**
@@ -1407,7 +2361,7 @@ class AdminDashboard {
         const file = fileInput.files[0];
 
         if (!file) {
-            this.showNotification('Please select a backup file', 'error');
+            this.showNotification(this.t('admin.data.selectBackup'), 'error');
             return;
         }
 
@@ -1415,25 +2369,34 @@ class AdminDashboard {
         reader.onload = (e) => {
             try {
                 const data = JSON.parse(e.target.result);
+                const migrations = this.getMigrations();
+                // Backups made before schema versioning carry no versions: everything in them is version 0
+                const versions = data.schemaVersions || {};
+                const context = { currencyCode: this.getCurrencyCode() };
                 
                 if (data.orders) {
-                    localStorage.setItem('universal-pos-orders', JSON.stringify(data.orders));
+                    this.saveOrders(migrations.migrate('order', data.orders, versions.order || 0, context));
+                }
+                if (data.customers && window.universalPOS) {
+                    window.universalPOS.writeRecord('customer', migrations.migrate('customer', data.customers, versions.customer || 0, context));
                 }
                 if (data.inventory && window.universalPOS) {
-                    Object.entries(data.inventory).forEach(([productId, stock]) => {
+                    const inventory = migrations.migrate('inventory', data.inventory, versions.inventory || 0, context);
+                    Object.entries(inventory).forEach(([productId, stock]) => {
                         window.universalPOS.setInventory(productId, stock);
                     });
                 }
                 if (data.settings) {
-                    localStorage.setItem('pos-admin-settings', JSON.stringify(data.settings));
+                    const settings = migrations.migrate('settings', data.settings, versions.settings || 0, context);
+                    localStorage.setItem('pos-admin-settings', JSON.stringify(migrations.wrap('settings', settings)));
                     this.loadSettings();
                 }
 
                 this.refreshData();
-                this.showNotification('Data restored successfully', 'success');
+                this.showNotification(this.t('admin.data.restored'), 'success');
             } catch (error) {
                 console.error('Error restoring data:', error);
-                this.showNotification('Error restoring data: Invalid file format', 'error');
+                this.showNotification(this.t('admin.data.restoreError'), 'error');
             }
         };
 
@@ -1444,13 +2407,20 @@ class AdminDashboard {
      * Clear all data
      */
     clearAllData() {
-        if (!confirm('Are you sure you want to clear ALL data? This action cannot be undone.')) {
+        if (!confirm(this.t('admin.data.confirmClear'))) {
             return;
         }
 
-        localStorage.removeItem('universal-pos-orders');
-        localStorage.removeItem('universal-pos-inventory');
-        localStorage.removeItem('universal-pos-cart');
+        if (window.universalPOS) {
+            const pos = window.universalPOS;
+            [pos.options.orderStorageKey, pos.options.inventoryStorageKey, pos.options.cartStorageKey, pos.options.customerStorageKey]
+                .forEach(key => pos.storage.remove(key));
+        } else {
+            localStorage.removeItem('universal-pos-orders');
+            localStorage.removeItem('universal-pos-inventory');
+            localStorage.removeItem('universal-pos-cart');
+            localStorage.removeItem('universal-pos-customers');
+        }
         localStorage.removeItem('pos-admin-settings');
 
         if (window.universalPOS) {
@@ -1459,7 +2429,7 @@ class AdminDashboard {
 
         this.refreshData();
         this.loadSettings();
-        this.showNotification('All data cleared successfully', 'success');
+        this.showNotification(this.t('admin.data.cleared'), 'success');
     }
 
     /**
@@ -1485,10 +2455,10 @@ class AdminDashboard {
         const container = document.getElementById('notification-container');
         const notification = document.createElement('div');
         notification.className = `notification ${type}`;
-        notification.innerHTML = `
+        notification.innerHTML = POSHtml.html`
             <i class="fas ${type === 'success' ? 'fa-check-circle' : type === 'error' ? 'fa-exclamation-circle' : 'fa-info-circle'}"></i>
             <span>${message}</span>
-            <button class="notification-close">&times;</button>
+            <button class="notification-close" aria-label="${this.t('admin.action.close')}">&times;</button>
         `;
 
         container.appendChild(notification);
@@ -1511,7 +2481,8 @@ class AdminDashboard {
      */
     formatCurrency(amount) {
         const currency = this.settings['store-currency'] || '$';
-        return `${currency}${parseFloat(amount).toFixed(2)}`;
+        const money = amount instanceof Money ? amount : Money.fromMajor(parseFloat(amount) || 0, this.getCurrencyCode());
+        return money.format(currency);
     }
 }
 
@@ -0,0 +1,599 @@
+/**
+ * Universal POS Checkout Flow
+ * Multi-step checkout: contact, shipping address, billing address, shipping method, review
+ * Version: 1.0.0
+ *
+ * Configuration (UniversalPOS option "checkout"):
+ * {
+ *     steps: ['contact', 'shipping-address', 'billing-address', 'shipping-method', 'review'],
+ *     requirePhone: false,              // Phone is optional unless this is set
+ *     placeOrderLabel: 'checkout.placeOrder'   // Message key (or text) of the final button on the review step
+ * }
+ *
+ * Steps that do not apply are skipped: addresses and shipping methods for carts with nothing to
+ * ship, and the shipping method step when the shipping calculator is not loaded.
+ *
+ * Each step is validated before the customer can move on. Events for funnel tracking:
+ *   pos:checkout-step            { step, index, steps }   A step is shown
+ *   pos:checkout-step-completed  { step, index, steps }   A step passed validation
+ *   pos:checkout-step-invalid    { step, errors }         A step failed validation
+ *   pos:checkout-abandoned       { step }                 Checkout closed before the order was placed
+ *
+ * Steps are built with POSHtml.html, so the customer's own entries are shown as text.
+ */
+
+const CheckoutSteps = {
+    CONTACT: 'contact',
+    SHIPPING_ADDRESS: 'shipping-address',
+    BILLING_ADDRESS: 'billing-address',
+    SHIPPING_METHOD: 'shipping-method',
+    REVIEW: 'review'
+};
+
+// English messages; step labels are keyed "checkout.step.<step>"
+POSI18n.registerLocale('en', {
+    'checkout.title': 'Checkout',
+    'checkout.back': 'Back',
+    'checkout.continue': 'Continue',
+    'checkout.placeOrder': 'Place order',
+
+    'checkout.step.contact': 'Contact',
+    'checkout.step.shipping-address': 'Shipping',
+    'checkout.step.billing-address': 'Billing',
+    'checkout.step.shipping-method': 'Delivery',
+    'checkout.step.review': 'Review',
+
+    'checkout.contactTitle': 'Contact details',
+    'checkout.shippingTitle': 'Shipping address',
+    'checkout.billingTitle': 'Billing address',
+    'checkout.sameAsShipping': 'Same as shipping address',
+    'checkout.methodTitle': 'Delivery method',
+
+    'checkout.field.email': 'Email',
+    'checkout.field.name': 'Full name',
+    'checkout.field.phone': 'Phone',
+    'checkout.field.phoneOptional': 'Phone (optional)',
+    'checkout.field.line1': 'Street address',
+    'checkout.field.line2': 'Apartment, suite (optional)',
+    'checkout.field.city': 'City',
+    'checkout.field.state': 'State / region',
+    'checkout.field.postalCode': 'Postal code',
+    'checkout.field.country': 'Country',
+
+    'checkout.error.emailRequired': 'Email is required',
+    'checkout.error.emailInvalid': 'Enter a valid email address',
+    'checkout.error.nameRequired': 'Name is required',
+    'checkout.error.phoneInvalid': 'Enter a valid phone number',
+    'checkout.error.phoneRequired': 'Phone is required',
+    'checkout.error.methodRequired': 'Choose a delivery method',
+    'checkout.error.line1Required': 'Street address is required',
+    'checkout.error.cityRequired': 'City is required',
+    'checkout.error.postalCodeRequired': 'Postal code is required',
+    'checkout.error.countryRequired': 'Country is required',
+    'checkout.error.countryCode': 'Use the 2-letter country code, e.g. US',
+
+    'checkout.summary.contact': 'Contact',
+    'checkout.summary.shipTo': 'Ship to',
+    'checkout.summary.billTo': 'Bill to',
+    'checkout.summary.delivery': 'Delivery'
+});
+
+class CheckoutFlow {
+    constructor(pos, options = {}) {
+        this.pos = pos;
+        this.options = {
+            steps: Object.values(CheckoutSteps),
+            requirePhone: false,
+            placeOrderLabel: 'checkout.placeOrder',
+            ...options
+        };
+
+        this.dialog = null;
+        this.element = null;
+        this.currentStep = null;
+    }
+
+    isOpen() {
+        return this.dialog !== null;
+    }
+
+    /**
+     * Whether any cart line has to be shipped
+     */
+    requiresShipping() {
+        return this.pos.cart.some(line => line.requiresShipping !== false);
+    }
+
+    /**
+     * Steps that apply to the current cart, in order
+     */
+    getSteps() {
+        const shipping = this.requiresShipping();
+
+        return this.options.steps.filter(step => {
+            if (step === CheckoutSteps.SHIPPING_ADDRESS) return shipping;
+            if (step === CheckoutSteps.SHIPPING_METHOD) return shipping && !!this.pos.shipping;
+            return true;
+        });
+    }
+
+    /**
+     * Open the checkout at its first step, in an accessible dialog (POSDialog)
+     */
+    open() {
+        if (this.isOpen()) {
+            this.close(false);
+        }
+
+        const t = key => this.pos.t(key);
+        this.dialog = this.pos.createDialog({
+            title: t('checkout.title'),
+            className: 'pos-checkout',
+            content: POSHtml.html`
+                <ol class="pos-checkout-progress"></ol>
+                <form class="pos-checkout-form" novalidate>
+                    <div class="pos-checkout-step"></div>
+                    <div class="pos-checkout-actions">
+                        <button type="button" class="pos-checkout-back">${t('checkout.back')}</button>
+                        <button type="submit" class="pos-checkout-next">${t('checkout.continue')}</button>
+                    </div>
+                </form>
+            `,
+            onClose: placed => this.closed(placed)
+        });
+
+        this.dialog.open();
+        this.element = this.dialog.element;
+        this.bindEvents();
+        this.showStep(this.getSteps()[0]);
+    }
+
+    /**
+     * Close the checkout; closing before the order is placed counts as abandoning it
+     */
+    close(abandoned = true) {
+        if (this.isOpen()) {
+            this.dialog.close(!abandoned);
+        }
+    }
+
+    /**
+     * The dialog closed: placed, or dismissed with the close button, Escape or a click outside
+     */
+    closed(placed) {
+        if (!placed) {
+            this.pos.emit('pos:checkout-abandoned', { step: this.currentStep });
+        }
+
+        this.dialog = null;
+        this.element = null;
+        this.currentStep = null;
+    }
+
+    bindEvents() {
+        const form = this.element.querySelector('.pos-checkout-form');
+
+        this.element.querySelector('.pos-checkout-back').addEventListener('click', () => this.back());
+
+        // Quantities edited on the review step
+        this.pos.bindReviewQuantities(form, () => {
+            if (this.pos.cart.length === 0) {
+                this.close();
+                return;
+            }
+            this.element.querySelector('.pos-checkout-step').innerHTML = this.renderReview();
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.next();
+        });
+
+        form.addEventListener('change', (e) => {
+            if (e.target.name === 'email') {
+                this.recognizeCustomer();
+            }
+            if (e.target.name === 'sameAsShipping') {
+                this.element.querySelector('.pos-checkout-billing-fields').hidden = e.target.checked;
+            }
+        });
+    }
+
+    /**
+     * Render a step and announce it
+     */
+    showStep(step) {
+        const steps = this.getSteps();
+        const index = steps.indexOf(step);
+        this.currentStep = step;
+
+        this.element.querySelector('.pos-checkout-progress').innerHTML = POSHtml.html`${steps.map((name, i) => POSHtml.html`
+            <li class="${i < index ? 'pos-checkout-done' : ''}${i === index ? 'pos-checkout-current' : ''}" ${i === index ? POSHtml.raw('aria-current="step"') : ''}>
+                ${this.pos.t(`checkout.step.${name}`)}
+            </li>
+        `)}`;
+
+        this.element.querySelector('.pos-checkout-step').innerHTML = this.renderStep(step);
+        this.fillStep(step);
+
+        this.element.querySelector('.pos-checkout-back').hidden = index === 0;
+        this.element.querySelector('.pos-checkout-next').textContent = this.pos.t(step === CheckoutSteps.REVIEW
+            ? this.options.placeOrderLabel
+            : 'checkout.continue');
+
+        const firstInput = this.element.querySelector('.pos-checkout-step input:not([type="hidden"])');
+        if (firstInput) firstInput.focus();
+
+        this.pos.emit('pos:checkout-step', { step, index, steps });
+    }
+
+    /**
+     * Validate and save the current step, then move on; the review step places the order
+     */
+    next() {
+        const step = this.currentStep;
+        const values = this.readStep();
+        const errors = this.validateStep(step, values);
+
+        this.showErrors(errors);
+        if (Object.keys(errors).length > 0) {
+            this.pos.emit('pos:checkout-step-invalid', { step, errors });
+            return false;
+        }
+
+        this.applyStep(step, values);
+
+        // Applying a step can change which steps apply, so look the step up again
+        const steps = this.getSteps();
+        const index = steps.indexOf(step);
+        this.pos.emit('pos:checkout-step-completed', { step, index, steps });
+
+        if (step === CheckoutSteps.REVIEW) {
+            this.close(false);
+            this.pos.placeOrder(true);
+            return true;
+        }
+
+        this.showStep(steps[index + 1]);
+        return true;
+    }
+
+    back() {
+        const steps = this.getSteps();
+        const index = steps.indexOf(this.currentStep);
+        if (index > 0) {
+            this.showStep(steps[index - 1]);
+        }
+    }
+
+    /**
+     * Form values of the step on screen
+     */
+    readStep() {
+        const form = this.element.querySelector('.pos-checkout-form');
+        const values = {};
+
+        Array.from(form.elements).forEach(field => {
+            if (!field.name) return;
+            if (field.type === 'checkbox') {
+                values[field.name] = field.checked;
+            } else if (field.type === 'radio') {
+                if (field.checked) values[field.name] = field.value;
+            } else {
+                values[field.name] = field.value.trim();
+            }
+        });
+
+        return values;
+    }
+
+    /**
+     * Errors for a step's values, keyed by field name
+     */
+    validateStep(step, values) {
+        const errors = {};
+        const t = key => this.pos.t(`checkout.error.${key}`);
+
+        switch (step) {
+            case CheckoutSteps.CONTACT:
+                if (!values.email) {
+                    errors.email = t('emailRequired');
+                } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.email)) {
+                    errors.email = t('emailInvalid');
+                }
+                if (!values.name) {
+                    errors.name = t('nameRequired');
+                }
+                if (values.phone && !/^\+?[\d\s().-]{6,}$/.test(values.phone)) {
+                    errors.phone = t('phoneInvalid');
+                } else if (!values.phone && this.options.requirePhone) {
+                    errors.phone = t('phoneRequired');
+                }
+                break;
+
+            case CheckoutSteps.SHIPPING_ADDRESS:
+                Object.assign(errors, this.validateAddress(values));
+                break;
+
+            case CheckoutSteps.BILLING_ADDRESS:
+                if (!values.sameAsShipping || !this.requiresShipping()) {
+                    Object.assign(errors, this.validateAddress(values));
+                }
+                break;
+
+            case CheckoutSteps.SHIPPING_METHOD:
+                if (!this.pos.calculateShipping().methods.some(method => method.id === values.shippingMethod)) {
+                    errors.shippingMethod = t('methodRequired');
+                }
+                break;
+        }
+
+        return errors;
+    }
+
+    validateAddress(values) {
+        const errors = {};
+        const t = key => this.pos.t(`checkout.error.${key}`);
+
+        if (!values.line1) errors.line1 = t('line1Required');
+        if (!values.city) errors.city = t('cityRequired');
+        if (!values.postalCode) errors.postalCode = t('postalCodeRequired');
+        if (!values.country) {
+            errors.country = t('countryRequired');
+        } else if (!/^[A-Za-z]{2}$/.test(values.country)) {
+            errors.country = t('countryCode');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Save a validated step to the POS
+     */
+    applyStep(step, values) {
+        switch (step) {
+            case CheckoutSteps.CONTACT:
+                this.pos.setCustomerDetails({ email: values.email, name: values.name, phone: values.phone });
+                break;
+
+            case CheckoutSteps.SHIPPING_ADDRESS:
+                this.pos.setShippingAddress(this.toAddress(values));
+                break;
+
+            case CheckoutSteps.BILLING_ADDRESS:
+                this.pos.setBillingAddress(values.sameAsShipping && this.requiresShipping() ? null : this.toAddress(values));
+                break;
+
+            case CheckoutSteps.SHIPPING_METHOD:
+                this.pos.selectShippingMethod(values.shippingMethod);
+                break;
+        }
+    }
+
+    toAddress(values) {
+        return {
+            line1: values.line1,
+            line2: values.line2 || '',
+            city: values.city,
+            state: (values.state || '').toUpperCase(),
+            postalCode: values.postalCode,
+            country: values.country.toUpperCase()
+        };
+    }
+
+    showErrors(errors) {
+        this.element.querySelectorAll('.pos-checkout-error').forEach(message => {
+            const field = message.getAttribute('data-error-for');
+            message.textContent = errors[field] || '';
+
+            const input = this.element.querySelector(`[name="${field}"]`);
+            if (input) input.setAttribute('aria-invalid', errors[field] ? 'true' : 'false');
+        });
+
+        const firstInvalid = this.element.querySelector('[aria-invalid="true"]');
+        if (firstInvalid) firstInvalid.focus();
+    }
+
+    /**
+     * Markup for a step; field values are filled in afterwards by fillStep
+     */
+    renderStep(step) {
+        const { html } = POSHtml;
+        const t = key => this.pos.t(key);
+
+        switch (step) {
+            case CheckoutSteps.CONTACT:
+                return html`
+                    <h3>${t('checkout.contactTitle')}</h3>
+                    <div class="pos-checkout-welcome" role="status"></div>
+                    ${this.renderField('email', t('checkout.field.email'), { type: 'email', autocomplete: 'email' })}
+                    ${this.renderField('name', t('checkout.field.name'), { autocomplete: 'name' })}
+                    ${this.renderField('phone', t(this.options.requirePhone ? 'checkout.field.phone' : 'checkout.field.phoneOptional'), { type: 'tel', autocomplete: 'tel' })}
+                `;
+
+            case CheckoutSteps.SHIPPING_ADDRESS:
+                return html`
+                    <h3>${t('checkout.shippingTitle')}</h3>
+                    ${this.renderAddressFields('shipping')}
+                `;
+
+            case CheckoutSteps.BILLING_ADDRESS: {
+                const shipping = this.requiresShipping();
+                return html`
+                    <h3>${t('checkout.billingTitle')}</h3>
+                    ${shipping ? html`
+                        <label class="pos-checkout-checkbox">
+                            <input type="checkbox" name="sameAsShipping">
+                            ${t('checkout.sameAsShipping')}
+                        </label>
+                    ` : ''}
+                    <div class="pos-checkout-billing-fields">
+                        ${this.renderAddressFields('billing')}
+                    </div>
+                `;
+            }
+
+            case CheckoutSteps.SHIPPING_METHOD: {
+                const { methods, method } = this.pos.calculateShipping();
+                return html`
+                    <h3>${t('checkout.methodTitle')}</h3>
+                    <fieldset class="pos-checkout-methods">
+                        <legend class="pos-sr-only">${t('checkout.methodTitle')}</legend>
+                        ${methods.map(quote => html`
+                            <label class="pos-shipping-method">
+                                <input type="radio" name="shippingMethod" value="${quote.id}" ${method && quote.id === method.id ? 'checked' : ''}>
+                                <span class="pos-shipping-label">
+                                    ${quote.label}
+                                    ${quote.estimatedDays ? html`<small>${quote.estimatedDays}</small>` : ''}
+                                </span>
+                                <span class="pos-shipping-rate">${quote.amount > 0 ? this.pos.formatPrice(quote.amount) : t('shipping.free')}</span>
+                            </label>
+                        `)}
+                    </fieldset>
+                    <span class="pos-checkout-error" data-error-for="shippingMethod"></span>
+                `;
+            }
+
+            case CheckoutSteps.REVIEW:
+                return this.renderReview();
+
+            default:
+                return '';
+        }
+    }
+
+    renderField(name, label, { type = 'text', autocomplete = 'off' } = {}) {
+        return POSHtml.html`
+            <label class="pos-checkout-field">
+                <span>${label}</span>
+                <input type="${type}" name="${name}" autocomplete="${autocomplete}">
+                <span class="pos-checkout-error" data-error-for="${name}"></span>
+            </label>
+        `;
+    }
+
+    renderAddressFields(section) {
+        const label = name => this.pos.t(`checkout.field.${name}`);
+
+        return POSHtml.html`
+            ${this.renderField('line1', label('line1'), { autocomplete: `${section} address-line1` })}
+            ${this.renderField('line2', label('line2'), { autocomplete: `${section} address-line2` })}
+            <div class="pos-checkout-row">
+                ${this.renderField('city', label('city'), { autocomplete: `${section} address-level2` })}
+                ${this.renderField('state', label('state'), { autocomplete: `${section} address-level1` })}
+            </div>
+            <div class="pos-checkout-row">
+                ${this.renderField('postalCode', label('postalCode'), { autocomplete: `${section} postal-code` })}
+                ${this.renderField('country', label('country'), { autocomplete: `${section} country` })}
+            </div>
+        `;
+    }
+
+    renderReview() {
+        const pos = this.pos;
+        const checkoutData = pos.buildCheckoutData();
+        const totals = checkoutData.totals;
+        const details = pos.customerDetails;
+        const billing = pos.billingAddress || pos.shippingAddress;
+        const { html } = POSHtml;
+
+        return html`
+            <h3>${pos.t('review.title')}</h3>
+            ${pos.renderOrderReview(checkoutData)}
+            <dl class="pos-checkout-summary">
+                <dt>${pos.t('checkout.summary.contact')}</dt>
+                <dd>${details.name}, ${details.email}${details.phone ? html`, ${details.phone}` : ''}</dd>
+                ${this.requiresShipping() ? html`
+                    <dt>${pos.t('checkout.summary.shipTo')}</dt>
+                    <dd>${this.formatAddress(pos.shippingAddress)}</dd>
+                ` : ''}
+                <dt>${pos.t('checkout.summary.billTo')}</dt>
+                <dd>${billing ? this.formatAddress(billing) : ''}</dd>
+                ${totals.shippingMethod ? html`
+                    <dt>${pos.t('checkout.summary.delivery')}</dt>
+                    <dd>${totals.shippingMethod.label}${totals.shippingMethod.estimatedDays ? html` (${totals.shippingMethod.estimatedDays})` : ''}</dd>
+                ` : ''}
+            </dl>
+        `;
+    }
+
+    /**
+     * One-line postal address, e.g. "1 Main St, Springfield, IL 62701, US"
+     */
+    formatAddress(address) {
+        const region = [address.state, address.postalCode].filter(Boolean).join(' ');
+        return [address.line1, address.line2, address.city, region, address.country].filter(Boolean).join(', ');
+    }
+
+    /**
+     * Put what the POS already knows into the step's fields
+     */
+    fillStep(step) {
+        const form = this.element.querySelector('.pos-checkout-form');
+        let values = {};
+
+        switch (step) {
+            case CheckoutSteps.CONTACT:
+                values = this.pos.customerDetails;
+                break;
+            case CheckoutSteps.SHIPPING_ADDRESS:
+                values = this.pos.shippingAddress || this.getSavedAddress() || {};
+                break;
+            case CheckoutSteps.BILLING_ADDRESS: {
+                const same = !this.pos.billingAddress;
+                values = this.pos.billingAddress || {};
+                if (form.elements.sameAsShipping) {
+                    form.elements.sameAsShipping.checked = same;
+                    this.element.querySelector('.pos-checkout-billing-fields').hidden = same;
+                }
+                break;
+            }
+        }
+
+        Object.entries(values).forEach(([name, value]) => {
+            const field = form.elements[name];
+            if (field && field.type !== 'checkbox' && field.type !== 'radio') {
+                field.value = value || '';
+            }
+        });
+    }
+
+    /**
+     * Most recent address on file for a returning customer, where prefilling is allowed
+     */
+    getSavedAddress() {
+        if (!this.pos.options.prefillCustomerDetails) return null;
+
+        const customer = this.pos.lookupCustomer(this.pos.customerDetails.email);
+        return customer && customer.addresses.length > 0 ? customer.addresses[customer.addresses.length - 1] : null;
+    }
+
+    /**
+     * Greet a returning customer, and fill the blanks from their profile when
+     * prefillCustomerDetails is on (see UniversalPOS.prefillReturningCustomer)
+     */
+    recognizeCustomer() {
+        const form = this.element.querySelector('.pos-checkout-form');
+        const customer = this.pos.lookupCustomer(form.elements.email.value);
+        const welcome = this.element.querySelector('.pos-checkout-welcome');
+        const prefill = !!customer && this.pos.options.prefillCustomerDetails;
+
+        welcome.textContent = this.pos.getWelcomeMessage(customer);
+        if (!customer) return;
+
+        if (prefill) {
+            ['name', 'phone'].forEach(name => {
+                if (!form.elements[name].value && customer[name]) {
+                    form.elements[name].value = customer[name];
+                }
+            });
+        }
+
+        this.pos.emit('pos:customer-recognized', { customerId: customer.id, prefilled: prefill });
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CheckoutFlow, CheckoutSteps };
+}
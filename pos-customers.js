@@ -0,0 +1,167 @@
+/**
+ * Universal POS Customer Directory
+ * Customer profiles captured at checkout, looked up by email
+ * Version: 1.0.0
+ *
+ * Profiles are stored through the POS storage backend under customerStorageKey:
+ * {
+ *     id: 'CUS-...',
+ *     email: 'ana@example.com',         // Lower-cased; one profile per email
+ *     name: 'Ana Silva',
+ *     phone: '+1 555 0100',
+ *     addresses: [{ line1, line2, city, state, postalCode, country }],
+ *     notes: [{ text, at, author }],
+ *     createdAt, updatedAt
+ * }
+ *
+ * Orders reference their customer by customerId. Order history and lifetime value are
+ * always worked out from the orders themselves, never stored on the profile.
+ */
+
+class CustomerDirectory {
+    constructor(pos) {
+        this.pos = pos;
+    }
+
+    getAll() {
+        return this.pos.readRecord('customer', []);
+    }
+
+    get(customerId) {
+        return this.getAll().find(customer => customer.id === customerId) || null;
+    }
+
+    normalizeEmail(email) {
+        return String(email || '').trim().toLowerCase();
+    }
+
+    isValidEmail(email) {
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(this.normalizeEmail(email));
+    }
+
+    /**
+     * Returning customer for an email address, if any
+     */
+    findByEmail(email) {
+        const normalized = this.normalizeEmail(email);
+        if (!normalized) return null;
+
+        return this.getAll().find(customer => customer.email === normalized) || null;
+    }
+
+    /**
+     * Create a profile, or update the one with the same email
+     * Blank fields never overwrite what is already known; new addresses are added to the profile.
+     */
+    upsert(details) {
+        const email = this.normalizeEmail(details.email);
+        if (!this.isValidEmail(email)) {
+            throw new Error(`Invalid customer email: ${details.email}`);
+        }
+
+        this.pos.pullLatestState();
+
+        const customers = this.getAll();
+        const now = new Date().toISOString();
+        let customer = customers.find(c => c.email === email);
+
+        if (!customer) {
+            customer = {
+                id: this.generateId(),
+                email,
+                name: null,
+                phone: null,
+                addresses: [],
+                notes: [],
+                createdAt: now,
+                updatedAt: now
+            };
+            customers.push(customer);
+        }
+
+        if (details.name) customer.name = String(details.name).trim();
+        if (details.phone) customer.phone = String(details.phone).trim();
+        if (details.address && !this.hasAddress(customer, details.address)) {
+            customer.addresses.push({ ...details.address });
+        }
+        customer.updatedAt = now;
+
+        this.save(customers);
+        return customer;
+    }
+
+    hasAddress(customer, address) {
+        const fields = ['line1', 'line2', 'city', 'state', 'postalCode', 'country'];
+        const normalize = value => String(value || '').trim().toLowerCase();
+
+        return customer.addresses.some(existing => fields.every(field => normalize(existing[field]) === normalize(address[field])));
+    }
+
+    addNote(customerId, text, author = 'admin') {
+        if (!String(text || '').trim()) {
+            throw new Error('Note text is required');
+        }
+
+        this.pos.pullLatestState();
+
+        const customers = this.getAll();
+        const customer = customers.find(c => c.id === customerId);
+        if (!customer) {
+            throw new Error(`Customer ${customerId} not found`);
+        }
+
+        customer.notes.push({ text: String(text).trim(), at: new Date().toISOString(), author });
+        customer.updatedAt = new Date().toISOString();
+        this.save(customers);
+        return customer;
+    }
+
+    /**
+     * Orders placed by a customer, newest first
+     */
+    getOrders(customerId) {
+        return this.pos.getOrders()
+            .filter(order => order.customerId === customerId)
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+
+    /**
+     * Total spent as Money, leaving out cancelled and refunded orders
+     */
+    getLifetimeValue(customerId) {
+        const currency = this.pos.options.currencyCode;
+        const totals = this.getOrders(customerId)
+            .filter(order => !['cancelled', 'refunded'].includes(order.status))
+            .map(order => order.totals.minorUnits
+                ? Money.fromMinor(order.totals.minorUnits.total, order.totals.currency || currency)
+                : Money.fromMajor(order.totals.total || 0, order.totals.currency || currency));
+
+        return Money.sum(totals, currency);
+    }
+
+    getSummary(customerId) {
+        const orders = this.getOrders(customerId);
+        return {
+            orderCount: orders.length,
+            lifetimeValue: this.getLifetimeValue(customerId),
+            lastOrderAt: orders.length > 0 ? orders[0].timestamp : null
+        };
+    }
+
+    save(customers) {
+        this.pos.markChanged([this.pos.writeRecord('customer', customers)]);
+    }
+
+    generateId() {
+        const random = typeof crypto !== 'undefined' && crypto.randomUUID
+            ? crypto.randomUUID().replace(/-/g, '').slice(0, 10)
+            : `${Math.random().toString(36).slice(2, 7)}${Math.random().toString(36).slice(2, 7)}`;
+
+        return `CUS-${random.toUpperCase()}`;
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CustomerDirectory;
+}
@@ -0,0 +1,254 @@
+/**
+ * Universal POS Internationalization
+ * Message catalog with pluggable locale packs, pluralization, text direction and date formatting
+ * Version: 1.0.0
+ *
+ * Configuration:
+ * {
+ *     locale: 'fr-CA',                  // Defaults to the browser locale
+ *     fallbackLocale: 'en',             // Messages a locale pack does not translate come from here
+ *     messages: {                       // Site overrides, merged over the locale packs
+ *         fr: { 'cart.title': 'Mon panier' }
+ *     },
+ *     dateFormat: 'DD/MM/YYYY'          // MM/DD/YYYY, DD/MM/YYYY or YYYY-MM-DD; defaults to the locale's own
+ * }
+ *
+ * Every module registers its English messages when it loads, so this file must be loaded first.
+ * Locale packs are plain scripts loaded after it that register translations under the same keys:
+ *
+ *     POSI18n.registerLocale('fr', {
+ *         'cart.title': 'Panier',
+ *         'cart.itemCount': { one: '{count} article', other: '{count} articles' }
+ *     });
+ *
+ * Placeholders are written {name}. Plural messages are objects keyed by Intl.PluralRules category
+ * (zero, one, two, few, many, other) and pick their form from the "count" parameter.
+ * Right-to-left languages are detected from the locale; a pack can also set it: registerLocale('xx', messages, { dir: 'rtl' }).
+ */
+
+class POSI18n {
+    constructor(options = {}) {
+        this.options = {
+            locale: null,
+            fallbackLocale: 'en',
+            messages: {},
+            dateFormat: null,
+            ...options
+        };
+
+        this.missing = new Set();
+        this.setLocale(this.options.locale || (typeof navigator !== 'undefined' ? navigator.language : null) || this.options.fallbackLocale);
+    }
+
+    /**
+     * Add messages for a locale; packs for the same locale are merged, later ones win
+     */
+    static registerLocale(locale, messages, meta = {}) {
+        const code = POSI18n.normalizeLocale(locale);
+        const pack = POSI18n.locales[code] || { messages: {} };
+
+        POSI18n.locales[code] = {
+            ...pack,
+            ...meta,
+            messages: { ...pack.messages, ...messages }
+        };
+    }
+
+    /**
+     * Locales with a registered pack
+     */
+    static getLocales() {
+        return Object.keys(POSI18n.locales);
+    }
+
+    /**
+     * Canonical BCP 47 tag, e.g. "pt_br" -> "pt-BR"
+     */
+    static normalizeLocale(locale) {
+        const tag = String(locale || '').replace(/_/g, '-');
+        try {
+            return Intl.getCanonicalLocales(tag)[0] || tag;
+        } catch (error) {
+            return tag;
+        }
+    }
+
+    setLocale(locale) {
+        this.locale = POSI18n.normalizeLocale(locale);
+        this.pluralRules = new Intl.PluralRules(this.locale);
+    }
+
+    getLocale() {
+        return this.locale;
+    }
+
+    /**
+     * Locales searched for a message: "fr-CA" -> ["fr-CA", "fr", "en"]
+     */
+    getLocaleChain() {
+        const chain = [];
+        const add = (locale) => {
+            const parts = POSI18n.normalizeLocale(locale).split('-');
+            for (let i = parts.length; i > 0; i--) {
+                const code = parts.slice(0, i).join('-');
+                if (!chain.includes(code)) chain.push(code);
+            }
+        };
+
+        add(this.locale);
+        add(this.options.fallbackLocale);
+        return chain;
+    }
+
+    /**
+     * Raw catalog entry for a key, site overrides first
+     */
+    lookup(key) {
+        for (const locale of this.getLocaleChain()) {
+            const overrides = this.options.messages[locale];
+            if (overrides && key in overrides) return overrides[key];
+
+            const pack = POSI18n.locales[locale];
+            if (pack && key in pack.messages) return pack.messages[key];
+        }
+        return undefined;
+    }
+
+    has(key) {
+        return this.lookup(key) !== undefined;
+    }
+
+    /**
+     * Translate a message key
+     * Unknown keys are returned as they are, so plain text passed in (e.g. a processor's own error
+     * message) still reaches the customer.
+     */
+    t(key, params = {}) {
+        let message = this.lookup(key);
+
+        if (message === undefined) {
+            if (/^[\w-]+(\.[\w-]+)+$/.test(key) && !this.missing.has(key)) {
+                this.missing.add(key);
+                console.warn(`Universal POS: Missing message "${key}" for locale ${this.locale}`);
+            }
+            message = key;
+        }
+
+        if (message && typeof message === 'object') {
+            message = message[this.pluralRules.select(Number(params.count) || 0)] || message.other || '';
+        }
+
+        return this.interpolate(String(message), params);
+    }
+
+    interpolate(message, params) {
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            if (!(name in params)) return match;
+            const value = params[name];
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        });
+    }
+
+    /**
+     * "ltr" or "rtl" for the current locale
+     */
+    getDirection() {
+        for (const locale of this.getLocaleChain()) {
+            const pack = POSI18n.locales[locale];
+            if (pack && pack.dir) return pack.dir;
+        }
+
+        return POSI18n.rtlLanguages.includes(this.locale.split('-')[0]) ? 'rtl' : 'ltr';
+    }
+
+    /**
+     * Set lang and dir on an element the POS injects into the page
+     */
+    applyDirection(element) {
+        if (!element) return;
+        element.setAttribute('lang', this.locale);
+        element.setAttribute('dir', this.getDirection());
+    }
+
+    /**
+     * Translate static markup: data-i18n sets the text, data-i18n-placeholder, data-i18n-title and
+     * data-i18n-aria-label set those attributes. Elements whose key has no message keep their text.
+     */
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const key = element.getAttribute('data-i18n');
+            if (this.has(key)) element.textContent = this.t(key);
+        });
+
+        ['placeholder', 'title', 'aria-label'].forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                const key = element.getAttribute(`data-i18n-${attribute}`);
+                if (this.has(key)) element.setAttribute(attribute, this.t(key));
+            });
+        });
+    }
+
+    setDateFormat(format) {
+        this.options.dateFormat = format || null;
+    }
+
+    /**
+     * Date in the configured pattern, or the locale's own short date
+     */
+    formatDate(value) {
+        const date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date.getTime())) return '';
+
+        const pattern = this.options.dateFormat;
+        if (pattern) {
+            const pad = number => String(number).padStart(2, '0');
+            return pattern
+                .replace('YYYY', date.getFullYear())
+                .replace('MM', pad(date.getMonth() + 1))
+                .replace('DD', pad(date.getDate()));
+        }
+
+        return new Intl.DateTimeFormat(this.locale, { year: 'numeric', month: 'numeric', day: 'numeric' }).format(date);
+    }
+
+    formatTime(value) {
+        const date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date.getTime())) return '';
+
+        return new Intl.DateTimeFormat(this.locale, { hour: 'numeric', minute: '2-digit' }).format(date);
+    }
+
+    formatDateTime(value) {
+        const date = this.formatDate(value);
+        return date ? `${date} ${this.formatTime(value)}` : '';
+    }
+
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.locale, options).format(value);
+    }
+
+    /**
+     * Number typed the way the locale writes it, e.g. "1,234.50" in en or "1.234,50" in de; NaN otherwise
+     */
+    parseNumber(text) {
+        const parts = new Intl.NumberFormat(this.locale).formatToParts(12345.6);
+        const group = parts.find(part => part.type === 'group');
+        const decimal = parts.find(part => part.type === 'decimal').value;
+
+        let normalized = String(text).replace(/\s/g, '');
+        if (group && group.value.trim()) normalized = normalized.split(group.value).join('');
+        normalized = normalized.replace(decimal, '.');
+        return /^-?(\d+\.?\d*|\.\d+)$/.test(normalized) ? Number(normalized) : NaN;
+    }
+}
+
+// Registered locale packs, by canonical locale
+POSI18n.locales = {};
+
+// Languages written right to left
+POSI18n.rtlLanguages = ['ar', 'dv', 'fa', 'he', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi'];
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = POSI18n;
+}
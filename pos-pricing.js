@@ -0,0 +1,302 @@
+/**
+ * Universal POS Price Authority
+ * Server-side price verification: orders are charged at quoted prices, not the prices on the page
+ * Version: 1.0.0
+ *
+ * Prices read from data-pos-price attributes are whatever the page says, and anyone can edit the
+ * page. With this file loaded, checkout first sends the cart as product IDs and quantities to the
+ * price authority and gets a quote back; orders and payments then use the quoted prices.
+ *
+ * Configuration (UniversalPOS option "priceAuthority"):
+ * {
+ *     quoteEndpoint: '/api/quote',      // Defaults to {apiEndpoint}/quote when apiEndpoint is set
+ *     catalogUrl: null,                 // Or a static price list, for stores without a server
+ *     catalog: null,                    // ...or the price list itself
+ *     headers: {},
+ *     credentials: 'same-origin'
+ * }
+ *
+ * Quote request, POSTed as JSON:
+ * {
+ *     orderId, currency,
+ *     lines: [{ key, id, variantId, quantity }],
+ *     couponCodes, shippingMethod, shippingAddress
+ * }
+ *
+ * Quote response:
+ * {
+ *     quoteId: 'Q-1001',
+ *     lines: [{ key: 'tee:red-m', price: 25 }],   // Unit prices in the store currency; available: false to refuse a line
+ *     total: 27.06,                               // Optional: checked against the cart total
+ *     expiresAt: '2026-06-01T12:15:00Z',          // Optional
+ *     signature: '...'                            // Opaque; sent back with the order for the server to check
+ * }
+ *
+ * Price lists map a cart line key ("productId" or "productId:variantId") or a product ID to a price,
+ * or to { price, currency } for prices listed in another currency:
+ *     { "laptop-pro": 1299.99, "tee:red-m": 25, "gift-card": { "price": 50, "currency": "EUR" } }
+ * A price list keeps page edits out of the cart, but only the server can vouch for a price:
+ * its quotes are the ones that are signed.
+ *
+ * Lines whose page price differs from the quote are repriced in the cart and flagged: checkout stops
+ * so the customer sees the new prices, and the corrections travel with the order as priceQuote.adjustments.
+ *
+ * Events:
+ *   pos:price-quoted     { quote }                 The cart was quoted and matches
+ *   pos:price-mismatch   { adjustments, quote }    Cart prices were corrected, or the totals disagree
+ *   pos:price-error      { error }                 The quote could not be obtained
+ */
+
+// English messages; locale packs register translations under the same keys
+POSI18n.registerLocale('en', {
+    'pricing.updated': 'Some prices have changed. Your cart shows the current prices; review them and check out again.',
+    'pricing.unavailable': '{name} cannot be purchased right now',
+    'pricing.failed': 'We could not confirm the prices in your cart. Please try again.'
+});
+
+class PriceAuthority {
+    constructor(pos, options = {}) {
+        this.pos = pos;
+        this.options = {
+            quoteEndpoint: null,
+            catalogUrl: null,
+            catalog: null,
+            headers: {},
+            credentials: 'same-origin',
+            ...options
+        };
+
+        if (!this.options.quoteEndpoint && pos.options.apiEndpoint) {
+            this.options.quoteEndpoint = `${pos.options.apiEndpoint.replace(/\/$/, '')}/quote`;
+        }
+
+        // Without a quote source there is nothing to verify against, and checkout works as before
+        this.enabled = !!(this.options.quoteEndpoint || this.options.catalogUrl || this.options.catalog);
+        this.quote = null;
+        this.pending = null;
+        this.catalogRequest = null;
+        this.adjustments = [];
+    }
+
+    /**
+     * Whether the cart, as it is now, was quoted and the quote has not expired
+     */
+    hasValidQuote() {
+        if (!this.enabled) {
+            return true;
+        }
+
+        return !!this.quote
+            && this.quote.cartSignature === this.pos.getCheckoutSignature()
+            && (!this.quote.expiresAt || Date.parse(this.quote.expiresAt) > Date.now());
+    }
+
+    /**
+     * Quote the cart and check it against the prices it holds
+     * Resolves true when the order can go ahead at the cart's prices. Mismatched lines are repriced
+     * and resolve false, so the customer sees the corrected cart before checking out again.
+     */
+    verifyCart() {
+        if (!this.enabled || this.hasValidQuote()) {
+            return Promise.resolve(true);
+        }
+
+        // A second checkout click while the cart is being quoted
+        if (!this.pending) {
+            this.pending = this.requestQuote(this.getQuoteRequest())
+                .then(quote => this.applyQuote(quote), error => {
+                    console.warn('Universal POS: Price verification failed', error);
+                    this.pos.showNotification(this.pos.t('pricing.failed'), 'error');
+                    this.pos.emit('pos:price-error', { error });
+                    return false;
+                })
+                .finally(() => {
+                    this.pending = null;
+                });
+        }
+
+        return this.pending;
+    }
+
+    /**
+     * What the price authority is asked to price: identities and quantities, never prices
+     */
+    getQuoteRequest() {
+        return {
+            orderId: this.pos.beginCheckout().orderId,
+            currency: this.pos.options.currencyCode,
+            lines: this.pos.cart.map(item => ({
+                key: item.key,
+                id: item.id,
+                variantId: item.variantId || null,
+                quantity: item.quantity
+            })),
+            couponCodes: [...this.pos.appliedCoupons],
+            shippingMethod: this.pos.selectedShippingMethod,
+            shippingAddress: this.pos.shippingAddress
+        };
+    }
+
+    /**
+     * Quote from the server, or priced locally from the price list
+     */
+    async requestQuote(request) {
+        if (!this.options.quoteEndpoint) {
+            return this.quoteFromCatalog(request, await this.loadCatalog());
+        }
+
+        const response = await fetch(this.options.quoteEndpoint, {
+            method: 'POST',
+            credentials: this.options.credentials,
+            headers: {
+                'Content-Type': 'application/json',
+                ...this.options.headers
+            },
+            body: JSON.stringify(request)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Quote request failed: ${response.status}`);
+        }
+
+        const quote = await response.json();
+        if (!quote || !Array.isArray(quote.lines)) {
+            throw new Error('Quote response has no lines');
+        }
+
+        return { ...quote, source: 'server' };
+    }
+
+    loadCatalog() {
+        if (this.options.catalog) {
+            return Promise.resolve(this.options.catalog);
+        }
+
+        if (!this.catalogRequest) {
+            this.catalogRequest = fetch(this.options.catalogUrl, { credentials: this.options.credentials })
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Price list request failed: ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .catch(error => {
+                    // Let the next checkout try again
+                    this.catalogRequest = null;
+                    throw error;
+                });
+        }
+
+        return this.catalogRequest;
+    }
+
+    quoteFromCatalog(request, catalog) {
+        return {
+            quoteId: null,
+            signature: null,
+            expiresAt: null,
+            source: 'catalog',
+            lines: request.lines.map(line => {
+                const entry = line.key in catalog ? catalog[line.key] : catalog[line.id];
+                if (entry === undefined || entry === null) {
+                    return { key: line.key, available: false };
+                }
+
+                const listed = typeof entry === 'object' ? entry : { price: entry };
+                const currency = String(listed.currency || this.pos.options.currencyCode).toUpperCase();
+                return { key: line.key, price: this.pos.toStorePrice(Number(listed.price), currency) };
+            })
+        };
+    }
+
+    /**
+     * Compare a quote with the cart; reprice and flag the lines it disagrees with
+     */
+    applyQuote(quote) {
+        const adjustments = [];
+        const unavailable = [];
+
+        this.pos.cart.forEach(item => {
+            const line = quote.lines.find(quoted => quoted.key === item.key
+                || (quoted.key === undefined && quoted.id === item.id && (quoted.variantId || null) === (item.variantId || null)));
+            const price = line ? Number(line.price) : NaN;
+
+            if (!line || line.available === false || !isFinite(price) || price < 0) {
+                unavailable.push(item);
+                return;
+            }
+
+            if (!this.pos.toMoney(price).equals(this.pos.toMoney(item.price))) {
+                adjustments.push({ key: item.key, id: item.id, variantId: item.variantId || null, listed: item.price, verified: price });
+                item.price = price;
+            }
+        });
+
+        if (unavailable.length > 0) {
+            unavailable.forEach(item => this.pos.showNotification(this.pos.t('pricing.unavailable', { name: item.name }), 'error'));
+            this.pos.emit('pos:price-error', { error: new Error('Quote refused some cart lines'), lines: unavailable.map(item => item.key) });
+            return false;
+        }
+
+        if (adjustments.length > 0) {
+            this.adjustments.push(...adjustments);
+            this.pos.saveData();
+            this.pos.updateCartDisplay();
+            this.pos.showNotification(this.pos.t('pricing.updated'), 'error');
+            this.pos.emit('pos:price-mismatch', { adjustments, quote });
+            return false;
+        }
+
+        // Same unit prices but a different total: the store's pricing rules disagree with the server's
+        const totals = this.pos.calculateTotals();
+        if (quote.total !== undefined && quote.total !== null && !this.pos.toMoney(quote.total).equals(Money.fromMinor(totals.minorUnits.total, totals.currency))) {
+            // Nothing in the cart can be corrected, so the order does not go ahead at either total
+            this.pos.showNotification(this.pos.t('pricing.failed'), 'error');
+            this.pos.emit('pos:price-mismatch', { adjustments: [{ key: null, listed: totals.total, verified: Number(quote.total) }], quote });
+            return false;
+        }
+
+        this.quote = {
+            quoteId: quote.quoteId || null,
+            signature: quote.signature || null,
+            expiresAt: quote.expiresAt || null,
+            source: quote.source,
+            total: totals.total,
+            cartSignature: this.pos.getCheckoutSignature()
+        };
+        this.pos.emit('pos:price-quoted', { quote: this.quote });
+        return true;
+    }
+
+    /**
+     * The quote an order was placed under, for the order record and the API to check
+     */
+    getQuoteReference() {
+        if (!this.enabled) {
+            return null;
+        }
+
+        const valid = this.hasValidQuote();
+        return {
+            quoteId: valid ? this.quote.quoteId : null,
+            signature: valid ? this.quote.signature : null,
+            expiresAt: valid ? this.quote.expiresAt : null,
+            source: valid ? this.quote.source : null,
+            verified: valid,
+            adjustments: [...this.adjustments]
+        };
+    }
+
+    /**
+     * Forget the quote and the corrections made to the cart, once the cart is done with
+     */
+    reset() {
+        this.quote = null;
+        this.adjustments = [];
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PriceAuthority;
+}
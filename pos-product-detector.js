@@ -375,6 +375,7 @@ const ProductDetector = {
                 p.element.setAttribute('data-pos-product', p.id);
                 p.element.setAttribute('data-pos-name', p.name);
                 p.element.setAttribute('data-pos-price', p.price);
+                if (p.currency) p.element.setAttribute('data-pos-currency', p.currency);
                 p.element.setAttribute('data-pos-sku', p.sku);
                 if (p.image) p.element.setAttribute('data-pos-image', p.image);
             }
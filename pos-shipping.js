@@ -0,0 +1,186 @@
+/**
+ * Universal POS Shipping Calculator
+ * Zone and weight based shipping rates with selectable methods
+ * Version: 1.0.0
+ *
+ * Configuration:
+ * {
+ *     volumetricDivisor: 5000,          // cm³ per kg for dimensional weight
+ *     defaultZone: 'domestic',          // Used until a shipping address is known
+ *     zones: [
+ *         { id: 'domestic', label: 'Domestic', countries: ['US'] },
+ *         { id: 'west', label: 'West Coast', countries: ['US'], states: ['CA', 'OR', 'WA'] },
+ *         { id: 'international', label: 'International', countries: ['*'] }
+ *     ],
+ *     methods: [
+ *         {
+ *             id: 'standard',
+ *             label: 'Standard',
+ *             estimatedDays: '5-7 business days',
+ *             freeOver: 100,            // Free when the discounted subtotal reaches this
+ *             rates: {                  // Zone -> weight brackets, first matching bracket wins
+ *                 domestic: [
+ *                     { maxWeight: 1, rate: 5.99 },
+ *                     { maxWeight: 5, rate: 9.99 },
+ *                     { rate: 14.99, perExtraWeight: 1.5 }   // Open bracket: per kg above the previous one
+ *                 ]
+ *             }
+ *         },
+ *         { id: 'pickup', label: 'Store pickup', pickup: true, rates: { '*': [{ rate: 0 }] } }
+ *     ]
+ * }
+ *
+ * Products declare data-pos-weight (kg) and data-pos-dimensions ("LxWxH" in cm).
+ * Products with data-pos-shipping="false" (downloads, gift cards) are never charged shipping.
+ */
+
+class ShippingCalculator {
+    constructor(options = {}) {
+        this.options = {
+            volumetricDivisor: 5000,
+            defaultZone: null,
+            zones: [],
+            methods: [],
+            ...options
+        };
+    }
+
+    /**
+     * Register or replace a shipping zone
+     */
+    addZone(zone) {
+        if (!zone || !zone.id) {
+            throw new Error('Shipping zone requires an id');
+        }
+
+        this.options.zones = this.options.zones.filter(z => z.id !== zone.id);
+        this.options.zones.push({ label: zone.id, countries: [], states: [], ...zone });
+    }
+
+    /**
+     * Register or replace a shipping method
+     */
+    addMethod(method) {
+        if (!method || !method.id) {
+            throw new Error('Shipping method requires an id');
+        }
+
+        this.options.methods = this.options.methods.filter(m => m.id !== method.id);
+        this.options.methods.push({ label: method.id, rates: {}, freeOver: null, pickup: false, ...method });
+    }
+
+    getMethods() {
+        return [...this.options.methods];
+    }
+
+    /**
+     * Resolve the zone for a shipping address
+     * State-specific zones win over country zones, which win over the "*" catch-all.
+     */
+    resolveZone(address) {
+        const zones = this.options.zones;
+
+        if (address && address.country) {
+            const country = String(address.country).toUpperCase();
+            const state = address.state ? String(address.state).toUpperCase() : null;
+            const inCountry = zones.filter(zone => (zone.countries || []).includes(country));
+
+            const stateZone = state && inCountry.find(zone => (zone.states || []).includes(state));
+            if (stateZone) return stateZone.id;
+
+            const countryZone = inCountry.find(zone => !zone.states || zone.states.length === 0);
+            if (countryZone) return countryZone.id;
+
+            const catchAll = zones.find(zone => (zone.countries || []).includes('*'));
+            if (catchAll) return catchAll.id;
+        }
+
+        return this.options.defaultZone;
+    }
+
+    /**
+     * Billable weight of one unit: the greater of actual and dimensional weight
+     */
+    getUnitWeight(line) {
+        const weight = line.weight || 0;
+        const dimensions = line.dimensions;
+
+        if (!dimensions || dimensions.length !== 3) {
+            return weight;
+        }
+
+        const volumetric = (dimensions[0] * dimensions[1] * dimensions[2]) / this.options.volumetricDivisor;
+        return Math.max(weight, volumetric);
+    }
+
+    /**
+     * Total billable weight of the shippable lines
+     */
+    getCartWeight(lines) {
+        return lines
+            .filter(line => line.requiresShipping !== false)
+            .reduce((sum, line) => sum + (this.getUnitWeight(line) * line.quantity), 0);
+    }
+
+    /**
+     * Price a weight against a zone's bracket table
+     */
+    rateFromTable(brackets, weight) {
+        let previousMax = 0;
+
+        for (const bracket of brackets) {
+            if (bracket.maxWeight === undefined || bracket.maxWeight === null) {
+                const extra = Math.max(0, weight - previousMax);
+                return bracket.rate + (Math.ceil(extra) * (bracket.perExtraWeight || 0));
+            }
+            if (weight <= bracket.maxWeight) {
+                return bracket.rate;
+            }
+            previousMax = bracket.maxWeight;
+        }
+
+        // Heavier than every closed bracket
+        return null;
+    }
+
+    /**
+     * Quote every method available for the cart and address
+     */
+    getQuotes(lines, { address = null, subtotal = 0 } = {}) {
+        const shippable = lines.filter(line => line.requiresShipping !== false);
+        if (shippable.length === 0) {
+            return [];
+        }
+
+        const zone = this.resolveZone(address);
+        const weight = this.getCartWeight(lines);
+
+        return this.options.methods
+            .map(method => {
+                const brackets = (zone && method.rates[zone]) || method.rates['*'];
+                if (!brackets) return null;
+
+                const rate = this.rateFromTable(brackets, weight);
+                if (rate === null) return null;
+
+                const free = method.freeOver !== null && method.freeOver !== undefined && subtotal >= method.freeOver;
+
+                return {
+                    id: method.id,
+                    label: method.label,
+                    estimatedDays: method.estimatedDays || null,
+                    pickup: !!method.pickup,
+                    zone,
+                    weight: Math.round(weight * 1000) / 1000,
+                    amount: free ? 0 : Math.round(rate * 100) / 100,
+                    free
+                };
+            })
+            .filter(Boolean);
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShippingCalculator;
+}
@@ -0,0 +1,208 @@
+/**
+ * AuthorizeNetProcessor against the mock Authorize.Net backend
+ */
+
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { usePage } = require('./support/page');
+const { startAuthorizeNetBackend, installAcceptJS, DECLINED_ZIP, REVIEW_ZIP } = require('./support/backend');
+
+describe('AuthorizeNetProcessor', () => {
+    const page = usePage({ scripts: ['pos-payments.js'], backend: () => startAuthorizeNetBackend() });
+    const Money = () => page.window.eval('Money');
+    const nextYear = String((new Date().getFullYear() + 1) % 100).padStart(2, '0');
+    const card = { number: '4111111111111111', month: '12', year: nextYear, cvv: '123' };
+    const billingDetails = { name: 'Ada King Lovelace', email: 'ada@example.com', address: { postal_code: '10001' } };
+    let accept;
+    let processor;
+
+    const pay = async (target, amount, metadata, paymentData = { card, billingDetails }) => {
+        const intent = await target.createPaymentIntent(Money().fromMajor(amount, 'USD'), 'USD', metadata);
+        return target.confirmPayment(intent.id, paymentData);
+    };
+
+    const createProcessor = async (config = {}) => {
+        const AuthorizeNetProcessor = page.window.eval('AuthorizeNetProcessor');
+        const created = new AuthorizeNetProcessor({ apiLoginId: 'login', clientKey: 'client-key', apiEndpoint: page.backend.endpoint, ...config });
+        await created.initialize();
+        return created;
+    };
+
+    before(async () => {
+        accept = installAcceptJS(page.window);
+        processor = await createProcessor();
+    });
+
+    test('authCaptureTransaction charges the Accept.js nonce in minor units', async () => {
+        const payment = await pay(processor, 15.99, { orderId: 'ORD-1', idempotencyKey: 'ORD-1' });
+        const request = page.backend.lastRequest('/process-authorize-net-payment');
+        const tokenized = accept.requests.at(-1);
+
+        assert.equal(payment.status, 'succeeded');
+        assert.equal(payment.accountNumber, 'XXXX1111');
+        assert.equal(tokenized.authData.clientKey, 'client-key');
+        assert.equal(tokenized.cardData.zip, '10001');
+        assert.equal(request.headers['idempotency-key'], 'ORD-1-1');
+        assert.equal(request.body.transactionType, 'authCaptureTransaction');
+        assert.equal(request.body.opaqueData.dataDescriptor, 'COMMON.ACCEPT.INAPP.PAYMENT');
+        assert.equal(request.body.amount, 1599);
+        assert.equal(request.body.billTo.firstName, 'Ada');
+        assert.equal(request.body.billTo.lastName, 'King Lovelace');
+        assert.equal(page.backend.transactions.get(payment.id).transactionStatus, 'capturedPendingSettlement');
+    });
+
+    test('a declined card is an error, and the retry is a new transaction with its own key', async () => {
+        const declined = { card, billingDetails: { ...billingDetails, address: { postal_code: DECLINED_ZIP } } };
+        await assert.rejects(pay(processor, 20, { orderId: 'ORD-2', idempotencyKey: 'ORD-2' }, declined), /This transaction has been declined/);
+
+        const payment = await pay(processor, 20, { orderId: 'ORD-2', idempotencyKey: 'ORD-2' });
+        assert.equal(payment.status, 'succeeded');
+        assert.equal(page.backend.lastRequest('/process-authorize-net-payment').headers['idempotency-key'], 'ORD-2-2');
+    });
+
+    test('a transaction held for review is processing, not paid', async () => {
+        const review = { card, billingDetails: { ...billingDetails, address: { postal_code: REVIEW_ZIP } } };
+        const payment = await pay(processor, 20, { orderId: 'ORD-R', idempotencyKey: 'ORD-R' }, review);
+
+        assert.equal(payment.status, 'processing');
+        assert.equal(payment.responseCode, '4');
+        assert.equal((await processor.getPaymentStatus(payment.id)).status, 'processing');
+    });
+
+    test('card numbers Accept.js refuses never reach the backend', async () => {
+        const sent = page.backend.requests.length;
+        await assert.rejects(
+            pay(processor, 5, { orderId: 'ORD-3' }, { card: { ...card, number: '4111111111111112' }, billingDetails }),
+            /Please provide valid credit card number/
+        );
+        assert.equal(page.backend.requests.length, sent);
+    });
+
+    test('authOnlyTransaction authorizes, and priorAuthCaptureTransaction captures part of it', async () => {
+        const authOnly = await createProcessor({ transactionType: 'authOnlyTransaction' });
+        const payment = await pay(authOnly, 40, { orderId: 'ORD-4', idempotencyKey: 'ORD-4' });
+
+        assert.equal(page.backend.lastRequest('/process-authorize-net-payment').body.transactionType, 'authOnlyTransaction');
+        assert.equal(payment.status, 'requires_capture');
+
+        const captured = await authOnly.capturePayment(payment.id, Money().fromMajor(35, 'USD'));
+        assert.equal(captured.status, 'succeeded');
+        assert.deepEqual({ ...page.backend.lastRequest('/capture-authorize-net-payment').body }, { transactionId: payment.id, amount: 3500, currency: 'USD' });
+        assert.equal(page.backend.transactions.get(payment.id).settleAmount, 3500);
+
+        await assert.rejects(authOnly.capturePayment(payment.id), /already been captured/);
+    });
+
+    test('capturing more than was authorized is an error', async () => {
+        const authOnly = await createProcessor({ transactionType: 'authOnlyTransaction' });
+        const payment = await pay(authOnly, 10, { orderId: 'ORD-5', idempotencyKey: 'ORD-5' });
+
+        await assert.rejects(authOnly.capturePayment(payment.id, 12), /cannot be greater than the original amount authorized/);
+    });
+
+    test('voids an unsettled charge', async () => {
+        const charge = await pay(processor, 10, { orderId: 'ORD-7', idempotencyKey: 'ORD-7' });
+        assert.equal((await processor.voidPayment(charge.id)).status, 'canceled');
+        assert.equal(page.backend.transactions.get(charge.id).transactionStatus, 'voided');
+
+        await assert.rejects(processor.voidPayment(charge.id), /already been voided or settled/);
+        await assert.rejects(processor.voidPayment('123'), /The transaction cannot be found/);
+    });
+
+    test('refunds a settled charge in the currency of the amount', async () => {
+        const payment = await pay(processor, 30, { orderId: 'ORD-8', idempotencyKey: 'ORD-8' });
+        await assert.rejects(processor.refundPayment(payment.id, 5), /does not meet the criteria for issuing a credit/);
+
+        page.backend.settle(payment.id);
+        const refund = await processor.refundPayment(payment.id, Money().fromMajor(12.5, 'CAD'), { idempotencyKey: `${payment.id}-refund-1` });
+        const request = page.backend.lastRequest('/refund-authorize-net-payment');
+
+        assert.equal(refund.status, 'succeeded');
+        assert.notEqual(refund.id, payment.id);
+        assert.deepEqual({ ...request.body }, { transactionId: payment.id, amount: 1250, currency: 'CAD' });
+        assert.equal(request.headers['idempotency-key'], `${payment.id}-refund-1`);
+        await assert.rejects(processor.refundPayment(payment.id, 31), /does not meet the criteria/);
+    });
+
+    test('looks up transaction status', async () => {
+        const authOnly = await createProcessor({ transactionType: 'authOnlyTransaction' });
+        const payment = await pay(authOnly, 5, { orderId: 'ORD-9', idempotencyKey: 'ORD-9' });
+
+        let status = await authOnly.getPaymentStatus(payment.id);
+        assert.equal(status.id, payment.id);
+        assert.equal(status.status, 'requires_capture');
+        assert.equal(status.authorizeNetStatus, 'authorizedPendingCapture');
+
+        await authOnly.capturePayment(payment.id);
+        page.backend.settle(payment.id);
+        status = await authOnly.getPaymentStatus(payment.id);
+        assert.equal(status.status, 'succeeded');
+
+        await assert.rejects(authOnly.getPaymentStatus('123'), /Payment status lookup failed/);
+    });
+
+    test('backend errors are reported', async () => {
+        await assert.rejects(
+            processor.request('process-authorize-net-payment', { transactionType: 'authCaptureTransaction' }),
+            /opaqueData is required/
+        );
+    });
+
+    test('missing billing details are a validation error, not an exception', () => {
+        assert.ok(processor.validatePaymentData({ card }).errors.includes('payment.error.billingName'));
+        assert.ok(processor.validatePaymentData({ card, billingDetails: {} }).errors.includes('payment.error.billingName'));
+        assert.deepEqual([...processor.validatePaymentData({}).errors], [
+            'payment.error.billingName', 'payment.error.cardNumber', 'payment.error.cardExpiry', 'payment.error.cardCvv'
+        ]);
+        assert.equal(processor.validatePaymentData({ card, billingDetails }).isValid, true);
+    });
+});
+
+describe('checkout with Authorize.Net', () => {
+    const page = usePage({ scripts: ['pos-payments.js'], backend: () => startAuthorizeNetBackend() });
+    let payments;
+
+    before(async () => {
+        installAcceptJS(page.window);
+        payments = page.window.initializePOSPayments({});
+        await payments.initializeProcessor('authorize_net', { apiLoginId: 'login', clientKey: 'client-key', apiEndpoint: page.backend.endpoint });
+        payments.setActiveProcessor('authorize_net');
+    });
+
+    // Place an order for a mug billed to the postal code and pay for it in the payment modal
+    const checkout = async postalCode => {
+        page.pos.clearCart();
+        page.pos.setInventory('mug', 10);
+        page.pos.addToCart('mug', 1);
+        page.pos.setBillingAddress({ line1: '1 Main St', city: 'Indianapolis', state: 'IN', postalCode, country: 'US' });
+        await page.pos.placeOrder();
+
+        const field = (id, value) => { page.window.document.getElementById(id).value = value; };
+        field('cardholder-name', 'Ada Lovelace');
+        field('cardholder-email', 'ada@example.com');
+        field('card-number', '4111 1111 1111 1111');
+        field('card-expiry', `12/${String((new Date().getFullYear() + 1) % 100).padStart(2, '0')}`);
+        field('card-cvv', '123');
+        await payments.processPayment();
+
+        const transaction = payments.getTransactions().at(-1);
+        return { transaction, order: page.pos.getOrders().find(candidate => candidate.id === transaction.orderId) };
+    };
+
+    test('an approved card pays for the order', async () => {
+        const { transaction, order } = await checkout('10001');
+
+        assert.equal(transaction.status, 'succeeded');
+        assert.equal(order.status, 'paid');
+        assert.equal(page.window.document.querySelector('#pos-payment-success span').textContent, 'Payment successful!');
+    });
+
+    test('a payment held for review leaves the order placed, not paid', async () => {
+        const { transaction, order } = await checkout(REVIEW_ZIP);
+
+        assert.equal(transaction.status, 'processing');
+        assert.equal(order.status, 'placed');
+        assert.equal(order.paymentStatus, 'processing');
+        assert.match(page.window.document.querySelector('#pos-payment-success span').textContent, /held for review/);
+    });
+});
@@ -0,0 +1,234 @@
+/**
+ * Authorize at checkout, capture or void later: the payment manager with Square's manual capture,
+ * and the admin order view
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { test, describe, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { usePage, ROOT } = require('./support/page');
+const { startSquareBackend, installSquareSDK } = require('./support/backend');
+
+describe('captureTransaction', () => {
+    const page = usePage({ scripts: ['pos-payments.js'], backend: () => startSquareBackend(), options: { reservationCheckInterval: 0 } });
+    let payments;
+
+    const findOrder = orderId => page.pos.getOrders().find(order => order.id === orderId);
+
+    const authorize = async () => {
+        page.pos.clearCart();
+        page.pos.setInventory('mug', 10);
+        page.pos.addToCart('mug', 2);
+        await page.pos.placeOrder();
+        // The card field attaches asynchronously once the payment modal opens
+        await new Promise(resolve => setTimeout(resolve, 20));
+        await payments.processPayment();
+        return payments.getTransactions().at(-1);
+    };
+
+    before(async () => {
+        installSquareSDK(page.window);
+        page.pos.setCustomerDetails({ name: 'Ada Lovelace', email: 'ada@example.com', phone: '' });
+        payments = page.window.initializePOSPayments({});
+        await payments.initializeProcessor('square', {
+            applicationId: 'sandbox-sq0idb-test',
+            locationId: 'L1',
+            apiEndpoint: page.backend.endpoint,
+            captureMethod: 'manual'
+        });
+        payments.setActiveProcessor('square');
+    });
+
+    test('the order is authorized, and cannot be refunded before it is captured', async () => {
+        const transaction = await authorize();
+
+        assert.equal(page.backend.lastRequest('/process-square-payment').body.autocomplete, false);
+        assert.equal(transaction.status, 'requires_capture');
+        assert.equal(transaction.authorization.amountMinor, transaction.amountMinor);
+        assert.equal(findOrder(transaction.orderId).status, 'authorized');
+        await assert.rejects(payments.refundTransaction(transaction.id), /was authorized but not captured; void the authorization instead/);
+    });
+
+    test('a partial capture charges, and refunds, only what was captured', async () => {
+        const transaction = await authorize();
+        const authorized = transaction.amountMinor;
+
+        await payments.captureTransaction(transaction.id, 20, { actor: 'admin' });
+
+        const captured = payments.getTransaction(transaction.id);
+        assert.equal(captured.amount, 20);
+        assert.equal(captured.amountMinor, 2000);
+        assert.equal(captured.tenders.at(-1).amountMinor, 2000);
+        assert.equal(captured.authorization.amountMinor, authorized);
+        assert.equal(captured.authorization.capturedMinor, 2000);
+        assert.equal(page.backend.payments.get(transaction.id).amountMoney.amount, 2000);
+        assert.equal(findOrder(transaction.orderId).status, 'paid');
+
+        const stored = page.pos.readRecord('transaction', []).find(record => record.id === transaction.id);
+        assert.equal(stored.amountMinor, 2000);
+
+        await assert.rejects(payments.refundTransaction(transaction.id, 20.01), /no more than \$20\.00/);
+        const [refund] = await payments.refundTransaction(transaction.id);
+        assert.equal(refund.amountMinor, 2000);
+        assert.equal(page.backend.lastRequest('/refund-square-payment').body.amount, 2000);
+    });
+
+    test('a capture retried for another amount is a new request, not a replay of the first', async () => {
+        const transaction = await authorize();
+        const Money = page.window.eval('Money');
+        const square = payments.processors.get('square');
+        const capturePayment = square.capturePayment.bind(square);
+
+        // The first attempt fails before the backend completes the payment
+        square.capturePayment = async () => { throw new Error('Network error'); };
+        await assert.rejects(payments.captureTransaction(transaction.id, Money.fromMajor(25, 'USD')), /Network error/);
+        square.capturePayment = capturePayment;
+
+        await payments.captureTransaction(transaction.id, Money.fromMajor(15, 'USD'));
+        const request = page.backend.lastRequest('/complete-square-payment');
+        assert.equal(request.headers['idempotency-key'], `${transaction.id}-capture-1500`);
+        assert.deepEqual({ ...request.body }, { paymentId: transaction.id, amount: 1500, currency: 'USD' });
+    });
+
+    test('refunds of transactions captured before the amount was updated stop at the captured amount', async () => {
+        const transaction = await authorize();
+        await payments.captureTransaction(transaction.id, 10);
+
+        // As recorded before captures updated the transaction amount
+        const record = payments.getTransaction(transaction.id);
+        record.amountMinor = record.authorization.amountMinor;
+        record.tenders.at(-1).amountMinor = record.authorization.amountMinor;
+
+        await assert.rejects(payments.refundTransaction(transaction.id, 10.01), /no more than \$10\.00/);
+    });
+
+    test('a capture in another currency is refused', async () => {
+        const transaction = await authorize();
+        const Money = page.window.eval('Money');
+
+        await assert.rejects(payments.captureTransaction(transaction.id, Money.fromMajor(5, 'EUR')), /Capture amount must be/);
+        assert.equal(payments.getAuthorizationStatus(payments.getTransaction(transaction.id)), 'authorized');
+    });
+
+    test('voiding releases the authorization and cancels the order', async () => {
+        const transaction = await authorize();
+
+        await payments.voidTransaction(transaction.id);
+
+        assert.equal(page.backend.payments.get(transaction.id).status, 'CANCELED');
+        assert.equal(payments.getAuthorizationStatus(payments.getTransaction(transaction.id)), 'voided');
+        assert.equal(findOrder(transaction.orderId).status, 'cancelled');
+        await assert.rejects(payments.captureTransaction(transaction.id), /has no open authorization/);
+    });
+});
+
+describe('admin order view', () => {
+    const html = fs.readFileSync(path.join(ROOT, 'admin.html'), 'utf8');
+    const page = usePage({
+        body: html.slice(html.indexOf('<body>') + '<body>'.length, html.indexOf('<!-- Scripts -->')),
+        scripts: ['pos-customers.js', 'pos-payments.js', 'admin.js'],
+        backend: () => startSquareBackend()
+    });
+    const document = () => page.window.document;
+    const admin = () => page.window.adminDashboard;
+    const findOrder = orderId => page.pos.getOrders().find(order => order.id === orderId);
+    const notification = () => [...document().querySelectorAll('#notification-container .notification span')].at(-1).textContent;
+
+    // An order whose card was authorized for amountMinor and not captured yet
+    const authorizedOrder = (id, amountMinor = 1599) => {
+        const amount = amountMinor / 100;
+        const paymentId = `sq_${id}`;
+        page.backend.payments.set(paymentId, { id: paymentId, status: 'APPROVED', amountMoney: { amount: amountMinor, currency: 'USD' } });
+        page.pos.recordOrder({ orderId: id, paymentId, cart: [], totals: page.pos.calculateTotals() }, 'authorized');
+        page.pos.paymentManager.saveTransaction({
+            id: paymentId,
+            orderId: id,
+            amount,
+            amountMinor,
+            currency: 'USD',
+            status: 'requires_capture',
+            processorType: 'square',
+            authorization: {
+                amount,
+                amountMinor,
+                currency: 'USD',
+                authorizedAt: new Date().toISOString(),
+                expiresAt: new Date(Date.now() + 86400000).toISOString()
+            }
+        });
+        return paymentId;
+    };
+
+    before(() => {
+        // Saving the Payments API Endpoint setting is what registers the processors on this page
+        document().getElementById('payments-endpoint').value = page.backend.endpoint;
+        admin().saveSettings();
+    });
+
+    beforeEach(() => {
+        page.window.confirm = () => true;
+    });
+
+    test('the payments endpoint setting registers processors that only call the backend', () => {
+        const square = page.pos.paymentManager.processors.get('square');
+
+        assert.equal(square.config.apiEndpoint, page.backend.endpoint);
+        assert.equal(square.isInitialized, false);
+        assert.ok(page.pos.paymentManager.processors.has('stripe'));
+        assert.ok(page.pos.paymentManager.processors.has('authorize_net'));
+    });
+
+    test('capture takes the amount as the admin\'s locale writes it, in the currency of the authorization', async () => {
+        const paymentId = authorizedOrder('ORD-CAPTURE', 200000);
+        admin().viewOrder('ORD-CAPTURE');
+        const field = document().getElementById('capture-amount');
+        assert.equal(field.value, '2000.00', 'prefilled with the authorized amount');
+
+        field.value = '1,234.50';
+        await admin().captureOrderPayment('ORD-CAPTURE');
+
+        assert.deepEqual({ ...page.backend.lastRequest('/complete-square-payment').body }, { paymentId, amount: 123450, currency: 'USD' });
+        assert.equal(findOrder('ORD-CAPTURE').status, 'paid');
+        assert.equal(notification(), 'Captured $1234.50');
+    });
+
+    test('an amount that is not a number is not captured', async () => {
+        authorizedOrder('ORD-TYPO');
+        admin().viewOrder('ORD-TYPO');
+        const captures = page.backend.requests.filter(request => request.path.endsWith('/complete-square-payment')).length;
+
+        document().getElementById('capture-amount').value = '15.9O';
+        await admin().captureOrderPayment('ORD-TYPO');
+
+        assert.equal(notification(), 'Enter the amount to capture');
+        assert.equal(page.backend.requests.filter(request => request.path.endsWith('/complete-square-payment')).length, captures);
+        assert.equal(findOrder('ORD-TYPO').status, 'authorized');
+    });
+
+    test('void asks for confirmation, and nothing is voided when it is declined', async () => {
+        authorizedOrder('ORD-KEEP');
+        const questions = [];
+        page.window.confirm = question => {
+            questions.push(question);
+            return false;
+        };
+
+        await admin().voidOrderPayment('ORD-KEEP');
+
+        assert.match(questions[0], /Void this authorization\?/);
+        assert.equal(page.backend.lastRequest('/cancel-square-payment'), undefined);
+        assert.equal(findOrder('ORD-KEEP').status, 'authorized');
+    });
+
+    test('confirming voids the authorization and cancels the order', async () => {
+        const paymentId = authorizedOrder('ORD-VOID');
+
+        await admin().voidOrderPayment('ORD-VOID');
+
+        assert.equal(page.backend.lastRequest('/cancel-square-payment').body.paymentId, paymentId);
+        assert.equal(page.pos.paymentManager.getAuthorizationStatus(page.pos.paymentManager.getTransaction(paymentId)), 'voided');
+        assert.equal(findOrder('ORD-VOID').status, 'cancelled');
+        assert.equal(notification(), 'Authorization voided and order cancelled');
+    });
+});
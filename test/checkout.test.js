@@ -0,0 +1,191 @@
+/**
+ * Checkout flow: the steps that apply to the cart, validated one at a time, with funnel events
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { usePage } = require('./support/page');
+
+const BODY = `
+    <div data-pos-product="mug" data-pos-name="Coffee Mug" data-pos-price="15.99" data-pos-weight="0.4" data-pos-inventory="10"></div>
+    <div data-pos-product="ebook" data-pos-name="E-book" data-pos-price="9" data-pos-shipping="false"></div>
+`;
+
+const SHIPPING = {
+    defaultZone: 'domestic',
+    zones: [{ id: 'domestic', countries: ['US'] }],
+    methods: [
+        { id: 'standard', label: 'Standard', rates: { domestic: [{ rate: 5.99 }] } },
+        { id: 'express', label: 'Express', rates: { domestic: [{ rate: 14.99 }] } }
+    ]
+};
+
+const CONTACT = { email: 'ada@example.com', name: 'Ada Lovelace', phone: '' };
+const ADDRESS = { line1: '1 Main St', line2: '', city: 'Boston', state: 'ma', postalCode: '02110', country: 'us' };
+
+// Record the detail of each funnel event
+const recordEvents = (window, names) => {
+    const seen = [];
+    names.forEach(name => window.document.addEventListener(name, event => seen.push([name, { ...event.detail }])));
+    return seen;
+};
+
+describe('CheckoutFlow', () => {
+    const page = usePage({
+        body: BODY,
+        scripts: ['pos-shipping.js', 'pos-customers.js', 'pos-checkout.js'],
+        options: { shipping: SHIPPING, reservationCheckInterval: 0 }
+    });
+    const flow = () => page.pos.checkoutFlow;
+    const form = () => page.window.document.querySelector('.pos-checkout-form');
+
+    // Fill the fields of the step on screen and continue
+    const submit = (values = {}) => {
+        Object.entries(values).forEach(([name, value]) => {
+            const field = form().elements[name];
+            if (field.type === 'checkbox') {
+                field.checked = value;
+            } else if (field.length) {
+                [...field].find(option => option.value === value).checked = true;
+            } else {
+                field.value = value;
+            }
+        });
+        return flow().next();
+    };
+
+    beforeEach(() => {
+        flow().close(false);
+        page.pos.clearCart();
+        page.pos.saveOrders([]);
+        page.pos.customers.save([]);
+        page.pos.setCustomerDetails({ email: '', name: '', phone: '' });
+        page.pos.setShippingAddress(null);
+        page.pos.setBillingAddress(null);
+        page.pos.options.prefillCustomerDetails = false;
+        page.pos.setInventory('mug', 10);
+    });
+
+    afterEach(() => flow().close(false));
+
+    test('a cart with goods to ship goes through every step', () => {
+        page.pos.addToCart('mug', 1);
+        assert.deepEqual([...flow().getSteps()], ['contact', 'shipping-address', 'billing-address', 'shipping-method', 'review']);
+    });
+
+    test('a cart with nothing to ship skips the shipping steps', () => {
+        page.pos.addToCart('ebook', 1);
+        assert.deepEqual([...flow().getSteps()], ['contact', 'billing-address', 'review']);
+    });
+
+    test('starting checkout opens the first step instead of placing the order', () => {
+        page.pos.addToCart('mug', 1);
+        page.pos.startCheckout();
+
+        assert.equal(flow().currentStep, 'contact');
+        assert.equal(page.pos.getOrders().length, 0);
+        assert.equal(page.window.document.querySelector('.pos-checkout-back').hidden, true);
+    });
+
+    test('a step with errors is not left, and says what is wrong', () => {
+        const events = recordEvents(page.window, ['pos:checkout-step-invalid']);
+        page.pos.addToCart('mug', 1);
+        flow().open();
+
+        assert.equal(submit({ email: 'ada@', name: '', phone: 'call me' }), false);
+        assert.equal(flow().currentStep, 'contact');
+        assert.equal(form().querySelector('[data-error-for="email"]').textContent, 'Enter a valid email address');
+        assert.equal(form().elements.name.getAttribute('aria-invalid'), 'true');
+        assert.deepEqual(events.map(([, detail]) => Object.keys(detail.errors).sort()), [['email', 'name', 'phone']]);
+
+        assert.equal(submit(CONTACT), true);
+        assert.equal(flow().currentStep, 'shipping-address');
+        assert.equal(submit({ ...ADDRESS, country: 'USA' }), false);
+        assert.equal(form().querySelector('[data-error-for="country"]').textContent, 'Use the 2-letter country code, e.g. US');
+    });
+
+    test('each step is saved to the POS and the last one places the order', () => {
+        const events = recordEvents(page.window, ['pos:checkout-step', 'pos:checkout-step-completed', 'pos:checkout-abandoned']);
+        page.pos.addToCart('mug', 2);
+        flow().open();
+
+        submit(CONTACT);
+        submit(ADDRESS);
+        submit({ sameAsShipping: true });
+        submit({ shippingMethod: 'express' });
+        assert.equal(page.window.document.querySelector('.pos-checkout-next').textContent, 'Place order');
+        submit();
+
+        const [order] = page.pos.getOrders();
+        assert.equal(order.customer.email, 'ada@example.com');
+        assert.deepEqual({ ...order.shippingAddress }, { ...ADDRESS, state: 'MA', country: 'US' });
+        assert.deepEqual({ ...order.billingAddress }, { ...order.shippingAddress }, 'billing is the shipping address');
+        assert.equal(order.shippingMethod.id, 'express');
+        assert.equal(flow().isOpen(), false);
+
+        const completed = events.filter(([name]) => name === 'pos:checkout-step-completed').map(([, detail]) => [detail.step, detail.index]);
+        assert.deepEqual(completed, [['contact', 0], ['shipping-address', 1], ['billing-address', 2], ['shipping-method', 3], ['review', 4]]);
+        assert.equal(events.filter(([name]) => name === 'pos:checkout-step').length, 5);
+        assert.equal(events.some(([name]) => name === 'pos:checkout-abandoned'), false, 'placing the order is not abandoning it');
+    });
+
+    test('going back shows what was entered', () => {
+        page.pos.addToCart('mug', 1);
+        flow().open();
+        submit(CONTACT);
+        flow().back();
+
+        assert.equal(flow().currentStep, 'contact');
+        assert.equal(form().elements.name.value, 'Ada Lovelace');
+    });
+
+    test('closing the checkout before the order is placed is reported with the step', () => {
+        const events = recordEvents(page.window, ['pos:checkout-abandoned']);
+        page.pos.addToCart('mug', 1);
+        flow().open();
+        submit(CONTACT);
+        page.window.document.querySelector('.pos-checkout .pos-dialog-close').click();
+
+        assert.deepEqual(events, [['pos:checkout-abandoned', { step: 'shipping-address' }]]);
+        assert.equal(page.window.document.querySelector('.pos-checkout'), null);
+    });
+
+    describe('returning customers', () => {
+        // Ada ordered before, to her Boston address
+        beforeEach(() => {
+            page.pos.customers.upsert({ ...CONTACT, phone: '+1 617 555 0100', address: { ...ADDRESS, state: 'MA', country: 'US' } });
+            page.pos.addToCart('mug', 1);
+            flow().open();
+        });
+
+        const typeEmail = email => {
+            form().elements.email.value = email;
+            form().elements.email.dispatchEvent(new page.window.Event('change', { bubbles: true }));
+        };
+
+        test('by default they are greeted without showing anything on file', () => {
+            const events = recordEvents(page.window, ['pos:customer-recognized']);
+            typeEmail('ADA@example.com');
+
+            assert.equal(page.window.document.querySelector('.pos-checkout-welcome').textContent, 'Welcome back!');
+            assert.equal(form().elements.name.value, '');
+            assert.equal(form().elements.phone.value, '');
+            assert.deepEqual(events.map(([, detail]) => detail.prefilled), [false]);
+
+            submit({ name: 'Ada Lovelace' });
+            assert.equal(form().elements.line1.value, '', 'the saved address is not offered');
+        });
+
+        test('with prefillCustomerDetails their details and last address are filled in', () => {
+            page.pos.options.prefillCustomerDetails = true;
+            typeEmail('ada@example.com');
+
+            assert.equal(page.window.document.querySelector('.pos-checkout-welcome').textContent, 'Welcome back, Ada Lovelace!');
+            assert.equal(form().elements.phone.value, '+1 617 555 0100');
+
+            submit();
+            assert.equal(form().elements.line1.value, '1 Main St');
+            assert.equal(form().elements.state.value, 'MA');
+        });
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * Currency conversion: display currency, prices listed in another currency, settlement in the store currency
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { usePage } = require('./support/page');
+
+const BODY = `
+    <div data-pos-product="mug" data-pos-name="Mug" data-pos-price="10"></div>
+    <div data-pos-product="scarf" data-pos-name="Scarf" data-pos-price="46" data-pos-currency="eur"></div>
+    <div data-pos-product="pen" data-pos-name="Pen" data-pos-price="5" data-pos-currency="CHF"></div>
+`;
+
+const RATES = { EUR: 0.92, JPY: 149.5 };
+
+describe('CurrencyConverter', () => {
+    const page = usePage({ body: '', scripts: ['pos-currency.js'] });
+    const converter = () => new (page.window.eval('CurrencyConverter'))({ baseCurrency: 'usd', rates: RATES, locale: 'en-US' });
+    const money = (amount, currency) => page.window.eval('Money').fromMajor(amount, currency);
+
+    test('converts through the base currency and rounds to the target minor unit', () => {
+        const rates = converter();
+        assert.equal(rates.convert(money(10, 'USD'), 'JPY').amount, 1495);
+        assert.equal(rates.convert(money(10.01, 'USD'), 'JPY').amount, 1496);
+        assert.equal(rates.convert(money(46, 'EUR'), 'USD').amount, 5000);
+        assert.equal(rates.convert(money(1, 'EUR'), 'JPY').amount, 163);
+        assert.equal(rates.getRate('USD', 'USD'), 1);
+    });
+
+    test('unknown currencies and bad rates are refused', () => {
+        const rates = converter();
+        assert.throws(() => rates.convert(money(1, 'USD'), 'CHF'), /No exchange rate for USD to CHF/);
+        assert.throws(() => rates.setRate('GBP', 0), /Invalid exchange rate for GBP/);
+        assert.throws(() => rates.setRate('GBP', 'abc'), /Invalid exchange rate/);
+        assert.deepEqual([...rates.getCurrencies()], ['USD', 'EUR', 'JPY']);
+    });
+
+    test('formats with the currency decimals', () => {
+        const rates = converter();
+        assert.equal(rates.format(money(1299.99, 'USD')), '$1,299.99');
+        assert.equal(rates.format(money(1300, 'JPY')), '¥1,300');
+    });
+});
+
+describe('display currency on the store', () => {
+    const page = usePage({
+        body: BODY,
+        scripts: ['pos-currency.js'],
+        options: { exchangeRates: RATES, locale: 'en-US', taxRate: 0, shippingCost: 0 }
+    });
+
+    beforeEach(() => {
+        page.pos.clearCart();
+        page.pos.setDisplayCurrency('USD');
+    });
+
+    test('prices listed in another currency are converted to the store currency once', () => {
+        const scarf = page.pos.products.find(product => product.id === 'scarf');
+        assert.equal(scarf.price, 50);
+        assert.equal(scarf.listPrice, 46);
+        assert.equal(scarf.currency, 'EUR');
+    });
+
+    test('a price in a currency without a rate is kept as is, with a warning', () => {
+        assert.equal(page.pos.products.find(product => product.id === 'pen').price, 5);
+        assert.ok(page.log.some(entry => String(entry.args[0]).includes('No exchange rate for CHF, treating price as USD')));
+    });
+
+    test('the display currency changes what is shown, not what is charged', () => {
+        page.pos.addToCart('mug', 2);
+        assert.equal(page.pos.setDisplayCurrency('jpy'), true);
+
+        assert.equal(page.pos.formatPrice(20), '¥2,990');
+        assert.equal(page.pos.formatStorePrice(20), '$20.00');
+        const totals = page.pos.calculateTotals();
+        assert.equal(totals.currency, 'USD');
+        assert.equal(totals.total, 20);
+        assert.equal(JSON.parse(page.window.localStorage.getItem('universal-pos-display-currency')), 'JPY');
+    });
+
+    test('an unsupported display currency is refused', () => {
+        assert.equal(page.pos.setDisplayCurrency('GBP'), false);
+        assert.equal(page.pos.displayCurrency, 'USD');
+    });
+
+    test('new rates re-price products and cart lines listed in other currencies', () => {
+        page.pos.addToCart('scarf', 1);
+        page.pos.setExchangeRates({ EUR: 0.8 });
+
+        assert.equal(page.pos.products.find(product => product.id === 'scarf').price, 57.5);
+        assert.equal(page.pos.calculateTotals().subtotal, 57.5);
+        page.pos.setExchangeRates(RATES);
+    });
+});
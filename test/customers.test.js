@@ -0,0 +1,135 @@
+/**
+ * Customer profiles: captured at checkout, looked up by email, linked to their orders
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { usePage } = require('./support/page');
+
+const ADA = {
+    email: 'Ada@Example.com ',
+    name: 'Ada Lovelace',
+    phone: '+44 20 7946 0000',
+    address: { line1: '12 St James Sq', city: 'London', state: '', postalCode: 'SW1Y 4JH', country: 'GB' }
+};
+
+// Orders for two mugs as the given customer
+const checkout = (pos, customer) => {
+    pos.setCustomerDetails(customer);
+    pos.addToCart('mug', 2);
+    return pos.completeCheckout(pos.buildCheckoutData());
+};
+
+const resetCustomers = pos => {
+    pos.clearCart();
+    pos.saveOrders([]);
+    pos.customers.save([]);
+    pos.setInventory('mug', 10);
+};
+
+describe('CustomerDirectory', () => {
+    const page = usePage({ scripts: ['pos-customers.js'], options: { reservationCheckInterval: 0 } });
+    const customers = () => page.pos.customers;
+
+    beforeEach(() => resetCustomers(page.pos));
+
+    test('one profile per email, whatever its case and spacing', () => {
+        const created = customers().upsert(ADA);
+        const again = customers().upsert({ email: 'ada@example.com', phone: '' });
+
+        assert.match(created.id, /^CUS-[0-9A-Z]{10}$/);
+        assert.equal(again.id, created.id);
+        assert.equal(again.email, 'ada@example.com');
+        assert.equal(again.phone, '+44 20 7946 0000', 'a blank field does not overwrite what is known');
+        assert.equal(customers().getAll().length, 1);
+        assert.equal(customers().findByEmail(' ADA@example.COM').id, created.id);
+        assert.equal(customers().findByEmail('grace@example.com'), null);
+    });
+
+    test('new addresses are added, known ones are not repeated', () => {
+        customers().upsert(ADA);
+        customers().upsert({ email: ADA.email, address: { ...ADA.address, city: ' london ' } });
+        const customer = customers().upsert({ email: ADA.email, address: { line1: '1 Main St', city: 'Boston', country: 'US' } });
+
+        assert.deepEqual([...customer.addresses].map(address => address.city), ['London', 'Boston']);
+    });
+
+    test('an invalid email or an empty note is refused', () => {
+        assert.throws(() => customers().upsert({ email: 'ada@', name: 'Ada' }), /Invalid customer email: ada@/);
+        const { id } = customers().upsert(ADA);
+        assert.throws(() => customers().addNote(id, '   '), /Note text is required/);
+        assert.throws(() => customers().addNote('CUS-MISSING', 'Hi'), /Customer CUS-MISSING not found/);
+
+        customers().addNote(id, ' Prefers email ', 'staff');
+        assert.deepEqual({ ...customers().get(id).notes[0], at: null }, { text: 'Prefers email', at: null, author: 'staff' });
+    });
+
+    test('orders are linked to the profile, and guests get none', () => {
+        const order = checkout(page.pos, ADA);
+        const guest = checkout(page.pos, { email: '', name: 'Walk-in', phone: '' });
+
+        assert.equal(order.customerId, customers().findByEmail(ADA.email).id);
+        assert.equal(order.customer.name, 'Ada Lovelace');
+        assert.equal(guest.customerId, undefined);
+        assert.equal(customers().getAll().length, 1);
+    });
+
+    test('order history and lifetime value come from the orders, leaving out cancelled ones', () => {
+        const first = checkout(page.pos, ADA);
+        const second = checkout(page.pos, ADA);
+        const cancelled = checkout(page.pos, ADA);
+        page.pos.orderLifecycle.transition(cancelled.id, 'cancelled');
+        const { id } = customers().findByEmail(ADA.email);
+
+        const summary = customers().getSummary(id);
+        assert.equal(summary.orderCount, 3);
+        assert.equal(summary.lifetimeValue.amount, first.totals.minorUnits.total + second.totals.minorUnits.total);
+        assert.equal(summary.lifetimeValue.currency, 'USD');
+    });
+});
+
+describe('returning customers in the cart form', () => {
+    const page = usePage({ scripts: ['pos-customers.js'], options: { reservationCheckInterval: 0 } });
+    const form = () => page.window.document.querySelector('.pos-cart-customer');
+
+    // Type an email the way a shopper does: the form reacts on change
+    const typeEmail = email => {
+        form().elements.email.value = email;
+        form().elements.email.dispatchEvent(new page.window.Event('change', { bubbles: true }));
+    };
+
+    beforeEach(() => {
+        resetCustomers(page.pos);
+        page.pos.options.prefillCustomerDetails = false;
+        checkout(page.pos, ADA);
+        ['email', 'name', 'phone', 'line1', 'city', 'state', 'postalCode', 'country'].forEach(name => {
+            form().elements[name].value = '';
+        });
+    });
+
+    test('by default a known email is only greeted: nothing stored is shown', () => {
+        const recognized = [];
+        page.window.document.addEventListener('pos:customer-recognized', event => recognized.push({ ...event.detail }), { once: true });
+        typeEmail('ada@example.com');
+
+        assert.equal(form().querySelector('.pos-customer-welcome').textContent, 'Welcome back!');
+        ['name', 'phone', 'line1', 'city', 'postalCode', 'country'].forEach(name => assert.equal(form().elements[name].value, '', name));
+        assert.deepEqual(recognized, [{ customerId: page.pos.customers.findByEmail(ADA.email).id, prefilled: false }]);
+    });
+
+    test('with prefillCustomerDetails the profile fills the blanks', () => {
+        page.pos.options.prefillCustomerDetails = true;
+        form().elements.phone.value = '555 0100';
+        typeEmail('ada@example.com');
+
+        assert.equal(form().querySelector('.pos-customer-welcome').textContent, 'Welcome back, Ada Lovelace!');
+        assert.equal(form().elements.name.value, 'Ada Lovelace');
+        assert.equal(form().elements.phone.value, '555 0100', 'what was typed is kept');
+        assert.equal(form().elements.city.value, 'London');
+    });
+
+    test('an unknown email gets no greeting', () => {
+        typeEmail('grace@example.com');
+        assert.equal(form().querySelector('.pos-customer-welcome').textContent, '');
+    });
+});
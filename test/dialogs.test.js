@@ -0,0 +1,153 @@
+/**
+ * Dialogs: focus handling of POSDialog, confirmations, and the editable order review
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { usePage } = require('./support/page');
+
+describe('POSDialog', () => {
+    const page = usePage({ options: { reservationCheckInterval: 0 } });
+    const document = () => page.window.document;
+    const key = (target, name, init = {}) => target.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: name, bubbles: true, cancelable: true, ...init }));
+
+    // A dialog with a field and two actions, opened from a focused button
+    const openDialog = (options = {}) => {
+        const opener = document().createElement('button');
+        document().body.appendChild(opener);
+        opener.focus();
+
+        const dialog = new (page.window.eval('POSDialog'))({
+            title: 'Gift note',
+            content: '<input name="note">',
+            actions: [{ label: 'Cancel', value: false }, { label: 'Save', value: 'saved', primary: true }],
+            ...options
+        });
+        return { dialog, opener, closed: dialog.open() };
+    };
+
+    beforeEach(() => document().querySelectorAll('.pos-dialog').forEach(element => element.remove()));
+
+    test('the dialog is labelled by its title and focuses its first field', () => {
+        const { dialog } = openDialog();
+        const panel = dialog.element.querySelector('[role="dialog"]');
+
+        assert.equal(panel.getAttribute('aria-modal'), 'true');
+        assert.equal(document().getElementById(panel.getAttribute('aria-labelledby')).textContent, 'Gift note');
+        assert.equal(document().activeElement.name, 'note');
+        dialog.close();
+    });
+
+    test('Tab and Shift+Tab wrap around inside the dialog', () => {
+        const { dialog } = openDialog();
+        const focusable = dialog.getFocusable();
+        const [first, last] = [focusable[0], focusable.at(-1)];
+
+        last.focus();
+        key(last, 'Tab');
+        assert.equal(document().activeElement, first);
+
+        key(first, 'Tab', { shiftKey: true });
+        assert.equal(document().activeElement, last);
+        dialog.close();
+    });
+
+    test('an action closes it with its value and gives focus back', async () => {
+        const { dialog, opener, closed } = openDialog();
+        dialog.element.querySelector('.pos-dialog-primary').click();
+
+        assert.equal(await closed, 'saved');
+        assert.equal(document().querySelector('.pos-dialog'), null);
+        assert.equal(document().activeElement, opener);
+    });
+
+    test('Escape, the close button and the overlay dismiss it, unless it is not dismissible', async () => {
+        for (const selector of [null, '.pos-dialog-close', '.pos-dialog-overlay']) {
+            const { dialog, closed } = openDialog();
+            if (selector) {
+                dialog.element.querySelector(selector).click();
+            } else {
+                key(document().activeElement, 'Escape');
+            }
+            assert.equal(await closed, null, selector || 'Escape');
+        }
+
+        const { dialog } = openDialog({ dismissible: false });
+        assert.equal(dialog.element.querySelector('.pos-dialog-close'), null);
+        key(document().activeElement, 'Escape');
+        assert.equal(dialog.isOpen(), true);
+        dialog.close();
+    });
+});
+
+// Let the confirmation's promise callbacks run
+const settled = () => new Promise(resolve => setImmediate(resolve));
+
+describe('cart dialogs', () => {
+    const page = usePage({ options: { reservationCheckInterval: 0 } });
+    const document = () => page.window.document;
+    const dialog = () => document().querySelector('.pos-dialog');
+
+    beforeEach(() => {
+        document().querySelectorAll('.pos-dialog').forEach(element => element.remove());
+        page.pos.clearCart();
+        page.pos.saveOrders([]);
+        page.pos.setInventory('mug', 10);
+    });
+
+    test('clearing the cart asks first', async () => {
+        page.pos.addToCart('mug', 2);
+
+        document().querySelector('.pos-cart-clear').click();
+        assert.equal(dialog().querySelector('.pos-dialog-primary').textContent, 'Clear cart');
+        dialog().querySelector('.pos-dialog-action:not(.pos-dialog-primary)').click();
+        await settled();
+        assert.equal(page.pos.cart.length, 1, 'cancelled');
+
+        document().querySelector('.pos-cart-clear').click();
+        dialog().querySelector('.pos-dialog-primary').click();
+        await settled();
+        assert.equal(page.pos.cart.length, 0);
+    });
+
+    test('the order review can change quantities before the order is placed', async () => {
+        page.pos.addToCart('mug', 1);
+        const placed = page.pos.showCheckoutSummary(page.pos.buildCheckoutData());
+
+        const quantity = dialog().querySelector('.pos-review-quantity[data-line-key="mug"]');
+        quantity.value = '3';
+        quantity.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true, cancelable: true }));
+
+        assert.equal(page.pos.cart[0].quantity, 3);
+        assert.equal(dialog().querySelector('.pos-review-total').textContent, page.pos.formatPrice(47.97), 'the review is updated');
+        assert.equal(document().activeElement.getAttribute('data-line-key'), 'mug');
+
+        dialog().querySelector('.pos-dialog-primary').click();
+        assert.equal(await placed, true);
+        assert.equal(page.pos.getOrders()[0].cart[0].quantity, 3);
+    });
+
+    test('emptying the cart in the review closes it without an order', async () => {
+        page.pos.addToCart('mug', 1);
+        const placed = page.pos.showCheckoutSummary(page.pos.buildCheckoutData());
+
+        const quantity = dialog().querySelector('.pos-review-quantity');
+        quantity.value = '0';
+        quantity.dispatchEvent(new page.window.Event('change', { bubbles: true }));
+
+        assert.equal(await placed, false);
+        assert.equal(page.pos.getOrders().length, 0);
+    });
+
+    test('an order review template replaces the review markup', async () => {
+        page.pos.setTemplate('orderReview', ({ lines, totals, formatPrice }) =>
+            `<p class="custom">${lines.map(line => `${line.name} x${line.quantity}`).join(', ')}: ${formatPrice(totals.total)}</p>`);
+        page.pos.addToCart('mug', 2);
+
+        const placed = page.pos.showCheckoutSummary(page.pos.buildCheckoutData());
+        assert.equal(dialog().querySelector('.custom').textContent, `Coffee Mug x2: ${page.pos.formatPrice(page.pos.calculateTotals().total)}`);
+        dialog().querySelector('.pos-dialog-close').click();
+        assert.equal(await placed, null, 'dismissed');
+        page.pos.setTemplate('orderReview', null);
+    });
+});
@@ -0,0 +1,158 @@
+/**
+ * GooglePayProcessor and the wallet payment sheet, against a stand-in PaymentRequest
+ */
+
+const { test, describe, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { usePage } = require('./support/page');
+const { startWalletBackend, installPaymentRequest } = require('./support/backend');
+
+const SHIPPING = {
+    zones: [{ id: 'domestic', countries: ['US'] }],
+    methods: [
+        { id: 'standard', label: 'Standard', rates: { domestic: [{ rate: 5.99 }] } },
+        { id: 'express', label: 'Express', rates: { domestic: [{ rate: 14.99 }] } }
+    ]
+};
+
+// Before authorization the sheet only shares part of the address
+const SHEET_ADDRESS = { country: 'US', region: 'MA', city: 'Boston', postalCode: '02110', addressLine: [] };
+const GOOGLE_PAY = { gateway: 'example', gatewayMerchantId: 'exampleGatewayMerchantId', merchantName: 'Test Store' };
+
+describe('GooglePayProcessor', () => {
+    const page = usePage({ scripts: ['pos-payments.js'], options: { reservationCheckInterval: 0 } });
+    const create = config => new (page.window.eval('GooglePayProcessor'))(config);
+    let sheet;
+
+    before(() => {
+        sheet = installPaymentRequest(page.window);
+    });
+
+    test('the gateway is required, and the merchant ID in production', async () => {
+        await assert.rejects(create({}).initialize(), /gateway and gateway merchant ID are required/);
+        await assert.rejects(create({ ...GOOGLE_PAY, environment: 'PRODUCTION' }).initialize(), /merchant ID is required in production/);
+    });
+
+    test('the token is created for the configured gateway', () => {
+        const [method] = create(GOOGLE_PAY).getPaymentMethodData();
+        const [card] = method.data.allowedPaymentMethods;
+
+        assert.equal(method.supportedMethods, 'https://google.com/pay');
+        assert.equal(method.data.environment, 'TEST');
+        assert.equal(method.data.merchantInfo.merchantName, 'Test Store');
+        assert.deepEqual({ ...card.tokenizationSpecification.parameters }, { gateway: 'example', gatewayMerchantId: 'exampleGatewayMerchantId' });
+    });
+
+    test('it is only offered where the browser can pay with it', async () => {
+        sheet.available = false;
+        const unavailable = create(GOOGLE_PAY);
+        await unavailable.initialize();
+        assert.equal(unavailable.canMakePayments(), false);
+        assert.throws(() => unavailable.createPaymentButton('google-pay-button-container', () => null), /not available/);
+
+        sheet.available = true;
+        const available = create(GOOGLE_PAY);
+        await available.initialize();
+        assert.equal(available.canMakePayments(), true);
+    });
+});
+
+describe('checkout with Google Pay', () => {
+    const page = usePage({
+        scripts: ['pos-shipping.js', 'pos-payments.js'],
+        backend: () => startWalletBackend('process-google-pay'),
+        options: { shipping: SHIPPING, reservationCheckInterval: 0 }
+    });
+    let sheet;
+    let payments;
+    let googlePay;
+
+    // The sheet for the current cart, as the Google Pay button opens it
+    const pay = () => googlePay.showPaymentSheet(payments.createPaymentSheet());
+    const order = transaction => page.pos.getOrders().find(candidate => candidate.id === transaction.orderId);
+
+    before(async () => {
+        sheet = installPaymentRequest(page.window);
+        payments = page.window.initializePOSPayments({});
+        googlePay = await payments.initializeProcessor('google_pay', { ...GOOGLE_PAY, apiEndpoint: page.backend.endpoint });
+        payments.setActiveProcessor('google_pay');
+    });
+
+    beforeEach(async () => {
+        page.pos.clearCart();
+        page.pos.setShippingAddress(null);
+        page.pos.setInventory('mug', 10);
+        page.pos.addToCart('mug', 2);
+        await page.pos.placeOrder();
+        sheet.requests.length = 0;
+        sheet.updates.length = 0;
+        sheet.completed.length = 0;
+        sheet.customer = {};
+        page.backend.nextStatus = 'succeeded';
+    });
+
+    test('the sheet lists the cart and its total in the settlement currency', async () => {
+        sheet.customer = { cancel: true };
+        await pay();
+
+        const [request] = sheet.requests;
+        assert.equal(request.details.displayItems[0].label, 'Coffee Mug x2');
+        assert.deepEqual({ ...request.details.displayItems[0].amount }, { currency: 'USD', value: '31.98' });
+        assert.equal(request.details.total.amount.value, page.pos.toMoney(page.pos.calculateTotals().total).toDecimalString());
+        assert.equal(request.options.requestShipping, true);
+    });
+
+    test('picking an address and a shipping option in the sheet reprices the order', async () => {
+        sheet.customer = { address: SHEET_ADDRESS, option: 'express', token: 'tok_visa', payerName: 'Ada Lovelace', payerEmail: 'ada@example.com' };
+        await pay();
+
+        const [afterAddress, afterOption] = sheet.updates;
+        assert.deepEqual([...afterAddress.shippingOptions].map(option => option.id), ['standard', 'express']);
+        assert.equal(afterOption.shippingOptions.find(option => option.selected).id, 'express');
+        assert.equal(afterOption.displayItems.at(-1).label, 'Shipping (Express)');
+
+        const transaction = payments.getTransactions().at(-1);
+        const request = page.backend.lastRequest('/process-google-pay');
+        assert.deepEqual(sheet.completed, ['success']);
+        assert.equal(request.body.amount, transaction.amountMinor);
+        assert.equal(request.body.paymentData.paymentMethodData.tokenizationData.token, 'tok_visa');
+        assert.equal(order(transaction).status, 'paid');
+        assert.equal(order(transaction).shippingMethod.id, 'express');
+        assert.equal(order(transaction).customer.email, 'ada@example.com');
+    });
+
+    test('closing the sheet puts the earlier address and shipping method back', async () => {
+        page.pos.setShippingAddress({ line1: '1 Main St', city: 'Boston', state: 'MA', postalCode: '02110', country: 'US' });
+        page.pos.selectShippingMethod('standard');
+        sheet.customer = { address: { ...SHEET_ADDRESS, city: 'Cambridge', postalCode: '02139' }, option: 'express', cancel: true };
+        await pay();
+
+        assert.equal(page.pos.shippingAddress.line1, '1 Main St');
+        assert.equal(page.pos.selectedShippingMethod, 'standard');
+        assert.equal(page.window.document.getElementById('pos-error-message').textContent, '', 'closing the sheet is not an error');
+    });
+
+    test('a declined token fails the sheet and the retry gets a new idempotency key', async () => {
+        sheet.customer = { token: 'tok_declined' };
+        await pay();
+
+        assert.deepEqual(sheet.completed, ['fail']);
+        assert.equal(page.window.document.getElementById('pos-error-message').textContent, 'Your card was declined.');
+        const declinedKey = page.backend.lastRequest('/process-google-pay').headers['idempotency-key'];
+
+        sheet.customer = {};
+        await pay();
+        assert.notEqual(page.backend.lastRequest('/process-google-pay').headers['idempotency-key'], declinedKey);
+        assert.deepEqual(sheet.completed, ['fail', 'success']);
+    });
+
+    test('a payment the backend did not complete does not pay for the order', async () => {
+        const orders = page.pos.getOrders().length;
+        page.backend.nextStatus = 'requires_payment_method';
+        await pay();
+
+        assert.deepEqual(sheet.completed, ['fail']);
+        assert.equal(page.pos.getOrders().length, orders);
+        assert.equal(page.window.document.getElementById('pos-error-message').textContent, 'Payment requires_payment_method');
+    });
+});
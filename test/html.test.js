@@ -0,0 +1,157 @@
+/**
+ * Hostile product data through every view that renders it: names, images and variant labels come
+ * from the store page (or scraped markup) and must never become markup
+ */
+
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { usePage } = require('./support/page');
+
+const HOSTILE_NAMES = [
+    '<img src=x onerror="window.__xss = 1">',
+    '"><script>window.__xss = 2</script>',
+    "' onmouseover='window.__xss = 3"
+];
+
+const HOSTILE_IMAGES = [
+    'javascript:window.__xss = 4',
+    ' JaVa\tScRiPt:window.__xss = 5',
+    'data:text/html;base64,PHNjcmlwdD53aW5kb3cuX194c3MgPSA2PC9zY3JpcHQ+',
+    'vbscript:msgbox(7)'
+];
+
+const escapeAttribute = value => value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+function productMarkup() {
+    const products = HOSTILE_NAMES.map((name, index) => `
+        <div data-pos-product="bad-${index}" data-pos-name="${escapeAttribute(name)}" data-pos-price="10"
+             data-pos-image="${escapeAttribute(HOSTILE_IMAGES[index])}" data-pos-sku="${escapeAttribute(name)}"></div>
+    `);
+
+    // Variant labels that try to close the attribute or the option element they are rendered into
+    const options = JSON.stringify({
+        'size"><img src=x onerror="window.__xss = 8">': ['S" onfocus="window.__xss = 9', "M' autofocus onfocus='window.__xss = 10"]
+    });
+    products.push(`
+        <div data-pos-product="variant" data-pos-name="Shirt" data-pos-price="20"
+             data-pos-image="${escapeAttribute(HOSTILE_IMAGES[3])}" data-pos-options="${escapeAttribute(options)}"></div>
+    `);
+
+    return products.join('');
+}
+
+/**
+ * Every element with an event handler attribute, or a script element the scripts did not add themselves
+ */
+function findInjectedMarkup(window, loaderScripts) {
+    const findings = [];
+
+    window.document.querySelectorAll('*').forEach(element => {
+        if (element.tagName === 'SCRIPT' && !loaderScripts.includes(element)) {
+            findings.push(`<script>${element.textContent}</script>`);
+        }
+        [...element.attributes].forEach(attribute => {
+            if (/^on/i.test(attribute.name)) {
+                findings.push(`${element.tagName.toLowerCase()}[${attribute.name}="${attribute.value}"]`);
+            }
+        });
+        ['src', 'href'].forEach(name => {
+            const value = (element.getAttribute(name) || '').replace(/[\u0000- ]/g, '').toLowerCase();
+            if (/^(javascript|vbscript|data:text)/.test(value)) {
+                findings.push(`${element.tagName.toLowerCase()}[${name}="${element.getAttribute(name)}"]`);
+            }
+        });
+    });
+
+    return findings;
+}
+
+describe('POSHtml', () => {
+    const page = usePage({ body: '' });
+    const POSHtml = () => page.window.eval('POSHtml');
+
+    test('html escapes every interpolated value', () => {
+        const markup = String(POSHtml().html`<li title="${HOSTILE_NAMES[1]}">${HOSTILE_NAMES[0]}</li>`);
+        assert.equal(markup, '<li title="&quot;&gt;&lt;script&gt;window.__xss = 2&lt;/script&gt;">&lt;img src=x onerror=&quot;window.__xss = 1&quot;&gt;</li>');
+    });
+
+    test('html keeps nested templates and arrays of them, and renders nothing for null and false', () => {
+        const items = ['<b>', '&'].map(item => POSHtml().html`<li>${item}</li>`);
+        assert.equal(String(POSHtml().html`<ul>${items}${null}${false}${undefined}</ul>`), '<ul><li>&lt;b&gt;</li><li>&amp;</li></ul>');
+    });
+
+    test('raw is only markup when it is asked for', () => {
+        assert.equal(String(POSHtml().html`${POSHtml().raw('<em>ok</em>')}`), '<em>ok</em>');
+        assert.equal(String(POSHtml().html`${'<em>ok</em>'}`), '&lt;em&gt;ok&lt;/em&gt;');
+    });
+
+    test('url and imageUrl drop script-capable schemes', () => {
+        HOSTILE_IMAGES.forEach(url => assert.equal(POSHtml().imageUrl(url), '', url));
+        assert.equal(POSHtml().url('data:image/png;base64,AAAA'), '');
+        assert.equal(POSHtml().imageUrl('data:image/png;base64,AAAA'), 'data:image/png;base64,AAAA');
+        assert.equal(POSHtml().imageUrl('data:image/svg+xml,<svg onload=alert(1)>'), '');
+        assert.equal(POSHtml().imageUrl('images/laptop.png'), 'images/laptop.png');
+        assert.equal(POSHtml().url('https://example.com/a?b=1'), 'https://example.com/a?b=1');
+    });
+
+    test('jsString stays one string literal inside an escaped handler attribute', () => {
+        const markup = String(POSHtml().html`<button onclick="view(${POSHtml().jsString('a");window.__xss=11;("')})">`);
+        assert.equal(markup, '<button onclick="view(&quot;a\\&quot;);window.__xss=11;(\\&quot;&quot;)">');
+    });
+});
+
+describe('rendering hostile product data', () => {
+    const page = usePage({ body: productMarkup(), scripts: ['pos-payments.js'] });
+    let loaderScripts;
+
+    before(() => {
+        loaderScripts = [...page.window.document.querySelectorAll('script')];
+        page.pos.products.forEach(product => {
+            const variant = product.variants.length > 0 ? product.variants[0].id : null;
+            page.pos.addToCart(product.id, 1, variant);
+        });
+    });
+
+    test('product names, images and variant labels are read as they are', () => {
+        assert.equal(page.pos.products.length, HOSTILE_NAMES.length + 1);
+        assert.deepEqual([...page.pos.products.slice(0, HOSTILE_NAMES.length).map(product => product.name)], HOSTILE_NAMES);
+        assert.equal(page.pos.cart.length, page.pos.products.length);
+    });
+
+    test('the product page, cart and its totals render as text', () => {
+        page.pos.updateCartDisplay();
+        const cart = page.window.document.querySelector('.pos-cart-container');
+
+        HOSTILE_NAMES.forEach(name => assert.ok(cart.textContent.includes(name), name));
+        assert.ok(cart.textContent.includes('S" onfocus="window.__xss = 9'));
+        assert.deepEqual(findInjectedMarkup(page.window, loaderScripts), []);
+        assert.equal(page.window.__xss, undefined);
+    });
+
+    test('the checkout review renders as text', () => {
+        page.pos.showCheckoutSummary(page.pos.buildCheckoutData());
+        const review = page.window.document.querySelector('.pos-review-dialog');
+
+        HOSTILE_NAMES.forEach(name => assert.ok(review.textContent.includes(name), name));
+        assert.deepEqual(findInjectedMarkup(page.window, loaderScripts), []);
+        assert.equal(page.window.__xss, undefined);
+    });
+
+    test('the payment order summary renders as text', () => {
+        const payments = page.window.initializePOSPayments({});
+        payments.updateOrderSummary();
+        const summary = page.window.document.querySelector('.pos-order-summary');
+
+        HOSTILE_NAMES.forEach(name => assert.ok(summary.textContent.includes(name), name));
+        assert.deepEqual(findInjectedMarkup(page.window, loaderScripts), []);
+        assert.equal(page.window.__xss, undefined);
+    });
+
+    test('payment errors from a processor render as text', () => {
+        const payments = page.pos.paymentManager;
+        payments.showPaymentStatus('error', HOSTILE_NAMES[0]);
+
+        assert.equal(page.window.document.querySelector('#pos-error-message').textContent, HOSTILE_NAMES[0]);
+        assert.deepEqual(findInjectedMarkup(page.window, loaderScripts), []);
+    });
+});
@@ -0,0 +1,125 @@
+/**
+ * Internationalization: message lookup through the locale chain, plurals, direction and dates
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { usePage } = require('./support/page');
+
+describe('POSI18n', () => {
+    const page = usePage({ body: '' });
+    const i18n = (options = {}) => new (page.window.eval('POSI18n'))({ locale: 'en', ...options });
+
+    test('a regional locale falls back to its language, then to English', () => {
+        page.window.eval('POSI18n').registerLocale('fr', { 'cart.title': 'Panier', 'cart.clear': 'Vider le panier' });
+        const canadian = i18n({ locale: 'fr_ca', messages: { 'fr-CA': { 'cart.title': 'Mon panier' } } });
+
+        assert.equal(canadian.getLocale(), 'fr-CA');
+        assert.deepEqual([...canadian.getLocaleChain()], ['fr-CA', 'fr', 'en']);
+        assert.equal(canadian.t('cart.title'), 'Mon panier', 'site overrides come first');
+        assert.equal(canadian.t('cart.clear'), 'Vider le panier');
+        assert.equal(canadian.t('cart.checkout'), 'Checkout');
+    });
+
+    test('plural messages pick the form the locale uses for the count', () => {
+        page.window.eval('POSI18n').registerLocale('pl', {
+            'cart.label': { one: '{count} produkt', few: '{count} produkty', many: '{count} produktów', other: '{count} produktu' }
+        });
+        const polish = i18n({ locale: 'pl' });
+
+        assert.deepEqual([1, 3, 5, 22].map(count => polish.t('cart.label', { count })), ['1 produkt', '3 produkty', '5 produktów', '22 produkty']);
+        assert.equal(i18n().t('cart.label', { count: 1 }), 'Shopping cart, 1 item');
+        assert.equal(i18n().t('cart.label', { count: 1200 }), 'Shopping cart, 1,200 items', 'numbers are formatted for the locale');
+    });
+
+    test('missing keys are warned about once and shown as they are; plain text passes through', () => {
+        const messages = i18n();
+        assert.equal(messages.t('cart.gift'), 'cart.gift');
+        messages.t('cart.gift');
+        assert.equal(page.log.filter(entry => entry.args[0] === 'Universal POS: Missing message "cart.gift" for locale en').length, 1);
+
+        assert.equal(messages.t('Card declined'), 'Card declined');
+        assert.equal(messages.t('totals.shippingMethod', {}), 'Shipping ({method})', 'unknown placeholders are kept');
+    });
+
+    test('right-to-left languages are detected, or set by their pack', () => {
+        assert.equal(i18n({ locale: 'ar-EG' }).getDirection(), 'rtl');
+        assert.equal(i18n({ locale: 'de' }).getDirection(), 'ltr');
+
+        page.window.eval('POSI18n').registerLocale('syc', {}, { dir: 'rtl' });
+        assert.equal(i18n({ locale: 'syc' }).getDirection(), 'rtl');
+    });
+
+    test('dates use the configured format, or the locale\'s own', () => {
+        const date = new Date(2024, 2, 7, 9, 5);
+
+        assert.equal(i18n({ dateFormat: 'DD/MM/YYYY' }).formatDate(date), '07/03/2024');
+        assert.equal(i18n({ dateFormat: 'YYYY-MM-DD' }).formatDate(date.toISOString()), '2024-03-07');
+        assert.equal(i18n({ locale: 'en-US' }).formatDate(date), '3/7/2024');
+        assert.equal(i18n({ locale: 'de-DE' }).formatDate(date), '7.3.2024');
+        assert.equal(i18n().formatDate('not a date'), '');
+    });
+
+    test('numbers are read the way the locale writes them', () => {
+        assert.equal(i18n({ locale: 'en-US' }).parseNumber('1,234.50'), 1234.5);
+        assert.equal(i18n({ locale: 'de-DE' }).parseNumber('1.234,50'), 1234.5);
+        assert.equal(i18n({ locale: 'fr-FR' }).parseNumber('1 234,5'), 1234.5);
+        assert.equal(i18n({ locale: 'de-DE' }).parseNumber('12,5'), 12.5);
+        assert.ok(Number.isNaN(i18n({ locale: 'en-US' }).parseNumber('15.9O')));
+        assert.ok(Number.isNaN(i18n({ locale: 'en-US' }).parseNumber('')));
+    });
+
+    test('static markup is translated through its data-i18n attributes', () => {
+        const root = page.window.document.createElement('div');
+        root.innerHTML = '<h2 data-i18n="cart.title">Cart</h2><input data-i18n-placeholder="promo.placeholder"><p data-i18n="site.tagline">Ours</p>';
+
+        i18n({ locale: 'fr' }).translatePage(root);
+        assert.equal(root.querySelector('h2').textContent, 'Panier');
+        assert.equal(root.querySelector('input').placeholder, 'Discount code');
+        assert.equal(root.querySelector('p').textContent, 'Ours', 'keys without a message keep their text');
+    });
+});
+
+describe('storefront locale', () => {
+    const page = usePage({
+        options: {
+            locale: 'en-US',
+            reservationCheckInterval: 0,
+            messages: { en: { 'product.addToCart': 'Add to bag' } }
+        }
+    });
+    const document = () => page.window.document;
+
+    beforeEach(() => {
+        page.pos.setLocale('en-US');
+        page.pos.clearCart();
+        page.pos.setInventory('mug', 10);
+    });
+
+    test('the messages option overrides the built-in wording', () => {
+        assert.equal(document().querySelector('[data-pos-product="mug"] .pos-add-to-cart').textContent.trim(), 'Add to bag');
+    });
+
+    test('the cart label counts its items', () => {
+        page.pos.addToCart('mug', 1);
+        assert.equal(document().querySelector('.pos-cart-icon').getAttribute('aria-label'), 'Shopping cart, 1 item');
+
+        page.pos.addToCart('mug', 1);
+        assert.equal(document().querySelector('.pos-cart-icon').getAttribute('aria-label'), 'Shopping cart, 2 items');
+    });
+
+    test('switching to a right-to-left locale re-renders the cart and announces the direction', () => {
+        const changes = [];
+        document().addEventListener('pos:locale-changed', event => changes.push({ ...event.detail }), { once: true });
+        page.window.eval('POSI18n').registerLocale('ar', { 'cart.title': 'سلة التسوق' });
+
+        page.pos.setLocale('ar');
+        const cart = document().querySelector('.pos-cart-container');
+
+        assert.deepEqual(changes, [{ locale: 'ar', dir: 'rtl' }]);
+        assert.equal(cart.getAttribute('dir'), 'rtl');
+        assert.equal(cart.getAttribute('lang'), 'ar');
+        assert.equal(cart.querySelector('.pos-cart-header h3').textContent, 'سلة التسوق');
+        assert.equal(document().querySelectorAll('.pos-cart-container').length, 1);
+    });
+});
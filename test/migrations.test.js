@@ -0,0 +1,92 @@
+/**
+ * Schema migrations: versioned records, in-order upgrades on read, written back once
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { usePage, loadPage } = require('./support/page');
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+describe('SchemaMigrations', () => {
+    const page = usePage({ body: '' });
+
+    // The built-in migrations plus a version 2 cart: prices move to integer cents
+    const migrations = () => {
+        const schema = new (page.window.eval('SchemaMigrations'))();
+        schema.register('cart', 2, lines => lines.map(({ price, ...line }) => ({ ...line, priceMinor: Math.round(price * 100) })));
+        return schema;
+    };
+
+    test('a version 1 record runs only the migrations after it', () => {
+        const schema = migrations();
+        const stored = { schemaVersion: 1, data: [{ key: 'mug', id: 'mug', name: 'Mug', price: 15.99, quantity: 2 }] };
+
+        assert.deepEqual(plain(schema.upgrade('cart', stored)), [{ key: 'mug', id: 'mug', name: 'Mug', quantity: 2, priceMinor: 1599 }]);
+        assert.equal(schema.getVersion('cart'), 2);
+        assert.deepEqual(plain(schema.wrap('cart', [])), { schemaVersion: 2, data: [] });
+    });
+
+    test('data saved before versioning runs every migration, in order', () => {
+        const [line] = plain(migrations().upgrade('cart', [{ id: 'mug', price: '15.99', quantity: '0' }]));
+
+        assert.equal(line.key, 'mug');
+        assert.equal(line.name, 'mug');
+        assert.equal(line.quantity, 1);
+        assert.equal(line.priceMinor, 1599);
+        assert.equal(line.requiresShipping, true);
+        assert.equal('price' in line, false);
+    });
+
+    test('the version 1 migrations fill in what older data lacks', () => {
+        const schema = new (page.window.eval('SchemaMigrations'))();
+
+        assert.deepEqual(plain(schema.upgrade('inventory', { mug: '4', tee: -2, hat: 'x' })), { mug: 4, tee: 0, hat: 0 });
+        const [order] = plain(schema.upgrade('order', [{ id: 7, totals: { total: 10 } }], { currencyCode: 'EUR' }));
+        assert.equal(order.id, '7');
+        assert.deepEqual(order.cart, []);
+        assert.deepEqual(order.totals, { currency: 'EUR', total: 10 });
+        assert.equal(schema.upgrade('transaction', [{ id: 't1', amount: 12.345, currency: 'usd' }], { currencyCode: 'USD' })[0].amountMinor, 1235);
+    });
+
+    test('data newer than the code is loaded unchanged, with a warning', () => {
+        const data = [{ id: 'mug', priceMinor: 1599 }];
+        assert.equal(migrations().upgrade('cart', { schemaVersion: 3, data }), data);
+        assert.ok(page.log.some(entry => entry.args[0] === 'Universal POS: cart data has schema version 3, newer than 2; loading it unchanged'));
+    });
+
+    test('versions start at 1', () => {
+        assert.throws(() => migrations().register('cart', 0, data => data), /Invalid schema version for cart: 0/);
+        assert.throws(() => migrations().register('cart', 1.5, data => data), /Invalid schema version/);
+    });
+});
+
+describe('records stored by the POS', () => {
+    test('unversioned data is upgraded on load and written back versioned', async () => {
+        const window = await loadPage({
+            storage: {
+                'universal-pos-cart': [{ id: 'mug', name: 'Coffee Mug', price: 15.99, quantity: 1 }],
+                'universal-pos-inventory': { mug: '9' },
+                'universal-pos-orders': [{ id: 1700000000000, totals: { total: 15.99 } }]
+            }
+        });
+
+        try {
+            const pos = window.universalPOS;
+            const stored = key => JSON.parse(window.localStorage.getItem(key));
+
+            assert.equal(pos.cart[0].key, 'mug');
+            assert.equal(pos.inventory.mug, 10, 'the cart line is back on hand, held as a reservation');
+            assert.equal(stored('universal-pos-cart').schemaVersion, 1);
+            assert.equal(stored('universal-pos-inventory').schemaVersion, 1);
+
+            assert.equal(pos.getOrders()[0].id, '1700000000000');
+            const orders = stored('universal-pos-orders');
+            assert.equal(orders.schemaVersion, pos.migrations.getVersion('order'));
+            assert.equal(orders.data[0].id, '1700000000000');
+            assert.deepEqual(orders.data[0].totals, { currency: 'USD', total: 15.99 });
+        } finally {
+            window.close();
+        }
+    });
+});
@@ -0,0 +1,70 @@
+/**
+ * Money: integer minor units, rounding and allocation, and cart totals built on them
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { usePage } = require('./support/page');
+
+describe('Money', () => {
+    const page = usePage({ body: '' });
+    const Money = () => page.window.eval('Money');
+    const amounts = (parts) => parts.map(part => part.amount);
+
+    test('major amounts round half away from zero to the currency minor unit', () => {
+        assert.equal(Money().fromMajor(1.005).amount, 101);
+        assert.equal(Money().fromMajor(-1.005).amount, -101);
+        assert.equal(Money().fromMajor(0.1 + 0.2).amount, 30);
+        assert.equal(Money().fromMajor(1234.5, 'JPY').amount, 1235);
+        assert.equal(Money().fromMajor(1.2345, 'KWD').amount, 1235);
+        assert.equal(Money().fromMajor(12.5, 'jpy').currency, 'JPY');
+    });
+
+    test('amounts must be whole minor units and finite', () => {
+        assert.throws(() => Money().fromMinor(10.5), /integer number of minor units/);
+        assert.throws(() => Money().fromMajor('abc'), /Invalid money amount/);
+    });
+
+    test('multiply rounds the product, not the factors', () => {
+        assert.equal(Money().fromMinor(5000).multiply(0.0725).amount, 363);
+        assert.equal(Money().fromMinor(1599).multiply(3).amount, 4797);
+        assert.equal(Money().fromMinor(-5).multiply(0.5).amount, -3);
+    });
+
+    test('allocate splits without losing or inventing a minor unit', () => {
+        const money = Money();
+        assert.deepEqual(amounts(money.fromMinor(100).allocate([1, 1, 1])), [34, 33, 33]);
+        assert.deepEqual(amounts(money.fromMinor(1000).allocate([1999, 3000])), [400, 600]);
+        assert.deepEqual(amounts(money.fromMinor(5).allocate([3, 3, 3, 1])), [2, 2, 1, 0]);
+        assert.deepEqual(amounts(money.fromMinor(-100).allocate([1, 1, 1])), [-33, -33, -34]);
+        assert.deepEqual(amounts(money.fromMinor(100).allocate([0, 0])), [0, 0]);
+
+        const parts = money.fromMinor(999).allocate([7, 13, 29, 31]);
+        assert.equal(parts.reduce((sum, part) => sum + part.amount, 0), 999);
+    });
+
+    test('currencies never mix', () => {
+        assert.throws(() => Money().fromMinor(100, 'USD').add(Money().fromMinor(100, 'EUR')), /Currency mismatch: USD and EUR/);
+        assert.throws(() => Money().fromMinor(100).add(1), /Expected a Money value/);
+    });
+
+    test('display and API strings use the currency decimals', () => {
+        assert.equal(Money().fromMinor(-1234).format('$'), '-$12.34');
+        assert.equal(Money().fromMinor(1234, 'JPY').toDecimalString(), '1234');
+        assert.equal(Money().fromMinor(1234, 'BHD').toString(), '1.234 BHD');
+        assert.ok(Money().fromJSON({ amount: 5, currency: 'EUR' }).equals(Money().fromMinor(5, 'EUR')));
+    });
+});
+
+describe('cart totals in minor units', () => {
+    const page = usePage({ options: { taxRate: 0.0725, shippingCost: 0 } });
+
+    test('line totals and tax are exact where floats would drift', () => {
+        page.pos.addToCart('mug', 3);
+        const totals = page.pos.calculateTotals();
+
+        assert.deepEqual({ ...totals.minorUnits }, { subtotal: 4797, discount: 0, tax: 348, shipping: 0, total: 5145 });
+        assert.equal(totals.subtotal, 47.97);
+        assert.equal(totals.total, 51.45);
+    });
+});
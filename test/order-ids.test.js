@@ -0,0 +1,89 @@
+/**
+ * Order IDs: one per checkout, reused by retries, and never completed twice
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { usePage } = require('./support/page');
+const { startMockBackend } = require('./support/backend');
+
+describe('checkout order ID', () => {
+    const page = usePage({ options: { reservationCheckInterval: 0 } });
+
+    beforeEach(() => {
+        page.pos.clearCart();
+        page.pos.saveOrders([]);
+        page.pos.setInventory('mug', 10);
+    });
+
+    test('starting checkout again for the same cart reuses the order ID', () => {
+        page.pos.addToCart('mug', 1);
+        const first = page.pos.buildCheckoutData();
+        const second = page.pos.buildCheckoutData();
+
+        assert.match(first.orderId, /^ORD-\d{13}-[0-9A-Z]{12}$/);
+        assert.equal(second.orderId, first.orderId);
+        assert.equal(first.idempotencyKey, first.orderId);
+    });
+
+    test('a changed cart is a new order', () => {
+        page.pos.addToCart('mug', 1);
+        const first = page.pos.buildCheckoutData();
+        page.pos.addToCart('mug', 1);
+
+        assert.notEqual(page.pos.buildCheckoutData().orderId, first.orderId);
+    });
+
+    test('an order is recorded once; a second completion is rejected', () => {
+        const duplicates = [];
+        page.window.document.addEventListener('pos:checkout-duplicate', event => duplicates.push(event.detail.orderId), { once: true });
+        page.pos.addToCart('mug', 2);
+        const checkoutData = page.pos.buildCheckoutData();
+
+        const order = page.pos.completeCheckout(checkoutData);
+        assert.equal(order.id, checkoutData.orderId);
+        assert.equal(page.pos.getStockLevels('mug').onHand, 8);
+
+        // The same order completing again, e.g. from a second tab or a late payment callback
+        page.pos.addToCart('mug', 2);
+        assert.equal(page.pos.completeCheckout(checkoutData), null);
+        assert.equal(page.pos.recordOrder(checkoutData), null);
+
+        assert.equal(page.pos.getOrders().length, 1);
+        assert.equal(page.pos.getStockLevels('mug').onHand, 8, 'stock is not committed twice');
+        assert.equal(page.pos.cart.length, 1, 'the cart is left alone');
+        assert.deepEqual(duplicates, [checkoutData.orderId]);
+        assert.ok(page.log.some(entry => entry.args[0] === `Universal POS: Order ${checkoutData.orderId} was already completed`));
+    });
+
+    test('once recorded, the next checkout of an identical cart gets a new ID', () => {
+        page.pos.addToCart('mug', 1);
+        const first = page.pos.buildCheckoutData();
+        page.pos.completeCheckout(first);
+
+        page.pos.addToCart('mug', 1);
+        assert.notEqual(page.pos.buildCheckoutData().orderId, first.orderId);
+    });
+});
+
+describe('submitting an order twice', () => {
+    const page = usePage({
+        backend: () => startMockBackend({
+            'POST /orders': () => new Promise(resolve => setTimeout(() => resolve({ status: 201, body: { received: true } }), 20))
+        }),
+        options: page => ({ apiEndpoint: `${page.backend.url}/orders`, reservationCheckInterval: 0 })
+    });
+
+    test('a repeated click while the order is being sent sends nothing more', async () => {
+        page.pos.addToCart('mug', 1);
+        const checkoutData = page.pos.buildCheckoutData();
+
+        await Promise.all([page.pos.submitToAPI(checkoutData), page.pos.submitToAPI(page.pos.buildCheckoutData())]);
+        // A retry after it went through reaches the API under the same key and is not recorded again
+        await page.pos.submitToAPI(checkoutData);
+
+        const keys = page.backend.requests.map(request => request.headers['idempotency-key']);
+        assert.deepEqual(keys, [checkoutData.orderId, checkoutData.orderId]);
+        assert.deepEqual([...page.pos.getOrders()].map(order => order.id), [checkoutData.orderId]);
+    });
+});
@@ -0,0 +1,132 @@
+/**
+ * Order lifecycle: allowed status changes, their history, and stock that comes back
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { usePage, loadPage } = require('./support/page');
+
+describe('OrderLifecycle', () => {
+    const page = usePage({ options: { reservationCheckInterval: 0 } });
+    const lifecycle = () => page.pos.orderLifecycle;
+    const statuses = order => [...order.history].map(entry => entry.to);
+
+    // A placed order for two mugs, their stock committed
+    const placeOrder = () => {
+        page.pos.addToCart('mug', 2);
+        return page.pos.completeCheckout(page.pos.buildCheckoutData()).id;
+    };
+
+    beforeEach(() => {
+        page.pos.clearCart();
+        page.pos.saveOrders([]);
+        page.pos.setInventory('mug', 10);
+    });
+
+    test('an order moves through its lifecycle and keeps the history', () => {
+        const changes = [];
+        page.window.document.addEventListener('pos:order-status-changed', event => changes.push([event.detail.from, event.detail.to]));
+        const orderId = placeOrder();
+
+        ['paid', 'fulfilled', 'shipped', 'delivered'].forEach(status => lifecycle().transition(orderId, status, { actor: 'admin' }));
+        const order = lifecycle().transition(orderId, 'returned', { actor: 'admin', note: 'Wrong size' });
+
+        assert.deepEqual(statuses(order), ['placed', 'paid', 'fulfilled', 'shipped', 'delivered', 'returned']);
+        assert.deepEqual({ ...order.history.at(-1), at: null }, { from: 'delivered', to: 'returned', at: null, actor: 'admin', note: 'Wrong size' });
+        assert.equal(order.history[0].actor, 'customer');
+        assert.deepEqual(changes.slice(-2), [['shipped', 'delivered'], ['delivered', 'returned']]);
+        assert.equal(page.pos.getOrders()[0].status, 'returned', 'the change is saved');
+    });
+
+    test('status changes the lifecycle does not allow are refused', () => {
+        const orderId = placeOrder();
+
+        assert.throws(() => lifecycle().transition(orderId, 'shipped'), new RegExp(`Cannot change order ${orderId} from placed to shipped`));
+        assert.throws(() => lifecycle().transition(orderId, 'refunded'), /from placed to refunded/);
+        assert.throws(() => lifecycle().transition(orderId, 'lost'), /from placed to lost/);
+
+        lifecycle().transition(orderId, 'cancelled');
+        assert.throws(() => lifecycle().transition(orderId, 'placed'), /from cancelled to placed/);
+        assert.equal(lifecycle().isFinal(page.pos.getOrders()[0]), true);
+        assert.deepEqual(statuses(page.pos.getOrders()[0]), ['placed', 'cancelled'], 'refused changes leave no trace');
+
+        assert.throws(() => lifecycle().transition('ORD-missing', 'paid'), /Order ORD-missing not found/);
+    });
+
+    test('orders waiting to sync only leave pending-sync through the queue outcome', () => {
+        assert.deepEqual([...lifecycle().getAvailableTransitions({ status: 'pending-sync' })], ['placed', 'sync-failed']);
+        assert.equal(lifecycle().canTransition({ status: 'pending-sync' }, 'paid'), false);
+        assert.equal(lifecycle().canTransition({ status: 'fulfilled' }, 'delivered'), true, 'pickup orders');
+    });
+
+    test('cancelled orders go back on hand', () => {
+        const orderId = placeOrder();
+        lifecycle().transition(orderId, 'paid');
+        assert.equal(page.pos.getStockLevels('mug').onHand, 8);
+
+        lifecycle().transition(orderId, 'cancelled');
+        assert.equal(page.pos.getStockLevels('mug').onHand, 10);
+        assert.equal(page.pos.getOrders()[0].restocked, true);
+    });
+
+    test('returned goods are restocked once, even when refunded afterwards', () => {
+        const orderId = placeOrder();
+        ['paid', 'fulfilled', 'shipped', 'returned', 'refunded'].forEach(status => lifecycle().transition(orderId, status));
+
+        assert.equal(page.pos.getStockLevels('mug').onHand, 10);
+    });
+
+    test('a refund restocks only what never shipped', () => {
+        const kept = placeOrder();
+        ['paid', 'fulfilled', 'shipped', 'refunded'].forEach(status => lifecycle().transition(kept, status));
+        assert.equal(page.pos.getStockLevels('mug').onHand, 8, 'shipped goods stay with the customer');
+
+        const unshipped = placeOrder();
+        ['paid', 'refunded'].forEach(status => lifecycle().transition(unshipped, status));
+        assert.equal(page.pos.getStockLevels('mug').onHand, 8);
+    });
+
+    test('registered side effects run after every change', () => {
+        const seen = [];
+        lifecycle().onTransition((order, from, to) => seen.push([order.id, from, to]));
+        const orderId = placeOrder();
+        lifecycle().transition(orderId, 'paid');
+
+        assert.deepEqual(seen, [[orderId, 'placed', 'paid']]);
+    });
+});
+
+describe('orders stored before the lifecycle', () => {
+    test('schema version 1 orders are upgraded to version 2 statuses with a history', async () => {
+        const window = await loadPage({
+            storage: {
+                'universal-pos-orders': {
+                    schemaVersion: 1,
+                    data: [
+                        { id: '1', status: 'completed', timestamp: '2024-05-01T10:00:00.000Z', cart: [], totals: { currency: 'USD' } },
+                        { id: '2', status: 'pending', timestamp: '2024-05-02T10:00:00.000Z', cart: [], totals: { currency: 'USD' } },
+                        { id: '3', status: 'cancelled', timestamp: null, cart: [], totals: { currency: 'USD' } }
+                    ]
+                }
+            }
+        });
+
+        try {
+            const orders = window.universalPOS.getOrders();
+            assert.deepEqual([...orders].map(order => order.status), ['paid', 'placed', 'cancelled']);
+            assert.deepEqual({ ...orders[0].history[0] }, {
+                from: null,
+                to: 'paid',
+                at: '2024-05-01T10:00:00.000Z',
+                actor: 'system',
+                note: 'Recorded before status history (was "completed")'
+            });
+
+            const stored = JSON.parse(window.localStorage.getItem('universal-pos-orders'));
+            assert.equal(stored.schemaVersion, 2);
+            assert.equal(stored.data[1].history[0].note, 'Recorded before status history (was "pending")');
+        } finally {
+            window.close();
+        }
+    });
+});
@@ -0,0 +1,176 @@
+/**
+ * Offline order queue: orders the API cannot take yet are kept, retried with backoff and
+ * sent with the same idempotency key every time
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { usePage } = require('./support/page');
+const { startMockBackend } = require('./support/backend');
+
+// Replies the order API gives, one per request, before it starts accepting orders
+const replies = [];
+
+describe('offline order queue', () => {
+    const page = usePage({
+        backend: () => startMockBackend({
+            'POST /orders': () => replies.shift() || { status: 201, body: { received: true } }
+        }),
+        // Long delays: the tests run the queue themselves rather than wait for its timer
+        options: page => ({
+            apiEndpoint: `${page.backend.url}/orders`,
+            queueRetryDelay: 60 * 1000,
+            queueMaxRetryDelay: 4 * 60 * 1000,
+            reservationCheckInterval: 0
+        })
+    });
+
+    const orderRequests = () => page.backend.requests.filter(request => request.path === '/orders');
+    const queue = () => [...page.pos.getOrderQueue()];
+    const orderStatus = orderId => page.pos.getOrders().find(order => order.id === orderId).status;
+
+    // Checkout with a mug in the cart, the way processCheckout submits it
+    const submit = async () => {
+        page.pos.addToCart('mug', 1);
+        const totals = page.pos.calculateTotals();
+        await page.pos.submitToAPI({ cart: page.pos.getCheckoutLines(totals), totals });
+    };
+
+    const setOnline = online => Object.defineProperty(page.window.navigator, 'onLine', { value: online, configurable: true });
+
+    // The page clock and dice, put back after each test
+    let clock;
+
+    beforeEach(() => {
+        replies.length = 0;
+        page.backend.requests.length = 0;
+        page.pos.saveOrders([]);
+        page.pos.markChanged([page.pos.writeRecord('queue', [])]);
+        page.pos.setInventory('mug', 10);
+        page.pos.options.apiEndpoint = `${page.backend.url}/orders`;
+        clock = { now: page.window.Date.now, random: page.window.Math.random };
+    });
+
+    afterEach(() => {
+        setOnline(true);
+        page.window.Date.now = clock.now;
+        page.window.Math.random = clock.random;
+    });
+
+    test('an accepted order is sent once, with an idempotency key', async () => {
+        await submit();
+
+        const [request] = orderRequests();
+        assert.equal(orderRequests().length, 1);
+        assert.match(request.headers['idempotency-key'], /\S{16,}/);
+        assert.equal(request.body.idempotencyKey, request.headers['idempotency-key']);
+        assert.equal(page.pos.getOrders()[0].status, 'placed');
+        assert.equal(queue().length, 0);
+    });
+
+    test('while the browser is offline the order is queued without a request', async () => {
+        setOnline(false);
+        await submit();
+
+        assert.equal(orderRequests().length, 0);
+        const [entry] = queue();
+        assert.equal(orderStatus(entry.orderId), 'pending-sync');
+        assert.equal(entry.attempts, 1);
+        assert.equal(entry.lastError, 'Browser is offline');
+        assert.equal(page.pos.cart.length, 0, 'the order is completed locally');
+    });
+
+    test('network failures, timeouts, rate limits and server errors are queued', async () => {
+        page.pos.options.apiEndpoint = 'http://127.0.0.1:9/orders';
+        await submit();
+        page.pos.options.apiEndpoint = `${page.backend.url}/orders`;
+
+        for (const status of [408, 429, 503]) {
+            replies.push({ status });
+            await submit();
+        }
+
+        assert.deepEqual(queue().map(entry => entry.lastError).slice(1), [
+            'API request failed: 408',
+            'API request failed: 429',
+            'API request failed: 503'
+        ]);
+        assert.equal(queue().length, 4);
+    });
+
+    test('other client errors are final and not queued', async () => {
+        const errors = [];
+        page.window.document.addEventListener('pos:api-error', event => errors.push(event.detail.status), { once: true });
+        replies.push({ status: 422 });
+        await submit();
+
+        assert.deepEqual(errors, [422]);
+        assert.equal(queue().length, 0);
+        assert.equal(page.pos.getOrders().length, 0);
+    });
+
+    test('the retry delay doubles per attempt up to the cap, with ±20% jitter', () => {
+        page.window.Math.random = () => 0.5;
+        assert.deepEqual([1, 2, 3, 4, 5].map(attempts => page.pos.getRetryDelay(attempts)), [60000, 120000, 240000, 240000, 240000]);
+
+        page.window.Math.random = () => 0;
+        assert.equal(page.pos.getRetryDelay(1), 48000);
+        page.window.Math.random = () => 0.999999;
+        assert.equal(page.pos.getRetryDelay(1), 72000);
+    });
+
+    test('only due orders are retried, each time with the key it was queued with', async () => {
+        let now = Date.now();
+        page.window.Date.now = () => now;
+        page.window.Math.random = () => 0.5;
+        replies.push({ status: 503 });
+        await submit();
+        const [entry] = queue();
+        assert.equal(entry.nextAttemptAt, now + 60000);
+
+        await page.pos.flushOrderQueue();
+        assert.equal(orderRequests().length, 1, 'not due yet');
+
+        now += 60000;
+        replies.push({ status: 502 });
+        await page.pos.flushOrderQueue();
+        const [retried] = queue();
+        assert.equal(retried.attempts, 2);
+        assert.equal(retried.nextAttemptAt, now + 120000);
+        assert.equal(retried.lastError, 'API request failed: 502');
+
+        now += 120000;
+        await page.pos.flushOrderQueue();
+        const keys = orderRequests().map(request => request.headers['idempotency-key']);
+        assert.deepEqual(keys, [entry.idempotencyKey, entry.idempotencyKey, entry.idempotencyKey]);
+        assert.equal(queue().length, 0);
+        assert.equal(orderStatus(entry.orderId), 'placed');
+    });
+
+    test('coming back online sends everything queued at once', async () => {
+        setOnline(false);
+        await submit();
+        await submit();
+        setOnline(true);
+
+        page.window.dispatchEvent(new page.window.Event('online'));
+        await page.pos.queueFlush;
+
+        assert.equal(orderRequests().length, 2);
+        assert.equal(queue().length, 0);
+    });
+
+    test('a queued order the API rejects is marked sync-failed', async () => {
+        const failed = [];
+        page.window.document.addEventListener('pos:order-sync-failed', event => failed.push(event.detail.orderId), { once: true });
+        replies.push({ status: 500 }, { status: 409 });
+        await submit();
+        const [entry] = queue();
+
+        await page.pos.flushOrderQueue(true);
+        assert.deepEqual(failed, [entry.orderId]);
+        assert.equal(orderStatus(entry.orderId), 'sync-failed');
+        assert.equal(page.pos.getOrders()[0].syncError, 'API request failed: 409');
+        assert.equal(queue().length, 0);
+    });
+});
@@ -0,0 +1,208 @@
+/**
+ * Price authority: the cart is quoted by identities and quantities, and orders go out at quoted prices
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { usePage } = require('./support/page');
+const { startMockBackend } = require('./support/backend');
+
+// What the server charges, whatever the page says
+const PRICES = { mug: 15.99, 'tee:s': 20, 'tee:xl': 24 };
+
+// Quotes the store's prices; the next quotes can be replaced by setting quote.next
+const quote = {
+    next: null,
+    handler: ({ body }) => {
+        if (quote.next) {
+            const reply = quote.next(body);
+            quote.next = null;
+            return reply;
+        }
+        return {
+            body: {
+                quoteId: `Q-${body.orderId}`,
+                signature: 'sig-1',
+                lines: body.lines.map(line => ({ key: line.key, price: PRICES[line.key] }))
+            }
+        };
+    }
+};
+
+describe('PriceAuthority with a quote endpoint', () => {
+    const page = usePage({
+        scripts: ['pos-pricing.js'],
+        backend: () => startMockBackend({ 'POST /api/quote': request => quote.handler(request) }),
+        options: page => ({ priceAuthority: { quoteEndpoint: `${page.backend.url}/api/quote` }, reservationCheckInterval: 0 })
+    });
+    const authority = () => page.pos.priceAuthority;
+    const quoteRequests = () => page.backend.requests.filter(request => request.path === '/api/quote');
+
+    // Events of the price check, by name
+    const recordEvents = () => {
+        const seen = [];
+        ['pos:price-quoted', 'pos:price-mismatch', 'pos:price-error'].forEach(name => {
+            page.window.document.addEventListener(name, event => seen.push([name, event.detail]));
+        });
+        return seen;
+    };
+
+    beforeEach(() => {
+        page.window.document.querySelectorAll('.pos-dialog').forEach(element => element.remove());
+        page.pos.clearCart();
+        page.pos.saveOrders([]);
+        page.pos.setInventory('mug', 10);
+        page.backend.requests.length = 0;
+        quote.next = null;
+    });
+
+    test('the quote request names products and quantities, never prices', async () => {
+        page.pos.addToCart('mug', 2);
+        page.pos.addToCart('tee', 1, 'xl');
+
+        assert.equal(await authority().verifyCart(), true);
+        const [request] = quoteRequests();
+        assert.deepEqual(request.body.lines, [
+            { key: 'mug', id: 'mug', variantId: null, quantity: 2 },
+            { key: 'tee:xl', id: 'tee', variantId: 'xl', quantity: 1 }
+        ]);
+        assert.equal(request.body.orderId, page.pos.buildCheckoutData().orderId);
+        assert.equal(request.body.currency, 'USD');
+    });
+
+    test('checkout opens once the cart is quoted, and the order carries the quote', async () => {
+        page.pos.addToCart('mug', 1);
+
+        assert.equal(await page.pos.startCheckout(), true);
+        assert.ok(page.window.document.querySelector('.pos-review-dialog'), 'the order review is shown');
+
+        const { priceQuote, orderId } = page.pos.buildCheckoutData();
+        assert.deepEqual({ ...priceQuote, adjustments: [...priceQuote.adjustments] }, {
+            quoteId: `Q-${orderId}`,
+            signature: 'sig-1',
+            expiresAt: null,
+            source: 'server',
+            verified: true,
+            adjustments: []
+        });
+    });
+
+    test('a quoted cart is not quoted again until it changes', async () => {
+        page.pos.addToCart('mug', 1);
+        await Promise.all([authority().verifyCart(), authority().verifyCart()]);
+        await authority().verifyCart();
+        assert.equal(quoteRequests().length, 1, 'a second click while quoting waits for the same quote');
+
+        page.pos.addToCart('mug', 1);
+        assert.equal(authority().hasValidQuote(), false);
+        await authority().verifyCart();
+        assert.equal(quoteRequests().length, 2);
+    });
+
+    test('an expired quote is quoted again', async () => {
+        quote.next = ({ lines }) => ({ body: { quoteId: 'Q-old', expiresAt: '2020-01-01T00:00:00Z', lines: lines.map(line => ({ key: line.key, price: PRICES[line.key] })) } });
+        page.pos.addToCart('mug', 1);
+
+        assert.equal(await authority().verifyCart(), true);
+        assert.equal(authority().hasValidQuote(), false);
+        assert.equal(page.pos.buildCheckoutData().priceQuote.verified, false);
+    });
+
+    test('a price edited on the page is corrected and checkout stops to show it', async () => {
+        const events = recordEvents();
+        page.pos.addToCart('mug', 1);
+        page.pos.cart[0].price = 0.99;
+
+        assert.equal(await page.pos.startCheckout(), false);
+        assert.equal(page.window.document.querySelector('.pos-review-dialog'), null);
+        assert.equal(page.pos.cart[0].price, 15.99);
+        const [[name, detail]] = events;
+        assert.equal(name, 'pos:price-mismatch');
+        assert.deepEqual({ ...detail.adjustments[0] }, { key: 'mug', id: 'mug', variantId: null, listed: 0.99, verified: 15.99 });
+
+        // Checking out again goes ahead at the quoted price, and the order keeps the correction
+        assert.equal(await authority().verifyCart(), true);
+        const { priceQuote, totals } = page.pos.buildCheckoutData();
+        assert.equal(totals.subtotal, 15.99);
+        assert.equal(priceQuote.adjustments.length, 1);
+    });
+
+    test('lines the server refuses block the order', async () => {
+        const events = recordEvents();
+        quote.next = ({ lines }) => ({ body: { lines: lines.map(line => ({ key: line.key, available: false })) } });
+        page.pos.addToCart('mug', 1);
+
+        assert.equal(await authority().verifyCart(), false);
+        assert.equal(events[0][0], 'pos:price-error');
+        assert.deepEqual([...events[0][1].lines], ['mug']);
+        assert.equal(page.window.document.querySelector('.pos-notification').textContent, 'Coffee Mug cannot be purchased right now');
+    });
+
+    test('a total the cart disagrees with blocks the order', async () => {
+        const events = recordEvents();
+        quote.next = ({ lines }) => ({ body: { total: 10, lines: lines.map(line => ({ key: line.key, price: PRICES[line.key] })) } });
+        page.pos.addToCart('mug', 1);
+
+        assert.equal(await authority().verifyCart(), false);
+        assert.deepEqual({ ...events[0][1].adjustments[0] }, { key: null, listed: 15.99, verified: 10 });
+        assert.equal(authority().hasValidQuote(), false);
+    });
+
+    test('a failed quote request blocks the order', async () => {
+        const events = recordEvents();
+        quote.next = () => ({ status: 503, body: { error: 'Unavailable' } });
+        page.pos.addToCart('mug', 1);
+
+        assert.equal(await page.pos.placeOrder(), false);
+        assert.equal(page.pos.getOrders().length, 0);
+        assert.equal(events[0][1].error.message, 'Quote request failed: 503');
+        assert.ok(page.log.some(entry => entry.args[0] === 'Universal POS: Price verification failed'));
+    });
+});
+
+describe('PriceAuthority with a price list', () => {
+    const page = usePage({
+        scripts: ['pos-pricing.js'],
+        options: {
+            priceAuthority: { catalog: { mug: 12.5, tee: 20, 'tee:xl': 24 } },
+            reservationCheckInterval: 0
+        }
+    });
+
+    beforeEach(() => {
+        page.pos.clearCart();
+        page.pos.setInventory('mug', 10);
+    });
+
+    test('lines are priced by their line key, then their product ID', async () => {
+        page.pos.addToCart('mug', 1);
+        page.pos.addToCart('tee', 1, 's');
+
+        assert.equal(await page.pos.priceAuthority.verifyCart(), false, 'the mug is repriced');
+        assert.deepEqual([...page.pos.cart].map(line => [line.key, line.price]), [['mug', 12.5], ['tee:s', 20]]);
+        assert.equal(await page.pos.priceAuthority.verifyCart(), true);
+        assert.equal(page.pos.buildCheckoutData().priceQuote.source, 'catalog');
+    });
+
+    test('products missing from the list cannot be bought', async () => {
+        page.pos.priceAuthority.options.catalog = { tee: 20 };
+        page.pos.addToCart('mug', 1);
+
+        assert.equal(await page.pos.priceAuthority.verifyCart(), false);
+        assert.equal(page.pos.priceAuthority.hasValidQuote(), false);
+        page.pos.priceAuthority.options.catalog = { mug: 12.5, tee: 20, 'tee:xl': 24 };
+    });
+});
+
+describe('without a quote source', () => {
+    const page = usePage({ scripts: ['pos-pricing.js'], options: { reservationCheckInterval: 0 } });
+
+    test('checkout works as before', () => {
+        page.pos.addToCart('mug', 1);
+
+        assert.equal(page.pos.priceAuthority.hasValidQuote(), true);
+        assert.equal(page.pos.startCheckout(), undefined, 'checkout opens right away');
+        assert.ok(page.window.document.querySelector('.pos-review-dialog'));
+        assert.equal(page.pos.buildCheckoutData().priceQuote, null);
+    });
+});
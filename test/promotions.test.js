@@ -0,0 +1,123 @@
+/**
+ * Promotion engine: coupon codes, automatic rules and how discounts combine
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { usePage } = require('./support/page');
+
+const lines = [
+    { id: 'laptop', category: 'electronics', price: 1000, quantity: 1 },
+    { id: 'tee', category: 'clothing', price: 20, quantity: 3 },
+    { id: 'socks', category: 'clothing', price: 5, quantity: 1 }
+];
+
+describe('PromotionEngine', () => {
+    const page = usePage({ scripts: ['pos-promotions.js'] });
+    const engine = (promotions, now = '2026-07-01T12:00:00') => {
+        const PromotionEngine = page.window.eval('PromotionEngine');
+        return new PromotionEngine({ promotions, now: () => new Date(now) });
+    };
+
+    test('coupon codes are matched case-insensitively and checked against the cart', () => {
+        const promotions = engine([
+            { code: 'Summer10', type: 'percent', value: 10, endsAt: '2026-08-31' },
+            { code: 'SHIRTS', type: 'fixed', value: 5, categories: ['shoes'] },
+            { code: 'BIG', type: 'fixed', value: 50, minSubtotal: 2000 }
+        ]);
+
+        assert.equal(promotions.validateCode('summer10', lines).isValid, true);
+        assert.equal(promotions.validateCode('NOPE', lines).error, 'Invalid discount code');
+        assert.equal(promotions.validateCode('shirts', lines).error, 'This code does not apply to any items in your cart');
+        assert.equal(promotions.validateCode('big', lines).error, 'Spend 2000.00 or more to use this code');
+    });
+
+    test('date-only end dates include the whole last day', () => {
+        const promotion = { code: 'SUMMER', type: 'percent', value: 10, startsAt: '2026-06-01', endsAt: '2026-08-31' };
+
+        assert.equal(engine([promotion], '2026-08-31T23:59:00').validateCode('SUMMER', lines).isValid, true);
+        assert.equal(engine([promotion], '2026-09-01T00:00:01').validateCode('SUMMER', lines).error, 'This discount code has expired');
+        assert.equal(engine([promotion], '2026-05-31T12:00:00').validateCode('SUMMER', lines).isValid, false);
+    });
+
+    test('coupons apply only when their code is given; automatic rules always', () => {
+        const promotions = engine([
+            { id: 'clothing', type: 'percent', value: 10, categories: ['clothing'] },
+            { code: 'LAPTOP50', type: 'fixed', value: 50, products: ['laptop'] }
+        ]);
+
+        assert.deepEqual([...promotions.calculate(lines).discounts].map(discount => [discount.id, discount.amount]), [['clothing', 6.5]]);
+        assert.equal(promotions.calculate(lines, ['laptop50']).total, 56.5);
+    });
+
+    test('buy X get Y discounts the cheapest unit of each group', () => {
+        const promotions = engine([{ id: 'b2g1', type: 'buy_x_get_y', buyQuantity: 2, getQuantity: 1, categories: ['clothing'] }]);
+        const cart = [
+            { id: 'tee', category: 'clothing', price: 20, quantity: 2 },
+            { id: 'socks', category: 'clothing', price: 5, quantity: 2 }
+        ];
+
+        // Units 20, 20, 5 | 5: one full group, whose cheapest unit is free
+        assert.equal(promotions.calculate(cart).total, 5);
+    });
+
+    test('an exclusive promotion is used alone, and only when it beats the stackable ones', () => {
+        const stackable = [
+            { id: 'ten', type: 'percent', value: 10 },
+            { id: 'five', type: 'fixed', value: 5 }
+        ];
+
+        const smaller = engine([...stackable, { id: 'vip', type: 'fixed', value: 100, exclusive: true }]).calculate(lines);
+        assert.deepEqual([...smaller.discounts].map(discount => discount.id), ['ten', 'five']);
+        assert.equal(smaller.total, 111.5);
+
+        const bigger = engine([...stackable, { id: 'vip', type: 'fixed', value: 200, exclusive: true }]).calculate(lines);
+        assert.deepEqual([...bigger.discounts].map(discount => discount.id), ['vip']);
+    });
+
+    test('discounts never add up to more than the cart is worth', () => {
+        const result = engine([
+            { id: 'a', type: 'fixed', value: 20, priority: 2 },
+            { id: 'b', type: 'fixed', value: 20, priority: 1 }
+        ]).calculate([{ id: 'socks', price: 5, quantity: 5 }]);
+
+        assert.deepEqual([...result.discounts].map(discount => [discount.id, discount.amount]), [['a', 20], ['b', 5]]);
+        assert.equal(result.total, 25);
+    });
+});
+
+describe('discount codes in the cart', () => {
+    const page = usePage({
+        scripts: ['pos-promotions.js'],
+        options: { promotions: [{ code: 'MUG5', type: 'fixed', value: 5, products: ['mug'] }] }
+    });
+
+    beforeEach(() => page.pos.clearCart());
+
+    test('an applied code lowers the cart total', () => {
+        page.pos.addToCart('mug', 2);
+
+        assert.equal(page.pos.applyCoupon(' mug5 '), true);
+        const totals = page.pos.calculateTotals();
+        assert.equal(totals.subtotal, 31.98);
+        assert.equal(totals.discount, 5);
+        assert.equal(totals.total, 26.98);
+        assert.deepEqual([...page.pos.appliedCoupons], ['MUG5']);
+        assert.equal(page.pos.applyCoupon('MUG5'), false);
+    });
+
+    test('a code that does not apply to the cart is refused', () => {
+        page.pos.addToCart('tee', 1, 's');
+
+        assert.equal(page.pos.applyCoupon('MUG5'), false);
+        assert.equal(page.pos.calculateTotals().discount, 0);
+    });
+
+    test('codes are removed with the cart', () => {
+        page.pos.addToCart('mug', 1);
+        page.pos.applyCoupon('MUG5');
+        page.pos.clearCart();
+
+        assert.equal(page.pos.appliedCoupons.length, 0);
+    });
+});
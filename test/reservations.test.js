@@ -0,0 +1,118 @@
+/**
+ * Stock reservations: carts hold stock for a limited time and checkout commits it
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { usePage, loadPage } = require('./support/page');
+
+const TTL = 15 * 60 * 1000;
+
+describe('reservation ledger', () => {
+    const page = usePage({ options: { reservationTTL: TTL, reservationCheckInterval: 0 } });
+    let now;
+    let pageNow;
+
+    beforeEach(() => {
+        // The page clock; reservations read Date.now()
+        now = Date.now();
+        pageNow = page.window.Date.now;
+        page.window.Date.now = () => now;
+        page.pos.clearCart();
+        page.pos.setInventory('mug', 10);
+    });
+
+    afterEach(() => {
+        page.window.Date.now = pageNow;
+    });
+
+    test('adding to the cart holds stock without taking it off hand', () => {
+        assert.equal(page.pos.addToCart('mug', 4), true);
+
+        assert.deepEqual({ ...page.pos.getStockLevels('mug') }, { onHand: 10, reserved: 4, available: 6 });
+        assert.equal(page.pos.addToCart('mug', 7), false);
+        assert.equal(page.pos.addToCart('mug', 6), true);
+        assert.equal(page.pos.getAvailableStock('mug'), 0);
+    });
+
+    test('removing from the cart releases the hold', () => {
+        page.pos.addToCart('mug', 4);
+        page.pos.removeFromCart('mug', 1);
+        assert.equal(page.pos.getReservedStock('mug'), 3);
+
+        page.pos.clearCart();
+        assert.equal(page.pos.getReservedStock('mug'), 0);
+        assert.equal(page.pos.reservations.length, 0);
+    });
+
+    test('a hold lasts until the TTL has passed, not a moment longer', () => {
+        page.pos.addToCart('mug', 4);
+
+        now += TTL - 1;
+        page.pos.releaseExpiredReservations();
+        assert.equal(page.pos.getReservedStock('mug'), 4);
+
+        now += 1;
+        assert.equal(page.pos.getReservedStock('mug'), 0);
+        assert.equal(page.pos.getAvailableStock('mug'), 10);
+        page.pos.releaseExpiredReservations();
+        assert.equal(page.pos.reservations.length, 0);
+        assert.equal(page.pos.cart[0].quantity, 4, 'the cart line stays');
+    });
+
+    test('any cart change restarts the hold of every line', () => {
+        page.pos.addToCart('mug', 1);
+        now += TTL - 1000;
+        page.pos.addToCart('tee', 1, 's');
+
+        now += 2000;
+        assert.equal(page.pos.getReservedStock('mug'), 1);
+    });
+
+    test('expiry is announced with the dropped reservations', () => {
+        const expired = [];
+        page.window.document.addEventListener('pos:reservations-expired', event => expired.push(...event.detail.reservations));
+        page.pos.addToCart('mug', 2);
+
+        now += TTL;
+        page.pos.releaseExpiredReservations();
+        assert.deepEqual(expired.map(reservation => [reservation.key, reservation.quantity]), [['mug', 2]]);
+    });
+
+    test('before checkout expired lines are held again, or cut to what is left', () => {
+        page.pos.addToCart('mug', 4);
+        now += TTL;
+        assert.equal(page.pos.ensureReservations(), true);
+        assert.equal(page.pos.getReservedStock('mug'), 4);
+
+        now += TTL;
+        page.pos.setInventory('mug', 3);
+        assert.equal(page.pos.ensureReservations(), false);
+        assert.equal(page.pos.cart[0].quantity, 3);
+        assert.equal(page.pos.getReservedStock('mug'), 3);
+    });
+
+    test('committing turns the holds into sold stock', () => {
+        page.pos.addToCart('mug', 4);
+        page.pos.commitReservations();
+
+        assert.deepEqual({ ...page.pos.getStockLevels('mug') }, { onHand: 6, reserved: 0, available: 6 });
+    });
+});
+
+describe('carts saved before the ledger', () => {
+    test('their quantities are put back on hand and held instead', async () => {
+        const window = await loadPage({
+            storage: {
+                'universal-pos-cart': [{ key: 'mug', id: 'mug', name: 'Coffee Mug', price: 15.99, quantity: 2 }],
+                'universal-pos-inventory': { mug: 8 }
+            }
+        });
+
+        try {
+            assert.deepEqual({ ...window.universalPOS.getStockLevels('mug') }, { onHand: 10, reserved: 2, available: 8 });
+        } finally {
+            window.close();
+        }
+    });
+});
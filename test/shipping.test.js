@@ -0,0 +1,145 @@
+/**
+ * Shipping calculator: zones, weight brackets and the method chosen for the cart
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { usePage } = require('./support/page');
+
+const BODY = `
+    <div data-pos-product="book" data-pos-name="Book" data-pos-price="20" data-pos-weight="0.5"></div>
+    <div data-pos-product="pillow" data-pos-name="Pillow" data-pos-price="30" data-pos-weight="0.4" data-pos-dimensions="50x40x10"></div>
+    <div data-pos-product="ebook" data-pos-name="E-book" data-pos-price="9" data-pos-shipping="false"></div>
+`;
+
+const SHIPPING = {
+    defaultZone: 'domestic',
+    zones: [
+        { id: 'domestic', countries: ['US'] },
+        { id: 'west', countries: ['US'], states: ['CA', 'OR', 'WA'] },
+        { id: 'international', countries: ['*'] }
+    ],
+    methods: [
+        {
+            id: 'standard',
+            label: 'Standard',
+            freeOver: 100,
+            rates: {
+                domestic: [{ maxWeight: 1, rate: 5.99 }, { maxWeight: 5, rate: 9.99 }, { rate: 14.99, perExtraWeight: 1.5 }],
+                west: [{ maxWeight: 1, rate: 7.99 }, { rate: 12.99 }],
+                international: [{ maxWeight: 2, rate: 24.99 }]
+            }
+        },
+        { id: 'pickup', label: 'Store pickup', pickup: true, rates: { '*': [{ rate: 0 }] } }
+    ]
+};
+
+describe('ShippingCalculator', () => {
+    const page = usePage({ body: '', scripts: ['pos-shipping.js'] });
+    const calculator = () => new (page.window.eval('ShippingCalculator'))(SHIPPING);
+    const standard = (weight) => calculator().rateFromTable(SHIPPING.methods[0].rates.domestic, weight);
+
+    test('a weight on a bracket limit is priced in that bracket', () => {
+        assert.equal(standard(0), 5.99);
+        assert.equal(standard(1), 5.99);
+        assert.equal(standard(1.001), 9.99);
+        assert.equal(standard(5), 9.99);
+    });
+
+    test('the open bracket charges per started kg above the last closed bracket', () => {
+        assert.equal(standard(5.001), 14.99 + 1.5);
+        assert.equal(standard(6), 14.99 + 1.5);
+        assert.equal(standard(7.2), 14.99 + 4.5);
+    });
+
+    test('a weight above every closed bracket has no rate', () => {
+        assert.equal(calculator().rateFromTable(SHIPPING.methods[0].rates.international, 2.5), null);
+    });
+
+    test('the zone is resolved by state, then country, then the catch-all', () => {
+        const shipping = calculator();
+        assert.equal(shipping.resolveZone({ country: 'us', state: 'ca' }), 'west');
+        assert.equal(shipping.resolveZone({ country: 'US', state: 'NY' }), 'domestic');
+        assert.equal(shipping.resolveZone({ country: 'DE' }), 'international');
+        assert.equal(shipping.resolveZone(null), 'domestic');
+    });
+
+    test('dimensional weight is billed when it exceeds the actual weight', () => {
+        const shipping = calculator();
+        assert.equal(shipping.getUnitWeight({ weight: 0.4, dimensions: [50, 40, 10] }), 4);
+        assert.equal(shipping.getUnitWeight({ weight: 6, dimensions: [50, 40, 10] }), 6);
+        assert.equal(shipping.getCartWeight([
+            { weight: 0.5, quantity: 3 },
+            { weight: 2, quantity: 1, requiresShipping: false }
+        ]), 1.5);
+    });
+
+    test('methods without a rate for the zone or weight are left out', () => {
+        const quotes = calculator().getQuotes([{ weight: 3, quantity: 1 }], { address: { country: 'DE' } });
+        assert.deepEqual(quotes.map(quote => quote.id), ['pickup']);
+    });
+
+    test('freeOver makes the method free from that subtotal on', () => {
+        const lines = [{ weight: 0.5, quantity: 1 }];
+        const [below] = calculator().getQuotes(lines, { subtotal: 99.99 });
+        const [at] = calculator().getQuotes(lines, { subtotal: 100 });
+        assert.equal(below.amount, 5.99);
+        assert.equal(at.amount, 0);
+        assert.equal(at.free, true);
+    });
+
+    test('zones and methods need an id', () => {
+        assert.throws(() => calculator().addZone({ countries: ['US'] }), /requires an id/);
+        assert.throws(() => calculator().addMethod({}), /requires an id/);
+    });
+});
+
+describe('shipping on the cart', () => {
+    const page = usePage({ body: BODY, scripts: ['pos-shipping.js'], options: { shipping: SHIPPING, shippingCost: 4 } });
+
+    beforeEach(() => {
+        page.pos.clearCart();
+        page.pos.setShippingAddress(null);
+    });
+
+    test('the first method is quoted until another is selected', () => {
+        page.pos.addToCart('book', 2);
+        assert.equal(page.pos.calculateTotals().shipping, 5.99);
+        assert.equal(page.pos.calculateTotals().total, 45.99);
+
+        assert.equal(page.pos.selectShippingMethod('pickup'), true);
+        assert.equal(page.pos.calculateTotals().shipping, 0);
+        assert.equal(page.pos.selectShippingMethod('courier'), false);
+    });
+
+    test('the address changes the zone and the rate', () => {
+        page.pos.addToCart('pillow', 1);
+        assert.equal(page.pos.calculateTotals().shipping, 9.99);
+
+        page.pos.setShippingAddress({ country: 'US', state: 'CA' });
+        assert.equal(page.pos.calculateTotals().shipping, 12.99);
+    });
+
+    test('a cart with nothing to ship is not charged shipping', () => {
+        page.pos.addToCart('ebook', 1);
+        const totals = page.pos.calculateTotals();
+        assert.equal(totals.shipping, 0);
+        assert.equal([...totals.shippingMethods].length, 0);
+    });
+});
+
+describe('shipping without a matching method', () => {
+    const page = usePage({
+        body: BODY,
+        scripts: ['pos-shipping.js'],
+        options: { shipping: { ...SHIPPING, methods: [SHIPPING.methods[0]] }, shippingCost: 4 }
+    });
+
+    test('the flat shippingCost applies when no method covers the cart', () => {
+        page.pos.setShippingAddress({ country: 'DE' });
+        page.pos.addToCart('pillow', 1);
+        const totals = page.pos.calculateTotals();
+        assert.equal([...totals.shippingMethods].length, 0);
+        assert.equal(totals.shipping, 4);
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * SquareProcessor against the mock Square backend
+ */
+
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { usePage } = require('./support/page');
+const { startSquareBackend, installSquareSDK } = require('./support/backend');
+
+describe('SquareProcessor', () => {
+    const page = usePage({ scripts: ['pos-payments.js'], backend: () => startSquareBackend() });
+    const billingDetails = { name: 'Ada Lovelace', email: 'ada@example.com' };
+    const Money = () => page.window.eval('Money');
+    let card;
+    let square;
+
+    const charge = async (amount, metadata, paymentData = { billingDetails }) => {
+        const intent = await square.createPaymentIntent(Money().fromMajor(amount, 'USD'), 'USD', metadata);
+        return square.confirmPayment(intent.id, paymentData);
+    };
+
+    before(async () => {
+        card = installSquareSDK(page.window);
+        const SquareProcessor = page.window.eval('SquareProcessor');
+        square = new SquareProcessor({ applicationId: 'sandbox-sq0idb-test', locationId: 'L1', apiEndpoint: page.backend.endpoint });
+        await square.initialize();
+        await square.createCardElement('square-card');
+    });
+
+    test('charges the tokenized card in minor units under the order idempotency key', async () => {
+        const payment = await charge(15.99, { orderId: 'ORD-1', idempotencyKey: 'ORD-1' });
+        const request = page.backend.lastRequest('/process-square-payment');
+
+        assert.equal(payment.status, 'succeeded');
+        assert.equal(payment.squareStatus, 'COMPLETED');
+        assert.equal(request.headers['idempotency-key'], 'ORD-1-1');
+        assert.equal(request.body.sourceId, 'cnon:card-nonce-ok');
+        assert.equal(request.body.verificationToken, 'verf:ok');
+        assert.equal(request.body.amount, 1599);
+        assert.equal(request.body.currency, 'USD');
+    });
+
+    test('a declined card is an error, and the retry is a new payment with its own key', async () => {
+        card.nonce = 'cnon:card-nonce-declined';
+        await assert.rejects(charge(20, { orderId: 'ORD-2', idempotencyKey: 'ORD-2' }), /Card declined/);
+        assert.equal(page.backend.lastRequest('/process-square-payment').headers['idempotency-key'], 'ORD-2-1');
+
+        card.nonce = 'cnon:card-nonce-ok';
+        const payment = await charge(20, { orderId: 'ORD-2', idempotencyKey: 'ORD-2' });
+        assert.equal(payment.status, 'succeeded');
+        assert.equal(page.backend.lastRequest('/process-square-payment').headers['idempotency-key'], 'ORD-2-2');
+    });
+
+    test('refunds part of a payment in the currency of the amount', async () => {
+        const payment = await charge(30, { orderId: 'ORD-3', idempotencyKey: 'ORD-3' });
+        const refund = await square.refundPayment(payment.id, Money().fromMajor(12.5, 'EUR'), { idempotencyKey: `${payment.id}-refund-1` });
+        const request = page.backend.lastRequest('/refund-square-payment');
+
+        assert.equal(refund.status, 'PENDING');
+        assert.deepEqual({ ...request.body }, { paymentId: payment.id, amount: 1250, currency: 'EUR' });
+        assert.equal(request.headers['idempotency-key'], `${payment.id}-refund-1`);
+    });
+
+    test('a refund the backend refuses is an error', async () => {
+        await assert.rejects(square.refundPayment('sq_missing', 5), /Refund failed/);
+    });
+
+    test('looks up payment status', async () => {
+        const payment = await charge(5, { orderId: 'ORD-6', idempotencyKey: 'ORD-6' });
+        const status = await square.getPaymentStatus(payment.id);
+
+        assert.equal(status.id, payment.id);
+        assert.equal(status.status, 'succeeded');
+        await assert.rejects(square.getPaymentStatus('sq_missing'), /Payment status lookup failed/);
+    });
+
+    test('missing billing details are a validation error, not an exception', () => {
+        assert.deepEqual([...square.validatePaymentData({}).errors], ['payment.error.billingName']);
+        assert.deepEqual([...square.validatePaymentData({ billingDetails: {} }).errors], ['payment.error.billingName']);
+        assert.deepEqual([...square.validatePaymentData({ billingDetails: { name: 'Ada', email: 'nope' } }).errors], ['payment.error.email']);
+        assert.equal(square.validatePaymentData({ billingDetails }).isValid, true);
+    });
+
+    test('checkout through the payment manager records a paid order', async () => {
+        const pos = page.pos;
+        const payments = page.window.initializePOSPayments({});
+        await payments.initializeProcessor('square', { applicationId: 'sandbox-sq0idb-test', locationId: 'L1', apiEndpoint: page.backend.endpoint });
+        payments.setActiveProcessor('square');
+
+        pos.addToCart('mug', 2);
+        pos.setCustomerDetails({ name: billingDetails.name, email: billingDetails.email, phone: '' });
+        await pos.placeOrder();
+        // The card field attaches asynchronously once the payment modal opens
+        await new Promise(resolve => setTimeout(resolve, 20));
+        await payments.processPayment();
+
+        assert.equal(page.window.document.getElementById('pos-error-message').textContent, '');
+        const transaction = payments.getTransactions()[0];
+        const order = pos.getOrders().find(candidate => candidate.id === transaction.orderId);
+        assert.equal(transaction.status, 'succeeded');
+        assert.equal(transaction.processorType, 'square');
+        assert.equal(page.backend.lastRequest('/process-square-payment').body.amount, transaction.amountMinor);
+        assert.equal(order.status, 'paid');
+    });
+});
@@ -0,0 +1,158 @@
+/**
+ * Storage adapters: localStorage by default, asynchronous backends read into memory and written through
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { usePage } = require('./support/page');
+const { startStorageBackend } = require('./support/backend');
+
+const tick = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Resolves once the POS created by create() has initialized
+const initialized = (window, create) => new Promise(resolve => {
+    window.document.addEventListener('pos:initialized', resolve, { once: true });
+    create();
+});
+
+describe('LocalStorageAdapter', () => {
+    const page = usePage({ body: '' });
+    const adapter = () => new (page.window.eval('LocalStorageAdapter'))();
+
+    test('values are stored as JSON and read back', () => {
+        adapter().setItem('pos-test', { cart: [1, 2] });
+        assert.equal(page.window.localStorage.getItem('pos-test'), '{"cart":[1,2]}');
+        assert.deepEqual(JSON.parse(JSON.stringify(adapter().getItem('pos-test'))), { cart: [1, 2] });
+
+        adapter().removeItem('pos-test');
+        assert.equal(adapter().getItem('pos-test'), null);
+    });
+
+    test('plain strings saved before values were JSON are read as strings', () => {
+        page.window.localStorage.setItem('pos-test', 'EUR');
+        assert.equal(adapter().getItem('pos-test'), 'EUR');
+    });
+});
+
+describe('POSStorage over an asynchronous adapter', () => {
+    const page = usePage({ body: '' });
+
+    // An in-memory asynchronous backend whose writes finish in the order given by delays
+    const slowAdapter = (delays = []) => {
+        const values = new Map();
+        const log = [];
+        return {
+            synchronous: false,
+            values,
+            log,
+            getItem: async key => values.has(key) ? values.get(key) : null,
+            setItem: async (key, value) => {
+                await tick(delays.shift() || 0);
+                if (value === 'fail') throw new Error('backend down');
+                values.set(key, value);
+                log.push(value);
+            },
+            removeItem: async key => { values.delete(key); }
+        };
+    };
+
+    test('nothing is readable before load()', async () => {
+        const adapter = slowAdapter();
+        adapter.values.set('cart', ['mug']);
+        const storage = new (page.window.eval('POSStorage'))(adapter);
+
+        assert.equal(storage.isReady(), false);
+        assert.equal(storage.get('cart', 'none'), 'none');
+        await storage.load(['cart', 'orders']);
+        assert.equal(storage.isReady(), true);
+        assert.deepEqual(storage.get('cart'), ['mug']);
+        assert.equal(storage.get('orders'), null);
+    });
+
+    test('writes to a key reach the backend one at a time, in order', async () => {
+        const adapter = slowAdapter([30, 0, 10]);
+        const storage = new (page.window.eval('POSStorage'))(adapter);
+
+        storage.set('cart', 1);
+        storage.set('cart', 2);
+        await storage.set('cart', 3);
+        assert.deepEqual(adapter.log, [1, 2, 3]);
+        assert.equal(adapter.values.get('cart'), 3);
+    });
+
+    test('a failed write is logged and does not block the next one', async () => {
+        const adapter = slowAdapter();
+        const storage = new (page.window.eval('POSStorage'))(adapter);
+
+        storage.set('cart', 'fail');
+        await storage.set('cart', 'ok');
+        assert.equal(adapter.values.get('cart'), 'ok');
+        assert.ok(page.log.some(entry => entry.args[0] === 'Universal POS: Error saving cart'));
+    });
+});
+
+describe('RemoteStorageAdapter', () => {
+    const page = usePage({ body: '', scripts: ['pos-storage.js'], backend: () => startStorageBackend() });
+    const adapter = (options = {}) => new (page.window.eval('RemoteStorageAdapter'))({ endpoint: `${page.backend.url}/storage/`, ...options });
+
+    test('keys map to REST resources under the endpoint', async () => {
+        await adapter({ headers: { Authorization: 'Bearer test' } }).setItem('universal-pos-cart', [{ id: 'mug' }]);
+
+        const request = page.backend.lastRequest('/storage/universal-pos-cart');
+        assert.equal(request.method, 'PUT');
+        assert.equal(request.headers.authorization, 'Bearer test');
+        assert.deepEqual(request.body, [{ id: 'mug' }]);
+        assert.deepEqual(await adapter().getItem('universal-pos-cart'), [{ id: 'mug' }]);
+
+        await adapter().removeItem('universal-pos-cart');
+        assert.equal(page.backend.values.has('universal-pos-cart'), false);
+    });
+
+    test('a key never stored reads as null; other failures throw', async () => {
+        assert.equal(await adapter().getItem('missing'), null);
+        await assert.rejects(
+            new (page.window.eval('RemoteStorageAdapter'))({ endpoint: `${page.backend.url}/nowhere` }).setItem('cart', []),
+            /Storage request failed: PUT cart \(404\)/
+        );
+        assert.throws(() => new (page.window.eval('RemoteStorageAdapter'))(), /requires an endpoint/);
+    });
+
+    test('IndexedDB reports when the browser has none', async () => {
+        await assert.rejects(new (page.window.eval('IndexedDBAdapter'))().getItem('cart'), /IndexedDB is not available/);
+    });
+});
+
+describe('the POS on a remote backend', () => {
+    const page = usePage({
+        scripts: ['pos-storage.js'],
+        backend: () => startStorageBackend({
+            'universal-pos-inventory': { mug: 4 },
+            'universal-pos-orders': [{ id: '1', status: 'completed' }]
+        })
+    });
+
+    test('state is loaded before the POS initializes, and changes are written through', async () => {
+        let pos;
+        await initialized(page.window, () => {
+            pos = page.window.eval(`new UniversalPOS({
+                storage: new RemoteStorageAdapter({ endpoint: '${page.backend.url}/storage' }),
+                reservationCheckInterval: 0
+            })`);
+        });
+
+        assert.equal(pos.getAvailableStock('mug'), 4);
+        assert.equal(pos.getOrders().length, 1);
+
+        const revision = () => (JSON.parse(page.window.localStorage.getItem('universal-pos-sync')) || { revision: 0 }).revision;
+        const before = revision();
+        pos.addToCart('mug', 1);
+        // Other tabs only hear of the change once the backend has it
+        assert.equal(revision(), before);
+        await Promise.all(pos.storage.writes.values());
+        await tick();
+
+        assert.deepEqual(page.backend.values.get('universal-pos-cart').data.map(line => [line.key, line.quantity]), [['mug', 1]]);
+        assert.equal(revision(), before + 1);
+        pos.destroy();
+    });
+});
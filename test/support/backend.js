@@ -0,0 +1,481 @@
+/**
+ * Local HTTP backends for the tests, and stand-ins for the payment SDKs that talk to them
+ * Routes are "METHOD /path/:param" handlers that get { body, params, headers } and return
+ * { status, body }. Every request is recorded.
+ */
+
+const http = require('http');
+
+/**
+ * @param {Object<string, Function>} routes - e.g. { 'GET /storage/:key': ({ params }) => ({ body: ... }) }
+ * @returns {Promise<{ url: string, requests: Array, lastRequest: Function, close: Function }>}
+ */
+async function startMockBackend(routes) {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', async () => {
+            const url = new URL(req.url, 'http://localhost');
+            const body = raw ? JSON.parse(raw) : null;
+            requests.push({ method: req.method, path: url.pathname, headers: req.headers, body });
+
+            let route = null;
+            let params = {};
+            for (const [pattern, handler] of Object.entries(routes)) {
+                const [method, path] = pattern.split(' ');
+                const names = [];
+                const regex = new RegExp(`^${path.replace(/:(\w+)/g, (_, name) => { names.push(name); return '([^/]+)'; })}$`);
+                const match = regex.exec(url.pathname);
+                if (method === req.method && match) {
+                    route = handler;
+                    params = Object.fromEntries(names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+                    break;
+                }
+            }
+
+            const result = route
+                ? await route({ body, params, headers: req.headers })
+                : { status: 404, body: { error: `No route for ${req.method} ${url.pathname}` } };
+
+            res.writeHead(result.status || 200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(result.body === undefined ? {} : result.body));
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        lastRequest: path => [...requests].reverse().find(request => request.path.endsWith(path)),
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/**
+ * Key-value store behind RemoteStorageAdapter: GET/PUT/DELETE /storage/:key
+ * The stored values are on the returned backend's `values` map.
+ */
+async function startStorageBackend(values = {}) {
+    const store = new Map(Object.entries(values));
+    const backend = await startMockBackend({
+        'GET /storage/:key': ({ params }) => store.has(params.key)
+            ? { body: store.get(params.key) }
+            : { status: 404, body: { error: 'Not found' } },
+        'PUT /storage/:key': ({ params, body }) => {
+            store.set(params.key, body);
+            return { status: 204 };
+        },
+        'DELETE /storage/:key': ({ params }) => {
+            store.delete(params.key);
+            return { status: 204 };
+        }
+    });
+
+    return { ...backend, values: store };
+}
+
+/**
+ * The backend endpoints SquareProcessor calls, keeping payments the way Square's Payments API does
+ * Card tokens work like Square's sandbox test nonces: 'cnon:card-nonce-ok' is approved and
+ * 'cnon:card-nonce-declined' is declined. The payments are on the returned backend's `payments` map.
+ */
+async function startSquareBackend(prefix = '/api/payments') {
+    const payments = new Map();
+    const idempotency = new Map();
+    let sequence = 0;
+
+    const notFound = id => ({ status: 404, body: { error: `Payment ${id} not found` } });
+
+    const backend = await startMockBackend({
+        [`POST ${prefix}/process-square-payment`]: ({ body, headers }) => {
+            const key = headers['idempotency-key'];
+            if (key && idempotency.has(key)) {
+                return idempotency.get(key);
+            }
+
+            let result;
+            if (!body.sourceId || !body.locationId) {
+                result = { status: 400, body: { error: 'sourceId and locationId are required' } };
+            } else if (body.sourceId === 'cnon:card-nonce-declined') {
+                result = { status: 402, body: { error: 'Card declined' } };
+            } else {
+                const payment = {
+                    id: `sq_${++sequence}`,
+                    // autocomplete: false only approves the card, for complete-square-payment later
+                    status: body.autocomplete === false ? 'APPROVED' : 'COMPLETED',
+                    amountMoney: { amount: body.amount, currency: body.currency },
+                    referenceId: body.orderId
+                };
+                payments.set(payment.id, payment);
+                result = { status: 200, body: { payment } };
+            }
+
+            if (key) {
+                idempotency.set(key, result);
+            }
+            return result;
+        },
+
+        [`POST ${prefix}/refund-square-payment`]: ({ body }) => {
+            const payment = payments.get(body.paymentId);
+            if (!payment) return notFound(body.paymentId);
+            if (payment.status !== 'COMPLETED') {
+                return { status: 400, body: { error: `Payment ${payment.id} is ${payment.status}` } };
+            }
+            return {
+                status: 200,
+                body: { refund: { id: `sqr_${++sequence}`, status: 'PENDING', paymentId: payment.id, amountMoney: { amount: body.amount || payment.amountMoney.amount, currency: body.currency } } }
+            };
+        },
+
+        [`POST ${prefix}/complete-square-payment`]: ({ body }) => {
+            const payment = payments.get(body.paymentId);
+            if (!payment) return notFound(body.paymentId);
+            if (payment.status !== 'APPROVED') {
+                return { status: 400, body: { error: `Payment ${payment.id} is ${payment.status}` } };
+            }
+            if (body.amount > payment.amountMoney.amount) {
+                return { status: 400, body: { error: 'The amount cannot be more than was approved' } };
+            }
+            payment.status = 'COMPLETED';
+            payment.amountMoney = { amount: body.amount || payment.amountMoney.amount, currency: body.currency };
+            return { status: 200, body: { payment } };
+        },
+
+        [`POST ${prefix}/cancel-square-payment`]: ({ body }) => {
+            const payment = payments.get(body.paymentId);
+            if (!payment) return notFound(body.paymentId);
+            if (payment.status !== 'APPROVED') {
+                return { status: 400, body: { error: `Payment ${payment.id} is ${payment.status}` } };
+            }
+            payment.status = 'CANCELED';
+            return { status: 200, body: { payment } };
+        },
+
+        [`GET ${prefix}/square-payment-status/:paymentId`]: ({ params }) => {
+            const payment = payments.get(params.paymentId);
+            return payment ? { status: 200, body: { payment } } : notFound(params.paymentId);
+        }
+    });
+
+    return { ...backend, endpoint: `${backend.url}${prefix}`, payments };
+}
+
+/**
+ * window.Square: a stand-in for the Web Payments SDK whose card field's next token is card.nonce
+ */
+function installSquareSDK(window) {
+    const card = {
+        nonce: 'cnon:card-nonce-ok',
+        attach: async () => {},
+        destroy: async () => {},
+        tokenize: async () => ({ status: 'OK', token: card.nonce })
+    };
+
+    window.Square = {
+        card,
+        payments: () => ({
+            card: async () => card,
+            verifyBuyer: async () => ({ token: 'verf:ok' })
+        })
+    };
+
+    return card;
+}
+
+/**
+ * The backend endpoints AuthorizeNetProcessor calls, answering with transactionResponse the way
+ * createTransactionRequest does. Like the Authorize.Net sandbox, billing ZIP 46282 is declined
+ * (response code 2); ZIP 46205 is held for review by fraud filters (response code 4).
+ * Transactions settle only when the test calls settle(transId); refunds need a settled transaction.
+ */
+const DECLINED_ZIP = '46282';
+const REVIEW_ZIP = '46205';
+
+async function startAuthorizeNetBackend(prefix = '/api/payments') {
+    const transactions = new Map();
+    const idempotency = new Map();
+    let sequence = 60000000000;
+
+    const approved = (transId, extra = {}) => ({
+        status: 200,
+        body: { transactionResponse: { responseCode: '1', authCode: 'ABC123', transId, accountNumber: 'XXXX1111', accountType: 'Visa', ...extra } }
+    });
+    const failed = (responseCode, errorCode, errorText) => ({
+        status: 200,
+        body: { transactionResponse: { responseCode, transId: '0', errors: [{ errorCode, errorText }] } }
+    });
+    const notFound = () => failed('3', '16', 'The transaction cannot be found.');
+
+    // Backends answer a repeated Idempotency-Key from their cache, as the processor expects
+    const idempotent = handler => request => {
+        const key = request.headers['idempotency-key'];
+        if (key && idempotency.has(key)) {
+            return idempotency.get(key);
+        }
+        const result = handler(request);
+        if (key) {
+            idempotency.set(key, result);
+        }
+        return result;
+    };
+
+    const backend = await startMockBackend({
+        [`POST ${prefix}/process-authorize-net-payment`]: idempotent(({ body }) => {
+            if (!body.opaqueData || !body.opaqueData.dataValue) {
+                return { status: 400, body: { error: 'opaqueData is required' } };
+            }
+            const zip = body.billTo && body.billTo.zip;
+            if (zip === DECLINED_ZIP) {
+                return failed('2', '2', 'This transaction has been declined.');
+            }
+
+            const authOnly = body.transactionType === 'authOnlyTransaction';
+            const transaction = {
+                transId: String(++sequence),
+                transactionType: body.transactionType,
+                transactionStatus: zip === REVIEW_ZIP ? 'FDSPendingReview' : (authOnly ? 'authorizedPendingCapture' : 'capturedPendingSettlement'),
+                authAmount: body.amount,
+                settleAmount: authOnly ? 0 : body.amount,
+                currency: body.currency,
+                invoiceNumber: body.orderId
+            };
+            transactions.set(transaction.transId, transaction);
+            return zip === REVIEW_ZIP
+                ? approved(transaction.transId, { responseCode: '4', messages: [{ code: '252', description: 'Your order has been received. Thank you for your business!' }] })
+                : approved(transaction.transId);
+        }),
+
+        [`POST ${prefix}/capture-authorize-net-payment`]: idempotent(({ body }) => {
+            const transaction = transactions.get(body.transactionId);
+            if (!transaction) return notFound();
+            if (transaction.transactionStatus !== 'authorizedPendingCapture') {
+                return failed('3', '311', 'This transaction has already been captured.');
+            }
+            if (body.amount !== null && body.amount > transaction.authAmount) {
+                return failed('3', '47', 'The amount requested for settlement cannot be greater than the original amount authorized.');
+            }
+            transaction.transactionStatus = 'capturedPendingSettlement';
+            transaction.settleAmount = body.amount === null ? transaction.authAmount : body.amount;
+            return approved(transaction.transId);
+        }),
+
+        [`POST ${prefix}/void-authorize-net-payment`]: idempotent(({ body }) => {
+            const transaction = transactions.get(body.transactionId);
+            if (!transaction) return notFound();
+            if (!['authorizedPendingCapture', 'capturedPendingSettlement'].includes(transaction.transactionStatus)) {
+                return failed('3', '310', 'This transaction has already been voided or settled.');
+            }
+            transaction.transactionStatus = 'voided';
+            return approved(transaction.transId);
+        }),
+
+        [`POST ${prefix}/refund-authorize-net-payment`]: idempotent(({ body }) => {
+            const transaction = transactions.get(body.transactionId);
+            if (!transaction) return notFound();
+            const amount = body.amount === null ? transaction.settleAmount : body.amount;
+            if (transaction.transactionStatus !== 'settledSuccessfully' || amount > transaction.settleAmount) {
+                return failed('3', '54', 'The referenced transaction does not meet the criteria for issuing a credit.');
+            }
+
+            const refund = {
+                transId: String(++sequence),
+                transactionType: 'refundTransaction',
+                transactionStatus: 'refundPendingSettlement',
+                refTransId: transaction.transId,
+                settleAmount: amount,
+                currency: body.currency
+            };
+            transactions.set(refund.transId, refund);
+            return approved(refund.transId);
+        }),
+
+        [`GET ${prefix}/authorize-net-payment-status/:transactionId`]: ({ params }) => {
+            const transaction = transactions.get(params.transactionId);
+            return transaction
+                ? { status: 200, body: { transaction } }
+                : { status: 404, body: { error: 'The record cannot be found.' } };
+        }
+    });
+
+    return {
+        ...backend,
+        endpoint: `${backend.url}${prefix}`,
+        transactions,
+        settle: transId => { transactions.get(transId).transactionStatus = 'settledSuccessfully'; }
+    };
+}
+
+/**
+ * window.Accept whose dispatchData turns a card into opaqueData, refusing card numbers that fail
+ * the Luhn check the way Accept.js does. Each request is kept in accept.requests.
+ */
+function installAcceptJS(window) {
+    const accept = {
+        requests: [],
+        dispatchData(secureData, callback) {
+            accept.requests.push(secureData);
+            const number = secureData.cardData.cardNumber || '';
+            const digits = number.split('').reverse().map(Number);
+            const luhn = digits.reduce((sum, digit, index) => sum + (index % 2 ? (digit * 2 > 9 ? digit * 2 - 9 : digit * 2) : digit), 0);
+
+            setTimeout(() => {
+                if (!/^\d{13,19}$/.test(number) || luhn % 10 !== 0) {
+                    callback({ messages: { resultCode: 'Error', message: [{ code: 'E_WC_05', text: 'Please provide valid credit card number.' }] } });
+                    return;
+                }
+                callback({
+                    messages: { resultCode: 'Ok', message: [{ code: 'I_WC_01', text: 'Successful.' }] },
+                    opaqueData: { dataDescriptor: 'COMMON.ACCEPT.INAPP.PAYMENT', dataValue: `nonce-${number.slice(-4)}-${accept.requests.length}` }
+                });
+            });
+        }
+    };
+
+    window.Accept = accept;
+    return accept;
+}
+
+/**
+ * The backend endpoint wallet processors hand their payment token to, e.g. 'process-google-pay'
+ * Token 'tok_declined' is declined; any other is charged with the status in backend.nextStatus
+ * ('succeeded' unless a test sets it).
+ */
+async function startWalletBackend(endpoint, prefix = '/api/payments') {
+    const idempotency = new Map();
+    let sequence = 0;
+
+    const backend = await startMockBackend({
+        [`POST ${prefix}/${endpoint}`]: ({ body, headers }) => {
+            const key = headers['idempotency-key'];
+            if (key && idempotency.has(key)) {
+                return idempotency.get(key);
+            }
+
+            const token = body.paymentData && body.paymentData.paymentMethodData
+                ? body.paymentData.paymentMethodData.tokenizationData.token
+                : null;
+            const result = token === 'tok_declined'
+                ? { status: 402, body: { success: false, error: 'Your card was declined.' } }
+                : { status: 200, body: { success: true, id: `ch_${++sequence}`, status: wallet.nextStatus } };
+
+            if (key) {
+                idempotency.set(key, result);
+            }
+            return result;
+        }
+    });
+
+    const wallet = { ...backend, endpoint: `${backend.url}${prefix}`, nextStatus: 'succeeded' };
+    return wallet;
+}
+
+/**
+ * window.PaymentRequest: a stand-in for the browser's payment sheet, which the customer fills in
+ * through sheet.customer before show() is called. Events are dispatched the way browsers do, and
+ * each updateWith() result is kept in sheet.updates; complete() results go to sheet.completed.
+ */
+function installPaymentRequest(window) {
+    const sheet = {
+        available: true,
+        requests: [],
+        updates: [],
+        completed: [],
+        // { cancel, address: PaymentAddress, option: shipping option ID, token, payerName, payerEmail }
+        customer: {}
+    };
+
+    class PaymentRequest {
+        constructor(methodData, details, options = {}) {
+            this.methodData = methodData;
+            this.details = details;
+            this.options = options;
+            this.shippingAddress = null;
+            this.shippingOption = null;
+            this.listeners = {};
+            sheet.requests.push(this);
+        }
+
+        addEventListener(type, listener) {
+            (this.listeners[type] = this.listeners[type] || []).push(listener);
+        }
+
+        async dispatch(type) {
+            for (const listener of this.listeners[type] || []) {
+                let update = null;
+                listener({ type, updateWith: promise => { update = promise; } });
+                if (update) {
+                    sheet.updates.push(await update);
+                }
+            }
+        }
+
+        async canMakePayment() {
+            return sheet.available;
+        }
+
+        async show() {
+            const { customer } = sheet;
+            if (customer.address) {
+                this.shippingAddress = customer.address;
+                await this.dispatch('shippingaddresschange');
+            }
+            if (customer.option) {
+                this.shippingOption = customer.option;
+                await this.dispatch('shippingoptionchange');
+            }
+            if (customer.cancel) {
+                throw new window.DOMException('The user closed the sheet', 'AbortError');
+            }
+
+            return {
+                details: { apiVersion: 2, paymentMethodData: { tokenizationData: { type: 'PAYMENT_GATEWAY', token: customer.token || 'tok_visa' } } },
+                payerName: customer.payerName || null,
+                payerEmail: customer.payerEmail || null,
+                shippingAddress: this.shippingAddress,
+                complete: async result => { sheet.completed.push(result); }
+            };
+        }
+    }
+
+    window.PaymentRequest = PaymentRequest;
+    return sheet;
+}
+
+/**
+ * The backend endpoints counter tenders (gift cards, house accounts, ...) are redeemed and reversed
+ * through. Redemptions are approved in full; reversals fail while backend.failReverse is set.
+ */
+async function startTenderBackend(prefix = '/api/payments') {
+    let sequence = 0;
+
+    const backend = await startMockBackend({
+        [`POST ${prefix}/redeem-tender`]: ({ body }) => ({
+            status: 200,
+            body: { id: `gc_${++sequence}`, amount: body.amount, balance: 0 }
+        }),
+        [`POST ${prefix}/reverse-tender`]: ({ body }) => tenders.failReverse
+            ? { status: 503, body: { error: 'Gift card service unavailable' } }
+            : { status: 200, body: { id: `gcr_${++sequence}`, paymentId: body.paymentId } }
+    });
+
+    const tenders = { ...backend, endpoint: `${backend.url}${prefix}`, failReverse: false };
+    return tenders;
+}
+
+module.exports = {
+    startMockBackend,
+    startStorageBackend,
+    startSquareBackend,
+    installSquareSDK,
+    startAuthorizeNetBackend,
+    installAcceptJS,
+    DECLINED_ZIP,
+    REVIEW_ZIP,
+    startWalletBackend,
+    installPaymentRequest,
+    startTenderBackend
+};
@@ -0,0 +1,105 @@
+/**
+ * Store pages for the tests: the POS browser scripts loaded into jsdom the way a store page loads
+ * them with <script> tags
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { before, after } = require('node:test');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// Loaded on every page, in the order a store page loads them
+const CORE_SCRIPTS = ['pos-i18n.js', 'pos-html.js', 'pos-orders.js', 'pos-system.js'];
+
+// A plain product, and one sold in sizes with their own price and stock
+const PRODUCTS = `
+    <div data-pos-product="mug" data-pos-name="Coffee Mug" data-pos-price="15.99" data-pos-inventory="10"></div>
+    <div data-pos-product="tee" data-pos-name="T-Shirt" data-pos-price="20" data-pos-sku="TEE"
+         data-pos-variants='[{"id":"s","options":{"size":"S"},"inventory":3},{"id":"xl","options":{"size":"XL"},"price":24,"sku":"TEE-XL","inventory":1}]'></div>
+`;
+
+/**
+ * Resolves with the window once the scripts ran and the POS initialized on DOMContentLoaded
+ * Classes are script globals, not window properties: reach them with window.eval('UniversalPOS').
+ *
+ * @param {Object} [page]
+ * @param {string} [page.body] - Body markup; the default PRODUCTS
+ * @param {string[]} [page.scripts] - Scripts loaded after the core scripts
+ * @param {Object} [page.storage] - localStorage entries present before the scripts run; objects are stored as JSON
+ * @param {Object} [page.options] - UniversalPOS options; the POS is created with them instead of auto-initialized
+ * @param {Array} [page.log] - Receives { level, args } for each console.error and console.warn
+ */
+async function loadPage({ body = PRODUCTS, scripts = [], storage = {}, options = null, log = [] } = {}) {
+    // Script errors would otherwise only reach the virtual console
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error));
+    ['error', 'warn'].forEach(level => virtualConsole.on(level, (...args) => log.push({ level, args })));
+
+    const dom = new JSDOM(`<!DOCTYPE html><html><head></head><body>${body}</body></html>`, {
+        url: 'http://localhost/',
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole
+    });
+    const { window } = dom;
+
+    // Backend calls go to the local mock servers the tests start
+    window.fetch = globalThis.fetch;
+    Object.entries(storage).forEach(([key, value]) => {
+        window.localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+    });
+
+    const ready = new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve));
+    // Script elements, not eval: top-level classes and consts must be globals shared between files
+    const sources = [...CORE_SCRIPTS, ...scripts].map(file => `${fs.readFileSync(path.join(ROOT, file), 'utf8')}\n//# sourceURL=${file}`);
+    if (options) {
+        sources.push(`window.universalPOS = new UniversalPOS(${JSON.stringify(options)});`);
+    }
+    sources.forEach(source => {
+        const script = window.document.createElement('script');
+        script.textContent = source;
+        window.document.head.appendChild(script);
+    });
+    await ready;
+    if (errors.length > 0) {
+        throw errors[0];
+    }
+
+    return window;
+}
+
+/**
+ * One page for the tests of the enclosing describe(), loaded before them and closed after them
+ * Takes loadPage's options, plus backend: a function starting the mock backend the page talks to
+ * (see backend.js), closed with the page; options may be a function of the page, to use the backend.
+ * The returned object gets window, pos, log and backend.
+ */
+function usePage({ backend = null, ...options } = {}) {
+    const page = { log: [] };
+
+    before(async () => {
+        if (backend) {
+            page.backend = await backend();
+        }
+        // POS options may depend on the backend, e.g. { apiEndpoint: page.backend.url }
+        const posOptions = typeof options.options === 'function' ? options.options(page) : options.options;
+        page.window = await loadPage({ ...options, options: posOptions, log: page.log });
+        page.pos = page.window.universalPOS;
+    });
+
+    after(async () => {
+        if (page.window) {
+            page.window.close();
+        }
+        if (page.backend) {
+            await page.backend.close();
+        }
+    });
+
+    return page;
+}
+
+module.exports = { loadPage, usePage, PRODUCTS, ROOT };
@@ -0,0 +1,76 @@
+/**
+ * Cross-tab sync: revision-stamped saves, storage events from other tabs, latest state wins
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { usePage } = require('./support/page');
+
+describe('cross-tab sync', () => {
+    const page = usePage({ options: { reservationCheckInterval: 0 } });
+
+    const storage = () => page.window.localStorage;
+    const syncState = () => JSON.parse(storage().getItem('universal-pos-sync'));
+
+    // What another tab leaves behind: its state, then a newer revision stamp
+    const saveFromOtherTab = (entries, { announce = true } = {}) => {
+        Object.entries(entries).forEach(([key, value]) => storage().setItem(key, JSON.stringify(value)));
+        storage().setItem('universal-pos-sync', JSON.stringify({ revision: syncState().revision + 1, tabId: 'tab-other', updatedAt: Date.now() }));
+        if (announce) {
+            page.window.dispatchEvent(new page.window.StorageEvent('storage', { key: 'universal-pos-sync' }));
+        }
+    };
+
+    beforeEach(() => {
+        page.pos.clearCart();
+        page.pos.setInventory('mug', 10);
+    });
+
+    test('every save stamps a higher revision with this tab', () => {
+        const before = syncState().revision;
+        page.pos.addToCart('mug', 1);
+
+        assert.equal(syncState().revision, before + 1);
+        assert.equal(syncState().tabId, page.pos.tabId);
+        assert.equal(page.pos.revision, before + 1);
+    });
+
+    test('a newer save from another tab is loaded and announced', () => {
+        const synced = [];
+        page.window.document.addEventListener('pos:synced', event => synced.push(event.detail.tabId));
+
+        saveFromOtherTab({
+            'universal-pos-cart': [{ key: 'mug', id: 'mug', name: 'Coffee Mug', price: 15.99, quantity: 3 }],
+            'universal-pos-reservations': [{ id: 'res-other', key: 'mug', quantity: 3, createdAt: Date.now(), expiresAt: Date.now() + 60000 }]
+        });
+
+        assert.equal(page.pos.cart[0].quantity, 3);
+        assert.equal(page.pos.getAvailableStock('mug'), 7);
+        assert.equal(page.window.document.querySelector('.pos-cart-count').textContent, '3');
+        assert.deepEqual(synced, ['tab-other']);
+    });
+
+    test('a stamp no newer than ours is ignored', () => {
+        page.pos.addToCart('mug', 1);
+        storage().setItem('universal-pos-cart', '[]');
+
+        assert.equal(page.pos.pullLatestState(), false);
+        assert.equal(page.pos.cart.length, 1);
+    });
+
+    test('changes are applied on top of the latest saved state, even without an event', () => {
+        saveFromOtherTab({ 'universal-pos-inventory': { mug: 2 } }, { announce: false });
+
+        assert.equal(page.pos.addToCart('mug', 3), false);
+        assert.equal(page.pos.addToCart('mug', 2), true);
+        assert.equal(JSON.parse(storage().getItem('universal-pos-inventory')).data.mug, 2);
+    });
+
+    test('stopSync stops listening to other tabs', () => {
+        page.pos.stopSync();
+        saveFromOtherTab({ 'universal-pos-cart': [{ key: 'mug', id: 'mug', name: 'Coffee Mug', price: 15.99, quantity: 5 }] });
+
+        assert.equal(page.pos.cart.length, 0);
+        page.pos.startSync();
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * Tax engine: jurisdiction rates, tax classes and tax per cart line
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { usePage } = require('./support/page');
+
+const BODY = `
+    <div data-pos-product="laptop" data-pos-name="Laptop" data-pos-price="1000" data-pos-category="electronics"></div>
+    <div data-pos-product="jeans" data-pos-name="Jeans" data-pos-price="50" data-pos-category="clothing"></div>
+    <div data-pos-product="novel" data-pos-name="Novel" data-pos-price="10" data-pos-category="books" data-pos-tax-class="exempt"></div>
+`;
+
+const TAX = {
+    categoryClasses: { clothing: 'clothing' },
+    regions: {
+        'US-NY': { standard: 0.08875, clothing: 0 },
+        'US-CA': { standard: 0.0725 },
+        'US': { standard: 0.05 }
+    },
+    defaultRegion: 'US-NY'
+};
+
+describe('tax per line', () => {
+    const page = usePage({
+        body: BODY,
+        scripts: ['pos-promotions.js', 'pos-tax.js'],
+        options: { tax: TAX, promotions: [{ code: 'TENOFF', type: 'fixed', value: 10 }] }
+    });
+
+    const taxByLine = () => Object.fromEntries([...page.pos.calculateTotals().taxLines].map(line => [line.key, [line.taxClass, line.rate, line.tax]]));
+
+    beforeEach(() => {
+        page.pos.clearCart();
+        page.pos.setShippingAddress(null);
+    });
+
+    test('each line is taxed at its class rate in the default region', () => {
+        page.pos.addToCart('laptop', 1);
+        page.pos.addToCart('jeans', 2);
+        page.pos.addToCart('novel', 1);
+
+        assert.deepEqual(taxByLine(), {
+            laptop: ['standard', 0.08875, 88.75],
+            jeans: ['clothing', 0, 0],
+            novel: ['exempt', 0, 0]
+        });
+        const totals = page.pos.calculateTotals();
+        assert.equal(totals.taxRegion, 'US-NY');
+        assert.equal(totals.tax, 88.75);
+        assert.equal(totals.total, 1198.75);
+    });
+
+    test('the shipping address picks the region: state first, then country', () => {
+        page.pos.addToCart('jeans', 2);
+
+        page.pos.setShippingAddress({ country: 'us', state: 'ca' });
+        assert.deepEqual(taxByLine().jeans, ['clothing', 0.0725, 7.25]);
+
+        page.pos.setShippingAddress({ country: 'US', state: 'TX' });
+        assert.equal(page.pos.calculateTotals().taxRegion, 'US');
+        assert.deepEqual(taxByLine().jeans, ['clothing', 0.05, 5]);
+    });
+
+    test('order discounts are spread over the lines before they are taxed', () => {
+        page.pos.addToCart('laptop', 1);
+        page.pos.addToCart('jeans', 2);
+        page.pos.setShippingAddress({ country: 'US', state: 'CA' });
+        page.pos.applyCoupon('TENOFF');
+
+        // The laptop is 1000 of 1100, so it carries 10/11 of the discount
+        const laptop = page.pos.calculateTotals().taxLines.find(line => line.key === 'laptop');
+        assert.equal(laptop.taxable, 990.91);
+        assert.equal(laptop.tax, 71.84);
+    });
+
+    test('order lines carry their tax', () => {
+        page.pos.addToCart('laptop', 1);
+        const [line] = page.pos.getCheckoutLines(page.pos.calculateTotals());
+
+        assert.equal(line.taxRate, 0.08875);
+        assert.equal(line.tax, 88.75);
+    });
+});
+
+describe('tax-inclusive prices', () => {
+    const page = usePage({
+        body: BODY,
+        scripts: ['pos-tax.js'],
+        options: { tax: { pricesIncludeTax: true, regions: { GB: { standard: 0.2 } }, defaultRegion: 'GB' } }
+    });
+
+    test('the tax is taken out of the price, not added to it', () => {
+        page.pos.addToCart('jeans', 1);
+        const totals = page.pos.calculateTotals();
+
+        assert.equal(totals.taxInclusive, true);
+        assert.equal(totals.tax, 8.33);
+        assert.equal(totals.total, 50);
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * Templates: sites replace the markup of the controls the POS injects, and the controls keep working
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { usePage } = require('./support/page');
+
+describe('templates option', () => {
+    const page = usePage({ options: { reservationCheckInterval: 0 } });
+    const product = id => page.window.document.querySelector(`[data-pos-product="${id}"]`);
+
+    // Template functions do not survive the page's JSON options, so this POS is created in the test
+    const createPOS = templates => {
+        page.pos.destroy();
+        page.pos = new (page.window.eval('UniversalPOS'))({ reservationCheckInterval: 0, templates });
+    };
+
+    test('the overrides render the product controls', () => {
+        createPOS({
+            stockBadge: ({ stock }) => `<em>${stock} left</em>`,
+            // Falls back to the default label for everything but sold-out products
+            addButton: ({ state }) => state === 'out-of-stock' ? 'Sold out' : null
+        });
+
+        page.pos.setInventory('mug', 4);
+        assert.equal(product('mug').querySelector('.pos-stock').innerHTML, '<em>4 left</em>');
+        assert.equal(product('mug').querySelector('.pos-add-to-cart').textContent.trim(), 'Add to Cart');
+
+        page.pos.setInventory('mug', 0);
+        assert.equal(product('mug').querySelector('.pos-add-to-cart').textContent.trim(), 'Sold out');
+        assert.ok(product('mug').querySelector('.pos-stock').classList.contains('pos-out-of-stock'), 'the POS still sets the stock class');
+    });
+
+    test('unknown templates and non-functions are refused', () => {
+        assert.throws(() => createPOS({ cartFooter: () => '' }), /Unknown template: cartFooter/);
+        assert.throws(() => page.pos.setTemplate('cartEmpty', '<p>Empty</p>'), /Template cartEmpty must be a function/);
+    });
+});
+
+describe('setTemplate', () => {
+    const page = usePage({ options: { reservationCheckInterval: 0 } });
+    const document = () => page.window.document;
+    const dropdown = () => document().querySelector('.pos-cart-dropdown');
+
+    beforeEach(() => {
+        page.pos.setTemplate('cartItem', null);
+        page.pos.setTemplate('cartDropdown', null);
+        page.pos.clearCart();
+        page.pos.setInventory('mug', 10);
+    });
+
+    test('a cart item template keeps its buttons working through their classes', () => {
+        page.pos.setTemplate('cartItem', ({ item, lineTotal }) => `
+            <li class="line">${item.name}: ${lineTotal}
+                <button class="pos-quantity-increase" data-line-key="${item.key}">more</button>
+                <button class="pos-cart-item-remove" data-line-key="${item.key}">drop</button>
+            </li>
+        `);
+        page.pos.addToCart('mug', 1);
+
+        document().querySelector('.line .pos-quantity-increase').click();
+        assert.equal(page.pos.cart[0].quantity, 2);
+        assert.match(document().querySelector('.line').textContent, /Coffee Mug: \$31\.98/);
+
+        document().querySelector('.line .pos-cart-item-remove').click();
+        assert.equal(page.pos.cart.length, 0);
+        assert.equal(document().querySelector('.pos-cart-empty').textContent, 'Your cart is empty');
+    });
+
+    test('a dropdown template may leave controls out', () => {
+        page.pos.setTemplate('cartDropdown', () => '<div class="pos-cart-items"></div><div class="pos-cart-totals"></div>');
+        page.pos.addToCart('mug', 1);
+
+        assert.equal(document().querySelectorAll('.pos-cart-container').length, 1, 'the cart is rebuilt, not duplicated');
+        assert.equal(document().querySelector('.pos-cart-clear'), null);
+        assert.match(document().querySelector('.pos-cart-totals').textContent, /\$15\.99/);
+    });
+
+    test('clicking outside closes the rebuilt cart, and rebuilding adds no document listeners', () => {
+        const { addEventListener } = document();
+        let added = 0;
+        document().addEventListener = function (...args) {
+            added++;
+            return addEventListener.apply(this, args);
+        };
+        try {
+            page.pos.setTemplate('cartToggle', ({ itemCount }) => `<span class="pos-cart-count">${itemCount}</span>`);
+            page.pos.setTemplate('cartToggle', null);
+        } finally {
+            delete document().addEventListener;
+        }
+        assert.equal(added, 0);
+
+        document().querySelector('.pos-cart-toggle').click();
+        assert.ok(dropdown().classList.contains('pos-cart-open'));
+        dropdown().querySelector('.pos-cart-items').click();
+        assert.ok(dropdown().classList.contains('pos-cart-open'), 'clicks inside keep it open');
+        document().body.click();
+        assert.equal(dropdown().classList.contains('pos-cart-open'), false);
+    });
+});
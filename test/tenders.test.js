@@ -0,0 +1,231 @@
+/**
+ * Split tender payments: refunds per tender, and payments given back when the order is not completed
+ */
+
+const { test, describe, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { usePage } = require('./support/page');
+const { startTenderBackend } = require('./support/backend');
+
+describe('split tender', () => {
+    const page = usePage({ scripts: ['pos-payments.js'], backend: () => startTenderBackend(), options: { reservationCheckInterval: 0 } });
+    const document = () => page.window.document;
+    let payments;
+    let notifications;
+
+    const errorMessage = () => document().getElementById('pos-error-message').textContent;
+    const amountDue = () => payments.getAmountDue(page.pos.calculateTotals());
+
+    const pay = async (type, amount, reference = '') => {
+        payments.switchPaymentMethod(type);
+        document().getElementById('tender-amount').value = amount;
+        document().getElementById('tender-reference').value = reference;
+        await payments.processPayment();
+        assert.notEqual(document().getElementById('pos-payment-error').style.display, 'block', errorMessage());
+    };
+
+    // Gift card $20 and the rest in cash, with $5 change
+    const checkout = async () => {
+        page.pos.addToCart('mug', 2);
+        await page.pos.placeOrder();
+        await pay('gift_card', '20.00', '6035710012344821');
+        await pay('cash', (amountDue().toMajor() + 5).toFixed(2));
+        return payments.getTransactions().at(-1);
+    };
+
+    before(async () => {
+        page.pos.setCustomerDetails({ name: 'Ada Lovelace', email: 'ada@example.com', phone: '' });
+        payments = page.window.initializePOSPayments({});
+        await payments.initializeProcessor('cash');
+        await payments.initializeProcessor('gift_card', { apiEndpoint: page.backend.endpoint });
+
+        const showNotification = page.pos.showNotification.bind(page.pos);
+        page.pos.showNotification = (message, type) => {
+            notifications.push({ message, type });
+            showNotification(message, type);
+        };
+    });
+
+    beforeEach(() => {
+        notifications = [];
+        page.backend.failReverse = false;
+        page.pos.clearCart();
+        page.pos.setInventory('mug', 10);
+    });
+
+    test('the transaction lists each tender', async () => {
+        const transaction = await checkout();
+
+        assert.deepEqual([...transaction.tenders].map(tender => [tender.type, tender.amountMinor]), [
+            ['gift_card', 2000],
+            ['cash', transaction.amountMinor - 2000]
+        ]);
+        assert.equal(transaction.tenders[1].change, 5);
+    });
+
+    test('a full refund goes back through each tender for its own amount', async () => {
+        const transaction = await checkout();
+        const [giftCard, cash] = transaction.tenders;
+        const refunds = await payments.refundTransaction(transaction.id);
+        const request = page.backend.lastRequest('/reverse-tender');
+
+        assert.equal(refunds.length, 2);
+        assert.deepEqual({ ...request.body }, { type: 'gift_card', paymentId: giftCard.paymentId, amount: 2000, currency: 'USD' });
+        assert.equal(request.headers['idempotency-key'], `${giftCard.paymentId}-refund-1`);
+
+        const [cashRefund, giftCardRefund] = refunds;
+        assert.equal(cashRefund.paymentId, cash.paymentId);
+        assert.equal(cashRefund.amountMinor, cash.amountMinor);
+        assert.equal(giftCardRefund.paymentId, giftCard.paymentId);
+        assert.equal(giftCardRefund.amountMinor, 2000);
+        assert.equal(giftCardRefund.status, 'succeeded');
+        assert.deepEqual([...payments.getTransaction(transaction.id).refunds].map(refund => refund.id), [...refunds].map(refund => refund.id));
+    });
+
+    test('cash refunds are left to the cashier, never reported as refunded', async () => {
+        const transaction = await checkout();
+        const [cashRefund] = await payments.refundTransaction(transaction.id, 3);
+
+        assert.equal(cashRefund.type, 'cash');
+        assert.equal(cashRefund.status, 'requires_action');
+        assert.equal(cashRefund.action, 'Give $3.00 back in cash');
+    });
+
+    test('a partial refund goes back to the most recent tenders first, up to what is left', async () => {
+        const transaction = await checkout();
+        const cash = transaction.tenders[1];
+
+        const refunds = await payments.refundTransaction(transaction.id, cash.amountMinor / 100 + 1);
+        assert.deepEqual([...refunds].map(refund => [refund.type, refund.amountMinor]), [['cash', cash.amountMinor], ['gift_card', 100]]);
+
+        await assert.rejects(payments.refundTransaction(transaction.id, 19.01), /no more than \$19\.00/);
+        const [rest] = await payments.refundTransaction(transaction.id);
+        assert.equal(rest.amountMinor, 1900);
+        assert.equal(page.backend.lastRequest('/reverse-tender').headers['idempotency-key'], `${transaction.tenders[0].paymentId}-refund-2`);
+    });
+
+    test('nothing is refunded when a tender has no processor on the page', async () => {
+        const transaction = await checkout();
+        const giftCard = payments.processors.get('gift_card');
+        payments.processors.delete('gift_card');
+
+        try {
+            await assert.rejects(payments.refundTransaction(transaction.id), /Payment processor not available for refund: Gift card/);
+            assert.equal(payments.getTransaction(transaction.id).refunds.length, 0);
+        } finally {
+            payments.processors.set('gift_card', giftCard);
+        }
+    });
+
+    test('a tender that cannot be refunded fails the refund, and the others are still recorded', async () => {
+        const transaction = await checkout();
+        page.backend.failReverse = true;
+
+        await assert.rejects(payments.refundTransaction(transaction.id), /Refund failed for Gift card \$20\.00: Gift card service unavailable/);
+        assert.deepEqual([...payments.getTransaction(transaction.id).refunds].map(refund => refund.type), ['cash']);
+
+        page.backend.failReverse = false;
+        const [retry] = await payments.refundTransaction(transaction.id);
+        assert.equal(retry.type, 'gift_card');
+        assert.equal(page.backend.lastRequest('/reverse-tender').headers['idempotency-key'], `${transaction.tenders[0].paymentId}-refund-1`);
+    });
+
+    test('a counter tender can be removed before the order is complete', async () => {
+        page.pos.addToCart('mug', 1);
+        await page.pos.placeOrder();
+        await pay('gift_card', '5.00', '6035710012344821');
+        const [giftCard] = payments.tenders;
+
+        document().querySelector('.pos-tender-remove').click();
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        assert.equal(payments.tenders.length, 0);
+        assert.equal(page.backend.lastRequest('/reverse-tender').body.paymentId, giftCard.paymentId);
+        assert.equal(document().querySelector('.pos-summary-tender'), null);
+        await payments.cancelPayment();
+    });
+
+    test('a tender is not removed while a payment is under way', async () => {
+        page.pos.addToCart('mug', 1);
+        await page.pos.placeOrder();
+        await pay('gift_card', '5.00', '6035710012344821');
+        const reversals = page.backend.requests.filter(request => request.path.endsWith('/reverse-tender')).length;
+
+        // The cash payment completing the order is still being taken
+        payments.paymentInProgress = true;
+        try {
+            await payments.removeTender(0);
+        } finally {
+            payments.paymentInProgress = false;
+        }
+
+        assert.equal(payments.tenders.length, 1);
+        assert.equal(page.backend.requests.filter(request => request.path.endsWith('/reverse-tender')).length, reversals);
+        payments.showPaymentStatus('loading');
+        assert.equal(document().querySelector('.pos-tender-remove').disabled, true, 'the remove button is disabled too');
+        payments.showPaymentStatus('idle');
+        await payments.cancelPayment();
+    });
+
+    test('cancelling the payment gives back the tenders already taken', async () => {
+        page.pos.addToCart('mug', 1);
+        await page.pos.placeOrder();
+        await pay('gift_card', '5.00', '6035710012344821');
+        await pay('cash', '2.00');
+        const [giftCard] = payments.tenders;
+
+        await payments.cancelPayment();
+
+        assert.equal(payments.tenders.length, 0);
+        assert.equal(payments.paymentUI.style.display, 'none');
+        assert.equal(page.backend.lastRequest('/reverse-tender').body.paymentId, giftCard.paymentId);
+        assert.ok(notifications.some(notification => notification.message === 'Give $2.00 back in cash'));
+    });
+
+    test('a tender that cannot be given back keeps the payment open', async () => {
+        page.pos.addToCart('mug', 1);
+        await page.pos.placeOrder();
+        await pay('gift_card', '5.00', '6035710012344821');
+        page.backend.failReverse = true;
+
+        await payments.cancelPayment();
+
+        assert.equal(payments.tenders.length, 1);
+        assert.equal(payments.paymentUI.style.display, 'block');
+        assert.equal(errorMessage(), 'Gift card service unavailable');
+
+        page.backend.failReverse = false;
+        await payments.cancelPayment();
+        assert.equal(payments.tenders.length, 0);
+    });
+
+    test('tenders belong to the order they were taken for', async () => {
+        page.pos.addToCart('mug', 1);
+        await page.pos.placeOrder();
+        const orderId = page.pos.buildCheckoutData().orderId;
+        await pay('cash', '4.00');
+        assert.equal(payments.tenderOrderId, orderId);
+
+        // The cart changes while the order is part paid, which makes it a new order
+        page.pos.addToCart('mug', 1);
+        payments.switchPaymentMethod('cash');
+        document().getElementById('tender-amount').value = '100.00';
+        await payments.processPayment();
+
+        assert.match(errorMessage(), /The order changed after part of it was paid/);
+        assert.equal(payments.tenders.length, 0);
+        assert.ok(notifications.some(notification => notification.message === 'Give $4.00 back in cash'));
+        assert.ok(!payments.getTransactions().some(transaction => transaction.orderId === orderId));
+
+        await pay('cash', '100.00');
+        const transaction = payments.getTransactions().at(-1);
+        assert.notEqual(transaction.orderId, orderId);
+        assert.equal(transaction.tenders.length, 1);
+    });
+
+    test('Money amounts refund in their own currency through the tender backend', async () => {
+        const giftCard = payments.processors.get('gift_card');
+        await giftCard.refundPayment('gc_1', page.window.eval('Money').fromMajor(7.5, 'EUR'));
+        assert.deepEqual({ ...page.backend.lastRequest('/reverse-tender').body }, { type: 'gift_card', paymentId: 'gc_1', amount: 750, currency: 'EUR' });
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * Product variants: options, per-variant SKU, price and stock
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { usePage, PRODUCTS } = require('./support/page');
+
+describe('product variants', () => {
+    const page = usePage({
+        body: `${PRODUCTS}
+            <div data-pos-product="cap" data-pos-name="Cap" data-pos-price="12" data-pos-options="color:Red,Blue;size:S,L"></div>
+            <div data-pos-product="scarf" data-pos-name="Scarf" data-pos-price="30" data-pos-variants='[{"id":"red",'></div>
+            <div data-pos-product="hat" data-pos-name="Hat" data-pos-price="25" data-pos-options='{"size": ["M"'></div>
+            <div data-pos-product="42" data-pos-name="Gloves" data-pos-price="9"></div>`
+    });
+
+    const product = id => page.pos.products.find(candidate => candidate.id === id);
+
+    test('each variant has its own SKU, price and stock', () => {
+        const tee = product('tee');
+
+        assert.deepEqual([...tee.options].map(option => [option.name, [...option.values]]), [['size', ['S', 'XL']]]);
+        assert.deepEqual([...tee.variants].map(variant => [variant.id, variant.sku, variant.price]), [
+            ['s', 'TEE-s', 20],
+            ['xl', 'TEE-XL', 24]
+        ]);
+        assert.equal(page.pos.getInventory()['tee:s'], 3);
+        assert.equal(page.pos.getInventory()['tee:xl'], 1);
+    });
+
+    test('declared options without a variant list expand to every combination', () => {
+        assert.deepEqual([...product('cap').variants].map(variant => variant.id), ['Red-S', 'Red-L', 'Blue-S', 'Blue-L']);
+    });
+
+    test('variants are added to the cart as their own lines, against their own stock', () => {
+        assert.equal(page.pos.addToCart('tee', 1, 'xl'), true);
+        assert.equal(page.pos.addToCart('tee', 2, 's'), true);
+        assert.equal(page.pos.addToCart('tee', 1, 'xl'), false);
+
+        const lines = page.pos.getCart();
+        assert.deepEqual([...lines].map(line => [line.key, line.sku, line.price, line.quantity]), [
+            ['tee:xl', 'TEE-XL', 24, 1],
+            ['tee:s', 'TEE-s', 20, 2]
+        ]);
+        assert.equal(lines[0].options.size, 'XL');
+        assert.equal(page.pos.getAvailableStock('tee:s'), 1);
+        assert.equal(page.pos.getAvailableStock('tee:xl'), 0);
+    });
+
+    test('a product with variants needs one picked', () => {
+        assert.equal(page.pos.addToCart('tee', 1, 'xxl'), false);
+    });
+
+    test('malformed variant JSON is logged and the product is kept without variants', () => {
+        for (const id of ['scarf', 'hat']) {
+            assert.ok(product(id), `${id} scanned`);
+            assert.equal(product(id).variants.length, 0);
+            assert.equal(product(id).options.length, 0);
+        }
+        const logged = page.log.filter(entry => entry.level === 'error').map(entry => entry.args[0]);
+        assert.deepEqual(logged, [
+            'Universal POS: Invalid JSON in data-pos-variants',
+            'Universal POS: Invalid JSON in data-pos-options'
+        ]);
+        assert.equal(page.pos.addToCart('scarf', 1), true);
+    });
+
+    test('stock can be set by a numeric product ID', () => {
+        page.pos.setInventory(42, 7);
+        assert.equal(page.pos.getInventory()['42'], 7);
+        assert.match(product('42').element.querySelector('.pos-stock').textContent, /7/);
+    });
+});